@@ -0,0 +1,54 @@
+/**
+ * Brush Schema
+ *
+ * Describes the numeric settings of the Brush panel. They shape what a
+ * drag paints into the interaction texture, not the rule itself, so
+ * they are kept apart from the rule parameters (see paramSchema.js) and
+ * apply to every rule. Entries use the same shape as ParamSchemaEntry;
+ * the panel is generated from them. Shape and target are chosen from
+ * BRUSH_SHAPES and BRUSH_TARGETS (see constants.js).
+ */
+
+import {
+  INTERACTION_RADIUS,
+  BRUSH_STRENGTH,
+  BRUSH_HARDNESS,
+} from './constants.js';
+
+/**
+ * Numeric brush settings
+ * @type {Array<import('./paramSchema.js').ParamSchemaEntry>}
+ */
+export const BRUSH_SCHEMA = [
+  {
+    key: 'radius',
+    label: 'Radius',
+    group: 'Brush',
+    min: 1,
+    max: 128,
+    step: 1,
+    default: INTERACTION_RADIUS,
+    tooltip: 'Brush radius in grid cells',
+    logScale: true,
+  },
+  {
+    key: 'strength',
+    label: 'Strength',
+    group: 'Brush',
+    min: 0,
+    max: 4,
+    step: 0.05,
+    default: BRUSH_STRENGTH,
+    tooltip: 'Multiplier on what the brush adds or removes per step',
+  },
+  {
+    key: 'hardness',
+    label: 'Hardness',
+    group: 'Brush',
+    min: 0,
+    max: 1,
+    step: 0.01,
+    default: BRUSH_HARDNESS,
+    tooltip: 'Edge sharpness (0 = fades linearly to the rim, 1 = hard edge)',
+  },
+];
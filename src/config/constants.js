@@ -15,6 +15,18 @@
  */
 export const SIMULATION_SIZE = 512;
 
+/**
+ * Grid sizes offered in the UI and accepted from permalinks and snapshots
+ * Keep in sync with the #simulationSize options in index.html
+ */
+export const SIMULATION_SIZES = [64, 128, 256, 512, 1024, 2048];
+
+/**
+ * Field channels in RGBA order
+ * Shared by the stats, display modes and the CPU reference comparison
+ */
+export const FIELD_CHANNELS = ['energy', 'matter', 'attention'];
+
 /**
  * Maximum kernel radius for neighbor sampling in lifecycle shader
  * Should be >= ceil(outerRadius) to avoid clipping
@@ -42,7 +54,7 @@ export const MIN_CANVAS_HEIGHT = 300;
 export const MAX_CANVAS_HEIGHT_OFFSET = 100; // window.innerHeight - this
 
 // ========== Interaction ==========
-/** Radius of mouse interaction in grid cells */
+/** Default brush radius in grid cells */
 export const INTERACTION_RADIUS = 20;
 
 /**
@@ -57,6 +69,12 @@ export const INTERACTION_WEIGHT_MULTIPLIER = 2.0;
  */
 export const INTERACTION_ENERGY_AMOUNT = 0.1;
 
+/**
+ * Matter painted per step by the matter brush
+ * Multiplied by interaction texture alpha channel (Transformer-Life only)
+ */
+export const INTERACTION_MATTER_AMOUNT = 0.1;
+
 // ========== Initialization ==========
 /**
  * Maximum random energy value for initial seeding
@@ -79,11 +97,21 @@ export const STAGNATION_NOISE_AMPLITUDE = 0.001;
 
 // ========== Chart ==========
 /**
- * Number of data points in energy history chart
- * Higher = longer history displayed
+ * Chart samples kept in memory
+ * Also the width of the live chart view. Older samples are read back
+ * from IndexedDB when zooming out or panning.
  */
 export const CHART_HISTORY_LENGTH = 1000;
 
+/**
+ * Chart samples kept in IndexedDB per tab (ring buffer)
+ * At the default throttles that is 5,000,000 generations.
+ */
+export const CHART_STORE_CAPACITY = 100000;
+
+/** Name prefix of the per-tab chart history databases */
+export const CHART_DB_PREFIX = 'wigle-chart-history-';
+
 /**
  * Chart update throttle (frames)
  * Update chart every N frames instead of every average computation
@@ -92,23 +120,166 @@ export const CHART_HISTORY_LENGTH = 1000;
 export const CHART_UPDATE_THROTTLE = 5;
 
 /** Chart canvas width in pixels */
-export const CHART_CANVAS_WIDTH = 280;
+export const CHART_CANVAS_WIDTH = 340;
 
 /** Chart canvas height in pixels */
-export const CHART_CANVAS_HEIGHT = 130;
+export const CHART_CANVAS_HEIGHT = 170;
+
+/**
+ * Target number of divisions per chart axis
+ * Ticks snap to 1/2/5 steps, so the actual count varies
+ */
+export const CHART_GRID_DIVISIONS = 4;
+
+/** Smallest chart view (samples) when zoomed in */
+export const CHART_MIN_SPAN = 10;
+
+/** View span multiplier per mouse wheel notch */
+export const CHART_ZOOM_FACTOR = 1.25;
 
 /**
- * Chart downsampling factor
- * Draw every Nth point for performance
- * Higher = faster rendering, less detail
+ * Series colors, in the order series are added
+ * Also caps the number of series on display at once
  */
-export const CHART_DOWNSAMPLE_FACTOR = 10;
+export const CHART_SERIES_COLORS = [
+  '#00ffcc',
+  '#ffaa00',
+  '#ff5599',
+  '#66aaff',
+  '#ccff33',
+  '#cc88ff',
+];
 
 /**
- * Number of horizontal grid lines in chart
- * Actual lines drawn = this + 1
+ * Smallest vertical range of an auto-scaled chart series
+ * Keeps a flat series (e.g. a constant minimum) from filling the chart
+ * with noise.
  */
-export const CHART_GRID_DIVISIONS = 4;
+export const CHART_MIN_RANGE = 0.001;
+
+// ========== Histogram ==========
+/** Default number of histogram bins */
+export const HISTOGRAM_DEFAULT_BINS = 64;
+
+/** Bin counts offered in the histogram panel */
+export const HISTOGRAM_BIN_OPTIONS = [16, 32, 64, 128];
+
+/**
+ * Value range split into bins
+ * Values outside the range are counted in the first or last bin.
+ */
+export const HISTOGRAM_RANGE_MIN = 0.0;
+export const HISTOGRAM_RANGE_MAX = 1.0;
+
+/**
+ * Largest grid side sampled by the histogram pass
+ * Bigger fields are sampled on an evenly strided grid of this size,
+ * one point per sample. Higher = exact counts, more vertices.
+ */
+export const HISTOGRAM_SAMPLE_SIZE = 512;
+
+/** Histogram canvas width in pixels */
+export const HISTOGRAM_CANVAS_WIDTH = 200;
+
+/** Histogram canvas height in pixels */
+export const HISTOGRAM_CANVAS_HEIGHT = 130;
+
+// ========== Regime Detection ==========
+/**
+ * Mean-energy samples the regime classifier looks back over
+ * One sample per field stats update (every AVERAGE_COMPUTE_THROTTLE
+ * generations), so 64 samples cover 640 generations.
+ */
+export const REGIME_WINDOW = 64;
+
+/** Samples needed before stable/oscillating/chaotic can be told apart */
+export const REGIME_MIN_HISTORY = 16;
+
+/**
+ * Consecutive classifications needed before the regime changes
+ * Higher = fewer flickering labels, slower reaction
+ */
+export const REGIME_CONFIRM_SAMPLES = 3;
+
+/** Dead: the largest energy anywhere is below this */
+export const REGIME_DEAD_MAX = 0.01;
+
+/** Saturated: mean energy is at or above this */
+export const REGIME_SATURATED_MEAN = 0.97;
+
+/**
+ * Stable: standard deviation of mean energy over the window (after
+ * removing a linear trend) is below this
+ */
+export const REGIME_STABLE_STD = 0.002;
+
+/**
+ * Oscillating: share of the (detrended) history's spectral power in the
+ * strongest frequency and its two neighbours is at least this
+ */
+export const REGIME_PERIODIC_POWER = 0.6;
+
+/**
+ * Generations between healthy snapshots kept for "revert" recovery
+ * Must be a multiple of AVERAGE_COMPUTE_THROTTLE.
+ */
+export const REGIME_SNAPSHOT_INTERVAL = 500;
+
+// ========== Structure Analysis ==========
+/** Cells at or above this value belong to a structure */
+export const BLOB_DEFAULT_THRESHOLD = 0.5;
+
+/**
+ * Smallest structure counted, in cells
+ * Smaller specks are treated as noise.
+ */
+export const BLOB_DEFAULT_MIN_SIZE = 4;
+
+/**
+ * Generations between structure analyses
+ * Each one reads the whole field back from the GPU.
+ */
+export const BLOB_DEFAULT_INTERVAL = 50;
+
+/** Allowed range of the analysis interval (generations) */
+export const BLOB_INTERVAL_MIN = 1;
+export const BLOB_INTERVAL_MAX = 1000;
+
+/**
+ * Farthest a structure may move between two analyses and keep its ID,
+ * as a fraction of the field side
+ */
+export const BLOB_TRACK_MAX_DISTANCE = 0.05;
+
+/** Most structure IDs drawn on the overlay (the largest ones) */
+export const BLOB_LABEL_LIMIT = 64;
+
+/** Size distribution canvas width in pixels */
+export const BLOB_CANVAS_WIDTH = 200;
+
+/** Size distribution canvas height in pixels */
+export const BLOB_CANVAS_HEIGHT = 50;
+
+// ========== Spatial Spectrum ==========
+/**
+ * Largest FFT side
+ * Bigger fields are box-averaged down to this first, which only drops
+ * wavelengths shorter than two FFT cells.
+ */
+export const SPECTRUM_MAX_SIZE = 512;
+
+/** Generations between spectrum analyses */
+export const SPECTRUM_DEFAULT_INTERVAL = 100;
+
+/** Allowed range of the spectrum interval (generations) */
+export const SPECTRUM_INTERVAL_MIN = 10;
+export const SPECTRUM_INTERVAL_MAX = 10000;
+
+/** Radial power spectrum canvas width in pixels */
+export const SPECTRUM_CANVAS_WIDTH = 200;
+
+/** Radial power spectrum canvas height in pixels */
+export const SPECTRUM_CANVAS_HEIGHT = 80;
 
 // ========== Performance ==========
 /**
@@ -124,13 +295,173 @@ export const FPS_UPDATE_INTERVAL = 1000;
  */
 export const AVERAGE_COMPUTE_THROTTLE = 2;
 
-// ========== Interaction Modes ==========
-/** Available interaction modes for mouse clicks */
-export const INTERACTION_MODES = ['energy', 'attract', 'repel'];
+// ========== Shaders ==========
+/**
+ * Shader hot-reload poll interval in milliseconds (dev mode only)
+ * Enable dev mode by opening the page with ?dev
+ */
+export const SHADER_HOT_RELOAD_INTERVAL = 1000;
+
+// ========== Determinism ==========
+/**
+ * Period of the frame index passed to the shader noise
+ * Kept at 2^16 so the `frame` uniform stays exact in a float
+ */
+export const NOISE_FRAME_PERIOD = 65536;
+
+// ========== Scripting API ==========
+/**
+ * Default step limit for runUntil() when no maxSteps is given
+ * Keeps a predicate that never becomes true from running forever
+ */
+export const RUN_UNTIL_MAX_STEPS = 100000;
+
+/**
+ * Steps between event-loop yields inside runUntil()
+ * Lets the page repaint and handle input during long runs
+ */
+export const RUN_UNTIL_YIELD_STEPS = 64;
+
+// ========== Permalink ==========
+/**
+ * Delay before the URL hash is rewritten after a change (milliseconds)
+ * Coalesces slider drags into one history.replaceState() call
+ */
+export const PERMALINK_UPDATE_DELAY = 250;
+
+// ========== Snapshots ==========
+/**
+ * File extension for exported simulation snapshots
+ * Format described in src/utils/snapshot.js
+ */
+export const SNAPSHOT_FILE_EXTENSION = '.wgsnap';
+
+// ========== Recording ==========
+/**
+ * Default frame rate for live WebM recording (frames per second)
+ */
+export const RECORDING_DEFAULT_FPS = 30;
+
+/**
+ * Target video bitrate for live recording (bits per second)
+ * High enough that fine field detail survives VP8/VP9 compression
+ */
+export const RECORDING_VIDEO_BITRATE = 8000000;
+
+/**
+ * WebM container/codec candidates, most preferred first
+ * The first one MediaRecorder supports is used.
+ */
+export const RECORDING_MIME_TYPES = [
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm',
+];
+
+/**
+ * Defaults for offline recording (PNG sequence)
+ * Each frame advances the simulation a fixed number of generations,
+ * so playback is smooth regardless of the live frame rate.
+ */
+export const OFFLINE_DEFAULT_FRAMES = 300;
+export const OFFLINE_DEFAULT_STEPS_PER_FRAME = 1;
+
+// ========== Parameter Sweep ==========
+/**
+ * Grid size of each sweep tile (cells per side)
+ * 16 tiles at 128² cost about as much per step as one 512² simulation.
+ */
+export const SWEEP_TILE_SIZE = 128;
+
+/**
+ * Default number of values per sweep axis (4 × 4 tiles)
+ */
+export const SWEEP_DEFAULT_STEPS = 4;
+
+/**
+ * Largest number of values per sweep axis
+ */
+export const SWEEP_MAX_STEPS = 8;
+
+/**
+ * Gap between sweep thumbnails on the canvas (CSS pixels)
+ */
+export const SWEEP_TILE_GAP = 4;
+
+// ========== Palettes ==========
+/**
+ * Texels of the palette lookup texture
+ * Gradients are sampled at this many evenly spaced values in [0, 1]
+ */
+export const PALETTE_LUT_SIZE = 256;
+
+/**
+ * Palette shown until another one is picked (see config/palettes.js)
+ */
+export const DEFAULT_PALETTE_ID = 'deepSpace';
+
+/** Fewest and most stops a gradient may have */
+export const PALETTE_MIN_STOPS = 2;
+export const PALETTE_MAX_STOPS = 16;
+
+/**
+ * Gradient editor canvas size in pixels
+ */
+export const PALETTE_EDITOR_WIDTH = 200;
+export const PALETTE_EDITOR_HEIGHT = 36;
+
+// ========== Brush ==========
+/** Brush footprints; a line is drawn from the press point to the pointer */
+export const BRUSH_SHAPES = ['circle', 'square', 'ring', 'line'];
+
+/**
+ * Brush targets: interaction texture weights [R energy, G attract,
+ * B repel, A matter] at full strength. Each target has a single sign,
+ * so overlapping stamps keep the strongest value instead of piling up.
+ * The eraser removes a full cell of energy and matter per step.
+ */
+export const BRUSH_TARGETS = {
+  energy: [1, 0, 0, 0],
+  drain: [-1, 0, 0, 0],
+  matter: [0, 0, 0, 1],
+  erase: [-1 / INTERACTION_ENERGY_AMOUNT, 0, 0, -1 / INTERACTION_MATTER_AMOUNT],
+  attract: [0, 1, 0, 0],
+  repel: [0, 0, 1, 0],
+};
+
+/** Default brush strength (weight multiplier) and hardness (0 = linear falloff) */
+export const BRUSH_STRENGTH = 1;
+export const BRUSH_HARDNESS = 0;
+
+/**
+ * Distance between interpolated stamps as a share of the radius
+ * (at least one cell), so fast strokes leave no gaps
+ */
+export const BRUSH_SPACING = 0.25;
+
+/** Width of the ring brush's band as a share of the radius */
+export const BRUSH_RING_WIDTH = 0.3;
+
+/** Stamps drawn per batch */
+export const BRUSH_MAX_STAMPS = 256;
+
+// ========== Touch Input ==========
+/**
+ * Milliseconds a new touch waits for a second finger before painting
+ * Two fingers landing within this window pinch and pan the camera.
+ */
+export const TOUCH_GESTURE_DELAY = 120;
+
+/** Movement in CSS pixels after which a waiting touch starts painting */
+export const TOUCH_SLOP = 8;
+
+/** Contact width or height in CSS pixels above which a touch is a palm */
+export const PALM_CONTACT_SIZE = 60;
 
 // ========== 3D Display ==========
 /**
  * Display mesh resolution (segments)
+ * Default of the Rendering panel, like the values below
  * Lower = better performance, Higher = more detail
  * 256 = 65,536 vertices (recommended)
  * 512 = 262,144 vertices (high quality)
@@ -145,15 +476,39 @@ export const DISPLAY_MESH_RESOLUTION = 256;
 export const DISPLACEMENT_SCALE = 0.15;
 
 /**
- * Camera distance from origin
- * Larger = farther away view
+ * Camera field of view in degrees
+ * The camera distance follows from it: zoom 1 fits the plane to the
+ * canvas (see utils/camera.js).
  */
-export const CAMERA_DISTANCE = 2.5;
+export const CAMERA_FOV = 60;
 
 /**
- * Camera field of view in degrees
+ * Steepest camera tilt in degrees (0 = straight down)
  */
-export const CAMERA_FOV = 60;
+export const CAMERA_MAX_TILT = 80;
+
+/**
+ * Camera zoom range (1 = plane fits the canvas)
+ * The closest zoom keeps the camera above the tallest terrain at the
+ * default displacement.
+ */
+export const CAMERA_MIN_ZOOM = 0.5;
+export const CAMERA_MAX_ZOOM = 8;
+
+/**
+ * Degrees of orbit/tilt per pixel of Alt+drag
+ */
+export const CAMERA_ORBIT_SPEED = 0.3;
+
+/**
+ * Zoom factor per mouse wheel notch
+ */
+export const CAMERA_ZOOM_STEP = 1.1;
+
+/**
+ * localStorage key of the saved camera bookmarks
+ */
+export const CAMERA_BOOKMARKS_STORAGE_KEY = 'wigle2.cameraBookmarks';
 
 /**
  * HeightMap temporal smoothing factor (lerp inertia)
@@ -162,3 +517,25 @@ export const CAMERA_FOV = 60;
  * Range: 0.01 (very smooth) to 0.5 (fast response)
  */
 export const HEIGHTMAP_SMOOTHNESS = 0.1;
+
+/**
+ * Light direction in degrees
+ * Azimuth counterclockwise from +x (right), elevation above the plane.
+ * 45° / 74° is the original light from the upper right, nearly overhead.
+ */
+export const LIGHT_AZIMUTH = 45;
+export const LIGHT_ELEVATION = 74;
+
+/**
+ * Share of the lighting that ignores the light direction
+ * lighting = ambient + (1 - ambient) × diffuse
+ * High = flat, non-flickering look; low = pronounced relief
+ */
+export const AMBIENT_RATIO = 0.75;
+
+/**
+ * Specular highlight strength (0 = matte) and shininess (Blinn-Phong
+ * exponent; higher = smaller, sharper highlights)
+ */
+export const SPECULAR_STRENGTH = 0;
+export const SPECULAR_SHININESS = 32;
@@ -46,20 +46,48 @@ export const DEFAULT_PARAMS = {
 };
 
 /**
- * UI control IDs that map to simulation parameters
- * Used for automatic slider/input binding
+ * Default parameter values for the Energy-Life kernel rule
+ *
+ * The original Lenia-style model: a ring kernel feeds a Gaussian
+ * growth function, balanced by quadratic metabolism and fission chaos.
+ * See docs/PARAMETERS.md for the meaning of each value.
+ *
+ * @typedef {Object} EnergyLifeParams
+ * @property {number} innerRadius - Radius of the attraction zone
+ * @property {number} innerStrength - Attraction strength inside innerRadius
+ * @property {number} outerRadius - Outer edge of the repulsion ring
+ * @property {number} outerStrength - Repulsion strength (negative)
+ * @property {number} growthCenter - Optimal neighbor potential for growth
+ * @property {number} growthWidth - Tolerance around growthCenter
+ * @property {number} growthRate - Speed multiplier for energy change
+ * @property {number} suppressionFactor - Growth suppression from globalAverage
+ * @property {number} decayRate - Quadratic metabolism
+ * @property {number} diffusionRate - Laplacian diffusion
+ * @property {number} fissionThreshold - Energy level that triggers instability
+ * @property {number} instabilityFactor - Chaos strength above fissionThreshold
+ * @property {number} globalAverage - System-wide average (updated each frame)
  */
-export const PARAM_CONTROL_IDS = [
-  'neighborhoodRadius',
-  'varianceWeight',
-  'activationThreshold',
-  'activationSteepness',
-  'energyLearningRate',
-  'matterGrowthRate',
-  'matterDecayRate',
-  'matterResistance',
-  'diffusionRate',
-];
+export const ENERGY_LIFE_DEFAULT_PARAMS = {
+  // ===== DYNAMIC TENSION =====
+  innerRadius: 3.5,
+  innerStrength: 0.9,
+  outerRadius: 7.5,
+  outerStrength: -0.4,
+
+  // ===== GROWTH FUNCTION =====
+  growthCenter: -0.17,
+  growthWidth: 0.0183,
+  growthRate: 0.607,
+  suppressionFactor: 1.0,
+
+  // ===== ENERGY ECONOMY =====
+  decayRate: 0.378,
+  diffusionRate: 0.333,
+  fissionThreshold: 0.796,
+  instabilityFactor: 1.5,
+
+  globalAverage: 0.0,
+};
 
 /**
  * Speed preset configurations
@@ -0,0 +1,124 @@
+/**
+ * Built-in Palettes
+ *
+ * Gradients the display can color a field with, as stops from value 0
+ * to 1. Two stops at the same position make a hard edge. They appear in
+ * the Palette selector; edited gradients become "Custom".
+ *
+ * viridis, magma, inferno and cividis are the perceptually uniform
+ * matplotlib maps, sampled at evenly spaced stops; cividis is also
+ * readable with red–green color blindness.
+ */
+
+/**
+ * @typedef {Object} PaletteStop
+ * @property {number} position - Value in [0, 1]
+ * @property {string} color - '#rrggbb'
+ */
+
+/**
+ * Spreads colors evenly over [0, 1]
+ * @param {Array<string>} colors - '#rrggbb' colors, low to high
+ * @returns {Array<PaletteStop>} Stops
+ */
+function evenStops(colors) {
+  return colors.map((color, i) => ({
+    position: i / (colors.length - 1),
+    color,
+  }));
+}
+
+/**
+ * Built-in palettes, keyed by a stable ID
+ * Order determines the order in the Palette selector.
+ */
+export const PALETTES = {
+  /**
+   * Deep Space (the original display colors, minus the shimmer the old
+   * shader added above 0.9)
+   * Black → dark navy, then dark blue → purple → cyan → white
+   */
+  deepSpace: {
+    name: 'Deep Space',
+    stops: [
+      { position: 0, color: '#000000' },
+      { position: 0.2, color: '#000026' },
+      { position: 0.2, color: '#000080' },
+      { position: 0.5, color: '#660099' },
+      { position: 0.8, color: '#00ccff' },
+      { position: 1, color: '#ffffff' },
+    ],
+  },
+
+  viridis: {
+    name: 'Viridis',
+    stops: evenStops([
+      '#440154',
+      '#482576',
+      '#414487',
+      '#35608d',
+      '#2a788e',
+      '#21908c',
+      '#22a884',
+      '#43bf71',
+      '#7ad151',
+      '#bbdf27',
+      '#fde725',
+    ]),
+  },
+
+  magma: {
+    name: 'Magma',
+    stops: evenStops([
+      '#000004',
+      '#140e36',
+      '#3b0f70',
+      '#641a80',
+      '#8c2981',
+      '#b73779',
+      '#de4968',
+      '#f7705c',
+      '#fe9f6d',
+      '#fecf92',
+      '#fcfdbf',
+    ]),
+  },
+
+  inferno: {
+    name: 'Inferno',
+    stops: evenStops([
+      '#000004',
+      '#160b39',
+      '#420a68',
+      '#6a176e',
+      '#932667',
+      '#bc3754',
+      '#dd513a',
+      '#f37819',
+      '#fca50a',
+      '#f6d746',
+      '#fcffa4',
+    ]),
+  },
+
+  cividis: {
+    name: 'Cividis (colorblind-safe)',
+    stops: evenStops([
+      '#00204d',
+      '#00336f',
+      '#39486b',
+      '#575c6d',
+      '#707173',
+      '#8a8779',
+      '#a69d75',
+      '#c4b56c',
+      '#e4cf5b',
+      '#ffea46',
+    ]),
+  },
+
+  grayscale: {
+    name: 'Grayscale',
+    stops: evenStops(['#000000', '#ffffff']),
+  },
+};
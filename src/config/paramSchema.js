@@ -0,0 +1,248 @@
+/**
+ * Parameter Schemas
+ *
+ * Describes every tunable parameter of each rule. The controls panel is
+ * generated from these entries, and loaded presets are validated
+ * against them, so adding a parameter here (plus its uniform in the
+ * rule's shader) is all that is needed to expose it in the UI.
+ */
+
+import { DEFAULT_PARAMS, ENERGY_LIFE_DEFAULT_PARAMS } from './defaults.js';
+
+/**
+ * @typedef {Object} ParamSchemaEntry
+ * @property {string} key - Parameter name (also the uniform and control ID)
+ * @property {string} label - Control label
+ * @property {string} group - Section the control is placed in
+ * @property {number} min - Lowest allowed value
+ * @property {number} max - Highest allowed value
+ * @property {number} step - Input granularity
+ * @property {number} default - Default value
+ * @property {string} tooltip - Short explanation shown on hover
+ * @property {boolean} [logScale=false] - Slider moves logarithmically (min must be > 0)
+ */
+
+/**
+ * Transformer-Life parameters
+ * @type {Array<ParamSchemaEntry>}
+ */
+export const TRANSFORMER_LIFE_SCHEMA = [
+  {
+    key: 'neighborhoodRadius',
+    label: 'Neighborhood Radius',
+    group: 'Phase 1: Attention Mechanism',
+    min: 1,
+    max: 15,
+    step: 0.1,
+    default: DEFAULT_PARAMS.neighborhoodRadius,
+    tooltip: 'Sampling radius (grid cells) for the attention score',
+  },
+  {
+    key: 'varianceWeight',
+    label: 'Variance Weight',
+    group: 'Phase 1: Attention Mechanism',
+    min: 0,
+    max: 3,
+    step: 0.01,
+    default: DEFAULT_PARAMS.varianceWeight,
+    tooltip: 'Weight of local variance in the information conflict',
+  },
+  {
+    key: 'activationThreshold',
+    label: 'Threshold (Leaky ReLU)',
+    group: 'Phase 2: Activation Function',
+    min: 0,
+    max: 1,
+    step: 0.01,
+    default: DEFAULT_PARAMS.activationThreshold,
+    tooltip: 'Attention score needed to fire (lower = easier to activate)',
+  },
+  {
+    key: 'activationSteepness',
+    label: 'Amplification (Linear)',
+    group: 'Phase 2: Activation Function',
+    min: 0.1,
+    max: 10,
+    step: 0.1,
+    default: DEFAULT_PARAMS.activationSteepness,
+    tooltip: 'Linear gain applied above the threshold',
+  },
+  {
+    key: 'energyLearningRate',
+    label: 'Energy Learning Rate',
+    group: 'Phase 3: Residual Stream',
+    min: 0,
+    max: 0.5,
+    step: 0.001,
+    default: DEFAULT_PARAMS.energyLearningRate,
+    tooltip: 'Rate of energy change from activation',
+  },
+  {
+    key: 'matterGrowthRate',
+    label: 'Matter Growth Rate',
+    group: 'Phase 3: Residual Stream',
+    min: 0,
+    max: 0.2,
+    step: 0.001,
+    default: DEFAULT_PARAMS.matterGrowthRate,
+    tooltip: 'Rate of matter accumulation (structure)',
+  },
+  {
+    key: 'matterDecayRate',
+    label: 'Matter Decay Rate',
+    group: 'Phase 3: Residual Stream',
+    min: 0,
+    max: 0.01,
+    step: 0.0001,
+    default: DEFAULT_PARAMS.matterDecayRate,
+    tooltip: 'Slow decay of accumulated matter',
+  },
+  {
+    key: 'matterResistance',
+    label: 'Matter Resistance',
+    group: 'Phase 3: Residual Stream',
+    min: 0,
+    max: 1,
+    step: 0.01,
+    default: DEFAULT_PARAMS.matterResistance,
+    tooltip: 'How much matter suppresses new activation',
+  },
+  {
+    key: 'diffusionRate',
+    label: 'Diffusion Rate',
+    group: 'Global Dynamics',
+    min: 0,
+    max: 0.5,
+    step: 0.001,
+    default: DEFAULT_PARAMS.diffusionRate,
+    tooltip: 'Energy spreading to neighbors (Laplacian)',
+  },
+];
+
+/**
+ * Energy-Life parameters (ranges from docs/PARAMETERS.md)
+ * @type {Array<ParamSchemaEntry>}
+ */
+export const ENERGY_LIFE_SCHEMA = [
+  {
+    key: 'innerRadius',
+    label: 'Inner Radius',
+    group: 'Dynamic Tension',
+    min: 1,
+    max: 10,
+    step: 0.1,
+    default: ENERGY_LIFE_DEFAULT_PARAMS.innerRadius,
+    tooltip: 'Size of the attraction zone around each cell',
+  },
+  {
+    key: 'innerStrength',
+    label: 'Inner Strength',
+    group: 'Dynamic Tension',
+    min: 0,
+    max: 2,
+    step: 0.01,
+    default: ENERGY_LIFE_DEFAULT_PARAMS.innerStrength,
+    tooltip: 'How strongly cells pull each other together',
+  },
+  {
+    key: 'outerRadius',
+    label: 'Outer Radius',
+    group: 'Dynamic Tension',
+    min: 5,
+    max: 15,
+    step: 0.1,
+    default: ENERGY_LIFE_DEFAULT_PARAMS.outerRadius,
+    tooltip: 'Outer edge of the repulsion ring (must be > Inner Radius)',
+  },
+  {
+    key: 'outerStrength',
+    label: 'Outer Strength',
+    group: 'Dynamic Tension',
+    min: -2,
+    max: 0,
+    step: 0.01,
+    default: ENERGY_LIFE_DEFAULT_PARAMS.outerStrength,
+    tooltip: 'Repulsion strength (more negative = stronger separation)',
+  },
+  {
+    key: 'growthCenter',
+    label: 'Growth Center',
+    group: 'Growth Function',
+    min: -2,
+    max: 2,
+    step: 0.01,
+    default: ENERGY_LIFE_DEFAULT_PARAMS.growthCenter,
+    tooltip: 'Neighbor potential at which growth is strongest',
+  },
+  {
+    key: 'growthWidth',
+    label: 'Growth Width',
+    group: 'Growth Function',
+    min: 0.0001,
+    max: 1,
+    step: 0.0001,
+    default: ENERGY_LIFE_DEFAULT_PARAMS.growthWidth,
+    tooltip: 'Tolerance around Growth Center (most sensitive parameter)',
+    logScale: true,
+  },
+  {
+    key: 'growthRate',
+    label: 'Growth Rate',
+    group: 'Growth Function',
+    min: 0.001,
+    max: 1,
+    step: 0.001,
+    default: ENERGY_LIFE_DEFAULT_PARAMS.growthRate,
+    tooltip: 'Speed multiplier for energy change',
+  },
+  {
+    key: 'suppressionFactor',
+    label: 'Suppression Factor',
+    group: 'Growth Function',
+    min: 0,
+    max: 3,
+    step: 0.01,
+    default: ENERGY_LIFE_DEFAULT_PARAMS.suppressionFactor,
+    tooltip: 'Reduces growth when the global average is high',
+  },
+  {
+    key: 'decayRate',
+    label: 'Decay Rate',
+    group: 'Energy Economy',
+    min: 0,
+    max: 1,
+    step: 0.001,
+    default: ENERGY_LIFE_DEFAULT_PARAMS.decayRate,
+    tooltip: 'Quadratic metabolism (energy cost of existing)',
+  },
+  {
+    key: 'fissionThreshold',
+    label: 'Fission Threshold',
+    group: 'Energy Economy',
+    min: 0.5,
+    max: 0.95,
+    step: 0.001,
+    default: ENERGY_LIFE_DEFAULT_PARAMS.fissionThreshold,
+    tooltip: 'Energy level above which cells become unstable',
+  },
+  {
+    key: 'instabilityFactor',
+    label: 'Instability Factor',
+    group: 'Energy Economy',
+    min: 0,
+    max: 5,
+    step: 0.01,
+    default: ENERGY_LIFE_DEFAULT_PARAMS.instabilityFactor,
+    tooltip: 'Chaos strength above the fission threshold',
+  },
+  {
+    key: 'diffusionRate',
+    label: 'Diffusion Rate',
+    group: 'Global Dynamics',
+    min: 0,
+    max: 1,
+    step: 0.001,
+    default: ENERGY_LIFE_DEFAULT_PARAMS.diffusionRate,
+    tooltip: 'Energy spreading to neighbors (Laplacian)',
+  },
+];
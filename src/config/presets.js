@@ -2,61 +2,119 @@
  * Preset Configurations
  *
  * Curated parameter sets that produce interesting patterns.
- * Users can save/load custom presets via localStorage.
+ * They appear as read-only "Built-in" entries in the preset browser;
+ * user presets are stored in localStorage (see core/PresetLibrary.js).
  */
 
 /**
- * Named presets for interesting simulation behaviors
- * Each preset is a complete set of simulation parameters
+ * Current preset format version
+ * Bump when the preset shape changes and add a migrator in
+ * utils/presetFormat.js for the previous version.
+ */
+export const PRESET_FORMAT_VERSION = 1;
+
+/**
+ * Built-in presets for interesting simulation behaviors
+ * Keyed by a stable ID; each entry is a preset in the current format.
  */
 export const NAMED_PRESETS = {
+  /**
+   * Transformer-Life defaults
+   * Attention-driven growth with slowly accumulating matter
+   */
+  transformerDefault: {
+    version: PRESET_FORMAT_VERSION,
+    name: 'Transformer-Life Default',
+    ruleId: 'transformerLife',
+    params: {
+      neighborhoodRadius: 5.0,
+      varianceWeight: 1.0,
+      activationThreshold: 0.15,
+      activationSteepness: 2.0,
+      energyLearningRate: 0.15,
+      matterGrowthRate: 0.08,
+      matterDecayRate: 0.002,
+      matterResistance: 0.4,
+      diffusionRate: 0.1,
+    },
+  },
+
   /**
    * Default balanced preset
    * Produces stable, self-organizing patterns
    */
   default: {
-    innerRadius: 3.5,
-    innerStrength: 0.9,
-    outerRadius: 7.5,
-    outerStrength: -0.4,
-    growthCenter: -0.17,
-    growthWidth: 0.0183,
-    growthRate: 0.607,
-    suppressionFactor: 1.0,
-    decayRate: 0.378,
-    diffusionRate: 0.333,
-    fissionThreshold: 0.796,
-    instabilityFactor: 1.5,
+    version: PRESET_FORMAT_VERSION,
+    name: 'Energy-Life Default',
+    ruleId: 'energyLife',
+    params: {
+      innerRadius: 3.5,
+      innerStrength: 0.9,
+      outerRadius: 7.5,
+      outerStrength: -0.4,
+      growthCenter: -0.17,
+      growthWidth: 0.0183,
+      growthRate: 0.607,
+      suppressionFactor: 1.0,
+      decayRate: 0.378,
+      diffusionRate: 0.333,
+      fissionThreshold: 0.796,
+      instabilityFactor: 1.5,
+    },
   },
 
   /**
    * Banana Wave preset (from README.md)
    * Produces flowing wave-like patterns
-   * Instructions: Start with growthWidth 0.145, slowly lower to 0.0156
+   * The timeline starts growthWidth at 0.145 and eases it down to 0.0156
    */
   bananaWave: {
-    innerRadius: 3.5,
-    innerStrength: 0.9,
-    outerRadius: 7.5,
-    outerStrength: -0.4,
-    growthCenter: -0.17,
-    growthWidth: 0.0156, // Target value for wave pattern
-    growthRate: 0.607,
-    suppressionFactor: 1.0,
-    decayRate: 0.378,
-    diffusionRate: 0.333,
-    fissionThreshold: 0.796,
-    instabilityFactor: 1.5,
+    version: PRESET_FORMAT_VERSION,
+    name: 'Banana Wave',
+    ruleId: 'energyLife',
+    params: {
+      innerRadius: 3.5,
+      innerStrength: 0.9,
+      outerRadius: 7.5,
+      outerStrength: -0.4,
+      growthCenter: -0.17,
+      growthWidth: 0.0156, // Target value for wave pattern
+      growthRate: 0.607,
+      suppressionFactor: 1.0,
+      decayRate: 0.378,
+      diffusionRate: 0.333,
+      fissionThreshold: 0.796,
+      instabilityFactor: 1.5,
+    },
+    timeline: {
+      loop: false,
+      length: 0,
+      tracks: {
+        growthWidth: [
+          { frame: 0, value: 0.145, easing: 'ease' },
+          { frame: 3000, value: 0.0156, easing: 'linear' },
+        ],
+      },
+    },
   },
 
   // Additional presets can be added here
   // Example:
-  // chaos: { ... },
-  // crystals: { ... },
-  // etc.
+  // chaos: { version: PRESET_FORMAT_VERSION, name: 'Chaos', ruleId, params },
 };
 
 /**
- * LocalStorage key for user-saved preset
+ * LocalStorage key for the user preset library
+ */
+export const PRESET_STORAGE_KEY = 'wigle2.presetLibrary';
+
+/**
+ * LocalStorage key of the old single-slot Save button
+ * Migrated into the library on first load, then removed.
+ */
+export const LEGACY_PRESET_STORAGE_KEY = 'energyLifePreset';
+
+/**
+ * Value of the `format` field in exported preset files
  */
-export const PRESET_STORAGE_KEY = 'energyLifePreset';
+export const PRESET_FILE_FORMAT = 'wigle2-presets';
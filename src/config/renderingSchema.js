@@ -0,0 +1,112 @@
+/**
+ * Rendering Schema
+ *
+ * Describes the display settings of the Rendering panel: terrain,
+ * smoothing and lighting. They only change how the field is drawn,
+ * never the simulation, so they are kept apart from the rule
+ * parameters (see paramSchema.js) and apply to every rule.
+ * Entries use the same shape as ParamSchemaEntry; the panel is
+ * generated from them.
+ */
+
+import {
+  DISPLAY_MESH_RESOLUTION,
+  DISPLACEMENT_SCALE,
+  HEIGHTMAP_SMOOTHNESS,
+  LIGHT_AZIMUTH,
+  LIGHT_ELEVATION,
+  AMBIENT_RATIO,
+  SPECULAR_STRENGTH,
+  SPECULAR_SHININESS,
+} from './constants.js';
+
+/**
+ * Rendering settings
+ * @type {Array<import('./paramSchema.js').ParamSchemaEntry>}
+ */
+export const RENDERING_SCHEMA = [
+  {
+    key: 'displacementScale',
+    label: 'Displacement',
+    group: 'Terrain',
+    min: 0,
+    max: 0.5,
+    step: 0.005,
+    default: DISPLACEMENT_SCALE,
+    tooltip: 'Height of the 3D terrain (0 = flat)',
+  },
+  {
+    key: 'heightSmoothness',
+    label: 'Height Response',
+    group: 'Terrain',
+    min: 0.01,
+    max: 1,
+    step: 0.01,
+    default: HEIGHTMAP_SMOOTHNESS,
+    tooltip:
+      'Share of the new height blended in per frame (lower = more inertia, 1 = none)',
+    logScale: true,
+  },
+  {
+    key: 'meshResolution',
+    label: 'Mesh Resolution',
+    group: 'Terrain',
+    min: 16,
+    max: 1024,
+    step: 16,
+    default: DISPLAY_MESH_RESOLUTION,
+    tooltip: 'Segments per side of the terrain mesh (higher = finer, slower)',
+  },
+  {
+    key: 'lightAzimuth',
+    label: 'Light Azimuth (°)',
+    group: 'Lighting',
+    min: 0,
+    max: 360,
+    step: 1,
+    default: LIGHT_AZIMUTH,
+    tooltip: 'Direction the light comes from, counterclockwise from the right',
+  },
+  {
+    key: 'lightElevation',
+    label: 'Light Elevation (°)',
+    group: 'Lighting',
+    min: 0,
+    max: 90,
+    step: 1,
+    default: LIGHT_ELEVATION,
+    tooltip: 'Height of the light above the plane (90 = straight above)',
+  },
+  {
+    key: 'ambientRatio',
+    label: 'Ambient / Diffuse',
+    group: 'Lighting',
+    min: 0,
+    max: 1,
+    step: 0.01,
+    default: AMBIENT_RATIO,
+    tooltip:
+      'Share of ambient light; the rest is diffuse (1 = no shading, 0 = full relief)',
+  },
+  {
+    key: 'specularStrength',
+    label: 'Specular',
+    group: 'Lighting',
+    min: 0,
+    max: 1,
+    step: 0.01,
+    default: SPECULAR_STRENGTH,
+    tooltip: 'Brightness of highlights (0 = matte)',
+  },
+  {
+    key: 'specularShininess',
+    label: 'Shininess',
+    group: 'Lighting',
+    min: 1,
+    max: 256,
+    step: 1,
+    default: SPECULAR_SHININESS,
+    tooltip: 'Highlight tightness (higher = smaller, sharper highlights)',
+    logScale: true,
+  },
+];
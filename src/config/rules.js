@@ -0,0 +1,75 @@
+/**
+ * Rule Registry
+ *
+ * Each rule bundles everything needed to run one update model:
+ * - its lifecycle fragment shader (file in src/shaders/)
+ * - its parameter schema (the tunable uniforms the shader declares)
+ * - its default parameter values
+ *
+ * The simulation compiles the active rule into the `field` variable
+ * and can swap rules at runtime without reloading the page.
+ */
+
+import { DEFAULT_PARAMS, ENERGY_LIFE_DEFAULT_PARAMS } from './defaults.js';
+import { TRANSFORMER_LIFE_SCHEMA, ENERGY_LIFE_SCHEMA } from './paramSchema.js';
+
+/**
+ * @typedef {Object} Rule
+ * @property {string} id - Stable identifier (used in presets and UI)
+ * @property {string} name - Human-readable name
+ * @property {string} fragmentShader - Lifecycle shader path, relative to src/shaders/
+ * @property {Array<import('./paramSchema.js').ParamSchemaEntry>} schema - Tunable parameters (drives the controls panel)
+ * @property {Object<string, number>} defaults - Default parameter values
+ * @property {Array<string>} channels - Field channels the shader writes
+ *   (leading R, G, B names; the rest are unused)
+ */
+
+/**
+ * Transformer-Life rule
+ * Attention → Leaky ReLU activation → residual matter stream
+ * @type {Rule}
+ */
+export const TRANSFORMER_LIFE_RULE = {
+  id: 'transformerLife',
+  name: 'Transformer-Life',
+  fragmentShader: 'lifecycle.glsl',
+  schema: TRANSFORMER_LIFE_SCHEMA,
+  defaults: DEFAULT_PARAMS,
+  channels: ['energy', 'matter', 'attention'],
+};
+
+/**
+ * Energy-Life rule
+ * Ring kernel → Gaussian growth function → metabolism and fission
+ * @type {Rule}
+ */
+export const ENERGY_LIFE_RULE = {
+  id: 'energyLife',
+  name: 'Energy-Life (Kernel)',
+  fragmentShader: 'energyLife.glsl',
+  schema: ENERGY_LIFE_SCHEMA,
+  defaults: ENERGY_LIFE_DEFAULT_PARAMS,
+  channels: ['energy'],
+};
+
+/**
+ * All registered rules, keyed by ID
+ * Order determines the order in the rule dropdown
+ */
+export const RULES = {
+  [TRANSFORMER_LIFE_RULE.id]: TRANSFORMER_LIFE_RULE,
+  [ENERGY_LIFE_RULE.id]: ENERGY_LIFE_RULE,
+};
+
+/** Rule used when nothing else is requested */
+export const DEFAULT_RULE_ID = TRANSFORMER_LIFE_RULE.id;
+
+/**
+ * Looks up a rule by ID
+ *
+ * @param {string} ruleId - Rule identifier
+ * @returns {Rule|null} The rule, or null if unknown
+ */
+export function getRule(ruleId) {
+  return Object.hasOwn(RULES, ruleId) ? RULES[ruleId] : null;
+}
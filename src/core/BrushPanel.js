@@ -0,0 +1,115 @@
+/**
+ * Brush Panel
+ *
+ * Generates the Brush panel sliders from BRUSH_SCHEMA and wires the
+ * shape menu, the target buttons and reset to the simulation's
+ * setBrush(). Painting itself happens on the canvas (see BrushRenderer);
+ * if the GPU cannot paint, the panel is disabled and says why.
+ *
+ * @class
+ */
+
+import { BRUSH_SCHEMA } from '../config/brushSchema.js';
+import { BRUSH_SHAPES } from '../config/constants.js';
+import { DEFAULT_BRUSH, availableBrushTargets } from '../utils/brush.js';
+import {
+  createParamControl,
+  updateParamControl,
+} from '../utils/paramControls.js';
+import { PanelController } from './PanelController.js';
+
+export class BrushPanel extends PanelController {
+  /**
+   * Creates the panel
+   *
+   * @param {Object} options
+   * @param {import('./EnergyLifeSimulation.js').EnergyLifeSimulation} options.simulation -
+   *   Simulation whose brush is configured
+   * @param {Object<string, *>} options.dom - Cached DOM elements
+   */
+  constructor({ simulation, dom }) {
+    super({ simulation, dom, status: dom.brushStatus });
+    this.available = simulation.brushRenderer?.supported !== false;
+    const { brushControls, brushShape } = dom;
+
+    if (brushControls) {
+      brushControls.innerHTML = '';
+      BRUSH_SCHEMA.forEach((entry) => {
+        brushControls.appendChild(
+          createParamControl(entry, (value) =>
+            simulation.setBrush({ [entry.key]: value }),
+          ),
+        );
+      });
+    }
+
+    if (brushShape) {
+      brushShape.innerHTML = '';
+      BRUSH_SHAPES.forEach((shape) => {
+        const option = document.createElement('option');
+        option.value = shape;
+        option.textContent = shape[0].toUpperCase() + shape.slice(1);
+        brushShape.appendChild(option);
+      });
+      brushShape.addEventListener('change', () => {
+        simulation.setBrush({ shape: brushShape.value });
+      });
+    }
+
+    dom.modeButtons.forEach((button) => {
+      button.addEventListener('click', () => {
+        simulation.setBrush({ target: button.dataset.mode });
+      });
+    });
+
+    dom.resetBrush?.addEventListener('click', () =>
+      simulation.setBrush(DEFAULT_BRUSH),
+    );
+    this.sync();
+    if (!this.available) this.#disable();
+  }
+
+  /**
+   * Mirrors brush settings to the sliders, the shape menu and the target
+   * buttons; targets the rule cannot use are disabled (all of them if
+   * painting is unavailable)
+   *
+   * @param {Array<string>} [keys] - Settings to mirror (default: all)
+   */
+  sync(keys = Object.keys(DEFAULT_BRUSH)) {
+    const { rule } = this.simulation;
+    const brush = this.simulation.getBrush();
+    keys.forEach((key) => {
+      if (key === 'shape') {
+        if (this.dom.brushShape) this.dom.brushShape.value = brush.shape;
+      } else if (key === 'target') {
+        const targets = availableBrushTargets(rule.channels);
+        this.dom.modeButtons.forEach((button) => {
+          const { mode } = button.dataset;
+          button.classList.toggle('active', mode === brush.target);
+          button.disabled = !this.available || !targets.includes(mode);
+        });
+      } else {
+        updateParamControl(BRUSH_SCHEMA, key, brush[key]);
+      }
+    });
+  }
+
+  /**
+   * Disables every brush control and explains why
+   * @private
+   */
+  #disable() {
+    const { brushControls, brushShape, resetBrush } = this.dom;
+    brushControls?.querySelectorAll('input').forEach((input) => {
+      input.disabled = true;
+    });
+    [brushShape, resetBrush].forEach((control) => {
+      if (control) control.disabled = true;
+    });
+    this.setStatus(
+      'Painting is unavailable: this GPU cannot blend into float or half-float render targets.',
+      true,
+    );
+  }
+}
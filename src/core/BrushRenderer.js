@@ -0,0 +1,217 @@
+/**
+ * Brush Renderer
+ *
+ * Owns the interaction target the rule shaders read (R energy, G
+ * attract, B repel, A matter; signed) and paints brush stamps into it
+ * on the GPU. Stamps are batched as quads, BRUSH_MAX_STAMPS per draw;
+ * brush.frag shapes each one. Positive targets blend with max and
+ * negative ones with min, so overlapping stamps along a stroke keep
+ * the strongest value.
+ *
+ * Blending into float targets needs EXT_float_blend. Without it the
+ * target falls back to half floats, which blend wherever they can be
+ * rendered to; if neither works, `supported` is false and stamps are
+ * ignored (the target stays zero, so the rules see no interaction).
+ *
+ * @class
+ */
+
+import { BRUSH_MAX_STAMPS } from '../config/constants.js';
+import { getShader, SHADER_FILES } from '../utils/shaderLoader.js';
+import { brushWeights } from '../utils/brush.js';
+import { halfToFloat } from '../utils/textureUtils.js';
+
+const THREE = window.THREE;
+
+/** Shader shape index; a line is a stroke of round stamps */
+const SHAPE_INDEX = { circle: 0, square: 1, ring: 2, line: 0 };
+
+/** Two triangles per stamp quad */
+const QUAD_CORNERS = [-1, -1, 1, -1, 1, 1, -1, -1, 1, 1, -1, 1];
+const VERTICES_PER_STAMP = QUAD_CORNERS.length / 2;
+
+/**
+ * Picks the target type stamps can blend into
+ * @param {THREE.WebGLRenderer} renderer - Renderer owning the field
+ * @returns {number|null} THREE.FloatType, THREE.HalfFloatType or null
+ */
+function blendableType(renderer) {
+  const { extensions, capabilities } = renderer;
+  if (extensions.has('EXT_float_blend')) return THREE.FloatType;
+
+  const halfFloatTarget = capabilities.isWebGL2
+    ? extensions.has('EXT_color_buffer_float')
+    : extensions.has('OES_texture_half_float') &&
+      extensions.has('EXT_color_buffer_half_float');
+  return halfFloatTarget ? THREE.HalfFloatType : null;
+}
+
+export class BrushRenderer {
+  /**
+   * Creates the interaction target and the stamp pass
+   *
+   * @param {Object} options
+   * @param {THREE.WebGLRenderer} options.renderer - Renderer owning the field
+   * @param {number} options.size - Field grid size
+   */
+  constructor({ renderer, size }) {
+    this.renderer = renderer;
+    this.size = size;
+    this.type = blendableType(renderer);
+    this.supported = this.type !== null;
+
+    this.renderTarget = new THREE.WebGLRenderTarget(size, size, {
+      minFilter: THREE.NearestFilter,
+      magFilter: THREE.NearestFilter,
+      format: THREE.RGBAFormat,
+      type: this.type ?? THREE.UnsignedByteType,
+      wrapS: THREE.RepeatWrapping,
+      wrapT: THREE.RepeatWrapping,
+      depthBuffer: false,
+    });
+    this.painted = false; // Whether stamps were drawn since the last clear
+    this.pixels = new Float32Array(size * size * 4);
+    this.halves =
+      this.type === THREE.HalfFloatType
+        ? new Uint16Array(this.pixels.length)
+        : null;
+
+    const corners = new Float32Array(BRUSH_MAX_STAMPS * QUAD_CORNERS.length);
+    for (let i = 0; i < BRUSH_MAX_STAMPS; i++) {
+      corners.set(QUAD_CORNERS, i * QUAD_CORNERS.length);
+    }
+    this.centers = new THREE.BufferAttribute(
+      new Float32Array(BRUSH_MAX_STAMPS * VERTICES_PER_STAMP * 2),
+      2,
+    );
+    this.centers.setUsage(THREE.DynamicDrawUsage);
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(corners, 2));
+    geometry.setAttribute('center', this.centers);
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        size: { value: size },
+        radius: { value: 1 },
+        hardness: { value: 0 },
+        shape: { value: 0 },
+        weights: { value: new THREE.Vector4() },
+      },
+      vertexShader: getShader(SHADER_FILES.brushVertex),
+      fragmentShader: getShader(SHADER_FILES.brushFragment),
+      blending: THREE.CustomBlending,
+      blendSrc: THREE.OneFactor,
+      blendDst: THREE.OneFactor,
+      depthTest: false,
+      depthWrite: false,
+    });
+
+    this.mesh = new THREE.Mesh(geometry, this.material);
+    this.mesh.frustumCulled = false; // Positions are set in the shader
+    this.scene = new THREE.Scene();
+    this.scene.add(this.mesh);
+    this.camera = new THREE.Camera();
+
+    this.clear();
+  }
+
+  /**
+   * Texture to bind as the rule shader's interactionTexture
+   * @returns {THREE.Texture} Interaction target texture
+   */
+  get texture() {
+    return this.renderTarget.texture;
+  }
+
+  /**
+   * Erases everything painted
+   */
+  clear() {
+    const renderer = this.renderer;
+    const clearColor = renderer.getClearColor(new THREE.Color());
+    const clearAlpha = renderer.getClearAlpha();
+
+    renderer.setRenderTarget(this.renderTarget);
+    renderer.setClearColor(0x000000, 0);
+    renderer.clear();
+    renderer.setClearColor(clearColor, clearAlpha);
+    renderer.setRenderTarget(null);
+    this.painted = false;
+  }
+
+  /**
+   * Paints stamps with a brush
+   *
+   * @param {Array<{x: number, y: number}>} points - Stamp centers in
+   *   field coordinates ([0, 1] per side)
+   * @param {import('../utils/brush.js').Brush} brush - Brush settings
+   */
+  stamp(points, brush) {
+    if (!this.supported || points.length === 0) return;
+
+    const weights = brushWeights(brush);
+    const { uniforms } = this.material;
+    uniforms.radius.value = brush.radius;
+    uniforms.hardness.value = brush.hardness;
+    uniforms.shape.value = SHAPE_INDEX[brush.shape];
+    uniforms.weights.value.fromArray(weights);
+    this.material.blendEquation = weights.some((weight) => weight < 0)
+      ? THREE.MinEquation
+      : THREE.MaxEquation;
+
+    const renderer = this.renderer;
+    const autoClear = renderer.autoClear;
+    renderer.setRenderTarget(this.renderTarget);
+    renderer.autoClear = false;
+
+    const data = this.centers.array;
+    for (let start = 0; start < points.length; start += BRUSH_MAX_STAMPS) {
+      const batch = points.slice(start, start + BRUSH_MAX_STAMPS);
+      batch.forEach(({ x, y }, i) => {
+        for (let v = 0; v < VERTICES_PER_STAMP; v++) {
+          const offset = (i * VERTICES_PER_STAMP + v) * 2;
+          data[offset] = x;
+          data[offset + 1] = y;
+        }
+      });
+      this.centers.needsUpdate = true;
+      this.mesh.geometry.setDrawRange(0, batch.length * VERTICES_PER_STAMP);
+      renderer.render(this.scene, this.camera);
+    }
+
+    renderer.autoClear = autoClear;
+    renderer.setRenderTarget(null);
+    this.painted = true;
+  }
+
+  /**
+   * Reads the painted values back (slow; for the CPU reference)
+   *
+   * @returns {Float32Array} RGBA texels, row 0 at the bottom (all zero
+   *   if painting is unsupported)
+   */
+  read() {
+    if (!this.supported) return this.pixels;
+
+    this.renderer.readRenderTargetPixels(
+      this.renderTarget,
+      0,
+      0,
+      this.size,
+      this.size,
+      this.halves ?? this.pixels,
+    );
+    if (this.halves) halfToFloat(this.halves, this.pixels);
+    return this.pixels;
+  }
+
+  /**
+   * Frees all GPU resources
+   */
+  dispose() {
+    this.renderTarget.dispose();
+    this.mesh.geometry.dispose();
+    this.material.dispose();
+  }
+}
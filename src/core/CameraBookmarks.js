@@ -0,0 +1,125 @@
+/**
+ * Camera Bookmarks
+ *
+ * Named camera poses (see utils/camera.js) persisted in localStorage.
+ * Saving under an existing name replaces that bookmark. Stored poses
+ * are normalized on read; unreadable ones are skipped.
+ *
+ * @class
+ */
+
+import { CAMERA_BOOKMARKS_STORAGE_KEY } from '../config/constants.js';
+import { normalizeCameraPose } from '../utils/camera.js';
+
+export class CameraBookmarks {
+  /**
+   * Creates a bookmark store
+   *
+   * @param {Object} [options]
+   * @param {Storage} [options.storage=window.localStorage] - Persistence backend
+   */
+  constructor({ storage = window.localStorage } = {}) {
+    this.storage = storage;
+    this.bookmarks = this.#read();
+  }
+
+  /**
+   * Lists bookmark names in the order they were first saved
+   *
+   * @returns {Array<string>} Names
+   */
+  list() {
+    return this.bookmarks.map(({ name }) => name);
+  }
+
+  /**
+   * Gets a bookmarked pose
+   *
+   * @param {string} name - Bookmark name
+   * @returns {import('../utils/camera.js').CameraPose|null} Copy of the pose
+   */
+  get(name) {
+    const entry = this.bookmarks.find((bookmark) => bookmark.name === name);
+    return entry ? structuredClone(entry.pose) : null;
+  }
+
+  /**
+   * Saves a pose under a name, replacing a bookmark of the same name
+   *
+   * @param {string} name - Bookmark name
+   * @param {import('../utils/camera.js').CameraPose} pose - Pose to save
+   * @throws {Error} If the name is empty, the pose is invalid, or storage
+   *   is full or unavailable
+   */
+  save(name, pose) {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) throw new Error('A bookmark needs a name.');
+
+    const entry = { name: trimmed, pose: normalizeCameraPose(pose) };
+    const index = this.bookmarks.findIndex(
+      (bookmark) => bookmark.name === trimmed,
+    );
+    if (index === -1) {
+      this.bookmarks.push(entry);
+    } else {
+      this.bookmarks[index] = entry;
+    }
+    this.#write();
+  }
+
+  /**
+   * Deletes a bookmark
+   *
+   * @param {string} name - Bookmark name
+   * @returns {boolean} True if a bookmark was deleted
+   */
+  remove(name) {
+    const count = this.bookmarks.length;
+    this.bookmarks = this.bookmarks.filter(
+      (bookmark) => bookmark.name !== name,
+    );
+    if (this.bookmarks.length === count) return false;
+
+    this.#write();
+    return true;
+  }
+
+  /**
+   * Loads bookmarks, skipping unreadable ones
+   * @private
+   * @returns {Array<{name: string, pose: Object}>} Stored entries
+   */
+  #read() {
+    let stored;
+    try {
+      stored = JSON.parse(
+        this.storage.getItem(CAMERA_BOOKMARKS_STORAGE_KEY) ?? 'null',
+      );
+    } catch (error) {
+      console.warn('Camera bookmarks are corrupted; starting empty.', error);
+      return [];
+    }
+
+    return (stored?.bookmarks ?? []).flatMap(({ name, pose }) => {
+      try {
+        if (typeof name !== 'string' || !name) throw new Error('No name.');
+        return [{ name, pose: normalizeCameraPose(pose) }];
+      } catch (error) {
+        console.warn(`Skipping camera bookmark ${name}:`, error);
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Persists bookmarks
+   * @private
+   * @throws {Error} If storage is full or unavailable
+   */
+  #write() {
+    this.storage.setItem(
+      CAMERA_BOOKMARKS_STORAGE_KEY,
+      JSON.stringify({ bookmarks: this.bookmarks }),
+    );
+  }
+}
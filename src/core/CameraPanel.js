@@ -0,0 +1,118 @@
+/**
+ * Camera Panel
+ *
+ * Wires the Camera panel: flat view, reset and named bookmarks of the
+ * camera pose (see CameraBookmarks). Orbit, pan and zoom gestures live
+ * on the canvas and stay with the simulation.
+ *
+ * @class
+ */
+
+import { CameraBookmarks } from './CameraBookmarks.js';
+import { PanelController } from './PanelController.js';
+
+export class CameraPanel extends PanelController {
+  /**
+   * Creates the panel and loads the bookmarks
+   *
+   * @param {Object} options
+   * @param {import('./EnergyLifeSimulation.js').EnergyLifeSimulation} options.simulation -
+   *   Simulation whose camera is moved
+   * @param {Object<string, *>} options.dom - Cached DOM elements
+   */
+  constructor({ simulation, dom }) {
+    super({ simulation, dom, status: dom.cameraStatus });
+    this.bookmarks = null;
+    const { cameraFlat, resetCamera, cameraBookmarkSelect } = dom;
+    if (!cameraFlat) return;
+
+    cameraFlat.addEventListener('change', () => {
+      simulation.setCamera({ flat: cameraFlat.checked });
+    });
+    resetCamera?.addEventListener('click', () => simulation.resetCamera());
+    this.sync();
+
+    if (!cameraBookmarkSelect) return;
+    try {
+      this.bookmarks = new CameraBookmarks();
+    } catch (error) {
+      console.error('Camera bookmark storage unavailable:', error);
+      this.setStatus('Bookmark storage is unavailable.', true);
+      return;
+    }
+    this.#bindBookmarks();
+    this.#refreshBookmarks();
+  }
+
+  /**
+   * Mirrors the flat mode to its checkbox
+   */
+  sync() {
+    if (this.dom.cameraFlat) {
+      this.dom.cameraFlat.checked = this.simulation.getCamera().flat;
+    }
+  }
+
+  /**
+   * Wires the bookmark buttons
+   * @private
+   */
+  #bindBookmarks() {
+    const { dom, bookmarks, simulation } = this;
+    const selected = () => dom.cameraBookmarkSelect.value;
+
+    this.onClick(dom.goCameraBookmark, () => {
+      const name = selected();
+      const pose = bookmarks.get(name);
+      if (!pose) return;
+      simulation.setCamera(pose);
+      this.setStatus(`Moved to "${name}".`);
+    });
+
+    this.onClick(dom.saveCameraBookmark, () => {
+      const name = prompt('Bookmark name:', selected() || 'View')?.trim();
+      if (!name) return;
+      if (bookmarks.get(name) && !confirm(`Overwrite bookmark "${name}"?`)) {
+        return;
+      }
+
+      bookmarks.save(name, simulation.getCamera());
+      this.#refreshBookmarks(name);
+      this.setStatus(`Saved "${name}".`);
+    });
+
+    this.onClick(dom.deleteCameraBookmark, () => {
+      const name = selected();
+      if (!name || !confirm(`Delete bookmark "${name}"?`)) return;
+
+      bookmarks.remove(name);
+      this.#refreshBookmarks();
+      this.setStatus(`Deleted "${name}".`);
+    });
+  }
+
+  /**
+   * Rebuilds the bookmark dropdown
+   * @private
+   * @param {string} [selected] - Bookmark to select afterwards
+   */
+  #refreshBookmarks(selected) {
+    const select = this.dom.cameraBookmarkSelect;
+    const previous = selected ?? select.value;
+    select.innerHTML = '';
+
+    const names = this.bookmarks.list();
+    names.forEach((name) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    if (names.includes(previous)) select.value = previous;
+
+    const empty = names.length === 0;
+    select.disabled = empty;
+    this.dom.goCameraBookmark.disabled = empty;
+    this.dom.deleteCameraBookmark.disabled = empty;
+  }
+}
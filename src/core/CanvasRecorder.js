@@ -0,0 +1,105 @@
+/**
+ * Canvas Recorder
+ *
+ * Records a canvas to WebM with MediaRecorder. The WebGL renderer is
+ * created with preserveDrawingBuffer, so captureStream() sees every
+ * rendered frame.
+ *
+ * @class
+ */
+
+import {
+  RECORDING_DEFAULT_FPS,
+  RECORDING_VIDEO_BITRATE,
+  RECORDING_MIME_TYPES,
+} from '../config/constants.js';
+
+export class CanvasRecorder {
+  /**
+   * Creates a recorder for a canvas
+   *
+   * @param {HTMLCanvasElement} canvas - Canvas to record
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.mediaRecorder = null;
+    this.chunks = [];
+  }
+
+  /**
+   * Picks the first WebM type this browser can record
+   *
+   * @returns {string|null} MIME type, or null if recording is unsupported
+   */
+  static getMimeType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return (
+      RECORDING_MIME_TYPES.find((type) =>
+        MediaRecorder.isTypeSupported(type),
+      ) ?? null
+    );
+  }
+
+  /**
+   * @returns {boolean} True while a recording is in progress
+   */
+  get isRecording() {
+    return this.mediaRecorder !== null;
+  }
+
+  /**
+   * Starts recording
+   *
+   * @param {Object} [options]
+   * @param {number} [options.fps=RECORDING_DEFAULT_FPS] - Capture frame rate
+   * @param {number} [options.bitsPerSecond=RECORDING_VIDEO_BITRATE] - Target bitrate
+   * @throws {Error} If already recording or WebM recording is unsupported
+   */
+  start({
+    fps = RECORDING_DEFAULT_FPS,
+    bitsPerSecond = RECORDING_VIDEO_BITRATE,
+  } = {}) {
+    if (this.isRecording) {
+      throw new Error('A recording is already in progress.');
+    }
+
+    const mimeType = CanvasRecorder.getMimeType();
+    if (!mimeType || !this.canvas.captureStream) {
+      throw new Error('This browser cannot record WebM video.');
+    }
+
+    this.chunks = [];
+    this.mediaRecorder = new MediaRecorder(this.canvas.captureStream(fps), {
+      mimeType,
+      videoBitsPerSecond: bitsPerSecond,
+    });
+    this.mediaRecorder.addEventListener('dataavailable', (event) => {
+      if (event.data.size > 0) this.chunks.push(event.data);
+    });
+    this.mediaRecorder.start();
+  }
+
+  /**
+   * Stops recording
+   *
+   * @returns {Promise<Blob>} Recorded WebM video; rejects if no
+   *   recording is in progress
+   */
+  stop() {
+    if (!this.isRecording) {
+      return Promise.reject(new Error('No recording in progress.'));
+    }
+
+    const recorder = this.mediaRecorder;
+    this.mediaRecorder = null;
+
+    return new Promise((resolve) => {
+      recorder.addEventListener('stop', () => {
+        recorder.stream.getTracks().forEach((track) => track.stop());
+        resolve(new Blob(this.chunks, { type: recorder.mimeType }));
+        this.chunks = [];
+      });
+      recorder.stop();
+    });
+  }
+}
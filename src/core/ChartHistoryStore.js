@@ -0,0 +1,233 @@
+/**
+ * Chart History Store
+ *
+ * Keeps every chart sample of a run as a ring buffer in IndexedDB, so
+ * long runs can be zoomed and exported without holding them in memory.
+ * The newest CHART_HISTORY_LENGTH samples are also kept in memory and
+ * serve the default (live) view synchronously.
+ *
+ * Each tab writes its own database and deletes it when the page is
+ * hidden for good; databases left behind by crashed tabs are deleted on
+ * the next open. Without IndexedDB (e.g. some private modes) only the
+ * in-memory samples are kept.
+ *
+ * @class
+ */
+
+import {
+  CHART_HISTORY_LENGTH,
+  CHART_STORE_CAPACITY,
+  CHART_DB_PREFIX,
+} from '../config/constants.js';
+import { RingBuffer } from '../utils/ringBuffer.js';
+
+const STORE_NAME = 'samples';
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class ChartHistoryStore {
+  /**
+   * Creates a store (call open() before use)
+   *
+   * @param {Object} [options]
+   * @param {number} [options.capacity=CHART_STORE_CAPACITY] - Samples kept on disk
+   * @param {number} [options.memoryLength=CHART_HISTORY_LENGTH] - Samples kept in memory
+   * @param {IDBFactory} [options.indexedDB=window.indexedDB] - Storage backend
+   */
+  constructor({
+    capacity = CHART_STORE_CAPACITY,
+    memoryLength = CHART_HISTORY_LENGTH,
+    indexedDB = window.indexedDB,
+  } = {}) {
+    this.capacity = capacity;
+    this.indexedDB = indexedDB;
+    this.recent = new RingBuffer(memoryLength);
+    this.db = null;
+    this.dbName = `${CHART_DB_PREFIX}${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    this.generation = 0; // Bumped by clear(); reads from older runs are stale
+  }
+
+  /**
+   * Opens this tab's database
+   * Never rejects: on failure the store stays memory-only.
+   *
+   * @returns {Promise<void>}
+   */
+  async open() {
+    if (!this.indexedDB) return;
+
+    try {
+      const request = this.indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'index' });
+      };
+      this.db = await promisify(request);
+    } catch (error) {
+      console.warn('Chart history is kept in memory only:', error);
+      this.db = null;
+      return;
+    }
+
+    // Catch up on samples recorded before the database was ready
+    this.recent.slice().forEach((sample, i) => {
+      this.#write(this.recent.start + i, sample);
+    });
+
+    window.addEventListener('pagehide', (event) => {
+      if (event.persisted) return; // Page may come back from the bfcache
+      this.db.close();
+      this.indexedDB.deleteDatabase(this.dbName);
+    });
+    this.#deleteStaleDatabases();
+  }
+
+  /**
+   * @returns {number} Absolute index of the oldest stored sample
+   */
+  get first() {
+    return this.db
+      ? Math.max(0, this.recent.end - this.capacity)
+      : this.recent.start;
+  }
+
+  /**
+   * @returns {number} Absolute index the next sample will get
+   */
+  get next() {
+    return this.recent.end;
+  }
+
+  /**
+   * @returns {number} Absolute index of the oldest sample held in memory
+   */
+  get recentStart() {
+    return this.recent.start;
+  }
+
+  /**
+   * Stores a sample
+   *
+   * @param {import('../utils/chartMath.js').ChartSample} sample - Sample to store
+   */
+  append(sample) {
+    const index = this.recent.push(sample);
+    if (this.db) this.#write(index, sample);
+  }
+
+  /**
+   * Checks whether a range can be read from memory
+   *
+   * @param {number} from - First absolute index
+   * @param {number} to - Absolute index after the last
+   * @returns {boolean} True if readRecent() covers the range
+   */
+  hasRecent(from, to) {
+    return this.recent.covers(from, to);
+  }
+
+  /**
+   * Reads a range from memory
+   *
+   * @param {number} from - First absolute index
+   * @param {number} to - Absolute index after the last
+   * @returns {Array<import('../utils/chartMath.js').ChartSample>} Samples held in memory
+   */
+  readRecent(from, to) {
+    return this.recent.slice(from, to);
+  }
+
+  /**
+   * Reads a range, from memory when possible
+   *
+   * @param {number} from - First absolute index
+   * @param {number} to - Absolute index after the last
+   * @returns {Promise<Array<import('../utils/chartMath.js').ChartSample>>} Stored samples, oldest first
+   */
+  async read(from, to) {
+    const start = Math.max(from, this.first);
+    const end = Math.min(to, this.next);
+    if (end <= start) return [];
+    if (!this.db || this.hasRecent(start, end)) {
+      return this.readRecent(start, end);
+    }
+
+    const records = await promisify(
+      this.db
+        .transaction(STORE_NAME)
+        .objectStore(STORE_NAME)
+        .getAll(IDBKeyRange.bound(start, end - 1)),
+    );
+    return records.map(({ frame, stats }) => ({ frame, stats }));
+  }
+
+  /**
+   * Reads every stored sample
+   *
+   * @returns {Promise<Array<import('../utils/chartMath.js').ChartSample>>} Samples, oldest first
+   */
+  readAll() {
+    return this.read(this.first, this.next);
+  }
+
+  /**
+   * Deletes every sample and restarts indices at 0
+   */
+  clear() {
+    this.recent.clear();
+    this.generation++;
+    if (this.db) {
+      this.db
+        .transaction(STORE_NAME, 'readwrite')
+        .objectStore(STORE_NAME)
+        .clear();
+    }
+  }
+
+  /**
+   * Writes a sample and drops the one that fell out of the ring
+   * @private
+   * @param {number} index - Absolute index
+   * @param {import('../utils/chartMath.js').ChartSample} sample - Sample
+   */
+  #write(index, { frame, stats }) {
+    const store = this.db
+      .transaction(STORE_NAME, 'readwrite')
+      .objectStore(STORE_NAME);
+    store.put({ index, frame, stats });
+    if (index >= this.capacity) {
+      store.delete(index - this.capacity);
+    }
+  }
+
+  /**
+   * Deletes chart databases of other tabs
+   * Deleting a database another open tab still uses waits until that
+   * tab closes it, so live tabs keep their history.
+   * @private
+   */
+  async #deleteStaleDatabases() {
+    if (!this.indexedDB.databases) return;
+
+    try {
+      const databases = await this.indexedDB.databases();
+      databases
+        .filter(
+          ({ name }) =>
+            name?.startsWith(CHART_DB_PREFIX) && name !== this.dbName,
+        )
+        .forEach(({ name }) => this.indexedDB.deleteDatabase(name));
+    } catch (error) {
+      console.warn('Could not clean up old chart history:', error);
+    }
+  }
+}
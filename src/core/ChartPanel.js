@@ -0,0 +1,104 @@
+/**
+ * Chart Panel
+ *
+ * Wires the chart panel: series picker, legend, CSV/JSON export and the
+ * show/hide toggle. Zoom, pan and hover are handled by TimeSeriesChart
+ * itself.
+ *
+ * @class
+ */
+
+import { CHART_SERIES_COLORS } from '../config/constants.js';
+import { downloadFile } from '../utils/download.js';
+import { PanelController } from './PanelController.js';
+
+export class ChartPanel extends PanelController {
+  /**
+   * Creates the panel
+   *
+   * @param {Object} options
+   * @param {import('./EnergyLifeSimulation.js').EnergyLifeSimulation} options.simulation -
+   *   Simulation whose chart is shown
+   * @param {Object<string, *>} options.dom - Cached DOM elements
+   */
+  constructor({ simulation, dom }) {
+    super({ simulation, dom });
+    if (!dom.chartCanvas) return;
+
+    dom.toggleChart?.addEventListener('click', () => {
+      simulation.chartEnabled = !simulation.chartEnabled;
+      dom.toggleChart.classList.toggle('active', simulation.chartEnabled);
+      dom.chartCanvas.style.display = simulation.chartEnabled
+        ? 'block'
+        : 'none';
+      if (simulation.chartEnabled) simulation.chart.draw();
+    });
+
+    dom.chartSeries?.addEventListener('change', () => {
+      const key = dom.chartSeries.value;
+      if (key) simulation.setChartSeries([...simulation.chartSeries, key]);
+    });
+
+    dom.chartLegend?.addEventListener('click', (event) => {
+      const key = event.target.closest('[data-series]')?.dataset.series;
+      if (key) {
+        simulation.setChartSeries(
+          simulation.chartSeries.filter((k) => k !== key),
+        );
+      }
+    });
+
+    [
+      ['csv', 'text/csv', dom.chartExportCsv],
+      ['json', 'application/json', dom.chartExportJson],
+    ].forEach(([format, type, button]) => {
+      this.onClick(
+        button,
+        async () => {
+          const text = await simulation.exportChartHistory(format);
+          const { rule, seed } = simulation;
+          downloadFile(text, `${rule.id}-${seed}-stats.${format}`, type);
+        },
+        'Export failed',
+      );
+    });
+  }
+
+  /**
+   * Lists the plotted series in the legend and the rest in the picker
+   */
+  sync() {
+    const { simulation } = this;
+    const plotted = simulation.chartSeries;
+    const available = simulation.listChartSeries();
+
+    if (this.dom.chartSeries) {
+      const select = this.dom.chartSeries;
+      select.innerHTML = '<option value="">+ Series</option>';
+      available
+        .filter(({ key }) => !plotted.includes(key))
+        .forEach(({ key, label }) => {
+          const option = document.createElement('option');
+          option.value = key;
+          option.textContent = label;
+          select.appendChild(option);
+        });
+      select.value = '';
+      select.disabled = plotted.length >= CHART_SERIES_COLORS.length;
+    }
+
+    if (this.dom.chartLegend) {
+      const labels = new Map(available.map(({ key, label }) => [key, label]));
+      this.dom.chartLegend.innerHTML = '';
+      plotted.forEach((key, i) => {
+        const item = document.createElement('button');
+        item.className = 'legend-item';
+        item.dataset.series = key;
+        item.title = 'Remove series';
+        item.style.color = CHART_SERIES_COLORS[i];
+        item.textContent = `${labels.get(key)} ×`;
+        this.dom.chartLegend.appendChild(item);
+      });
+    }
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Display Panel
+ *
+ * Wires the Display panel: what the 3D view colors and what raises its
+ * terrain (see utils/displayMode.js), the palette selector and the
+ * gradient editor (see PaletteEditor).
+ *
+ * @class
+ */
+
+import { PALETTES } from '../config/palettes.js';
+import {
+  DISPLAY_HEIGHT_SOURCES,
+  DISPLAY_VIEWS,
+  isSourceAvailable,
+  availableViews,
+  matchView,
+} from '../utils/displayMode.js';
+import { matchPalette } from '../utils/palette.js';
+import { PaletteEditor } from './PaletteEditor.js';
+import { PanelController } from './PanelController.js';
+
+export class DisplayPanel extends PanelController {
+  /**
+   * Creates the panel
+   *
+   * @param {Object} options
+   * @param {import('./EnergyLifeSimulation.js').EnergyLifeSimulation} options.simulation -
+   *   Simulation whose display is configured
+   * @param {Object<string, *>} options.dom - Cached DOM elements
+   */
+  constructor({ simulation, dom }) {
+    super({ simulation, dom });
+    this.paletteEditor = null;
+    const { displayView, displayHeight, paletteSelect, paletteEditor } = dom;
+    if (!displayView) return;
+
+    displayView.addEventListener('change', () => {
+      const view = DISPLAY_VIEWS.find(({ id }) => id === displayView.value);
+      simulation.setDisplayMode(view);
+    });
+    displayHeight.addEventListener('change', () => {
+      simulation.setDisplayMode({ height: displayHeight.value });
+    });
+
+    if (paletteSelect) {
+      paletteSelect.innerHTML = '';
+      Object.entries(PALETTES).forEach(([id, { name }]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = name;
+        paletteSelect.appendChild(option);
+      });
+      const custom = document.createElement('option');
+      custom.value = 'custom';
+      custom.textContent = 'Custom';
+      custom.disabled = true; // Shown while an edited gradient is active
+      paletteSelect.appendChild(custom);
+
+      paletteSelect.addEventListener('change', () => {
+        simulation.setPalette(paletteSelect.value);
+      });
+    }
+
+    if (paletteEditor) {
+      this.paletteEditor = new PaletteEditor({
+        canvas: paletteEditor,
+        colorInput: dom.paletteStopColor,
+        onChange: (palette) => simulation.setPalette(palette),
+      });
+    }
+
+    this.sync();
+    this.syncPalette();
+  }
+
+  /**
+   * Mirrors the display mode to the view and terrain selectors
+   * Both lists follow the channels of the active rule.
+   */
+  sync() {
+    const { displayView, displayHeight } = this.dom;
+    if (!displayView) return;
+    const { rule, displayMode } = this.simulation;
+
+    displayView.innerHTML = '';
+    availableViews(rule.channels).forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      displayView.appendChild(option);
+    });
+
+    displayHeight.innerHTML = '';
+    DISPLAY_HEIGHT_SOURCES.filter((source) =>
+      isSourceAvailable(source, rule.channels),
+    ).forEach((source) => {
+      const option = document.createElement('option');
+      option.value = source;
+      option.textContent = source[0].toUpperCase() + source.slice(1);
+      displayHeight.appendChild(option);
+    });
+
+    displayView.value = matchView(displayMode);
+    displayHeight.value = displayMode.height;
+  }
+
+  /**
+   * Mirrors the palette to the selector and the gradient editor
+   */
+  syncPalette() {
+    const { palette } = this.simulation;
+    if (this.dom.paletteSelect) {
+      this.dom.paletteSelect.value = matchPalette(palette) ?? 'custom';
+    }
+    this.paletteEditor?.setPalette(palette);
+  }
+}
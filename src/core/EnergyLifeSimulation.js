@@ -1,41 +1,172 @@
-import { DEFAULT_PARAMS, PARAM_CONTROL_IDS } from '../config/defaults.js';
+import { RULES, DEFAULT_RULE_ID, getRule } from '../config/rules.js';
+import { PRESET_FORMAT_VERSION } from '../config/presets.js';
 import {
   SIMULATION_SIZE,
+  SIMULATION_SIZES,
   INITIAL_CANVAS_WIDTH,
   INITIAL_CANVAS_HEIGHT,
-  INTERACTION_MODES,
-  INTERACTION_RADIUS,
-  CHART_HISTORY_LENGTH,
+  TOUCH_GESTURE_DELAY,
+  TOUCH_SLOP,
   CHART_UPDATE_THROTTLE,
-  CHART_DOWNSAMPLE_FACTOR,
-  CHART_CANVAS_WIDTH,
-  CHART_CANVAS_HEIGHT,
-  CHART_GRID_DIVISIONS,
+  CHART_SERIES_COLORS,
+  HISTOGRAM_DEFAULT_BINS,
+  REGIME_SNAPSHOT_INTERVAL,
+  BLOB_DEFAULT_THRESHOLD,
+  BLOB_DEFAULT_MIN_SIZE,
+  BLOB_DEFAULT_INTERVAL,
+  BLOB_INTERVAL_MIN,
+  BLOB_INTERVAL_MAX,
+  BLOB_LABEL_LIMIT,
+  SPECTRUM_DEFAULT_INTERVAL,
+  SPECTRUM_INTERVAL_MIN,
+  SPECTRUM_INTERVAL_MAX,
   FPS_UPDATE_INTERVAL,
   AVERAGE_COMPUTE_THROTTLE,
   MIN_CANVAS_WIDTH,
   MIN_CANVAS_HEIGHT,
   MAX_CANVAS_WIDTH_OFFSET,
   MAX_CANVAS_HEIGHT_OFFSET,
-  DISPLAY_MESH_RESOLUTION,
-  DISPLACEMENT_SCALE,
-  CAMERA_DISTANCE,
   CAMERA_FOV,
-  HEIGHTMAP_SMOOTHNESS,
+  CAMERA_ZOOM_STEP,
+  PALETTE_LUT_SIZE,
+  DEFAULT_PALETTE_ID,
+  SHADER_HOT_RELOAD_INTERVAL,
+  PERMALINK_UPDATE_DELAY,
+  NOISE_FRAME_PERIOD,
+  RUN_UNTIL_MAX_STEPS,
+  RUN_UNTIL_YIELD_STEPS,
+  OFFLINE_DEFAULT_FRAMES,
+  OFFLINE_DEFAULT_STEPS_PER_FRAME,
+  SWEEP_TILE_GAP,
+  FIELD_CHANNELS,
 } from '../config/constants.js';
 import {
-  getLifecycleShader,
-  getHeightMapShader,
-  getDisplayVertexShader,
-  getDisplayFragmentShader,
-  getDownsampleFragmentShader,
+  loadShaderLibrary,
+  getShader,
+  getShaderLineMap,
+  watchShaders,
+  SHADER_FILES,
 } from '../utils/shaderLoader.js';
+import {
+  mapShaderErrors,
+  formatShaderErrors,
+} from '../utils/glslPreprocessor.js';
+import { groupSchema, validateParams } from '../utils/schemaUtils.js';
+import {
+  createParamControl,
+  updateParamControl,
+} from '../utils/paramControls.js';
+import { encodeSnapshot, decodeSnapshot } from '../utils/snapshot.js';
+import { encodePermalink, decodePermalink } from '../utils/permalink.js';
+import {
+  createRandom,
+  randomSeed,
+  deriveSeed,
+  splitSeed,
+} from '../utils/random.js';
+import { normalizePreset } from '../utils/presetFormat.js';
+import {
+  createTimeline,
+  hasKeyframes,
+  evaluateTimeline,
+  validateTimeline,
+} from '../utils/timeline.js';
+import {
+  createSweepCells,
+  layoutSweepTiles,
+  formatSweepLabel,
+} from '../utils/sweep.js';
 import {
   seedPattern,
   clearTexture,
-  updateInteractionTexture,
+  splitChannels,
+  luminanceToField,
 } from '../utils/textureUtils.js';
+import {
+  isPng,
+  encodeScreenshot,
+  decodeScreenshot,
+} from '../utils/screenshot.js';
+import { ReferenceStepper } from '../reference/ReferenceStepper.js';
+import { compareFields } from '../reference/compareFields.js';
+import { createZip } from '../utils/zip.js';
+import {
+  unpackFieldStats,
+  listStatSeries,
+  formatFieldStats,
+} from '../utils/fieldStats.js';
+import { samplesToCsv, samplesToJson } from '../utils/chartMath.js';
+import { HISTOGRAM_CHANNELS, normalizeHistogram } from '../utils/histogram.js';
+import {
+  RegimeDetector,
+  REGIME_ACTIONS,
+  UNHEALTHY_REGIMES,
+} from '../utils/regime.js';
+import {
+  BLOB_CHANNELS,
+  findBlobs,
+  summarizeBlobs,
+  blobColor,
+  outlineBlobs,
+  BlobTracker,
+} from '../utils/blobs.js';
+import { SPECTRUM_SERIES, analyzeSpectrum } from '../utils/spectrum.js';
+import {
+  DISPLAY_COLOR_SOURCES,
+  DISPLAY_HEIGHT_SOURCES,
+  isSourceAvailable,
+  fitDisplayMode,
+  displayUniforms,
+} from '../utils/displayMode.js';
+import { normalizePalette, paletteLut } from '../utils/palette.js';
+import {
+  DEFAULT_RENDERING,
+  validateRendering,
+  lightDirection,
+} from '../utils/rendering.js';
+import {
+  DEFAULT_BRUSH,
+  validateBrush,
+  availableBrushTargets,
+  stampSpacing,
+  strokeStamps,
+} from '../utils/brush.js';
+import {
+  pressAction,
+  brushPressure,
+  isPalm,
+  twoFingerGesture,
+} from '../utils/pointerInput.js';
+import {
+  DEFAULT_CAMERA_POSE,
+  normalizeCameraPose,
+  cameraView,
+  orbitPose,
+  panPose,
+  zoomPose,
+  planeUv,
+} from '../utils/camera.js';
 import { GPUComputationRenderer } from './GPUComputationRenderer.js';
+import { PresetPanel } from './PresetPanel.js';
+import { RecordingPanel } from './RecordingPanel.js';
+import { TimelinePanel } from './TimelinePanel.js';
+import { SweepPanel } from './SweepPanel.js';
+import { ChartPanel } from './ChartPanel.js';
+import { HistogramPanel } from './HistogramPanel.js';
+import { RegimePanel } from './RegimePanel.js';
+import { StructuresPanel } from './StructuresPanel.js';
+import { SpectrumPanel } from './SpectrumPanel.js';
+import { DisplayPanel } from './DisplayPanel.js';
+import { CameraPanel } from './CameraPanel.js';
+import { RenderingPanel } from './RenderingPanel.js';
+import { BrushPanel } from './BrushPanel.js';
+import { SnapshotPanel } from './SnapshotPanel.js';
+import { SweepGrid } from './SweepGrid.js';
+import { FieldHistogram } from './FieldHistogram.js';
+import { BrushRenderer } from './BrushRenderer.js';
+import { ChartHistoryStore } from './ChartHistoryStore.js';
+import { TimeSeriesChart } from './TimeSeriesChart.js';
+import { SpectrumAnalyzer } from './SpectrumAnalyzer.js';
 
 const THREE = window.THREE;
 
@@ -49,9 +180,14 @@ const THREE = window.THREE;
  * - Phase 3: Residual Stream (structure accumulation)
  * - User interaction (energy injection)
  *
+ * Dispatches a `regimechange` CustomEvent when the detected regime of the
+ * run changes (see utils/regime.js), and `blobs` and `spectrum`
+ * CustomEvents with each structure and spectrum analysis (see
+ * utils/blobs.js, utils/spectrum.js).
+ *
  * @class
  */
-export class EnergyLifeSimulation {
+export class EnergyLifeSimulation extends EventTarget {
   /**
    * Creates a new simulation instance
    *
@@ -60,48 +196,125 @@ export class EnergyLifeSimulation {
    * @param {string} [options.containerSelector='#canvasContainer'] - CSS selector for canvas container
    * @param {string} [options.controlsSelector='#controls'] - CSS selector for control panel
    * @param {string} [options.chartCanvasSelector='#chartCanvas'] - CSS selector for chart canvas
+   * @param {string} [options.ruleId] - Initial rule ID (see config/rules.js)
+   * @param {boolean} [options.devMode=false] - Hot-reload shaders from src/shaders/
+   * @param {boolean} [options.autoStart=true] - Start the render loop in init();
+   *   pass false to drive the simulation only through step()/runUntil()
    */
   constructor({
     canvasSelector = '#canvas',
     containerSelector = '#canvasContainer',
     controlsSelector = '#controls',
     chartCanvasSelector = '#chartCanvas',
+    ruleId = DEFAULT_RULE_ID,
+    devMode = false,
+    autoStart = true,
   } = {}) {
+    super();
     this.canvasSelector = canvasSelector;
     this.containerSelector = containerSelector;
     this.controlsSelector = controlsSelector;
     this.chartCanvasSelector = chartCanvasSelector;
+    this.devMode = devMode;
+    this.autoStart = autoStart;
 
-    this.params = { ...DEFAULT_PARAMS };
+    this.rule = getRule(ruleId) ?? getRule(DEFAULT_RULE_ID);
+    this.params = { ...this.rule.defaults };
+    this.paramsByRule = {}; // Remembers tweaks when switching rules
     this.simulationSize = SIMULATION_SIZE;
 
     this.scene = null;
-    this.camera = null;
+    this.camera = null; // Active camera: perspective, or orthographic when flat
+    this.perspectiveCamera = null;
+    this.orthographicCamera = null;
+    this.cameraPose = normalizeCameraPose(DEFAULT_CAMERA_POSE); // See utils/camera.js
+    this.cameraPanel = null; // Flat view and bookmarks (see core/CameraPanel.js)
+    this.raycaster = null; // Maps the pointer onto the field plane
     this.renderer = null;
     this.computeRenderer = null;
     this.computeVariables = {};
     this.material = null;
+    this.displayMesh = null;
+    this.displayMode = { color: 'energy', height: 'energy' }; // See utils/displayMode.js
+    this.palette = normalizePalette(DEFAULT_PALETTE_ID);
+    this.paletteTexture = null; // Lookup texture baked from this.palette
+    this.displayPanel = null; // View, terrain and palette controls (see core/DisplayPanel.js)
+    this.rendering = { ...DEFAULT_RENDERING }; // See config/renderingSchema.js
+    this.renderingPanel = null; // Generated sliders (see core/RenderingPanel.js)
+    this.shaderErrors = {}; // Compile errors per material (field, heightMap, display)
+    this.stopShaderWatch = null;
+    this.presetPanel = null; // Preset browser (see core/PresetPanel.js)
+    this.recordingPanel = null; // WebM / PNG sequence capture (see core/RecordingPanel.js)
+    this.snapshotPanel = null; // Screenshots, snapshots and image drops (see core/SnapshotPanel.js)
+    this.seed = randomSeed(); // RNG seed (uint32)
+    this.permalinkTimer = null;
+
+    this.timeline = createTimeline(); // Parameter keyframes (see utils/timeline.js)
+    this.timelinePlaying = false;
+    this.timelineOrigin = 0; // simulationFrame at which timeline frame 0 played
+    this.timelinePanel = null; // Playback and keyframe editor (see core/TimelinePanel.js)
+
+    this.sweepGrid = null; // Running parameter sweep (see core/SweepGrid.js)
+    this.sweepShape = { columns: 1, rows: 1 };
+    this.sweepTiles = []; // Tile rectangles on the canvas
+    this.sweepPanel = null; // Sweep axes editor (see core/SweepPanel.js)
 
     this.isPaused = false;
     this.speedMultiplier = 1;
+    this.resumeSpeed = 1; // Speed restored by resume()
+    this.animationFrameId = null; // Pending render loop frame, if attached
     this.frameCount = 0;
+    this.simulationFrame = 0; // Compute steps since the field was seeded
     this.lastTime = performance.now();
-    this.computeFrameCounter = 0; // For throttling average computation
 
-    this.interactionTexture = null;
-    this.interactionMode = 'energy';
-    this.isMouseDown = false;
-    this.mousePos = { x: 0, y: 0 };
+    this.brushRenderer = null; // Owns the interaction texture (see core/BrushRenderer.js)
+    this.brush = { ...DEFAULT_BRUSH }; // See utils/brush.js
+    this.brushPanel = null; // Brush sliders and targets (see core/BrushPanel.js)
+    this.pointers = new Map(); // Pressed canvas pointers by ID (see #setupInteraction)
 
-    this.chartHistory = [];
+    this.chartSeries = ['energy.mean']; // Plotted series (see utils/fieldStats.js)
     this.chartEnabled = true; // Chart toggle state
     this.chartUpdateCounter = 0; // For throttling chart updates
     this.downsamplePasses = [];
     this.downsampleScene = null;
     this.downsampleCamera = null;
     this.downsampleMesh = null;
-    this.averageBuffer = null;
-    this.chartCtx = null;
+    this.statsBuffer = null;
+    this.fieldStats = null; // Latest field statistics, per channel
+    this.chartStore = null; // Chart sample history (IndexedDB ring buffer)
+    this.chart = null; // TimeSeriesChart on #chartCanvas
+    this.chartPanel = null; // Series picker, legend and export (see core/ChartPanel.js)
+    this.fieldHistogram = null; // GPU histogram pass, sized to the grid
+    this.histogramBins = HISTOGRAM_DEFAULT_BINS;
+    this.histogramPanel = null; // Histogram drawing and controls (see core/HistogramPanel.js)
+
+    this.regimeDetector = new RegimeDetector();
+    this.regimeAction = 'none'; // Recovery from dead/saturated runs
+    this.pendingRegimeAction = null; // Runs before the next compute step
+    this.regimePanel = null; // Recovery selector and regime label (see core/RegimePanel.js)
+    this.healthySnapshot = null; // {frame, field, heightMap} for 'revert'
+    this.regimeFailureFrame = -1; // No healthy snapshots until after this
+
+    this.blobOptions = {
+      enabled: false,
+      channel: 'energy',
+      threshold: BLOB_DEFAULT_THRESHOLD,
+      minSize: BLOB_DEFAULT_MIN_SIZE,
+      interval: BLOB_DEFAULT_INTERVAL, // Generations between analyses
+      tracking: true, // Keep structure IDs across analyses
+      overlay: true, // Draw outlines and IDs over the field
+    };
+    this.blobTracker = new BlobTracker();
+    this.blobReport = null; // Latest structure analysis
+    this.blobOverlayMesh = null; // Outline texture over the display mesh
+    this.structuresPanel = null; // Options and summary (see core/StructuresPanel.js)
+
+    this.spectrumEnabled = false;
+    this.spectrumInterval = SPECTRUM_DEFAULT_INTERVAL; // Generations between analyses
+    this.spectrumAnalyzer = null; // Worker running the FFT
+    this.spectrum = null; // Latest analysis, with the frame it was taken at
+    this.spectrumRun = 0; // Bumped on reset; results of older runs are dropped
+    this.spectrumPanel = null; // Options and plot (see core/SpectrumPanel.js)
 
     this.canvasWidth = INITIAL_CANVAS_WIDTH;
     this.canvasHeight = INITIAL_CANVAS_HEIGHT;
@@ -114,521 +327,2908 @@ export class EnergyLifeSimulation {
   /**
    * Initializes the simulation
    *
-   * Sets up all components: WebGL renderer, GPU computation,
-   * UI controls, interaction handlers, and starts animation loop.
+   * Loads shaders, then sets up all components: WebGL renderer,
+   * GPU computation, UI controls, interaction handlers, and starts
+   * the animation loop (unless autoStart is false).
+   *
+   * @returns {Promise<void>} Resolves once the simulation is ready
    */
-  init() {
+  async init() {
     this.#cacheDom();
     this.#setupCanvas();
+
+    try {
+      await loadShaderLibrary(
+        Object.values(RULES).map((rule) => rule.fragmentShader),
+      );
+    } catch (error) {
+      console.error('Failed to load shaders:', error);
+      this.shaderErrors.load = [
+        { file: 'src/shaders', line: 0, message: error.message },
+      ];
+      this.#updateShaderErrorOverlay();
+      return;
+    }
+
+    this.#applyPermalink(window.location.hash);
     this.#setupRenderer();
     this.#setupWebGLErrorHandling();
     this.#initComputeRenderer();
     this.#setupDisplay();
     this.#setupControls();
+    this.displayPanel = new DisplayPanel({ simulation: this, dom: this.dom });
+    this.brushPanel = new BrushPanel({ simulation: this, dom: this.dom });
+    this.cameraPanel = new CameraPanel({ simulation: this, dom: this.dom });
+    this.renderingPanel = new RenderingPanel({
+      simulation: this,
+      dom: this.dom,
+    });
     this.#setupChart();
+    await this.chartStore?.open();
+    this.histogramPanel = new HistogramPanel({
+      simulation: this,
+      dom: this.dom,
+    });
+    this.regimePanel = new RegimePanel({ simulation: this, dom: this.dom });
+    this.structuresPanel = new StructuresPanel({
+      simulation: this,
+      dom: this.dom,
+    });
+    this.spectrumPanel = new SpectrumPanel({ simulation: this, dom: this.dom });
     this.#setupInteraction();
     this.#setupKeyboard();
     this.#setupResize();
-    requestAnimationFrame(this.animate);
+
+    if (this.devMode) {
+      this.stopShaderWatch = watchShaders({
+        interval: SHADER_HOT_RELOAD_INTERVAL,
+        onChange: (paths) => this.#reloadShaders(paths),
+        onError: (error) => {
+          console.error('Shader reload failed:', error);
+          this.shaderErrors.load = [
+            { file: 'src/shaders', line: 0, message: error.message },
+          ];
+          this.#updateShaderErrorOverlay();
+        },
+      });
+    }
+
+    if (this.autoStart) {
+      this.startRenderLoop();
+    }
   }
 
   animate() {
-    requestAnimationFrame(this.animate);
+    this.animationFrameId = requestAnimationFrame(this.animate);
+
+    // The sweep view replaces the main simulation until it is closed
+    if (this.sweepGrid) {
+      if (!this.isPaused && this.speedMultiplier > 0) {
+        this.sweepGrid.step(this.speedMultiplier);
+      }
+      this.sweepGrid.render(this.sweepTiles);
+      this.#updateFps();
+      return;
+    }
 
     if (!this.isPaused && this.speedMultiplier > 0) {
       for (let i = 0; i < this.speedMultiplier; i++) {
-        this.computeRenderer.compute();
-        this.computeFrameCounter++;
+        this.#computeStep();
       }
+      if (this.timelinePlaying) this.#syncTimelineControls();
 
-      this.#updateInteractionTexture();
+      this.#bindDisplayTextures();
+    }
+    this.#refreshStrokes();
 
-      const currentRenderTarget = this.computeRenderer.getCurrentRenderTarget(
-        this.computeVariables.field,
-      );
+    this.renderer.render(this.scene, this.camera);
+    this.#updateFps();
+  }
 
-      // Throttle average computation for better performance
-      if (this.computeFrameCounter >= AVERAGE_COMPUTE_THROTTLE) {
-        const average = this.#computeAverage(currentRenderTarget.texture);
-        this.computeVariables.field.material.uniforms.globalAverage.value =
-          average;
-        this.#updateAverageEnergy(average);
-        this.computeFrameCounter = 0;
-      }
+  /**
+   * Attaches the requestAnimationFrame render loop (no-op if running)
+   */
+  startRenderLoop() {
+    if (this.animationFrameId === null) {
+      this.animationFrameId = requestAnimationFrame(this.animate);
+    }
+  }
+
+  /**
+   * Detaches the render loop; step() and runUntil() keep working
+   */
+  stopRenderLoop() {
+    cancelAnimationFrame(this.animationFrameId);
+    this.animationFrameId = null;
+  }
 
-      // Update heightMap shader uniforms with current field texture
-      this.computeVariables.heightMap.material.uniforms.fieldTexture.value =
-        currentRenderTarget.texture;
+  /**
+   * Draws the current state once (for use with the render loop detached)
+   */
+  render() {
+    this.#assertReady();
+    this.#bindDisplayTextures();
+    this.renderer.render(this.scene, this.camera);
+  }
 
-      // Get smoothed heightMap for display
-      const heightMapRenderTarget = this.computeRenderer.getCurrentRenderTarget(
-        this.computeVariables.heightMap,
+  /**
+   * Pauses the render loop's stepping, remembering the current speed
+   */
+  pause() {
+    this.#setSpeed(0);
+  }
+
+  /**
+   * Resumes at the speed that was active before pause()
+   */
+  resume() {
+    this.#setSpeed(this.resumeSpeed);
+  }
+
+  /**
+   * Advances exactly `n` generations, independent of speed and pause state
+   *
+   * @param {number} [n=1] - Number of compute steps
+   * @returns {number} Simulation frame after stepping
+   * @throws {Error} If `n` is not a non-negative integer or init() has not run
+   */
+  step(n = 1) {
+    this.#assertReady();
+    if (!Number.isInteger(n) || n < 0) {
+      throw new Error(`step() expects a non-negative integer, got ${n}.`);
+    }
+
+    for (let i = 0; i < n; i++) {
+      this.#computeStep();
+    }
+    if (this.timelinePlaying) this.#syncTimelineControls();
+    this.#bindDisplayTextures();
+    this.#refreshStrokes();
+
+    return this.simulationFrame;
+  }
+
+  /**
+   * Steps until a predicate on the stats holds
+   *
+   * The predicate is checked after every `checkEvery` steps and may be
+   * async. Control returns to the event loop every RUN_UNTIL_YIELD_STEPS
+   * steps, so the page stays responsive during long runs.
+   *
+   * @param {(stats: Object, simulation: EnergyLifeSimulation) => boolean|Promise<boolean>} predicate -
+   *   Receives getStats() and this simulation
+   * @param {Object} [options]
+   * @param {number} [options.maxSteps=RUN_UNTIL_MAX_STEPS] - Give up after this many steps
+   * @param {number} [options.checkEvery=1] - Steps between predicate checks
+   * @returns {Promise<{reached: boolean, steps: number, stats: Object}>}
+   *   Whether the predicate held, steps taken and the final stats
+   */
+  async runUntil(
+    predicate,
+    { maxSteps = RUN_UNTIL_MAX_STEPS, checkEvery = 1 } = {},
+  ) {
+    this.#assertReady();
+    if (!Number.isInteger(checkEvery) || checkEvery < 1) {
+      throw new Error(
+        `checkEvery must be a positive integer, got ${checkEvery}.`,
       );
+    }
+
+    let steps = 0;
+    let lastYield = 0;
+    while (steps < maxSteps) {
+      const count = Math.min(checkEvery, maxSteps - steps);
+      this.step(count);
+      steps += count;
+
+      const stats = this.getStats();
+      if (await predicate(stats, this)) {
+        return { reached: true, steps, stats };
+      }
 
-      // Update display material uniforms
-      // fieldTexture: original energy for color (flash/sparkle)
-      // heightMapTexture: smoothed height for geometry (smooth terrain)
-      this.material.uniforms.fieldTexture.value = currentRenderTarget.texture;
-      this.material.uniforms.heightMapTexture.value = heightMapRenderTarget.texture;
+      if (steps - lastYield >= RUN_UNTIL_YIELD_STEPS) {
+        lastYield = steps;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
     }
 
-    this.renderer.render(this.scene, this.camera);
-    this.#updateFps();
+    return { reached: false, steps, stats: this.getStats() };
   }
 
-  #cacheDom() {
-    this.dom.canvas = document.querySelector(this.canvasSelector);
-    this.dom.container = document.querySelector(this.containerSelector);
-    this.dom.controls = document.querySelector(this.controlsSelector);
-    this.dom.chartCanvas = document.querySelector(this.chartCanvasSelector);
-    this.dom.toggleChart = document.getElementById('toggleChart');
-    this.dom.chart = document.getElementById('chart');
-    this.dom.toggleControls = document.getElementById('toggleControls');
-    this.dom.simulationSize = document.getElementById('simulationSize');
-    this.dom.savePreset = document.getElementById('savePreset');
-    this.dom.loadPreset = document.getElementById('loadPreset');
-    this.dom.speedButtons = Array.from(document.querySelectorAll('.speed-btn'));
-    this.dom.modeButtons = Array.from(document.querySelectorAll('.mode-btn'));
-    this.dom.fpsLabel = document.getElementById('fps');
-    this.dom.avgLabel = document.getElementById('avgEnergy');
-    this.dom.resizeHandles =
-      this.dom.container.querySelectorAll('.resize-handle');
-    this.dom.presetButtons = document.querySelector('.preset-buttons');
+  /**
+   * Sets several parameters at once (validated against the rule schema)
+   *
+   * @param {Object<string, number>} partial - Parameter values to change
+   * @returns {import('../utils/schemaUtils.js').ParamValidationResult}
+   *   Applied values and any ignored, invalid or clamped keys
+   */
+  setParams(partial) {
+    const result = validateParams(this.rule.schema, partial);
+    Object.entries(result.params).forEach(([key, value]) => {
+      this.#applyParam(key, value);
+    });
+    return result;
   }
 
-  #setupCanvas() {
-    this.dom.container.style.width = `${this.canvasWidth}px`;
-    this.dom.container.style.height = `${this.canvasHeight}px`;
+  /**
+   * Summarizes the current state
+   * Field stats are computed on demand, so they match the current frame.
+   *
+   * @returns {{frame: number, ruleId: string, seed: number, size: number,
+   *   speed: number, paused: boolean, averageEnergy: number,
+   *   fieldStats: Object<string, import('../utils/fieldStats.js').ChannelStats>,
+   *   params: Object<string, number>}} Current stats; fieldStats has
+   *   mean/min/max/variance for energy, matter and attention
+   */
+  getStats() {
+    this.#assertReady();
+    const fieldStats = this.#computeFieldStats(
+      this.computeRenderer.getCurrentRenderTarget(this.computeVariables.field)
+        .texture,
+    );
+
+    return {
+      frame: this.simulationFrame,
+      ruleId: this.rule.id,
+      seed: this.seed,
+      size: this.simulationSize,
+      speed: this.speedMultiplier,
+      paused: this.isPaused,
+      averageEnergy: fieldStats.energy.mean,
+      fieldStats,
+      params: { ...this.params },
+    };
   }
 
-  #setupRenderer() {
-    this.scene = new THREE.Scene();
+  /**
+   * Returns the value histogram of the current field
+   *
+   * Computed on the GPU on demand. Values are clamped to
+   * [HISTOGRAM_RANGE_MIN, HISTOGRAM_RANGE_MAX] before binning.
+   *
+   * @returns {{bins: number, energy: Float32Array, matter?: Float32Array}}
+   *   Fraction of sampled texels per bin, for the rule's channels
+   * @throws {Error} If the GPU cannot blend into float targets
+   */
+  getHistogram() {
+    this.#assertReady();
+    return { bins: this.histogramBins, ...this.#computeHistogram() };
+  }
 
-    // Top-down view with perspective for 2.5D effect
-    const aspect = this.canvasWidth / this.canvasHeight;
-    this.camera = new THREE.PerspectiveCamera(CAMERA_FOV, aspect, 0.1, 100);
-    this.camera.position.set(0, 0, CAMERA_DISTANCE);
-    this.camera.lookAt(0, 0, 0);
+  /**
+   * Returns the detected regime of the run
+   *
+   * @returns {{regime: string|null, features: import('../utils/regime.js').RegimeFeatures|null}}
+   *   Confirmed regime (null until enough history) and the latest features
+   */
+  getRegime() {
+    return {
+      regime: this.regimeDetector.regime,
+      features: this.regimeDetector.features,
+    };
+  }
 
-    this.renderer = new THREE.WebGLRenderer({
-      canvas: this.dom.canvas,
-      antialias: true,
-      preserveDrawingBuffer: true,
-    });
-    this.renderer.setSize(this.canvasWidth, this.canvasHeight);
+  /**
+   * Chooses what happens when the run dies out or saturates
+   *
+   * 'reseed' restarts with a seed derived from the current one; 'revert'
+   * restores the last healthy state (saved every REGIME_SNAPSHOT_INTERVAL
+   * generations) and falls back to reseeding when none is left. Recovery
+   * runs before the next compute step.
+   *
+   * @param {string} action - One of REGIME_ACTIONS
+   * @throws {Error} If the action is unknown
+   */
+  setRegimeAction(action) {
+    if (!REGIME_ACTIONS.includes(action)) {
+      throw new Error(`Unknown regime action "${action}".`);
+    }
+    this.regimeAction = action;
+    if (action !== 'revert') this.healthySnapshot = null;
+    this.regimePanel?.sync();
 
-    // Fit camera to fill screen with 3D plane
-    this.#fitCameraToScreen();
+    // A run that is already unhealthy recovers right away
+    const unhealthy = UNHEALTHY_REGIMES.includes(this.regimeDetector.regime);
+    this.pendingRegimeAction = action !== 'none' && unhealthy ? action : null;
   }
 
   /**
-   * Adjusts camera distance to fit 3D plane to screen
-   * Ensures the 2x2 plane fills the viewport without black borders
-   * @private
+   * Returns the latest structure analysis
+   *
+   * @returns {import('../utils/blobs.js').BlobReport|null} Null until the
+   *   first analysis after enabling it (see setBlobOptions())
    */
-  #fitCameraToScreen() {
-    const aspect = this.canvasWidth / this.canvasHeight;
-    const fovRad = (CAMERA_FOV * Math.PI) / 180;
+  getBlobs() {
+    return this.blobReport;
+  }
 
-    // Plane dimensions (from PlaneGeometry)
-    const planeHeight = 2;
-    const planeWidth = 2;
+  /**
+   * Finds the structures of the current field right away
+   *
+   * Uses the current options, but does not advance identity tracking or
+   * touch the overlay.
+   *
+   * @returns {import('../utils/blobs.js').BlobReport} Analysis, with
+   *   born/died null
+   */
+  analyzeBlobs() {
+    this.#assertReady();
+    return this.#analyzeBlobs(null).report;
+  }
 
-    // Calculate distance needed to fit plane vertically
-    const distanceForHeight = planeHeight / (2 * Math.tan(fovRad / 2));
+  /**
+   * Changes how and when structures are analysed
+   *
+   * Analyses run every `interval` generations while `enabled`. Changing
+   * the channel, threshold or minimum size, or turning tracking off,
+   * restarts the IDs.
+   *
+   * @param {Object} options - Options to change
+   * @param {boolean} [options.enabled] - Analyse periodically
+   * @param {string} [options.channel] - 'energy', or 'matter' where the rule has it
+   * @param {number} [options.threshold] - Smallest value inside a structure
+   * @param {number} [options.minSize] - Smallest structure (cells, integer ≥ 1)
+   * @param {number} [options.interval] - Generations between analyses
+   *   (integer, BLOB_INTERVAL_MIN..BLOB_INTERVAL_MAX)
+   * @param {boolean} [options.tracking] - Keep IDs across analyses
+   * @param {boolean} [options.overlay] - Draw outlines and IDs
+   * @returns {Object} All options now in effect
+   * @throws {Error} If an option is unknown or invalid
+   */
+  setBlobOptions(options) {
+    const next = { ...this.blobOptions };
+    Object.entries(options).forEach(([key, value]) => {
+      if (!(key in next)) {
+        throw new Error(`Unknown structure option "${key}".`);
+      }
+      next[key] = typeof next[key] === 'boolean' ? Boolean(value) : value;
+    });
 
-    // Calculate distance needed to fit plane horizontally
-    const distanceForWidth = planeWidth / (2 * Math.tan(fovRad / 2) * aspect);
+    if (
+      !BLOB_CHANNELS.includes(next.channel) ||
+      !this.rule.channels.includes(next.channel)
+    ) {
+      throw new Error(
+        `Channel "${next.channel}" is not available in ${this.rule.name}.`,
+      );
+    }
+    if (!Number.isFinite(next.threshold)) {
+      throw new Error('Structure threshold must be a number.');
+    }
+    if (!Number.isInteger(next.minSize) || next.minSize < 1) {
+      throw new Error('Minimum structure size must be a whole number ≥ 1.');
+    }
+    if (
+      !Number.isInteger(next.interval) ||
+      next.interval < BLOB_INTERVAL_MIN ||
+      next.interval > BLOB_INTERVAL_MAX
+    ) {
+      throw new Error(
+        `Analysis interval must be a whole number from ${BLOB_INTERVAL_MIN} to ${BLOB_INTERVAL_MAX}.`,
+      );
+    }
 
-    // Use the larger distance to ensure plane fits without clipping
-    // Multiply by 0.95 to slightly overfill (no black borders)
-    const distance = Math.max(distanceForHeight, distanceForWidth) * 0.95;
+    const restartIds = ['channel', 'threshold', 'minSize', 'tracking'].some(
+      (key) => next[key] !== this.blobOptions[key],
+    );
+    if (restartIds) this.blobTracker.reset();
 
-    this.camera.position.z = distance;
-    this.camera.updateProjectionMatrix();
+    this.blobOptions = next;
+    if (!next.enabled || !next.overlay) this.#hideBlobOverlay();
+    this.structuresPanel?.sync();
+    return { ...next };
   }
 
   /**
-   * Sets up WebGL error handling
-   * Handles context loss/restoration gracefully
-   * @private
+   * Returns the latest spatial spectrum analysis
+   *
+   * @returns {(import('../utils/spectrum.js').SpectrumResult &
+   *   {frame: number})|null} Null until the first analysis after
+   *   enabling it (see setSpectrumOptions())
    */
-  #setupWebGLErrorHandling() {
-    this.dom.canvas.addEventListener('webglcontextlost', (event) => {
-      event.preventDefault();
-      console.warn('WebGL context lost. Pausing simulation...');
-      this.isPaused = true;
+  getSpectrum() {
+    return this.spectrum;
+  }
 
-      // Show user-friendly message
-      if (this.dom.avgLabel) {
-        this.dom.avgLabel.textContent = 'WebGL context lost';
-      }
-    });
+  /**
+   * Analyses the energy spectrum of the current field right away
+   *
+   * Runs on the main thread (a 512² field takes a noticeable moment) and
+   * leaves the periodic analysis alone.
+   *
+   * @returns {import('../utils/spectrum.js').SpectrumResult & {frame: number}}
+   *   Analysis of the current generation
+   */
+  measureSpectrum() {
+    this.#assertReady();
+    return {
+      frame: this.simulationFrame,
+      ...analyzeSpectrum(this.#readEnergy(), this.simulationSize),
+    };
+  }
 
-    this.dom.canvas.addEventListener('webglcontextrestored', () => {
-      console.log('WebGL context restored. Reinitializing...');
+  /**
+   * Turns the periodic spectrum analysis on or off, or changes its interval
+   *
+   * @param {Object} options - Options to change
+   * @param {boolean} [options.enabled] - Analyse every `interval` generations
+   * @param {number} [options.interval] - Generations between analyses
+   *   (integer, SPECTRUM_INTERVAL_MIN..SPECTRUM_INTERVAL_MAX)
+   * @returns {{enabled: boolean, interval: number}} Options now in effect
+   * @throws {Error} If the interval is invalid
+   */
+  setSpectrumOptions({
+    enabled = this.spectrumEnabled,
+    interval = this.spectrumInterval,
+  }) {
+    if (
+      !Number.isInteger(interval) ||
+      interval < SPECTRUM_INTERVAL_MIN ||
+      interval > SPECTRUM_INTERVAL_MAX
+    ) {
+      throw new Error(
+        `Spectrum interval must be a whole number from ${SPECTRUM_INTERVAL_MIN} to ${SPECTRUM_INTERVAL_MAX}.`,
+      );
+    }
 
-      // Reinitialize renderer and computation
-      try {
-        this.#setupRenderer();
-        this.#initComputeRenderer();
-        this.#setupDisplay();
-        this.isPaused = false;
-        console.log('Simulation restored successfully');
-      } catch (error) {
-        console.error('Failed to restore WebGL context:', error);
-        alert('Failed to restore WebGL. Please refresh the page.');
-      }
-    });
+    this.spectrumEnabled = Boolean(enabled);
+    this.spectrumInterval = interval;
+    if (this.spectrumEnabled && !this.spectrumAnalyzer) {
+      this.spectrumAnalyzer = new SpectrumAnalyzer();
+    }
+    this.spectrumPanel?.sync();
+    this.spectrumPanel?.showResult();
+    return { enabled: this.spectrumEnabled, interval };
   }
 
-  #initComputeRenderer() {
-    this.computeRenderer = new GPUComputationRenderer(
-      this.simulationSize,
-      this.simulationSize,
-      this.renderer,
-    );
+  /**
+   * Returns what the 3D view shows
+   * @returns {import('../utils/displayMode.js').DisplayMode} Color and
+   *   terrain sources
+   */
+  getDisplayMode() {
+    return { ...this.displayMode };
+  }
 
-    const initialTexture = this.computeRenderer.createTexture();
-    seedPattern(initialTexture);
+  /**
+   * Changes what the 3D view colors and what raises its terrain
+   *
+   * The two are independent: e.g. `{color: 'energy', height: 'matter'}`
+   * colors energy on a matter landscape. The terrain eases into a new
+   * height source with the usual heightMap inertia.
+   *
+   * @param {Object} mode - Sources to change
+   * @param {string} [mode.color] - One of DISPLAY_COLOR_SOURCES
+   * @param {string} [mode.height] - One of DISPLAY_HEIGHT_SOURCES
+   * @returns {import('../utils/displayMode.js').DisplayMode} Mode now in effect
+   * @throws {Error} If a source is unknown or the rule does not write it
+   */
+  setDisplayMode({
+    color = this.displayMode.color,
+    height = this.displayMode.height,
+  }) {
+    if (!DISPLAY_COLOR_SOURCES.includes(color)) {
+      throw new Error(`Unknown display color source "${color}".`);
+    }
+    if (!DISPLAY_HEIGHT_SOURCES.includes(height)) {
+      throw new Error(`Unknown display height source "${height}".`);
+    }
+    [color, height].forEach((source) => {
+      if (!isSourceAvailable(source, this.rule.channels)) {
+        throw new Error(
+          `Channel "${source}" is not available in ${this.rule.name}.`,
+        );
+      }
+    });
 
-    this.interactionTexture = this.computeRenderer.createTexture();
-    clearTexture(this.interactionTexture);
+    this.displayMode = { color, height };
+    this.#applyDisplayMode();
+    this.displayPanel?.sync();
+    return { ...this.displayMode };
+  }
 
-    const fieldVariable = this.computeRenderer.addVariable(
-      'field',
-      getLifecycleShader(),
-      initialTexture,
-    );
+  /**
+   * Returns the palette the display and sweep tiles are colored with
+   * @returns {import('../utils/palette.js').Palette} Copy of the palette
+   */
+  getPalette() {
+    return structuredClone(this.palette);
+  }
 
-    // Transformer-Life uniforms
-    fieldVariable.material.uniforms = {
-      // Phase 1: Attention Mechanism
-      neighborhoodRadius: { value: this.params.neighborhoodRadius },
-      varianceWeight: { value: this.params.varianceWeight },
+  /**
+   * Colors the display with another palette
+   *
+   * @param {string|Object} palette - Built-in ID (see config/palettes.js)
+   *   or `{stops: [{position, color}, ...]}`
+   * @returns {import('../utils/palette.js').Palette} Palette now in effect
+   * @throws {Error} If the ID is unknown or a stop is invalid
+   */
+  setPalette(palette) {
+    this.palette = normalizePalette(palette);
+    if (this.paletteTexture) {
+      this.paletteTexture.image.data.set(paletteLut(this.palette));
+      this.paletteTexture.needsUpdate = true;
+    }
+    this.displayPanel?.syncPalette();
+    return this.getPalette();
+  }
 
-      // Phase 2: Activation Function
-      activationThreshold: { value: this.params.activationThreshold },
-      activationSteepness: { value: this.params.activationSteepness },
+  /**
+   * Returns the camera pose
+   * @returns {import('../utils/camera.js').CameraPose} Copy of the pose
+   */
+  getCamera() {
+    return structuredClone(this.cameraPose);
+  }
 
-      // Phase 3: Residual Stream
-      energyLearningRate: { value: this.params.energyLearningRate },
-      matterGrowthRate: { value: this.params.matterGrowthRate },
-      matterDecayRate: { value: this.params.matterDecayRate },
-      matterResistance: { value: this.params.matterResistance },
+  /**
+   * Moves the camera
+   *
+   * Fields left out keep their current values; out-of-range values are
+   * clamped. The brush keeps hitting the cell under the pointer in any
+   * pose.
+   *
+   * @param {Object} pose - Pose fields to change
+   * @param {number} [pose.azimuth] - Rotation about the vertical, degrees
+   * @param {number} [pose.tilt] - Degrees from straight down
+   * @param {number} [pose.zoom] - 1 fits the field to the canvas
+   * @param {{x: number, y: number}} [pose.target] - Look-at point, plane
+   *   coordinates in [-1, 1]
+   * @param {boolean} [pose.flat] - Orthographic top-down view
+   * @returns {import('../utils/camera.js').CameraPose} Pose now in effect
+   * @throws {Error} If a field has the wrong type
+   */
+  setCamera(pose) {
+    this.cameraPose = normalizeCameraPose(pose, this.cameraPose);
+    if (this.perspectiveCamera) this.#applyCamera();
+    this.cameraPanel?.sync();
+    return this.getCamera();
+  }
 
-      // Global dynamics
-      diffusionRate: { value: this.params.diffusionRate },
-      globalAverage: { value: 0.0 },
+  /**
+   * Looks straight down at the whole field again, keeping the flat mode
+   * @returns {import('../utils/camera.js').CameraPose} Pose now in effect
+   */
+  resetCamera() {
+    return this.setCamera({
+      ...DEFAULT_CAMERA_POSE,
+      flat: this.cameraPose.flat,
+    });
+  }
 
-      // Interaction and texel size
-      interactionTexture: { value: this.interactionTexture },
-      texelSize: {
-        value: new THREE.Vector2(1.0 / this.simulationSize, 1.0 / this.simulationSize),
-      },
-    };
+  /**
+   * Returns the Rendering panel settings
+   * @returns {Object<string, number>} Copy of the settings (see
+   *   config/renderingSchema.js)
+   */
+  getRendering() {
+    return { ...this.rendering };
+  }
 
-    this.computeRenderer.setVariableDependencies(fieldVariable, [
-      fieldVariable,
+  /**
+   * Changes how the field is drawn: terrain height and inertia, mesh
+   * resolution and lighting
+   *
+   * Validated like parameters: unknown keys and non-numbers are dropped,
+   * out-of-range values clamped. Applies live; a new mesh resolution
+   * rebuilds the terrain mesh. The simulation itself is not affected.
+   *
+   * @param {Object<string, number>} partial - Settings to change
+   * @returns {import('../utils/schemaUtils.js').ParamValidationResult}
+   *   Applied settings and any ignored, invalid or clamped keys
+   */
+  setRendering(partial) {
+    const result = validateRendering(partial);
+    Object.assign(this.rendering, result.params);
+    this.#applyRendering();
+    this.renderingPanel?.sync(Object.keys(result.params));
+    return result;
+  }
+
+  /**
+   * Returns the brush settings
+   * @returns {import('../utils/brush.js').Brush} Copy of the brush
+   */
+  getBrush() {
+    return { ...this.brush };
+  }
+
+  /**
+   * Changes what a drag over the field paints
+   *
+   * Numbers are validated like parameters (see config/brushSchema.js);
+   * a shape or target that is not listed, or a target the rule cannot
+   * use (matter on Energy-Life), is reported as invalid. Applies from
+   * the next stroke.
+   *
+   * @param {Object} partial - Settings to change
+   * @param {number} [partial.radius] - Grid cells
+   * @param {number} [partial.strength] - Multiplier on the target's weights
+   * @param {number} [partial.hardness] - 0 (linear falloff) .. 1 (hard edge)
+   * @param {string} [partial.shape] - One of BRUSH_SHAPES
+   * @param {string} [partial.target] - One of BRUSH_TARGETS
+   * @returns {import('../utils/schemaUtils.js').ParamValidationResult}
+   *   Applied settings and any ignored, invalid or clamped keys
+   */
+  setBrush(partial) {
+    const result = validateBrush(partial);
+    const { target } = result.params;
+    if (
+      target !== undefined &&
+      !availableBrushTargets(this.rule.channels).includes(target)
+    ) {
+      delete result.params.target;
+      result.invalid.push('target');
+    }
+    Object.assign(this.brush, result.params);
+    this.brushPanel?.sync(Object.keys(result.params));
+    return result;
+  }
+
+  /**
+   * Exports the recorded chart history
+   *
+   * Covers every stats series of the rule's channels and the spectrum
+   * series (not only the plotted ones) over the whole history kept on
+   * disk. Spectrum values repeat the latest analysis at each sample and
+   * are empty while the spectrum is off.
+   *
+   * @param {'csv'|'json'} [format='csv'] - Output format
+   * @returns {Promise<string>} CSV text, or JSON with rule, seed and params
+   * @throws {Error} If the format is unknown
+   */
+  async exportChartHistory(format = 'csv') {
+    this.#assertReady();
+    if (format !== 'csv' && format !== 'json') {
+      throw new Error(`Unknown chart export format "${format}".`);
+    }
+
+    const samples = (await this.chartStore?.readAll()) ?? [];
+    const keys = this.listChartSeries().map(({ key }) => key);
+    if (format === 'csv') return samplesToCsv(samples, keys);
+    return samplesToJson(samples, keys, {
+      ruleId: this.rule.id,
+      seed: this.seed,
+      params: { ...this.params },
+    });
+  }
+
+  /**
+   * Sets the plotted chart series
+   *
+   * Keys the rule does not have are dropped, at most one series per
+   * color is kept, and an empty list falls back to mean energy.
+   *
+   * @param {Array<string>} keys - Series keys (see listChartSeries())
+   * @returns {Array<string>} The plotted keys
+   */
+  setChartSeries(keys) {
+    const labels = new Map(
+      this.listChartSeries().map(({ key, label }) => [key, label]),
+    );
+    this.chartSeries = [...new Set(keys)]
+      .filter((key) => labels.has(key))
+      .slice(0, CHART_SERIES_COLORS.length);
+    if (this.chartSeries.length === 0) {
+      this.chartSeries = ['energy.mean'];
+    }
+
+    this.chart?.setSeries(
+      this.chartSeries.map((key, i) => ({
+        key,
+        label: labels.get(key),
+        color: CHART_SERIES_COLORS[i],
+      })),
+    );
+    this.chartPanel?.sync();
+    return [...this.chartSeries];
+  }
+
+  /**
+   * Series that can be charted and exported for the active rule
+   *
+   * @returns {Array<{key: string, label: string}>} Field stats series
+   *   (see utils/fieldStats.js), then the spectrum series
+   */
+  listChartSeries() {
+    return [...listStatSeries(this.rule.channels), ...SPECTRUM_SERIES];
+  }
+
+  /**
+   * Reads the field back from the GPU, one array per channel
+   *
+   * Arrays hold size × size values, row-major with row 0 at the bottom.
+   * Channels a rule does not use (matter and attention for Energy-Life)
+   * are zero.
+   *
+   * @returns {{size: number, frame: number, energy: Float32Array,
+   *   matter: Float32Array, attention: Float32Array, height: Float32Array}}
+   *   Field channels and the smoothed terrain height
+   */
+  readField() {
+    this.#assertReady();
+    const [energy, matter, attention] = splitChannels(
+      this.computeRenderer.readVariable(this.computeVariables.field),
+      3,
+    );
+    const [height] = splitChannels(
+      this.computeRenderer.readVariable(this.computeVariables.heightMap),
+      1,
+    );
+
+    return {
+      size: this.simulationSize,
+      frame: this.simulationFrame,
+      energy,
+      matter,
+      attention,
+      height,
+    };
+  }
+
+  /**
+   * Steps the GPU and the CPU reference from the same state and compares
+   *
+   * Starts from the current state, or from `snapshot` if given (loaded
+   * with importSnapshot()). Both sides see the same params, seed, frame,
+   * globalAverage and interaction texture. The reference mirrors neither
+   * timeline keyframes nor regime recovery, so the GPU side runs the
+   * rule alone: a playing timeline holds its current values and pending
+   * recovery waits for the next regular step. The CPU side is slow; use
+   * a small grid for more than a few steps.
+   *
+   * @param {number} [steps=1] - Generations to advance
+   * @param {ArrayBuffer} [snapshot] - Snapshot file to start from
+   * @returns {Object<string, import('../reference/compareFields.js').ChannelError>}
+   *   Max/mean absolute error per field channel (energy, matter, attention)
+   * @throws {Error} If `steps` is not a non-negative integer or the rule
+   *   has no reference stepper
+   */
+  compareWithReference(steps = 1, snapshot = undefined) {
+    this.#assertReady();
+    if (!Number.isInteger(steps) || steps < 0) {
+      throw new Error(
+        `compareWithReference() expects a non-negative integer, got ${steps}.`,
+      );
+    }
+    if (snapshot) {
+      this.importSnapshot(snapshot);
+    }
+
+    const reference = new ReferenceStepper({
+      ruleId: this.rule.id,
+      size: this.simulationSize,
+      params: this.params,
+      field: this.computeRenderer.readVariable(this.computeVariables.field),
+      seed: this.seed,
+      frame: this.simulationFrame,
+      globalAverage:
+        this.computeVariables.field.material.uniforms.globalAverage.value,
+      interaction: this.brushRenderer.read(),
+    });
+
+    reference.step(steps);
+    for (let i = 0; i < steps; i++) {
+      this.#advanceGeneration();
+    }
+    this.#bindDisplayTextures();
+
+    return compareFields(
+      this.computeRenderer.readVariable(this.computeVariables.field),
+      reference.field,
+    );
+  }
+
+  /**
+   * Captures a PNG sequence, advancing a fixed number of generations per frame
+   *
+   * The render loop is detached while capturing, so frames are evenly
+   * spaced in simulation time no matter how long each capture takes.
+   * The first frame shows the current state.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.frames=OFFLINE_DEFAULT_FRAMES] - Frames to capture
+   * @param {number} [options.stepsPerFrame=OFFLINE_DEFAULT_STEPS_PER_FRAME] - Generations between frames
+   * @param {AbortSignal} [options.signal] - Stops early; frames so far are kept
+   * @param {(done: number, total: number) => void} [options.onProgress] - Called after each frame
+   * @returns {Promise<Blob>} ZIP of frame_00001.png, frame_00002.png, …
+   * @throws {Error} If the counts are not positive integers
+   */
+  async recordFrameSequence({
+    frames = OFFLINE_DEFAULT_FRAMES,
+    stepsPerFrame = OFFLINE_DEFAULT_STEPS_PER_FRAME,
+    signal = undefined,
+    onProgress = undefined,
+  } = {}) {
+    this.#assertReady();
+    [frames, stepsPerFrame].forEach((count) => {
+      if (!Number.isInteger(count) || count < 1) {
+        throw new Error(
+          `Frame counts must be positive integers, got ${count}.`,
+        );
+      }
+    });
+
+    const wasRunning = this.animationFrameId !== null;
+    this.stopRenderLoop();
+
+    const digits = Math.max(5, String(frames).length);
+    const files = [];
+    try {
+      for (let i = 0; i < frames && !signal?.aborted; i++) {
+        if (i > 0) this.step(stepsPerFrame);
+        this.render();
+
+        const png = await new Promise((resolve) =>
+          this.dom.canvas.toBlob(resolve, 'image/png'),
+        );
+        files.push({
+          name: `frame_${String(i + 1).padStart(digits, '0')}.png`,
+          data: new Uint8Array(await png.arrayBuffer()),
+        });
+        onProgress?.(i + 1, frames);
+      }
+    } finally {
+      if (wasRunning) this.startRenderLoop();
+    }
+
+    return new Blob(createZip(files), { type: 'application/zip' });
+  }
+
+  /**
+   * Captures the canvas as a PNG with the current settings embedded
+   *
+   * @returns {Promise<Blob>} PNG image (see utils/screenshot.js)
+   */
+  async captureScreenshot() {
+    this.render();
+    const png = await new Promise((resolve) =>
+      this.dom.canvas.toBlob(resolve, 'image/png'),
+    );
+
+    const bytes = encodeScreenshot(new Uint8Array(await png.arrayBuffer()), {
+      ruleId: this.rule.id,
+      params: { ...this.params },
+      seed: this.seed,
+      size: this.simulationSize,
+      frame: this.simulationFrame,
+    });
+    return new Blob([bytes], { type: 'image/png' });
+  }
+
+  /**
+   * Restores the settings embedded in a screenshot and restarts from them
+   *
+   * With `useLuminance`, the image brightness (scaled to the grid)
+   * becomes the starting energy field; this also works for images
+   * without embedded settings, which restart the run with the current
+   * settings first.
+   *
+   * @param {Blob} image - Image file (PNG for embedded settings)
+   * @param {Object} [options]
+   * @param {boolean} [options.useLuminance=false] - Seed energy from the image
+   * @returns {Promise<Object>} `{metadata, ignored, invalid, clamped}`;
+   *   metadata is null if the image had no settings
+   * @throws {Error} If the image has no settings and useLuminance is off,
+   *   or the settings are corrupt or use an unknown rule
+   */
+  async restoreFromImage(image, { useLuminance = false } = {}) {
+    this.#assertReady();
+    const bytes = new Uint8Array(await image.arrayBuffer());
+    const metadata = isPng(bytes) ? decodeScreenshot(bytes) : null;
+    if (!metadata && !useLuminance) {
+      throw new Error('This image has no embedded simulation settings.');
+    }
+
+    let report = { ignored: [], invalid: [], clamped: [] };
+    if (metadata) {
+      if (!getRule(metadata.ruleId)) {
+        throw new Error(`Unknown rule "${metadata.ruleId}" in screenshot.`);
+      }
+      report = this.#applySettings(metadata, { restart: true });
+    }
+
+    if (useLuminance) {
+      if (!metadata) this.#reinitializeSimulation(); // New run, as with settings
+      const size = this.simulationSize;
+      const bitmap = await createImageBitmap(image);
+      const canvas = document.createElement('canvas');
+      canvas.width = size;
+      canvas.height = size;
+      const context = canvas.getContext('2d');
+      context.drawImage(bitmap, 0, 0, size, size);
+      bitmap.close();
+
+      this.computeRenderer.writeVariable(
+        this.computeVariables.field,
+        luminanceToField(context.getImageData(0, 0, size, size).data, size),
+      );
+      this.#bindDisplayTextures();
+    }
+
+    return {
+      metadata,
+      ignored: report.ignored,
+      invalid: report.invalid,
+      clamped: report.clamped,
+    };
+  }
+
+  /**
+   * @private
+   * @throws {Error} If init() has not finished
+   */
+  #assertReady() {
+    if (!this.computeRenderer) {
+      throw new Error('Simulation is not initialized; await init() first.');
+    }
+  }
+
+  /**
+   * Advances the simulation by one compute step
+   *
+   * The frame index feeds the shader noise, and globalAverage is refreshed
+   * on fixed frame numbers, so a run depends only on its seed, params and
+   * input — not on the speed setting or frame rate. A playing timeline is
+   * evaluated per step for the same reason, and a pending regime recovery
+   * runs before the step.
+   * @private
+   */
+  #computeStep() {
+    if (this.pendingRegimeAction) {
+      this.#recoverFromRegime(this.pendingRegimeAction);
+    }
+
+    const uniforms = this.computeVariables.field.material.uniforms;
+    if (this.timelinePlaying) {
+      const values = evaluateTimeline(
+        this.timeline,
+        this.simulationFrame - this.timelineOrigin,
+      );
+      // Controls are synced once per rendered frame, not per step
+      Object.entries(values).forEach(([key, value]) => {
+        this.params[key] = value;
+        if (uniforms[key]) uniforms[key].value = value;
+      });
+    }
+
+    this.#advanceGeneration();
+  }
+
+  /**
+   * Runs the rule once with the current params, then the analyses due
+   * at the new frame (stats and regime, structures, spectrum)
+   * @private
+   */
+  #advanceGeneration() {
+    const uniforms = this.computeVariables.field.material.uniforms;
+    uniforms.frame.value = this.simulationFrame % NOISE_FRAME_PERIOD;
+
+    this.computeRenderer.compute();
+    this.simulationFrame++;
+
+    // Throttle average computation for better performance
+    if (this.simulationFrame % AVERAGE_COMPUTE_THROTTLE === 0) {
+      const stats = this.#computeFieldStats(
+        this.computeRenderer.getCurrentRenderTarget(this.computeVariables.field)
+          .texture,
+      );
+      uniforms.globalAverage.value = stats.energy.mean;
+      this.#updateFieldStats(stats);
+      this.#updateRegime(stats);
+    }
+
+    if (
+      this.blobOptions.enabled &&
+      this.simulationFrame % this.blobOptions.interval === 0
+    ) {
+      this.#updateBlobs();
+    }
+
+    if (
+      this.spectrumEnabled &&
+      this.simulationFrame % this.spectrumInterval === 0
+    ) {
+      this.#requestSpectrum();
+    }
+  }
+
+  /**
+   * Points the heightMap pass and display material at the current buffers
+   * @private
+   */
+  #bindDisplayTextures() {
+    const currentRenderTarget = this.computeRenderer.getCurrentRenderTarget(
+      this.computeVariables.field,
+    );
+
+    // Update heightMap shader uniforms with current field texture
+    this.computeVariables.heightMap.material.uniforms.fieldTexture.value =
+      currentRenderTarget.texture;
+
+    // Get smoothed heightMap for display
+    const heightMapRenderTarget = this.computeRenderer.getCurrentRenderTarget(
+      this.computeVariables.heightMap,
+    );
+
+    // Update display material uniforms
+    // fieldTexture: raw field for color and lighting (flash/sparkle)
+    // heightMapTexture: smoothed height for geometry (smooth terrain)
+    this.material.uniforms.fieldTexture.value = currentRenderTarget.texture;
+    this.material.uniforms.heightMapTexture.value =
+      heightMapRenderTarget.texture;
+  }
+
+  /**
+   * Captures the full simulation state as a binary snapshot
+   *
+   * Reads the field (energy, matter, attention) and heightMap buffers
+   * back from the GPU together with grid size, rule, params, frame and
+   * palette.
+   *
+   * @returns {ArrayBuffer} Snapshot file contents (see utils/snapshot.js)
+   */
+  exportSnapshot() {
+    return encodeSnapshot({
+      size: this.simulationSize,
+      ruleId: this.rule.id,
+      frame: this.simulationFrame,
+      seed: this.seed,
+      params: { ...this.params },
+      palette: this.getPalette(),
+      field: this.computeRenderer.readVariable(this.computeVariables.field),
+      heightMap: this.computeRenderer.readVariable(
+        this.computeVariables.heightMap,
+      ),
+    });
+  }
+
+  /**
+   * Restores a snapshot and resumes from it
+   *
+   * Switches rule and grid size if needed, applies the params (validated
+   * against the rule schema by decodeSnapshot) and uploads both buffers
+   * to the GPU.
+   *
+   * @param {ArrayBuffer} buffer - Snapshot file contents
+   * @throws {Error} If the file is not a valid snapshot
+   */
+  importSnapshot(buffer) {
+    const snapshot = decodeSnapshot(buffer);
+    this.setRule(snapshot.ruleId);
+
+    if (snapshot.size !== this.simulationSize) {
+      this.simulationSize = snapshot.size;
+      if (this.dom.simulationSize) {
+        this.dom.simulationSize.value = String(snapshot.size);
+      }
+      this.#reinitializeSimulation();
+    }
+
+    Object.entries(snapshot.params).forEach(([key, value]) => {
+      this.#applyParam(key, value);
+    });
+
+    this.computeRenderer.writeVariable(
+      this.computeVariables.field,
+      snapshot.field,
+    );
+    this.computeRenderer.writeVariable(
+      this.computeVariables.heightMap,
+      snapshot.heightMap,
+    );
+    // A playing timeline keeps its position across the frame jump
+    this.timelineOrigin += snapshot.frame - this.simulationFrame;
+    this.simulationFrame = snapshot.frame;
+    this.chart?.clear(); // Generations continue from the snapshot's
+    this.#resetRegime(); // Never revert to the state before the import
+    this.#resetBlobs();
+    this.#resetSpectrum();
+    if (Number.isInteger(snapshot.seed)) {
+      this.#setSeed(snapshot.seed);
+    }
+    if (snapshot.palette !== undefined) {
+      try {
+        this.setPalette(snapshot.palette);
+      } catch (error) {
+        console.warn('Ignoring snapshot palette:', error);
+      }
+    }
+    this.#bindDisplayTextures();
+  }
+
+  /**
+   * Restarts the simulation from a fresh field built with the given seed
+   *
+   * The seed drives both the initial field and the shader noise, so the
+   * same seed, params and input reproduce a run bit for bit.
+   *
+   * @param {number} [seed=randomSeed()] - RNG seed (uint32)
+   */
+  reseed(seed = randomSeed()) {
+    this.#setSeed(seed);
+    this.#reinitializeSimulation();
+  }
+
+  /**
+   * Stores the seed and mirrors it to the UI and shader uniform
+   * @private
+   * @param {number} seed - RNG seed (uint32)
+   */
+  #setSeed(seed) {
+    this.seed = seed >>> 0;
+    if (this.dom.seedInput) {
+      this.dom.seedInput.value = String(this.seed);
+    }
+
+    const uniforms = this.computeVariables.field?.material.uniforms;
+    uniforms?.seed.value.set(...splitSeed(this.seed));
+  }
+
+  #cacheDom() {
+    this.dom.canvas = document.querySelector(this.canvasSelector);
+    this.dom.container = document.querySelector(this.containerSelector);
+    this.dom.controls = document.querySelector(this.controlsSelector);
+    this.dom.chartCanvas = document.querySelector(this.chartCanvasSelector);
+    this.dom.toggleChart = document.getElementById('toggleChart');
+    this.dom.chart = document.getElementById('chart');
+    this.dom.toggleControls = document.getElementById('toggleControls');
+    this.dom.simulationSize = document.getElementById('simulationSize');
+    this.dom.seedInput = document.getElementById('seedInput');
+    this.dom.reseedButton = document.getElementById('reseedButton');
+    this.dom.randomSeedButton = document.getElementById('randomSeedButton');
+    this.dom.ruleSelect = document.getElementById('ruleSelect');
+    this.dom.paramControls = document.getElementById('paramControls');
+    this.dom.savePreset = document.getElementById('savePreset');
+    this.dom.loadPreset = document.getElementById('loadPreset');
+    this.dom.presetSelect = document.getElementById('presetSelect');
+    this.dom.renamePreset = document.getElementById('renamePreset');
+    this.dom.duplicatePreset = document.getElementById('duplicatePreset');
+    this.dom.deletePreset = document.getElementById('deletePreset');
+    this.dom.importPresets = document.getElementById('importPresets');
+    this.dom.exportPresets = document.getElementById('exportPresets');
+    this.dom.presetFile = document.getElementById('presetFile');
+    this.dom.presetStatus = document.getElementById('presetStatus');
+    this.dom.exportSnapshot = document.getElementById('exportSnapshot');
+    this.dom.importSnapshot = document.getElementById('importSnapshot');
+    this.dom.snapshotFile = document.getElementById('snapshotFile');
+    this.dom.screenshotButton = document.getElementById('screenshotButton');
+    this.dom.dropLuminance = document.getElementById('dropLuminance');
+    this.dom.recordMode = document.getElementById('recordMode');
+    this.dom.recordFps = document.getElementById('recordFps');
+    this.dom.recordFrames = document.getElementById('recordFrames');
+    this.dom.recordStepsPerFrame = document.getElementById(
+      'recordStepsPerFrame',
+    );
+    this.dom.recordButton = document.getElementById('recordButton');
+    this.dom.recordStatus = document.getElementById('recordStatus');
+    this.dom.timelinePlay = document.getElementById('timelinePlay');
+    this.dom.timelineRestart = document.getElementById('timelineRestart');
+    this.dom.timelineLoop = document.getElementById('timelineLoop');
+    this.dom.timelineLength = document.getElementById('timelineLength');
+    this.dom.timelinePosition = document.getElementById('timelinePosition');
+    this.dom.keyframeParam = document.getElementById('keyframeParam');
+    this.dom.keyframeFrame = document.getElementById('keyframeFrame');
+    this.dom.keyframeValue = document.getElementById('keyframeValue');
+    this.dom.keyframeEasing = document.getElementById('keyframeEasing');
+    this.dom.addKeyframe = document.getElementById('addKeyframe');
+    this.dom.keyframeList = document.getElementById('keyframeList');
+    this.dom.sweepOverlay = document.getElementById('sweepOverlay');
+    this.dom.sweepXParam = document.getElementById('sweepXParam');
+    this.dom.sweepXMin = document.getElementById('sweepXMin');
+    this.dom.sweepXMax = document.getElementById('sweepXMax');
+    this.dom.sweepXSteps = document.getElementById('sweepXSteps');
+    this.dom.sweepYParam = document.getElementById('sweepYParam');
+    this.dom.sweepYMin = document.getElementById('sweepYMin');
+    this.dom.sweepYMax = document.getElementById('sweepYMax');
+    this.dom.sweepYSteps = document.getElementById('sweepYSteps');
+    this.dom.sweepButton = document.getElementById('sweepButton');
+    this.dom.sweepStatus = document.getElementById('sweepStatus');
+    this.dom.recordModeItems = Array.from(
+      document.querySelectorAll('[data-record-mode]'),
+    );
+    this.dom.speedButtons = Array.from(document.querySelectorAll('.speed-btn'));
+    this.dom.modeButtons = Array.from(document.querySelectorAll('.mode-btn'));
+    this.dom.fpsLabel = document.getElementById('fps');
+    this.dom.avgLabel = document.getElementById('avgEnergy');
+    this.dom.fieldStatsLabel = document.getElementById('fieldStats');
+    this.dom.chartSeries = document.getElementById('chartSeries');
+    this.dom.chartLegend = document.getElementById('chartLegend');
+    this.dom.chartExportCsv = document.getElementById('chartExportCsv');
+    this.dom.chartExportJson = document.getElementById('chartExportJson');
+    this.dom.histogram = document.getElementById('histogram');
+    this.dom.histogramCanvas = document.getElementById('histogramCanvas');
+    this.dom.toggleHistogram = document.getElementById('toggleHistogram');
+    this.dom.histogramBins = document.getElementById('histogramBins');
+    this.dom.histogramLog = document.getElementById('histogramLog');
+    this.dom.histogramFreeze = document.getElementById('histogramFreeze');
+    this.dom.histogramStatus = document.getElementById('histogramStatus');
+    this.dom.regimeLabel = document.getElementById('regimeLabel');
+    this.dom.regimeAction = document.getElementById('regimeAction');
+    this.dom.regimeStatus = document.getElementById('regimeStatus');
+    this.dom.blobsEnabled = document.getElementById('blobsEnabled');
+    this.dom.blobChannel = document.getElementById('blobChannel');
+    this.dom.blobThreshold = document.getElementById('blobThreshold');
+    this.dom.blobMinSize = document.getElementById('blobMinSize');
+    this.dom.blobInterval = document.getElementById('blobInterval');
+    this.dom.blobTracking = document.getElementById('blobTracking');
+    this.dom.blobOverlay = document.getElementById('blobOverlay');
+    this.dom.blobSummary = document.getElementById('blobSummary');
+    this.dom.blobSizes = document.getElementById('blobSizes');
+    this.dom.blobLabels = document.getElementById('blobLabels');
+    this.dom.spectrumEnabled = document.getElementById('spectrumEnabled');
+    this.dom.spectrumInterval = document.getElementById('spectrumInterval');
+    this.dom.spectrumSummary = document.getElementById('spectrumSummary');
+    this.dom.spectrumCanvas = document.getElementById('spectrumCanvas');
+    this.dom.displayView = document.getElementById('displayView');
+    this.dom.displayHeight = document.getElementById('displayHeight');
+    this.dom.paletteSelect = document.getElementById('paletteSelect');
+    this.dom.paletteEditor = document.getElementById('paletteEditor');
+    this.dom.paletteStopColor = document.getElementById('paletteStopColor');
+    this.dom.brushControls = document.getElementById('brushControls');
+    this.dom.brushShape = document.getElementById('brushShape');
+    this.dom.resetBrush = document.getElementById('resetBrush');
+    this.dom.brushStatus = document.getElementById('brushStatus');
+    this.dom.renderingControls = document.getElementById('renderingControls');
+    this.dom.resetRendering = document.getElementById('resetRendering');
+    this.dom.cameraFlat = document.getElementById('cameraFlat');
+    this.dom.resetCamera = document.getElementById('resetCamera');
+    this.dom.cameraBookmarkSelect = document.getElementById(
+      'cameraBookmarkSelect',
+    );
+    this.dom.goCameraBookmark = document.getElementById('goCameraBookmark');
+    this.dom.saveCameraBookmark = document.getElementById('saveCameraBookmark');
+    this.dom.deleteCameraBookmark = document.getElementById(
+      'deleteCameraBookmark',
+    );
+    this.dom.cameraStatus = document.getElementById('cameraStatus');
+    this.dom.resizeHandles =
+      this.dom.container.querySelectorAll('.resize-handle');
+    this.dom.presetButtons = document.querySelector('.preset-buttons');
+    this.dom.shaderErrors = document.getElementById('shaderErrors');
+  }
+
+  #setupCanvas() {
+    this.dom.container.style.width = `${this.canvasWidth}px`;
+    this.dom.container.style.height = `${this.canvasHeight}px`;
+  }
+
+  #setupRenderer() {
+    this.scene = new THREE.Scene();
+
+    // Perspective for the 2.5D effect; orthographic for the flat view.
+    // #applyCamera() places and frames both from the pose.
+    const aspect = this.canvasWidth / this.canvasHeight;
+    this.perspectiveCamera = new THREE.PerspectiveCamera(
+      CAMERA_FOV,
+      aspect,
+      0.01,
+      100,
+    );
+    this.orthographicCamera = new THREE.OrthographicCamera(
+      -1,
+      1,
+      1,
+      -1,
+      0.01,
+      100,
+    );
+    this.raycaster = new THREE.Raycaster();
+
+    this.renderer = new THREE.WebGLRenderer({
+      canvas: this.dom.canvas,
+      antialias: true,
+      preserveDrawingBuffer: true,
+    });
+    this.renderer.setSize(this.canvasWidth, this.canvasHeight);
+
+    this.#applyCamera();
+  }
+
+  /**
+   * Places the active camera for the pose and canvas aspect
+   * At zoom 1 the 2x2 plane fills the viewport without black borders
+   * (see utils/camera.js).
+   * @private
+   */
+  #applyCamera() {
+    const aspect = this.canvasWidth / this.canvasHeight;
+    const { position, up, target, halfHeight } = cameraView(
+      this.cameraPose,
+      CAMERA_FOV,
+      aspect,
+    );
+
+    if (this.cameraPose.flat) {
+      this.camera = this.orthographicCamera;
+      this.camera.left = -halfHeight * aspect;
+      this.camera.right = halfHeight * aspect;
+      this.camera.top = halfHeight;
+      this.camera.bottom = -halfHeight;
+    } else {
+      this.camera = this.perspectiveCamera;
+      this.camera.aspect = aspect;
+    }
+    this.camera.position.fromArray(position);
+    this.camera.up.fromArray(up);
+    this.camera.lookAt(...target);
+    this.camera.updateProjectionMatrix();
+    this.camera.updateMatrixWorld(); // For picking before the next render
+
+    this.#drawBlobLabels();
+  }
+
+  /**
+   * Sets up WebGL error handling
+   * Handles context loss/restoration gracefully
+   * @private
+   */
+  #setupWebGLErrorHandling() {
+    this.dom.canvas.addEventListener('webglcontextlost', (event) => {
+      event.preventDefault();
+      console.warn('WebGL context lost. Pausing simulation...');
+      this.isPaused = true;
+
+      // Show user-friendly message
+      if (this.dom.avgLabel) {
+        this.dom.avgLabel.textContent = 'WebGL context lost';
+      }
+    });
+
+    this.dom.canvas.addEventListener('webglcontextrestored', () => {
+      console.log('WebGL context restored. Reinitializing...');
+
+      // Reinitialize renderer and computation
+      try {
+        this.#setupRenderer();
+        this.#initComputeRenderer();
+        this.#setupDisplay();
+        this.isPaused = false;
+        console.log('Simulation restored successfully');
+      } catch (error) {
+        console.error('Failed to restore WebGL context:', error);
+        alert('Failed to restore WebGL. Please refresh the page.');
+      }
+    });
+  }
+
+  #initComputeRenderer() {
+    this.computeRenderer = new GPUComputationRenderer(
+      this.simulationSize,
+      this.simulationSize,
+      this.renderer,
+    );
+
+    const initialTexture = this.computeRenderer.createTexture();
+    seedPattern(initialTexture, createRandom(this.seed));
+
+    this.brushRenderer = new BrushRenderer({
+      renderer: this.renderer,
+      size: this.simulationSize,
+    });
+
+    const fieldVariable = this.computeRenderer.addVariable(
+      'field',
+      getShader(this.rule.fragmentShader),
+      initialTexture,
+    );
+    fieldVariable.material.uniforms = this.#createFieldUniforms();
+
+    this.computeRenderer.setVariableDependencies(fieldVariable, [
+      fieldVariable,
     ]);
     this.computeVariables.field = fieldVariable;
 
-    // HeightMap variable for temporal smoothing with inertia
-    const heightMapTexture = this.computeRenderer.createTexture();
-    clearTexture(heightMapTexture); // Start with zero height
+    // HeightMap variable for temporal smoothing with inertia
+    const heightMapTexture = this.computeRenderer.createTexture();
+    clearTexture(heightMapTexture); // Start with zero height
+
+    const heightMapVariable = this.computeRenderer.addVariable(
+      'heightMap',
+      getShader(SHADER_FILES.heightMap),
+      heightMapTexture,
+    );
+
+    heightMapVariable.material.uniforms = {
+      fieldTexture: { value: null }, // Will be set to field's render target
+      heightChannel: {
+        value: new THREE.Vector3().fromArray(
+          displayUniforms(this.displayMode).heightChannel,
+        ),
+      },
+      smoothness: { value: this.rendering.heightSmoothness },
+      texelSize: {
+        value: new THREE.Vector2(1.0 / this.simulationSize, 1.0 / this.simulationSize),
+      },
+    };
+
+    this.computeRenderer.setVariableDependencies(heightMapVariable, [
+      fieldVariable,
+      heightMapVariable,
+    ]);
+    this.computeVariables.heightMap = heightMapVariable;
+
+    const error = this.computeRenderer.init();
+    if (error !== null) {
+      console.error(error);
+    }
+
+    this.shaderErrors.field = this.#getShaderErrors(
+      fieldVariable.material,
+      SHADER_FILES.passThroughVertex,
+      this.rule.fragmentShader,
+    );
+    this.shaderErrors.heightMap = this.#getShaderErrors(
+      heightMapVariable.material,
+      SHADER_FILES.passThroughVertex,
+      SHADER_FILES.heightMap,
+    );
+    this.#updateShaderErrorOverlay();
+  }
+
+  /**
+   * Builds the uniforms for the active rule's lifecycle shader
+   * One uniform per schema entry, plus the shared simulation inputs.
+   * @private
+   * @returns {Object} Uniforms object for the field material
+   */
+  #createFieldUniforms() {
+    const uniforms = {};
+    this.rule.schema.forEach(({ key }) => {
+      uniforms[key] = { value: this.params[key] };
+    });
+
+    return {
+      ...uniforms,
+      globalAverage: { value: 0.0 },
+      interactionTexture: { value: this.brushRenderer.texture },
+      seed: { value: new THREE.Vector2(...splitSeed(this.seed)) },
+      frame: { value: this.simulationFrame % NOISE_FRAME_PERIOD },
+      texelSize: {
+        value: new THREE.Vector2(
+          1.0 / this.simulationSize,
+          1.0 / this.simulationSize,
+        ),
+      },
+    };
+  }
+
+  /**
+   * Switches the active update rule at runtime
+   *
+   * Rebuilds the `field` variable's shader and uniforms in place, so the
+   * current field state is kept. Parameters tweaked under the previous
+   * rule are remembered and restored when switching back.
+   *
+   * @param {string} ruleId - Rule identifier (see config/rules.js)
+   * @returns {boolean} True if the rule changed
+   */
+  setRule(ruleId) {
+    const rule = getRule(ruleId);
+    if (!rule || rule === this.rule) return false;
+
+    this.paramsByRule[this.rule.id] = this.params;
+    this.rule = rule;
+    this.params = { ...rule.defaults, ...this.paramsByRule[rule.id] };
+    // Keyframes, sweeps, regime history and structure IDs belong to the
+    // rule they were made for
+    this.stopTimeline();
+    this.timeline = createTimeline();
+    this.stopSweep();
+    this.#resetRegime();
+    if (!rule.channels.includes(this.blobOptions.channel)) {
+      this.blobOptions.channel = 'energy';
+    }
+    this.#resetBlobs();
+    this.structuresPanel?.sync();
+    if (!availableBrushTargets(rule.channels).includes(this.brush.target)) {
+      this.brush.target = DEFAULT_BRUSH.target;
+    }
+    this.brushPanel?.sync(['target']);
+    this.displayMode = fitDisplayMode(this.displayMode, rule.channels);
+    this.#applyDisplayMode();
+    this.displayPanel?.sync();
+
+    const fieldVariable = this.computeVariables.field;
+    if (fieldVariable) {
+      const { material, errors } = this.#buildComputeMaterial(
+        fieldVariable,
+        rule.fragmentShader,
+        this.#createFieldUniforms(),
+      );
+      if (material) {
+        this.computeRenderer.setVariableMaterial(fieldVariable, material);
+      }
+      this.shaderErrors.field = errors;
+      this.#updateShaderErrorOverlay();
+    }
+
+    this.#syncRuleControls();
+    return true;
+  }
+
+  #setupDisplay() {
+    // High-resolution mesh for 3D terrain effect
+    // Each vertex corresponds to a simulation grid cell
+    const resolution = this.rendering.meshResolution;
+    const geometry = new THREE.PlaneGeometry(2, 2, resolution, resolution);
+
+    // Palette lookup, shared with the sweep tiles; setPalette() rewrites it
+    this.paletteTexture = new THREE.DataTexture(
+      paletteLut(this.palette),
+      PALETTE_LUT_SIZE,
+      1,
+      THREE.RGBAFormat,
+    );
+    this.paletteTexture.magFilter = THREE.LinearFilter;
+    this.paletteTexture.minFilter = THREE.LinearFilter;
+    this.paletteTexture.needsUpdate = true;
+
+    const { colorMode, colorChannel, heightChannel } = displayUniforms(
+      this.displayMode,
+    );
+    const { material, errors } = this.#buildDisplayMaterial({
+      fieldTexture: { value: null }, // Raw field for color and lighting
+      heightMapTexture: { value: null }, // Smoothed height for displacement
+      paletteTexture: { value: this.paletteTexture },
+      colorMode: { value: colorMode },
+      colorChannel: { value: new THREE.Vector3().fromArray(colorChannel) },
+      heightChannel: { value: new THREE.Vector3().fromArray(heightChannel) },
+      displacementScale: { value: this.rendering.displacementScale },
+      texelSize: { value: 1.0 / this.simulationSize },
+      lightDirection: { value: new THREE.Vector3() },
+      ambientRatio: { value: this.rendering.ambientRatio },
+      specularStrength: { value: this.rendering.specularStrength },
+      specularShininess: { value: this.rendering.specularShininess },
+    });
+    this.material = material;
+    this.shaderErrors.display = errors;
+    this.#updateShaderErrorOverlay();
+
+    this.displayMesh = new THREE.Mesh(geometry, this.material);
+    this.scene.add(this.displayMesh);
+    this.#applyRendering();
+  }
+
+  /**
+   * Pushes the rendering settings into the display and heightMap
+   * uniforms, rebuilding the terrain mesh if its resolution changed
+   * Safe before the materials exist; they start from the settings.
+   * @private
+   */
+  #applyRendering() {
+    const {
+      displacementScale,
+      heightSmoothness,
+      meshResolution,
+      lightAzimuth,
+      lightElevation,
+      ambientRatio,
+      specularStrength,
+      specularShininess,
+    } = this.rendering;
+
+    if (this.material) {
+      const { uniforms } = this.material;
+      uniforms.displacementScale.value = displacementScale;
+      uniforms.lightDirection.value.fromArray(
+        lightDirection(lightAzimuth, lightElevation),
+      );
+      uniforms.ambientRatio.value = ambientRatio;
+      uniforms.specularStrength.value = specularStrength;
+      uniforms.specularShininess.value = specularShininess;
+    }
+    const heightMap = this.computeVariables.heightMap?.material.uniforms;
+    if (heightMap) heightMap.smoothness.value = heightSmoothness;
+
+    const geometry = this.displayMesh?.geometry;
+    if (geometry && geometry.parameters.widthSegments !== meshResolution) {
+      geometry.dispose();
+      this.displayMesh.geometry = new THREE.PlaneGeometry(
+        2,
+        2,
+        meshResolution,
+        meshResolution,
+      );
+    }
+  }
+
+  /**
+   * Pushes the display mode into the display and heightMap uniforms
+   * Safe before the materials exist; they start from the current mode.
+   * @private
+   */
+  #applyDisplayMode() {
+    const { colorMode, colorChannel, heightChannel } = displayUniforms(
+      this.displayMode,
+    );
+    if (this.material) {
+      const { uniforms } = this.material;
+      uniforms.colorMode.value = colorMode;
+      uniforms.colorChannel.value.fromArray(colorChannel);
+      uniforms.heightChannel.value.fromArray(heightChannel);
+    }
+    this.computeVariables.heightMap?.material.uniforms.heightChannel.value.fromArray(
+      heightChannel,
+    );
+  }
+
+  /**
+   * Builds a compute material for a variable and checks it compiles
+   * @private
+   * @param {Object} variable - GPU computation variable
+   * @param {string} path - Fragment shader path
+   * @param {Object} uniforms - Uniforms for the new material
+   * @returns {{material: ?THREE.ShaderMaterial, errors: Array<Object>}}
+   *   The material is null when the source could not be produced
+   */
+  #buildComputeMaterial(variable, path, uniforms) {
+    let fragmentShader;
+    try {
+      fragmentShader = getShader(path);
+    } catch (error) {
+      return {
+        material: null,
+        errors: [{ file: path, line: 0, message: error.message }],
+      };
+    }
+
+    const material = this.computeRenderer.createVariableMaterial(
+      variable,
+      fragmentShader,
+      uniforms,
+    );
+    const errors = this.#getShaderErrors(
+      material,
+      SHADER_FILES.passThroughVertex,
+      path,
+    );
+    return { material, errors };
+  }
+
+  /**
+   * Builds the display material and checks it compiles
+   * @private
+   * @param {Object} uniforms - Uniforms for the new material
+   * @returns {{material: ?THREE.ShaderMaterial, errors: Array<Object>}}
+   *   The material is null when the source could not be produced
+   */
+  #buildDisplayMaterial(uniforms) {
+    let vertexShader;
+    let fragmentShader;
+    try {
+      vertexShader = getShader(SHADER_FILES.displayVertex);
+      fragmentShader = getShader(SHADER_FILES.displayFragment);
+    } catch (error) {
+      return {
+        material: null,
+        errors: [{ file: 'display', line: 0, message: error.message }],
+      };
+    }
+
+    const material = new THREE.ShaderMaterial({
+      uniforms,
+      vertexShader,
+      fragmentShader,
+    });
+    const errors = this.#getShaderErrors(
+      material,
+      SHADER_FILES.displayVertex,
+      SHADER_FILES.displayFragment,
+    );
+    return { material, errors };
+  }
+
+  /**
+   * Compiles a material and maps any compile errors to source files
+   *
+   * three.js only logs shader errors; this reads its program diagnostics
+   * and translates the reported lines through the preprocessor line map.
+   *
+   * @private
+   * @param {THREE.ShaderMaterial} material - Material to compile
+   * @param {string} vertexPath - Vertex shader path
+   * @param {string} fragmentPath - Fragment shader path
+   * @returns {Array<{file: string, line: number, message: string}>} Errors (empty if fine)
+   */
+  #getShaderErrors(material, vertexPath, fragmentPath) {
+    const scene = new THREE.Scene();
+    const geometry = new THREE.PlaneGeometry(2, 2);
+    scene.add(new THREE.Mesh(geometry, material));
+    this.renderer.compile(scene, this.camera);
+    geometry.dispose();
+
+    const program = this.renderer.properties.get(material).currentProgram;
+    const diagnostics = program?.diagnostics;
+    if (!diagnostics || diagnostics.runnable) return [];
+
+    // three.js prepends "#version 300 es" (WebGL2) and its own prefix
+    const versionLines = this.renderer.capabilities.isWebGL2 ? 1 : 0;
+    const prefixLines = (prefix) =>
+      versionLines + prefix.split('\n').length - 1;
+
+    const errors = [
+      ...mapShaderErrors(
+        diagnostics.vertexShader.log,
+        getShaderLineMap(vertexPath),
+        prefixLines(diagnostics.vertexShader.prefix),
+        vertexPath,
+      ),
+      ...mapShaderErrors(
+        diagnostics.fragmentShader.log,
+        getShaderLineMap(fragmentPath),
+        prefixLines(diagnostics.fragmentShader.prefix),
+        fragmentPath,
+      ),
+    ];
+
+    if (errors.length === 0) {
+      errors.push({
+        file: fragmentPath,
+        line: 0,
+        message: diagnostics.programLog || 'Shader program failed to link',
+      });
+    }
+    return errors;
+  }
+
+  /**
+   * Recompiles materials whose shader files changed (dev mode)
+   *
+   * Swaps materials in place so the field state is kept. A material
+   * that fails to compile is discarded and the previous one stays active.
+   *
+   * @private
+   * @param {Array<string>} paths - Changed shader paths
+   */
+  #reloadShaders(paths) {
+    const changed = (...names) => names.some((name) => paths.includes(name));
+    delete this.shaderErrors.load;
+
+    const reloadVariable = (key, path) => {
+      const variable = this.computeVariables[key];
+      const { material, errors } = this.#buildComputeMaterial(
+        variable,
+        path,
+        variable.material.uniforms,
+      );
+      this.shaderErrors[key] = errors;
+      if (!material) return;
+      if (errors.length > 0) {
+        material.dispose();
+        return;
+      }
+      this.computeRenderer.setVariableMaterial(variable, material);
+    };
+
+    if (changed(this.rule.fragmentShader, SHADER_FILES.passThroughVertex)) {
+      reloadVariable('field', this.rule.fragmentShader);
+    }
+
+    if (changed(SHADER_FILES.heightMap, SHADER_FILES.passThroughVertex)) {
+      reloadVariable('heightMap', SHADER_FILES.heightMap);
+    }
+
+    if (changed(SHADER_FILES.displayVertex, SHADER_FILES.displayFragment)) {
+      const { material, errors } = this.#buildDisplayMaterial(
+        this.material.uniforms,
+      );
+      this.shaderErrors.display = errors;
+      if (material && errors.length === 0) {
+        this.material.dispose();
+        this.material = material;
+        this.displayMesh.material = material;
+      } else if (material) {
+        material.dispose();
+      }
+    }
+
+    if (changed(SHADER_FILES.downsample, SHADER_FILES.passThroughVertex)) {
+      this.#disposeDownsamplePipeline();
+    }
+
+    this.#updateShaderErrorOverlay(); // Errors show here; a clean reload is silent
+  }
+
+  /**
+   * Shows collected shader errors on top of the canvas
+   * @private
+   */
+  #updateShaderErrorOverlay() {
+    if (!this.dom.shaderErrors) return;
+    const errors = Object.values(this.shaderErrors).flat();
+    this.dom.shaderErrors.hidden = errors.length === 0;
+    this.dom.shaderErrors.textContent = formatShaderErrors(errors);
+  }
+
+  #setupControls() {
+    if (this.dom.toggleControls) {
+      this.dom.toggleControls.addEventListener('click', () => {
+        const isCollapsed = this.dom.controls.classList.toggle('collapsed');
+        this.dom.toggleControls.classList.toggle('collapsed', isCollapsed);
+        this.dom.toggleControls.textContent = isCollapsed ? '→' : '←';
+      });
+    }
+
+    if (this.dom.ruleSelect) {
+      this.dom.ruleSelect.innerHTML = '';
+      Object.values(RULES).forEach((rule) => {
+        const option = document.createElement('option');
+        option.value = rule.id;
+        option.textContent = rule.name;
+        this.dom.ruleSelect.appendChild(option);
+      });
+
+      this.dom.ruleSelect.addEventListener('change', (event) => {
+        this.setRule(event.target.value);
+      });
+    }
+
+    this.dom.speedButtons.forEach((button) => {
+      button.addEventListener('click', () => {
+        this.#setSpeed(parseInt(button.dataset.speed, 10));
+      });
+    });
+
+    window.addEventListener('hashchange', () => {
+      this.#applyPermalink(window.location.hash);
+    });
+
+    this.presetPanel = new PresetPanel({ simulation: this, dom: this.dom });
+    this.recordingPanel = new RecordingPanel({
+      simulation: this,
+      dom: this.dom,
+    });
+    this.timelinePanel = new TimelinePanel({ simulation: this, dom: this.dom });
+    this.sweepPanel = new SweepPanel({ simulation: this, dom: this.dom });
+
+    this.snapshotPanel = new SnapshotPanel({ simulation: this, dom: this.dom });
+
+    if (this.dom.simulationSize) {
+      this.dom.simulationSize.addEventListener('change', (event) => {
+        const newSize = parseInt(event.target.value, 10);
+        if (newSize === this.simulationSize) return;
+
+        this.simulationSize = newSize;
+        this.#reinitializeSimulation();
+      });
+    }
+
+    if (this.dom.seedInput) {
+      this.dom.seedInput.value = String(this.seed);
+    }
+
+    if (this.dom.reseedButton && this.dom.seedInput) {
+      this.dom.reseedButton.addEventListener('click', () => {
+        const seed = Number(this.dom.seedInput.value);
+        if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) {
+          this.dom.seedInput.value = String(this.seed);
+          return;
+        }
+        this.reseed(seed);
+      });
+    }
+
+    if (this.dom.randomSeedButton) {
+      this.dom.randomSeedButton.addEventListener('click', () => this.reseed());
+    }
+
+    this.#syncRuleControls();
+  }
+
+  /**
+   * Applies a preset of any supported format version
+   *
+   * Switches to the preset's rule; parameters the preset does not set
+   * fall back to the rule defaults. A preset timeline starts playing at
+   * the current generation; presets without one stop playback. Presets
+   * without a palette or rendering settings keep the current ones.
+   *
+   * @param {Object} raw - Preset object (see utils/presetFormat.js)
+   * @returns {import('../utils/presetFormat.js').PresetReport} What was
+   *   applied and which keys were ignored, invalid or clamped
+   * @throws {Error} If the preset cannot be migrated
+   */
+  applyPreset(raw) {
+    const report = normalizePreset(raw);
+    const { ruleId, params, palette, rendering } = report.preset;
+
+    this.setRule(ruleId);
+    this.rule.schema.forEach(({ key }) => {
+      this.#applyParam(key, params[key] ?? this.rule.defaults[key]);
+    });
+    if (palette) this.setPalette(palette);
+    if (rendering) this.setRendering(rendering);
+
+    this.setTimeline(report.preset.timeline ?? createTimeline());
+    if (hasKeyframes(this.timeline)) {
+      this.playTimeline();
+    } else {
+      this.stopTimeline();
+    }
+
+    return report;
+  }
+
+  /**
+   * Captures the current rule, parameters, timeline, palette and rendering
+   * settings as a preset
+   *
+   * @param {string} name - Preset name
+   * @returns {import('../utils/presetFormat.js').Preset} Current-format preset
+   */
+  createPreset(name) {
+    const params = {};
+    this.rule.schema.forEach(({ key }) => {
+      params[key] = this.params[key];
+    });
+    return {
+      version: PRESET_FORMAT_VERSION,
+      name,
+      ruleId: this.rule.id,
+      params,
+      ...(hasKeyframes(this.timeline) && {
+        timeline: structuredClone(this.timeline),
+      }),
+      palette: this.getPalette(),
+      rendering: this.getRendering(),
+    };
+  }
+
+  /**
+   * Replaces the timeline (validated against the active rule's schema)
+   *
+   * @param {Object} raw - Timeline (see utils/timeline.js)
+   * @returns {{timeline: import('../utils/timeline.js').Timeline,
+   *   ignored: Array<string>, invalid: Array<string>, clamped: Array<string>}}
+   *   Stored timeline and any dropped or adjusted keyframes
+   */
+  setTimeline(raw) {
+    const report = validateTimeline(this.rule.schema, raw);
+    this.timeline = report.timeline;
+    this.timelinePanel?.sync();
+    return report;
+  }
+
+  /**
+   * Gets a copy of the current timeline
+   *
+   * @returns {import('../utils/timeline.js').Timeline} Timeline
+   */
+  getTimeline() {
+    return structuredClone(this.timeline);
+  }
+
+  /**
+   * Plays the timeline from its frame 0
+   *
+   * Playback follows generations, not wall time. With `restart`, the
+   * field is reseeded with the current seed first, so the same timeline
+   * reproduces the same run.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.restart=false] - Restart the run from generation 0
+   */
+  playTimeline({ restart = false } = {}) {
+    if (restart && this.computeRenderer) {
+      this.reseed(this.seed);
+    }
+    this.timelineOrigin = this.simulationFrame;
+    this.timelinePlaying = true;
+    this.#syncTimelineControls();
+  }
+
+  /**
+   * Stops timeline playback; parameters keep their current values
+   */
+  stopTimeline() {
+    this.timelinePlaying = false;
+    this.#syncTimelineControls();
+  }
+
+  /**
+   * Opens the sweep view: a grid of small simulations over one or two params
+   *
+   * Tiles use the active rule, the current value of every other param and
+   * the current seed. The main simulation is frozen until stopSweep().
+   *
+   * @param {{x: import('../utils/sweep.js').SweepAxis,
+   *   y?: import('../utils/sweep.js').SweepAxis}} axes - Swept params
+   *   (x = columns, y = rows)
+   * @returns {Array<import('../utils/sweep.js').SweepCell>} Tiles, row by row
+   * @throws {Error} If an axis is invalid (see createSweepCells())
+   */
+  startSweep({ x, y }) {
+    this.#assertReady();
+    const cells = createSweepCells(this.rule.schema, this.params, { x, y });
+
+    this.stopSweep();
+    this.sweepGrid = new SweepGrid({
+      renderer: this.renderer,
+      rule: this.rule,
+      cells,
+      seed: this.seed,
+      paletteTexture: this.paletteTexture,
+    });
+    this.sweepShape = { columns: x.steps, rows: y?.steps ?? 1 };
+
+    if (this.dom.sweepOverlay) {
+      this.dom.sweepOverlay.innerHTML = '';
+      cells.forEach((cell, index) => {
+        const tile = document.createElement('button');
+        tile.className = 'sweep-tile';
+        tile.title = 'Use these parameters in the main simulation';
+        const label = document.createElement('span');
+        label.textContent = formatSweepLabel(cell.values);
+        tile.appendChild(label);
+        tile.addEventListener('click', () => this.promoteSweepCell(index));
+        this.dom.sweepOverlay.appendChild(tile);
+      });
+      this.dom.sweepOverlay.hidden = false;
+    }
+    this.#layoutSweep();
+    this.sweepPanel?.sync();
+    this.#drawBlobLabels();
+
+    return cells;
+  }
+
+  /**
+   * Closes the sweep view and resumes the main simulation (no-op if closed)
+   */
+  stopSweep() {
+    if (!this.sweepGrid) return;
+
+    this.sweepGrid.dispose();
+    this.sweepGrid = null;
+    this.sweepTiles = [];
+    if (this.dom.sweepOverlay) {
+      this.dom.sweepOverlay.hidden = true;
+      this.dom.sweepOverlay.innerHTML = '';
+    }
+    this.sweepPanel?.sync();
+    this.#drawBlobLabels();
+  }
+
+  /**
+   * Closes the sweep and restarts the main simulation with a tile's params
+   *
+   * The restart uses the same seed as the tiles, so the main run starts
+   * from the same kind of field the tile did.
+   *
+   * @param {number} index - Tile index (row by row)
+   * @returns {Object<string, number>} The promoted params
+   * @throws {Error} If no sweep is running or the index is out of range
+   */
+  promoteSweepCell(index) {
+    const cell = this.sweepGrid?.cells[index];
+    if (!cell) {
+      throw new Error(`No sweep tile ${index}.`);
+    }
+
+    this.stopSweep();
+    this.setParams(cell.params);
+    this.reseed(this.seed);
+    this.sweepPanel?.setStatus(`Promoted ${formatSweepLabel(cell.values)}.`);
+
+    return cell.params;
+  }
+
+  /**
+   * Moves animated params' sliders and shows the playback position
+   * (called once per rendered frame while playing)
+   * @private
+   */
+  #syncTimelineControls() {
+    if (this.timelinePlaying) {
+      Object.keys(this.timeline.tracks).forEach((key) => {
+        updateParamControl(this.rule.schema, key, this.params[key]);
+      });
+    }
+    this.timelinePanel?.showPlayback();
+  }
+
+  /**
+   * Places the tiles (and their labels) to fit the current canvas size
+   * @private
+   */
+  #layoutSweep() {
+    if (!this.sweepGrid) return;
+
+    const { columns, rows } = this.sweepShape;
+    this.sweepTiles = layoutSweepTiles(
+      this.canvasWidth,
+      this.canvasHeight,
+      columns,
+      rows,
+      SWEEP_TILE_GAP,
+    );
+
+    Array.from(this.dom.sweepOverlay?.children ?? []).forEach((tile, index) => {
+      const { x, y, size } = this.sweepTiles[index];
+      Object.assign(tile.style, {
+        left: `${x}px`,
+        top: `${y}px`,
+        width: `${size}px`,
+        height: `${size}px`,
+      });
+    });
+  }
+
+  /**
+   * Sets a single parameter and mirrors it to its controls and uniform
+   * @private
+   * @param {string} param - Parameter name
+   * @param {number|string} value - New value (parsed as float)
+   */
+  #applyParam(param, value) {
+    const numeric = parseFloat(value);
+    if (Number.isNaN(numeric)) return;
+    this.params[param] = numeric;
+    updateParamControl(this.rule.schema, param, numeric);
+
+    if (this.computeVariables.field?.material?.uniforms[param]) {
+      this.computeVariables.field.material.uniforms[param].value = numeric;
+    }
+
+    this.#schedulePermalinkUpdate();
+  }
+
+  /**
+   * Sets the simulation speed and highlights the matching button
+   * @private
+   * @param {number} speed - Steps per frame (0 = paused)
+   */
+  #setSpeed(speed) {
+    this.speedMultiplier = speed;
+    if (speed > 0) this.resumeSpeed = speed;
+    this.isPaused = speed === 0;
+    this.dom.speedButtons.forEach((btn) => {
+      btn.classList.toggle('active', parseInt(btn.dataset.speed, 10) === speed);
+    });
+    this.#schedulePermalinkUpdate();
+  }
+
+  /**
+   * Restores rule, params, grid size, speed and seed from a permalink
+   *
+   * Works both before init (nothing built yet) and at runtime, where a
+   * grid size change rebuilds the compute renderer.
+   * @private
+   * @param {string} hash - URL hash (see utils/permalink.js)
+   */
+  #applyPermalink(hash) {
+    let state;
+    try {
+      state = decodePermalink(hash);
+    } catch (error) {
+      console.warn('Ignoring permalink:', error);
+      return;
+    }
+    if (!state) return;
+
+    this.#applySettings(state);
+
+    const speeds = this.dom.speedButtons.map((btn) =>
+      parseInt(btn.dataset.speed, 10),
+    );
+    if (speeds.includes(state.speed)) {
+      this.#setSpeed(state.speed);
+    }
+  }
+
+  /**
+   * Applies rule, params, seed and grid size (from a permalink or screenshot)
+   *
+   * Params missing from `settings` fall back to the rule defaults. A new
+   * seed or size only takes effect on a fresh field, so the simulation
+   * is restarted when either changes (once init() has run).
+   * @private
+   * @param {Object} settings
+   * @param {string} [settings.ruleId] - Rule ID; unknown IDs keep the current rule
+   * @param {Object<string, number>} [settings.params] - Parameter values
+   * @param {number} [settings.seed] - RNG seed
+   * @param {number} [settings.size] - Grid size; must be one of the size options
+   * @param {Object} [options]
+   * @param {boolean} [options.restart=false] - Restart even if seed and size are unchanged
+   * @returns {import('../utils/schemaUtils.js').ParamValidationResult} Param validation report
+   */
+  #applySettings({ ruleId, params, seed, size }, { restart = false } = {}) {
+    if (getRule(ruleId)) {
+      this.setRule(ruleId);
+    }
+
+    const result = validateParams(this.rule.schema, params);
+    this.rule.schema.forEach(({ key }) => {
+      this.#applyParam(key, result.params[key] ?? this.rule.defaults[key]);
+    });
+
+    let needsReinit = restart;
+    if (Number.isInteger(seed) && seed >= 0 && seed >>> 0 !== this.seed) {
+      this.#setSeed(seed);
+      needsReinit = true;
+    }
+
+    if (SIMULATION_SIZES.includes(size) && size !== this.simulationSize) {
+      this.simulationSize = size;
+      if (this.dom.simulationSize) {
+        this.dom.simulationSize.value = String(size);
+      }
+      needsReinit = true;
+    }
+
+    if (needsReinit && this.computeRenderer) {
+      this.#reinitializeSimulation();
+    }
+
+    return result;
+  }
+
+  /**
+   * Rewrites the URL hash with the current settings (debounced)
+   * @private
+   */
+  #schedulePermalinkUpdate() {
+    clearTimeout(this.permalinkTimer);
+    this.permalinkTimer = setTimeout(() => {
+      const params = {};
+      this.rule.schema.forEach(({ key }) => {
+        params[key] = this.params[key];
+      });
+
+      const hash = encodePermalink(
+        {
+          ruleId: this.rule.id,
+          params,
+          size: this.simulationSize,
+          speed: this.speedMultiplier,
+          seed: this.seed,
+        },
+        this.rule.defaults,
+      );
+      const { pathname, search } = window.location;
+      window.history.replaceState(null, '', `${pathname}${search}#${hash}`);
+    }, PERMALINK_UPDATE_DELAY);
+  }
+
+  /**
+   * Rebuilds the parameter panel for the active rule and loads its values
+   * @private
+   */
+  #syncRuleControls() {
+    if (this.dom.ruleSelect) {
+      this.dom.ruleSelect.value = this.rule.id;
+    }
+
+    this.#buildParamControls();
+
+    this.rule.schema.forEach(({ key }) => {
+      this.#applyParam(key, this.params[key]);
+    });
+
+    this.setChartSeries(this.chartSeries);
+    this.timelinePanel?.syncRule();
+    this.sweepPanel?.syncRule();
+  }
+
+  /**
+   * Generates one control group per schema section, each holding a
+   * slider/number pair per parameter (IDs: `<key>` and `<key>Value`)
+   * @private
+   */
+  #buildParamControls() {
+    const container = this.dom.paramControls;
+    if (!container) return;
+
+    container.innerHTML = '';
+    groupSchema(this.rule.schema).forEach(({ group, entries }) => {
+      const section = document.createElement('div');
+      section.className = 'control-group';
+
+      const heading = document.createElement('h3');
+      heading.textContent = group;
+      section.appendChild(heading);
+
+      entries.forEach((entry) => {
+        section.appendChild(
+          createParamControl(entry, (value) =>
+            this.#applyParam(entry.key, value),
+          ),
+        );
+      });
+      container.appendChild(section);
+    });
+  }
+
+  /**
+   * Creates the chart, its sample store and the chart panel
+   * @private
+   */
+  #setupChart() {
+    if (!this.dom.chartCanvas) return;
+    this.chartStore = new ChartHistoryStore();
+    this.chart = new TimeSeriesChart({
+      canvas: this.dom.chartCanvas,
+      store: this.chartStore,
+    });
+    this.chartPanel = new ChartPanel({ simulation: this, dom: this.dom });
+    this.setChartSeries(this.chartSeries);
+  }
+
+  /**
+   * Records a stats sample and redraws the chart
+   * Samples are recorded while the chart is hidden too, so the history
+   * has no gaps.
+   * @private
+   * @param {Object<string, import('../utils/fieldStats.js').ChannelStats>} stats - Field stats
+   */
+  #updateChart(stats) {
+    if (!this.chart) return;
+    const sample = { ...stats };
+    if (this.spectrumEnabled && this.spectrum) {
+      const { wavelength, orientation, coherence } = this.spectrum;
+      sample.spectrum = { wavelength, orientation, coherence };
+    }
+    this.chart.record(this.simulationFrame, sample);
+    if (this.chartEnabled) this.chart.draw();
+  }
+
+  /**
+   * Bins the current field on the GPU
+   * @private
+   * @returns {Object<string, Float32Array>} Bin fractions for the rule's
+   *   energy/matter channels
+   */
+  #computeHistogram() {
+    if (!this.fieldHistogram) {
+      this.fieldHistogram = new FieldHistogram({
+        renderer: this.renderer,
+        size: this.simulationSize,
+        bins: this.histogramBins,
+      });
+    }
+    this.fieldHistogram.setBins(this.histogramBins);
+
+    const counts = this.fieldHistogram.compute(
+      this.computeRenderer.getCurrentRenderTarget(this.computeVariables.field)
+        .texture,
+      HISTOGRAM_CHANNELS.filter((name) => this.rule.channels.includes(name)),
+    );
+    return Object.fromEntries(
+      Object.entries(counts).map(([name, values]) => [
+        name,
+        normalizeHistogram(values),
+      ]),
+    );
+  }
+
+  /**
+   * Forgets the regime history, e.g. for a new run or rule
+   * @private
+   */
+  #resetRegime() {
+    this.regimeDetector.reset();
+    this.pendingRegimeAction = null;
+    this.healthySnapshot = null;
+    this.regimeFailureFrame = -1;
+    this.regimePanel?.sync();
+  }
+
+  /**
+   * Feeds a stats sample to the regime detector
+   *
+   * Announces regime changes, schedules recovery when the run turns
+   * unhealthy and, in revert mode, keeps a snapshot of the last healthy
+   * state. After a revert no snapshot is taken until the run gets further
+   * than it did before failing, so a run that fails again from the same
+   * state falls back to reseeding.
+   * @private
+   * @param {Object<string, import('../utils/fieldStats.js').ChannelStats>} stats - Field stats
+   */
+  #updateRegime(stats) {
+    const { regime, previous, changed, features } =
+      this.regimeDetector.update(stats);
+    this.regimePanel?.sync();
+
+    if (changed) {
+      this.dispatchEvent(
+        new CustomEvent('regimechange', {
+          detail: { regime, previous, frame: this.simulationFrame, features },
+        }),
+      );
+      if (this.regimeAction !== 'none' && UNHEALTHY_REGIMES.includes(regime)) {
+        this.pendingRegimeAction = this.regimeAction;
+      }
+    }
+
+    if (
+      this.regimeAction === 'revert' &&
+      regime !== null &&
+      !UNHEALTHY_REGIMES.includes(regime) &&
+      this.simulationFrame > this.regimeFailureFrame &&
+      this.simulationFrame % REGIME_SNAPSHOT_INTERVAL === 0
+    ) {
+      this.healthySnapshot = {
+        frame: this.simulationFrame,
+        field: this.computeRenderer.readVariable(this.computeVariables.field),
+        heightMap: this.computeRenderer.readVariable(
+          this.computeVariables.heightMap,
+        ),
+      };
+    }
+  }
+
+  /**
+   * Recovers from a dead or saturated run
+   *
+   * A revert only restores the field buffers: generations keep counting,
+   * so chart history, structure tracking and the timeline carry on, and
+   * the chart marks where the run was reverted.
+   * @private
+   * @param {string} action - 'reseed' or 'revert'
+   */
+  #recoverFromRegime(action) {
+    const { regime } = this.regimeDetector;
+    const failedAt = this.simulationFrame;
+    const snapshot = action === 'revert' ? this.healthySnapshot : null;
+    this.pendingRegimeAction = null;
+
+    if (snapshot) {
+      this.healthySnapshot = null; // Each snapshot is reverted to once
+      this.regimeFailureFrame = Math.max(
+        this.regimeFailureFrame,
+        failedAt + (failedAt - snapshot.frame),
+      );
+      this.computeRenderer.writeVariable(
+        this.computeVariables.field,
+        snapshot.field,
+      );
+      this.computeRenderer.writeVariable(
+        this.computeVariables.heightMap,
+        snapshot.heightMap,
+      );
+      this.#bindDisplayTextures();
+      this.chart?.mark(failedAt, `↺ ${snapshot.frame}`);
+      this.regimeDetector.reset();
+      this.regimePanel?.sync();
+      this.regimePanel?.setStatus(
+        `Run was ${regime} at generation ${failedAt}; restored the state of generation ${snapshot.frame}.`,
+      );
+      return;
+    }
+
+    const seed = deriveSeed(this.seed);
+    this.reseed(seed);
+    this.regimePanel?.setStatus(
+      `Run was ${regime} at generation ${failedAt}; reseeded with ${seed}.`,
+    );
+  }
 
-    const heightMapVariable = this.computeRenderer.addVariable(
-      'heightMap',
-      getHeightMapShader(),
-      heightMapTexture,
+  /**
+   * Runs a periodic structure analysis and publishes it
+   * @private
+   */
+  #updateBlobs() {
+    const { labels, report } = this.#analyzeBlobs(
+      this.blobOptions.tracking ? this.blobTracker : null,
     );
+    this.blobReport = report;
+    if (this.blobOptions.overlay) this.#updateBlobOverlay(labels);
+    this.structuresPanel?.showReport();
+    this.dispatchEvent(new CustomEvent('blobs', { detail: report }));
+  }
 
-    heightMapVariable.material.uniforms = {
-      fieldTexture: { value: null }, // Will be set to field's render target
-      smoothness: { value: HEIGHTMAP_SMOOTHNESS },
-      texelSize: {
-        value: new THREE.Vector2(1.0 / this.simulationSize, 1.0 / this.simulationSize),
+  /**
+   * Reads the field back and finds its structures
+   * @private
+   * @param {BlobTracker|null} tracker - Assigns persistent IDs, if given
+   * @returns {{labels: Int32Array,
+   *   report: import('../utils/blobs.js').BlobReport}} Label map and analysis
+   */
+  #analyzeBlobs(tracker) {
+    const { channel, threshold, minSize } = this.blobOptions;
+    const size = this.simulationSize;
+    const index = FIELD_CHANNELS.indexOf(channel);
+    const values = splitChannels(
+      this.computeRenderer.readVariable(this.computeVariables.field),
+      index + 1,
+    )[index];
+
+    const { labels, blobs } = findBlobs(values, size, { threshold, minSize });
+    const tracked = tracker
+      ? tracker.update(blobs)
+      : { blobs, born: null, died: null };
+
+    return {
+      labels,
+      report: {
+        frame: this.simulationFrame,
+        channel,
+        threshold,
+        ...summarizeBlobs(blobs, size * size),
+        born: tracked.born,
+        died: tracked.died,
+        blobs: tracked.blobs,
       },
     };
+  }
 
-    this.computeRenderer.setVariableDependencies(heightMapVariable, [
-      fieldVariable,
-      heightMapVariable,
-    ]);
-    this.computeVariables.heightMap = heightMapVariable;
+  /**
+   * Forgets structure IDs and the latest analysis, e.g. for a new run
+   * @private
+   */
+  #resetBlobs() {
+    this.blobTracker.reset();
+    this.blobReport = null;
+    this.#hideBlobOverlay();
+    this.structuresPanel?.showReport();
+  }
 
-    const error = this.computeRenderer.init();
-    if (error !== null) {
-      console.error(error);
+  /**
+   * Uploads structure outlines to the overlay texture and shows it
+   * The overlay is a transparent plane over the display mesh, drawn
+   * without depth test so terrain peaks do not hide it.
+   * @private
+   * @param {Int32Array} labels - Label map of the latest analysis
+   */
+  #updateBlobOverlay(labels) {
+    const size = this.simulationSize;
+    if (this.blobOverlayMesh?.material.map.image.width !== size) {
+      this.#disposeBlobOverlay();
+
+      const texture = new THREE.DataTexture(
+        new Uint8Array(size * size * 4),
+        size,
+        size,
+        THREE.RGBAFormat,
+      );
+      texture.magFilter = THREE.NearestFilter;
+      texture.minFilter = THREE.NearestFilter;
+      this.blobOverlayMesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(2, 2),
+        new THREE.MeshBasicMaterial({
+          map: texture,
+          transparent: true,
+          depthTest: false,
+          depthWrite: false,
+        }),
+      );
+      this.blobOverlayMesh.renderOrder = 1;
+      this.scene.add(this.blobOverlayMesh);
     }
+
+    const texture = this.blobOverlayMesh.material.map;
+    texture.image.data.set(
+      outlineBlobs(
+        labels,
+        size,
+        this.blobReport.blobs.map(({ id }) => id),
+      ),
+    );
+    texture.needsUpdate = true;
+    this.blobOverlayMesh.visible = true;
+    this.#drawBlobLabels();
   }
 
-  #setupDisplay() {
-    // High-resolution mesh for 3D terrain effect
-    // Each vertex corresponds to a simulation grid cell
-    const geometry = new THREE.PlaneGeometry(
-      2,
-      2,
-      DISPLAY_MESH_RESOLUTION,
-      DISPLAY_MESH_RESOLUTION
-    );
-
-    this.material = new THREE.ShaderMaterial({
-      uniforms: {
-        fieldTexture: { value: null }, // Original energy for color
-        heightMapTexture: { value: null }, // Smoothed height for displacement
-        displacementScale: { value: DISPLACEMENT_SCALE },
-        texelSize: { value: 1.0 / this.simulationSize },
-      },
-      vertexShader: getDisplayVertexShader(),
-      fragmentShader: getDisplayFragmentShader(),
-    });
+  /**
+   * Hides the structure overlay until the next analysis
+   * @private
+   */
+  #hideBlobOverlay() {
+    if (this.blobOverlayMesh) this.blobOverlayMesh.visible = false;
+    this.#drawBlobLabels();
+  }
 
-    const mesh = new THREE.Mesh(geometry, this.material);
-    this.scene.add(mesh);
+  /**
+   * Frees the overlay mesh and texture
+   * @private
+   */
+  #disposeBlobOverlay() {
+    if (!this.blobOverlayMesh) return;
+    this.scene.remove(this.blobOverlayMesh);
+    this.blobOverlayMesh.geometry.dispose();
+    this.blobOverlayMesh.material.map.dispose();
+    this.blobOverlayMesh.material.dispose();
+    this.blobOverlayMesh = null;
   }
 
-  #setupControls() {
-    if (this.dom.toggleControls) {
-      this.dom.toggleControls.addEventListener('click', () => {
-        const isCollapsed = this.dom.controls.classList.toggle('collapsed');
-        this.dom.toggleControls.classList.toggle('collapsed', isCollapsed);
-        this.dom.toggleControls.textContent = isCollapsed ? '→' : '←';
+  /**
+   * Writes the IDs of the largest structures next to their centroids
+   * Centroids are projected through the camera onto the field plane, so
+   * labels follow the view. Hidden with the overlay and during sweeps.
+   * @private
+   */
+  #drawBlobLabels() {
+    const canvas = this.dom.blobLabels;
+    if (!canvas) return;
+    const visible =
+      Boolean(this.blobOverlayMesh?.visible) &&
+      this.blobReport !== null &&
+      !this.sweepGrid;
+    canvas.hidden = !visible;
+    if (!visible) return;
+
+    canvas.width = this.canvasWidth;
+    canvas.height = this.canvasHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.font = 'bold 11px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+
+    const point = new THREE.Vector3();
+    [...this.blobReport.blobs]
+      .sort((a, b) => b.size - a.size)
+      .slice(0, BLOB_LABEL_LIMIT)
+      .forEach(({ id, x, y }) => {
+        point.set(x * 2 - 1, y * 2 - 1, 0).project(this.camera);
+        const screenX = ((point.x + 1) / 2) * canvas.width;
+        const screenY = ((1 - point.y) / 2) * canvas.height;
+        const [r, g, b] = blobColor(id);
+        ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+        ctx.strokeText(String(id), screenX, screenY);
+        ctx.fillText(String(id), screenX, screenY);
       });
-    }
-
-    PARAM_CONTROL_IDS.forEach((param) => {
-      const slider = document.getElementById(param);
-      const input = document.getElementById(`${param}Value`);
-      if (!slider || !input) return;
-
-      const updateValue = (value) => {
-        const numeric = parseFloat(value);
-        if (Number.isNaN(numeric)) return;
-        this.params[param] = numeric;
-        slider.value = numeric;
-        input.value = numeric;
-
-        if (this.computeVariables.field?.material?.uniforms[param]) {
-          this.computeVariables.field.material.uniforms[param].value = numeric;
-        }
-      };
+  }
 
-      updateValue(this.params[param]);
+  /**
+   * Reads the energy channel back from the GPU
+   * @private
+   * @returns {Float32Array} size × size energies, row 0 at the bottom
+   */
+  #readEnergy() {
+    const [energy] = splitChannels(
+      this.computeRenderer.readVariable(this.computeVariables.field),
+      1,
+    );
+    return energy;
+  }
 
-      slider.addEventListener('input', (event) =>
-        updateValue(event.target.value),
-      );
-      input.addEventListener('input', (event) =>
-        updateValue(event.target.value),
-      );
-      slider.addEventListener('wheel', (event) => {
-        event.preventDefault();
-        const step = parseFloat(slider.step) || 0.01;
-        const delta = event.deltaY > 0 ? -step : step;
-        const nextValue = Math.max(
-          parseFloat(slider.min),
-          Math.min(
-            parseFloat(slider.max),
-            parseFloat(slider.value) + delta * 10,
-          ),
+  /**
+   * Sends the current energy channel to the spectrum worker
+   *
+   * Skipped while the previous analysis is still running. The result
+   * arrives a few frames later and is stamped with the generation it was
+   * taken at; results from before a reset are dropped.
+   * @private
+   */
+  #requestSpectrum() {
+    if (!this.spectrumAnalyzer || this.spectrumAnalyzer.busy) return;
+
+    const frame = this.simulationFrame;
+    const run = this.spectrumRun;
+    this.spectrumAnalyzer
+      .analyze(this.#readEnergy(), this.simulationSize)
+      .then((result) => {
+        if (!result || run !== this.spectrumRun) return;
+        this.spectrum = { frame, ...result };
+        this.spectrumPanel?.showResult();
+        this.dispatchEvent(
+          new CustomEvent('spectrum', { detail: this.spectrum }),
         );
-        updateValue(nextValue);
+      })
+      .catch((error) => {
+        console.error('Spectrum analysis failed:', error);
+        this.spectrumPanel?.setStatus(error.message, true);
       });
-    });
+  }
 
-    this.dom.speedButtons.forEach((button) => {
-      button.addEventListener('click', () => {
-        this.dom.speedButtons.forEach((btn) => btn.classList.remove('active'));
-        button.classList.add('active');
-        this.speedMultiplier = parseInt(button.dataset.speed, 10);
-        this.isPaused = this.speedMultiplier === 0;
-      });
+  /**
+   * Forgets the latest spectrum, e.g. for a new run
+   * @private
+   */
+  #resetSpectrum() {
+    this.spectrumRun++;
+    this.spectrum = null;
+    this.spectrumPanel?.showResult();
+  }
+
+  /**
+   * Wires the canvas for mouse, pen and touch (Pointer Events):
+   * - dragging paints with the brush; pen pressure scales its strength
+   *   and every finger paints its own stroke
+   * - Alt+drag orbits and tilts the camera, Alt+Shift+drag or a
+   *   middle-button drag pans it and the wheel zooms; other buttons
+   *   (context menu, pen barrel or eraser) do nothing
+   * - two fingers landing together pinch to zoom and drag to pan
+   * - palms and touches while a pen is down are ignored; the canvas has
+   *   touch-action: none, so the page does not scroll under a stroke
+   * @private
+   */
+  #setupInteraction() {
+    const { canvas } = this.dom;
+
+    canvas.addEventListener('pointerdown', (event) => {
+      const action =
+        event.pointerType === 'touch' ? 'touch' : pressAction(event);
+      if (action === 'ignore') return;
+
+      const pointer = {
+        type: event.pointerType,
+        mode: 'stroke', // stroke, pending, gesture, orbit, pan or ignored
+        x: event.clientX,
+        y: event.clientY,
+        down: event,
+        stroke: null, // {start, last, pressure} while painting
+        timer: null,
+      };
+      this.pointers.set(event.pointerId, pointer);
+      canvas.setPointerCapture(event.pointerId);
+
+      if (action === 'touch') {
+        this.#pressTouch(pointer);
+      } else if (action === 'paint') {
+        this.#beginStroke(pointer, event);
+      } else {
+        event.preventDefault(); // No text selection or middle-click scroll
+        pointer.mode = action;
+      }
     });
 
-    this.dom.modeButtons.forEach((button) => {
-      button.addEventListener('click', () => {
-        this.dom.modeButtons.forEach((btn) => btn.classList.remove('active'));
-        button.classList.add('active');
-        const mode = button.dataset.mode;
-        if (INTERACTION_MODES.includes(mode)) {
-          this.interactionMode = mode;
+    canvas.addEventListener('pointermove', (event) => {
+      const pointer = this.pointers.get(event.pointerId);
+      if (!pointer) return;
+
+      if (pointer.mode === 'orbit' || pointer.mode === 'pan') {
+        this.#dragCamera(pointer, event);
+      } else if (pointer.mode === 'gesture') {
+        this.#moveGesture(pointer, event);
+      } else if (pointer.mode === 'pending') {
+        const moved = Math.hypot(
+          event.clientX - pointer.x,
+          event.clientY - pointer.y,
+        );
+        if (moved > TOUCH_SLOP) {
+          clearTimeout(pointer.timer);
+          this.#beginStroke(pointer, pointer.down);
+          this.#continueStroke(pointer, event);
         }
-      });
+      } else if (pointer.mode === 'stroke') {
+        this.#continueStroke(pointer, event);
+      }
     });
 
-    if (this.dom.savePreset) {
-      this.dom.savePreset.addEventListener('click', () => {
-        try {
-          const preset = JSON.stringify(this.params);
-          localStorage.setItem('energyLifePreset', preset);
-          alert('Preset saved!');
-        } catch (error) {
-          console.error('Failed to save preset:', error);
-          if (error.name === 'QuotaExceededError') {
-            alert('Storage quota exceeded. Cannot save preset.');
-          } else {
-            alert('Failed to save preset. Check console for details.');
-          }
-        }
-      });
-    }
+    const releasePointer = (event) => {
+      const pointer = this.pointers.get(event.pointerId);
+      if (!pointer) return;
+      this.pointers.delete(event.pointerId);
+      clearTimeout(pointer.timer);
 
-    if (this.dom.loadPreset) {
-      this.dom.loadPreset.addEventListener('click', () => {
-        try {
-          const preset = localStorage.getItem('energyLifePreset');
-          if (!preset) {
-            alert('No saved preset found.');
-            return;
-          }
-
-          const loaded = JSON.parse(preset);
-          Object.keys(loaded).forEach((key) => {
-            if (!(key in this.params)) return;
-            this.params[key] = loaded[key];
-            const slider = document.getElementById(key);
-            const input = document.getElementById(`${key}Value`);
-            if (slider && input) {
-              slider.value = loaded[key];
-              input.value = loaded[key];
-            }
-            if (this.computeVariables.field?.material?.uniforms[key]) {
-              this.computeVariables.field.material.uniforms[key].value =
-                loaded[key];
-            }
-          });
-          alert('Preset loaded!');
-        } catch (error) {
-          console.error('Failed to load preset:', error);
-          alert('Failed to load preset. It may be corrupted.');
-        }
-      });
-    }
+      if (pointer.mode === 'gesture') {
+        // The other finger stays down but no longer moves the camera
+        this.pointers.forEach((other) => {
+          if (other.mode === 'gesture') other.mode = 'ignored';
+        });
+      } else if (pointer.mode === 'stroke') {
+        this.#endStroke();
+      }
+    };
 
-    if (this.dom.simulationSize) {
-      this.dom.simulationSize.addEventListener('change', (event) => {
-        const newSize = parseInt(event.target.value, 10);
-        if (newSize === this.simulationSize) return;
+    canvas.addEventListener('pointerup', releasePointer);
+    canvas.addEventListener('pointercancel', releasePointer);
 
-        this.simulationSize = newSize;
-        this.#reinitializeSimulation();
-      });
-    }
+    canvas.addEventListener(
+      'wheel',
+      (event) => {
+        event.preventDefault();
+        if (event.deltaY === 0) return;
+        this.setCamera(
+          zoomPose(
+            this.cameraPose,
+            event.deltaY < 0 ? CAMERA_ZOOM_STEP : 1 / CAMERA_ZOOM_STEP,
+          ),
+        );
+      },
+      { passive: false },
+    );
   }
 
-  #setupChart() {
-    if (!this.dom.chartCanvas) return;
-    this.chartCtx = this.dom.chartCanvas.getContext('2d');
-    this.dom.chartCanvas.width = CHART_CANVAS_WIDTH;
-    this.dom.chartCanvas.height = CHART_CANVAS_HEIGHT;
-
-    // Setup chart toggle button
-    if (this.dom.toggleChart) {
-      this.dom.toggleChart.addEventListener('click', () => {
-        this.chartEnabled = !this.chartEnabled;
-        this.dom.toggleChart.classList.toggle('active', this.chartEnabled);
-        this.dom.chartCanvas.style.display = this.chartEnabled
-          ? 'block'
-          : 'none';
-      });
+  /**
+   * Sorts out a new touch: palms and touches while a pen or a gesture
+   * is down are ignored, a second finger landing while the first still
+   * waits starts a camera gesture, and a lone finger paints once it
+   * moves or TOUCH_GESTURE_DELAY passes
+   * @private
+   * @param {Object} pointer - The touch's entry in this.pointers
+   */
+  #pressTouch(pointer) {
+    const others = Array.from(this.pointers.values()).filter(
+      (other) => other !== pointer,
+    );
+    if (
+      isPalm(pointer.down) ||
+      others.some((other) => other.type === 'pen' || other.mode === 'gesture')
+    ) {
+      pointer.mode = 'ignored';
+      return;
     }
-  }
 
-  #updateChart(avgEnergy) {
-    if (!this.chartCtx) return;
-    this.chartHistory.push(avgEnergy);
-    if (this.chartHistory.length > CHART_HISTORY_LENGTH) {
-      this.chartHistory.shift();
+    const partner = others.find((other) => other.mode === 'pending');
+    if (partner) {
+      clearTimeout(partner.timer);
+      partner.mode = 'gesture';
+      pointer.mode = 'gesture';
+      return;
     }
 
-    const { width, height } = this.chartCtx.canvas;
-    this.chartCtx.fillStyle = 'rgba(0, 0, 0, 0.1)';
-    this.chartCtx.fillRect(0, 0, width, height);
-
-    this.chartCtx.strokeStyle = '#00ffcc';
-    this.chartCtx.lineWidth = 2;
-    this.chartCtx.beginPath();
-
-    // Downsample for performance: draw every Nth point
-    const step = CHART_DOWNSAMPLE_FACTOR;
-    for (let i = 0; i < this.chartHistory.length; i += step) {
-      const x = (i / CHART_HISTORY_LENGTH) * width;
-      const y = height - this.chartHistory[i] * height * 2;
-      if (i === 0) {
-        this.chartCtx.moveTo(x, y);
-      } else {
-        this.chartCtx.lineTo(x, y);
-      }
-    }
+    pointer.mode = 'pending';
+    pointer.timer = setTimeout(() => {
+      if (pointer.mode === 'pending') this.#beginStroke(pointer, pointer.down);
+    }, TOUCH_GESTURE_DELAY);
+  }
 
-    this.chartCtx.stroke();
+  /**
+   * Plane units per canvas pixel at the camera target
+   * @private
+   * @returns {number} Scale for panPose()
+   */
+  #unitsPerPixel() {
+    const { halfHeight } = cameraView(
+      this.cameraPose,
+      CAMERA_FOV,
+      this.canvasWidth / this.canvasHeight,
+    );
+    return (2 * halfHeight) / this.canvasHeight;
+  }
 
-    this.chartCtx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-    this.chartCtx.lineWidth = 0.5;
-    for (let i = 0; i <= CHART_GRID_DIVISIONS; i++) {
-      const y = (i / CHART_GRID_DIVISIONS) * height;
-      this.chartCtx.beginPath();
-      this.chartCtx.moveTo(0, y);
-      this.chartCtx.lineTo(width, y);
-      this.chartCtx.stroke();
+  /**
+   * Orbits or pans the camera by the pointer movement since the last event
+   * @private
+   * @param {Object} pointer - The dragging pointer's entry in this.pointers
+   * @param {PointerEvent} event - Pointer move
+   */
+  #dragCamera(pointer, event) {
+    const dx = event.clientX - pointer.x;
+    const dy = event.clientY - pointer.y;
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+
+    if (pointer.mode === 'pan') {
+      this.setCamera(panPose(this.cameraPose, dx, dy, this.#unitsPerPixel()));
+    } else {
+      this.setCamera(orbitPose(this.cameraPose, dx, dy));
     }
   }
 
-  #setupInteraction() {
-    this.dom.canvas.addEventListener('mousedown', (event) => {
-      this.isMouseDown = true;
-      this.#updateMousePos(event);
-    });
-
-    this.dom.canvas.addEventListener('mousemove', (event) => {
-      if (this.isMouseDown) {
-        this.#updateMousePos(event);
-      }
-    });
-
-    const endInteraction = () => {
-      this.isMouseDown = false;
-      clearTexture(this.interactionTexture);
-      this.#updateInteractionTexture();
-    };
-
-    this.dom.canvas.addEventListener('mouseup', endInteraction);
-    this.dom.canvas.addEventListener('mouseleave', endInteraction);
+  /**
+   * Pinches and pans the camera as one of the two gesture fingers moves
+   * @private
+   * @param {Object} pointer - The moving finger's entry in this.pointers
+   * @param {PointerEvent} event - Pointer move
+   */
+  #moveGesture(pointer, event) {
+    const fingers = Array.from(this.pointers.values()).filter(
+      ({ mode }) => mode === 'gesture',
+    );
+    const before = fingers.map(({ x, y }) => ({ x, y }));
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+    if (fingers.length !== 2) return;
+
+    const { zoom, dx, dy } = twoFingerGesture(
+      before,
+      fingers.map(({ x, y }) => ({ x, y })),
+    );
+    const zoomed = zoomPose(this.cameraPose, zoom);
+    this.setCamera(panPose(zoomed, dx, dy, this.#unitsPerPixel()));
   }
 
   #setupKeyboard() {
     document.addEventListener('keydown', (event) => {
       if (event.code === 'Space') {
         event.preventDefault();
-        this.isPaused = !this.isPaused;
-        this.speedMultiplier = this.isPaused ? 0 : 1;
-        this.dom.speedButtons.forEach((btn) => {
-          btn.classList.toggle(
-            'active',
-            parseInt(btn.dataset.speed, 10) === this.speedMultiplier,
-          );
-        });
+        if (this.isPaused) {
+          this.resume();
+        } else {
+          this.pause();
+        }
       } else if (event.code === 'Digit2') {
         event.preventDefault();
-        this.isPaused = false;
-        this.speedMultiplier = 2;
-        this.dom.speedButtons.forEach((btn) => {
-          btn.classList.toggle(
-            'active',
-            parseInt(btn.dataset.speed, 10) === this.speedMultiplier,
-          );
-        });
+        this.#setSpeed(2);
       } else if (event.code === 'Digit3') {
         event.preventDefault();
-        this.isPaused = false;
-        this.speedMultiplier = 5;
-        this.dom.speedButtons.forEach((btn) => {
-          btn.classList.toggle(
-            'active',
-            parseInt(btn.dataset.speed, 10) === this.speedMultiplier,
-          );
-        });
+        this.#setSpeed(5);
       }
     });
   }
@@ -695,10 +3295,9 @@ export class EnergyLifeSimulation {
       this.dom.container.style.height = `${this.canvasHeight}px`;
       this.renderer.setSize(this.canvasWidth, this.canvasHeight);
 
-      // Update camera aspect ratio and refit to screen
-      this.camera.aspect = this.canvasWidth / this.canvasHeight;
-      this.camera.updateProjectionMatrix();
-      this.#fitCameraToScreen();
+      // Refit the camera to the new aspect ratio
+      this.#applyCamera();
+      this.#layoutSweep();
     });
 
     document.addEventListener('mouseup', () => {
@@ -707,22 +3306,163 @@ export class EnergyLifeSimulation {
     });
   }
 
-  #updateMousePos(event) {
+  /**
+   * Finds the field point under the pointer by casting a ray from the
+   * camera onto the plane, so any camera pose maps correctly
+   * @private
+   * @param {PointerEvent} event - Pointer event over the canvas
+   * @returns {{x: number, y: number}|null} Field coordinates, or null
+   *   off the plane
+   */
+  #fieldPoint(event) {
     const rect = this.dom.canvas.getBoundingClientRect();
-    this.mousePos.x = (event.clientX - rect.left) / rect.width;
-    this.mousePos.y = 1.0 - (event.clientY - rect.top) / rect.height;
+    const pointer = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      1 - ((event.clientY - rect.top) / rect.height) * 2,
+    );
+    this.raycaster.setFromCamera(pointer, this.camera);
+    return planeUv(this.raycaster.ray.origin, this.raycaster.ray.direction);
+  }
+
+  /**
+   * Starts painting: stamps the brush under the pointer
+   * Stamps act on the steps up to the next #refreshStrokes().
+   * @private
+   * @param {Object} pointer - The pointer's entry in this.pointers
+   * @param {PointerEvent} event - Press over the canvas
+   */
+  #beginStroke(pointer, event) {
+    const point = this.#fieldPoint(event);
+    pointer.mode = 'stroke';
+    pointer.stroke = {
+      start: point,
+      last: point,
+      pressure: brushPressure(event),
+    };
+    if (!point) return;
+
+    if (this.brush.shape === 'line') {
+      this.#redrawLines();
+    } else {
+      this.brushRenderer.stamp(
+        [point],
+        this.#pressedBrush(pointer.stroke.pressure),
+      );
+    }
+  }
+
+  /**
+   * Extends a stroke to the pointer, stamping the gap since the last
+   * sample; the line shape redraws straight lines from the press points
+   * instead. Leaving the plane breaks the stroke until it comes back.
+   * @private
+   * @param {Object} pointer - The pointer's entry in this.pointers
+   * @param {PointerEvent} event - Move over the canvas
+   */
+  #continueStroke(pointer, event) {
+    const { stroke } = pointer;
+    const point = this.#fieldPoint(event);
+    if (!point) {
+      stroke.last = null;
+      return;
+    }
+
+    stroke.pressure = brushPressure(event);
+    if (this.brush.shape === 'line') {
+      stroke.start ??= point;
+      stroke.last = point;
+      this.#redrawLines();
+    } else {
+      const spacing = stampSpacing(this.brush.radius, this.simulationSize);
+      this.brushRenderer.stamp(
+        strokeStamps(stroke.last, point, spacing),
+        this.#pressedBrush(stroke.pressure),
+      );
+      stroke.last = point;
+    }
+  }
+
+  /**
+   * Finishes a stroke. Its last segment still acts on the next steps
+   * (so a quick tap paints), then #refreshStrokes() drops it; lines are
+   * redrawn without it right away.
+   * @private
+   */
+  #endStroke() {
+    if (this.brush.shape === 'line') this.#redrawLines();
+  }
+
+  /**
+   * Starts the next step batch with only the brush under each pointer
+   *
+   * Called after every batch of steps: clears the interaction target and
+   * stamps each stroke at its current point, so a held pointer keeps
+   * acting on the cells under it while its trail stops. Moves until the
+   * next batch add only their new segment (last → current). Lines are
+   * redrawn whole instead.
+   * @private
+   */
+  #refreshStrokes() {
+    const strokes = Array.from(this.pointers.values()).filter(
+      ({ mode, stroke }) => mode === 'stroke' && stroke.last,
+    );
+    if (strokes.length === 0 && !this.brushRenderer.painted) return;
+
+    if (this.brush.shape === 'line') {
+      this.#redrawLines();
+      return;
+    }
+    this.brushRenderer.clear();
+    strokes.forEach(({ stroke }) => {
+      this.brushRenderer.stamp(
+        [stroke.last],
+        this.#pressedBrush(stroke.pressure),
+      );
+    });
+  }
+
+  /**
+   * Redraws every line stroke from its press point to its pointer
+   * @private
+   */
+  #redrawLines() {
+    const spacing = stampSpacing(this.brush.radius, this.simulationSize);
+    this.brushRenderer.clear();
+    this.pointers.forEach(({ mode, stroke }) => {
+      if (mode !== 'stroke' || !stroke.start || !stroke.last) return;
+      this.brushRenderer.stamp(
+        [stroke.start, ...strokeStamps(stroke.start, stroke.last, spacing)],
+        this.#pressedBrush(stroke.pressure),
+      );
+    });
+  }
+
+  /**
+   * The brush with its strength scaled by pen pressure
+   * @private
+   * @param {number} pressure - Multiplier from brushPressure()
+   * @returns {import('../utils/brush.js').Brush} Brush to stamp with
+   */
+  #pressedBrush(pressure) {
+    return { ...this.brush, strength: this.brush.strength * pressure };
   }
 
-  #computeAverage(fieldTexture) {
+  /**
+   * Reduces the field to per-channel mean, min, max and variance
+   *
+   * All statistics come out of one chain of downsample passes (see
+   * shaders/downsample.frag); only the final 4 × 1 texels are read back.
+   * @private
+   * @param {THREE.Texture} fieldTexture - Current field texture
+   * @returns {Object<string, import('../utils/fieldStats.js').ChannelStats>}
+   *   Stats for energy, matter and attention
+   */
+  #computeFieldStats(fieldTexture) {
     this.#ensureDownsamplePipeline();
 
     let currentTexture = fieldTexture;
     for (const pass of this.downsamplePasses) {
       pass.material.uniforms.inputTexture.value = currentTexture;
-      pass.material.uniforms.texelSize.value.set(
-        1 / pass.inputSize,
-        1 / pass.inputSize,
-      );
       this.downsampleMesh.material = pass.material;
       this.renderer.setRenderTarget(pass.renderTarget);
       this.renderer.render(this.downsampleScene, this.downsampleCamera);
@@ -735,14 +3475,20 @@ export class EnergyLifeSimulation {
       lastPass.renderTarget,
       0,
       0,
+      4,
       1,
-      1,
-      this.averageBuffer,
+      this.statsBuffer,
     );
 
-    return this.averageBuffer[0];
+    return unpackFieldStats(this.statsBuffer);
   }
 
+  /**
+   * Builds the reduction passes for the current grid size (once)
+   * Each pass halves the grid; its target is four blocks wide, one per
+   * statistic.
+   * @private
+   */
   #ensureDownsamplePipeline() {
     if (this.downsamplePasses.length > 0) {
       return;
@@ -757,25 +3503,30 @@ export class EnergyLifeSimulation {
     );
     this.downsampleScene.add(this.downsampleMesh);
 
-    let size = SIMULATION_SIZE;
+    let size = this.simulationSize;
     while (size > 1) {
       const outputSize = Math.max(1, size >> 1);
-      const renderTarget = new THREE.WebGLRenderTarget(outputSize, outputSize, {
-        minFilter: THREE.NearestFilter,
-        magFilter: THREE.NearestFilter,
-        format: THREE.RGBAFormat,
-        type: THREE.FloatType,
-      });
+      const renderTarget = new THREE.WebGLRenderTarget(
+        outputSize * 4,
+        outputSize,
+        {
+          minFilter: THREE.NearestFilter,
+          magFilter: THREE.NearestFilter,
+          format: THREE.RGBAFormat,
+          type: THREE.FloatType,
+        },
+      );
       renderTarget.texture.wrapS = THREE.ClampToEdgeWrapping;
       renderTarget.texture.wrapT = THREE.ClampToEdgeWrapping;
 
       const material = new THREE.ShaderMaterial({
         uniforms: {
           inputTexture: { value: null },
-          texelSize: { value: new THREE.Vector2(1 / size, 1 / size) },
+          inputSize: { value: size },
+          packedInput: { value: this.downsamplePasses.length > 0 },
         },
-        vertexShader: `void main() { gl_Position = vec4(position, 1.0); }`,
-        fragmentShader: getDownsampleFragmentShader(),
+        vertexShader: getShader(SHADER_FILES.passThroughVertex),
+        fragmentShader: getShader(SHADER_FILES.downsample),
       });
 
       this.downsamplePasses.push({
@@ -788,38 +3539,45 @@ export class EnergyLifeSimulation {
       size = outputSize;
     }
 
-    this.averageBuffer = new Float32Array(4);
+    this.statsBuffer = new Float32Array(16);
   }
 
-  #updateInteractionTexture() {
-    if (this.isMouseDown) {
-      updateInteractionTexture(
-        this.interactionTexture,
-        this.mousePos,
-        this.interactionMode,
-        this.simulationSize,
-        INTERACTION_RADIUS,
-      );
-    }
-
-    if (this.computeVariables.field) {
-      this.computeVariables.field.material.uniforms.interactionTexture.value =
-        this.interactionTexture;
-    }
+  /**
+   * Frees the downsample passes; they are rebuilt on next use
+   * @private
+   */
+  #disposeDownsamplePipeline() {
+    this.downsamplePasses.forEach((pass) => {
+      pass.renderTarget.dispose();
+      pass.material.dispose();
+    });
+    this.downsamplePasses = [];
   }
 
-  #updateAverageEnergy(average) {
+  /**
+   * Shows fresh field stats in the info bar and feeds the chart
+   * @private
+   * @param {Object<string, import('../utils/fieldStats.js').ChannelStats>} stats - Field stats
+   */
+  #updateFieldStats(stats) {
+    this.fieldStats = stats;
     if (this.dom.avgLabel) {
-      this.dom.avgLabel.textContent = `Avg: ${average.toFixed(3)}`;
+      this.dom.avgLabel.textContent = `Avg: ${stats.energy.mean.toFixed(3)}`;
+    }
+    if (this.dom.fieldStatsLabel) {
+      this.dom.fieldStatsLabel.textContent = formatFieldStats(
+        stats,
+        this.rule.channels,
+      );
     }
 
-    // Only update chart if enabled and throttle counter reached
-    if (this.chartEnabled) {
-      this.chartUpdateCounter++;
-      if (this.chartUpdateCounter >= CHART_UPDATE_THROTTLE) {
-        this.#updateChart(average);
-        this.chartUpdateCounter = 0;
-      }
+    // Record a chart sample (and refresh the histogram) when the throttle
+    // counter is reached
+    this.chartUpdateCounter++;
+    if (this.chartUpdateCounter >= CHART_UPDATE_THROTTLE) {
+      this.#updateChart(stats);
+      this.histogramPanel?.update();
+      this.chartUpdateCounter = 0;
     }
   }
 
@@ -844,7 +3602,19 @@ export class EnergyLifeSimulation {
     }
 
     // Clear chart history
-    this.chartHistory = [];
+    this.chart?.clear();
+    this.simulationFrame = 0;
+    this.timelineOrigin = 0;
+    this.#disposeDownsamplePipeline(); // Sized to the grid
+    this.#resetRegime();
+    this.#resetBlobs();
+    this.#resetSpectrum();
+    this.fieldHistogram?.dispose();
+    this.fieldHistogram = null;
+    this.pointers.forEach((pointer) => clearTimeout(pointer.timer));
+    this.pointers.clear(); // Strokes in progress end with the old grid
+    this.brushRenderer.dispose(); // Sized to the grid
+    this.#schedulePermalinkUpdate();
 
     // Reinitialize compute renderer with new size
     this.#initComputeRenderer();
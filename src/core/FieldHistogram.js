@@ -0,0 +1,170 @@
+/**
+ * Field Histogram
+ *
+ * Counts field values per bin on the GPU. Every sampled texel is drawn
+ * as a single point that the vertex shader moves to its bin; additive
+ * blending sums the points, so the bins × 2 float target ends up holding
+ * the counts (row 0 energy, row 1 matter). Only that small target is
+ * read back. Float blending (EXT_float_blend) is required; half floats
+ * would lose counts above 2048, so there is no fallback.
+ *
+ * Fields larger than HISTOGRAM_SAMPLE_SIZE are sampled on a strided grid.
+ *
+ * @class
+ */
+
+import { HISTOGRAM_SAMPLE_SIZE } from '../config/constants.js';
+import { getShader, SHADER_FILES } from '../utils/shaderLoader.js';
+import {
+  HISTOGRAM_CHANNELS,
+  createSamplePositions,
+  unpackHistogram,
+} from '../utils/histogram.js';
+
+const THREE = window.THREE;
+
+export class FieldHistogram {
+  /**
+   * Creates the histogram pass
+   *
+   * @param {Object} options
+   * @param {THREE.WebGLRenderer} options.renderer - Renderer owning the field
+   * @param {number} options.size - Field grid size
+   * @param {number} options.bins - Number of bins
+   * @throws {Error} If the GPU cannot blend into float targets
+   */
+  constructor({ renderer, size, bins }) {
+    if (!FieldHistogram.isSupported(renderer)) {
+      throw new Error(
+        'The histogram needs float blending (EXT_float_blend), which this GPU does not support',
+      );
+    }
+    this.renderer = renderer;
+    this.size = size;
+    this.bins = bins;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      'position',
+      new THREE.BufferAttribute(
+        createSamplePositions(size, HISTOGRAM_SAMPLE_SIZE),
+        2,
+      ),
+    );
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        fieldTexture: { value: null },
+        bins: { value: bins },
+        channel: { value: 0 },
+      },
+      vertexShader: getShader(SHADER_FILES.histogramVertex),
+      fragmentShader: getShader(SHADER_FILES.histogramFragment),
+      blending: THREE.CustomBlending,
+      blendEquation: THREE.AddEquation,
+      blendSrc: THREE.OneFactor,
+      blendDst: THREE.OneFactor,
+      depthTest: false,
+      depthWrite: false,
+    });
+
+    this.points = new THREE.Points(geometry, this.material);
+    this.points.frustumCulled = false; // Positions are texture coordinates
+    this.scene = new THREE.Scene();
+    this.scene.add(this.points);
+    this.camera = new THREE.Camera();
+
+    this.#createTarget();
+  }
+
+  /**
+   * Checks whether a renderer can compute histograms
+   *
+   * @param {THREE.WebGLRenderer} renderer - Renderer owning the field
+   * @returns {boolean} True if float targets can blend (EXT_float_blend)
+   */
+  static isSupported(renderer) {
+    return renderer.extensions.has('EXT_float_blend');
+  }
+
+  /**
+   * Changes the number of bins
+   *
+   * @param {number} bins - Number of bins
+   */
+  setBins(bins) {
+    if (bins === this.bins) return;
+    this.bins = bins;
+    this.material.uniforms.bins.value = bins;
+    this.renderTarget.dispose();
+    this.#createTarget();
+  }
+
+  /**
+   * Counts the values of a field texture
+   *
+   * @param {THREE.Texture} fieldTexture - Current field texture
+   * @param {Array<string>} [channels=HISTOGRAM_CHANNELS] - Channels to count
+   * @returns {Object<string, Float32Array>} Counts per channel name
+   */
+  compute(fieldTexture, channels = HISTOGRAM_CHANNELS) {
+    const renderer = this.renderer;
+    const clearColor = renderer.getClearColor(new THREE.Color());
+    const clearAlpha = renderer.getClearAlpha();
+    const autoClear = renderer.autoClear;
+
+    renderer.setRenderTarget(this.renderTarget);
+    renderer.setClearColor(0x000000, 0);
+    renderer.clear();
+    renderer.autoClear = false;
+
+    this.material.uniforms.fieldTexture.value = fieldTexture;
+    channels.forEach((name) => {
+      this.material.uniforms.channel.value = HISTOGRAM_CHANNELS.indexOf(name);
+      renderer.render(this.scene, this.camera);
+    });
+
+    renderer.autoClear = autoClear;
+    renderer.setClearColor(clearColor, clearAlpha);
+    renderer.readRenderTargetPixels(
+      this.renderTarget,
+      0,
+      0,
+      this.bins,
+      HISTOGRAM_CHANNELS.length,
+      this.pixels,
+    );
+    renderer.setRenderTarget(null);
+
+    const counts = unpackHistogram(this.pixels, this.bins);
+    return Object.fromEntries(channels.map((name) => [name, counts[name]]));
+  }
+
+  /**
+   * Frees all GPU resources
+   */
+  dispose() {
+    this.renderTarget.dispose();
+    this.points.geometry.dispose();
+    this.material.dispose();
+  }
+
+  /**
+   * Allocates the bins × channels count target and its read-back buffer
+   * @private
+   */
+  #createTarget() {
+    this.renderTarget = new THREE.WebGLRenderTarget(
+      this.bins,
+      HISTOGRAM_CHANNELS.length,
+      {
+        minFilter: THREE.NearestFilter,
+        magFilter: THREE.NearestFilter,
+        format: THREE.RGBAFormat,
+        type: THREE.FloatType,
+        depthBuffer: false,
+      },
+    );
+    this.pixels = new Float32Array(this.bins * HISTOGRAM_CHANNELS.length * 4);
+  }
+}
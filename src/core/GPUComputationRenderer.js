@@ -5,9 +5,14 @@
  * Uses ping-pong rendering between two textures to simulate iterative updates.
  *
  * Based on THREE.js GPUComputationRenderer pattern.
+ * Passthrough shaders come from src/shaders/ (loadShaderLibrary() must
+ * have resolved before construction).
  * @class
  */
 
+import { getShader, SHADER_FILES } from '../utils/shaderLoader.js';
+import { toGlslFloat } from '../utils/glslPreprocessor.js';
+
 const THREE = window.THREE;
 
 export class GPUComputationRenderer {
@@ -23,6 +28,11 @@ export class GPUComputationRenderer {
     this.sizeY = sizeY;
     this.renderer = renderer;
 
+    // Uniforms must exist before the passthrough material is created
+    this.passThruUniforms = {
+      passTexture: { value: null },
+    };
+
     this.passThruShader = this.#createPassThroughShader();
     this.variables = [];
     this.currentTextureIndex = 0;
@@ -31,10 +41,6 @@ export class GPUComputationRenderer {
     this.camera = new THREE.Camera();
     this.camera.position.z = 1;
 
-    this.passThruUniforms = {
-      passTexture: { value: null },
-    };
-
     this.mesh = new THREE.Mesh(
       new THREE.PlaneGeometry(2, 2),
       this.passThruShader,
@@ -75,17 +81,13 @@ export class GPUComputationRenderer {
    * @returns {Object} Variable object with material and render targets
    */
   addVariable(variableName, fragmentShader, initialTexture) {
-    const material = new THREE.ShaderMaterial({
-      fragmentShader,
-      vertexShader: this.#getPassThroughVertexShader(),
-    });
-
     const variable = {
       name: variableName,
       renderTargets: [],
-      material,
+      material: null,
       dependencies: [],
     };
+    variable.material = this.createVariableMaterial(variable, fragmentShader);
 
     // Create two render targets for ping-pong rendering
     for (let i = 0; i < 2; i++) {
@@ -119,6 +121,49 @@ export class GPUComputationRenderer {
    */
   setVariableDependencies(variable, dependencies) {
     variable.dependencies = dependencies;
+    this.#bindDependencies(variable, this.currentTextureIndex);
+  }
+
+  /**
+   * Creates a material for a variable without installing it
+   *
+   * Dependency uniforms are declared up front, so the material can be
+   * compiled (and checked for errors) before it is first used.
+   *
+   * @param {Object} variable - The variable the material is for
+   * @param {string} fragmentShader - GLSL fragment shader code
+   * @param {Object} [uniforms={}] - Uniforms for the material
+   * @returns {THREE.ShaderMaterial} The new material
+   */
+  createVariableMaterial(variable, fragmentShader, uniforms = {}) {
+    variable.dependencies.forEach((dependency) => {
+      uniforms[dependency.name] ??= {
+        value: dependency.renderTargets[this.currentTextureIndex]?.texture,
+      };
+    });
+
+    return new THREE.ShaderMaterial({
+      uniforms,
+      fragmentShader,
+      vertexShader: getShader(SHADER_FILES.passThroughVertex),
+    });
+  }
+
+  /**
+   * Installs a new material on an existing variable
+   *
+   * Render targets are kept, so the current state survives a shader
+   * swap (rule change, hot-reload). The previous material is disposed.
+   *
+   * @param {Object} variable - The variable to update
+   * @param {THREE.ShaderMaterial} material - Material from createVariableMaterial()
+   */
+  setVariableMaterial(variable, material) {
+    if (variable.material && variable.material !== material) {
+      variable.material.dispose();
+    }
+    variable.material = material;
+    this.#bindDependencies(variable, this.currentTextureIndex);
   }
 
   /**
@@ -143,14 +188,7 @@ export class GPUComputationRenderer {
     for (let i = 0; i < this.variables.length; i++) {
       const variable = this.variables[i];
 
-      // Bind dependencies as uniforms
-      for (let d = 0; d < variable.dependencies.length; d++) {
-        const dependency = variable.dependencies[d];
-        const name = dependency.name;
-        variable.material.uniforms[name] = {
-          value: dependency.renderTargets[currentTextureIndex].texture,
-        };
-      }
+      this.#bindDependencies(variable, currentTextureIndex);
 
       // Execute shader: read from current, write to next
       this.mesh.material = variable.material;
@@ -188,6 +226,59 @@ export class GPUComputationRenderer {
     this.renderer.setRenderTarget(null);
   }
 
+  /**
+   * Reads a variable's current state back from the GPU
+   *
+   * @param {Object} variable - The variable
+   * @returns {Float32Array} RGBA texels, row by row from the bottom
+   */
+  readVariable(variable) {
+    const data = new Float32Array(this.sizeX * this.sizeY * 4);
+    this.renderer.readRenderTargetPixels(
+      this.getCurrentRenderTarget(variable),
+      0,
+      0,
+      this.sizeX,
+      this.sizeY,
+      data,
+    );
+    return data;
+  }
+
+  /**
+   * Replaces a variable's state with the given texels
+   *
+   * Both ping-pong buffers are overwritten, so the next compute() step
+   * continues from exactly this state.
+   *
+   * @param {Object} variable - The variable
+   * @param {Float32Array} data - RGBA texels (same layout as readVariable())
+   */
+  writeVariable(variable, data) {
+    const texture = this.createTexture();
+    texture.image.data.set(data);
+    variable.renderTargets.forEach((renderTarget) => {
+      this.renderTexture(texture, renderTarget);
+    });
+    texture.dispose();
+  }
+
+  /**
+   * Binds dependency textures as uniforms of a variable's material
+   * @private
+   * @param {Object} variable - The variable
+   * @param {number} textureIndex - Ping-pong index to read from
+   */
+  #bindDependencies(variable, textureIndex) {
+    for (let d = 0; d < variable.dependencies.length; d++) {
+      const dependency = variable.dependencies[d];
+      const name = dependency.name;
+      variable.material.uniforms[name] = {
+        value: dependency.renderTargets[textureIndex].texture,
+      };
+    }
+  }
+
   /**
    * Creates the passthrough shader material
    * @private
@@ -196,37 +287,21 @@ export class GPUComputationRenderer {
   #createPassThroughShader() {
     return new THREE.ShaderMaterial({
       uniforms: this.passThruUniforms,
-      vertexShader: this.#getPassThroughVertexShader(),
+      vertexShader: getShader(SHADER_FILES.passThroughVertex),
       fragmentShader: this.#getPassThroughFragmentShader(),
     });
   }
 
   /**
-   * Returns passthrough vertex shader
-   * @private
-   * @returns {string} GLSL vertex shader code
-   */
-  #getPassThroughVertexShader() {
-    return `
-                    void main() {
-                        gl_Position = vec4(position, 1.0);
-                    }
-                `;
-  }
-
-  /**
-   * Returns passthrough fragment shader
+   * Returns passthrough fragment shader sized to this renderer
    * @private
    * @returns {string} GLSL fragment shader code
    */
   #getPassThroughFragmentShader() {
-    return `
-                    uniform sampler2D passTexture;
-                    void main() {
-                        vec2 uv = gl_FragCoord.xy / vec2(${this.sizeX}.0, ${this.sizeY}.0);
-                        gl_FragColor = texture2D(passTexture, uv);
-                    }
-                `;
+    return getShader(SHADER_FILES.passThroughFragment, {
+      SIZE_X: toGlslFloat(this.sizeX),
+      SIZE_Y: toGlslFloat(this.sizeY),
+    });
   }
 
   /**
@@ -0,0 +1,216 @@
+/**
+ * Histogram Panel
+ *
+ * Draws the value histogram of the field (see the simulation's
+ * getHistogram()) and wires its bin count, log scale, freeze and
+ * show/hide toggle. A frozen histogram stays on the canvas as an outline
+ * for comparison with the live one. If the GPU cannot compute the
+ * histogram, the panel is disabled and shows why; other failures are
+ * shown over the histogram until the next update succeeds.
+ *
+ * @class
+ */
+
+import {
+  HISTOGRAM_BIN_OPTIONS,
+  HISTOGRAM_CANVAS_WIDTH,
+  HISTOGRAM_CANVAS_HEIGHT,
+} from '../config/constants.js';
+import { scaleHistogramValue, histogramDistance } from '../utils/histogram.js';
+import { FieldHistogram } from './FieldHistogram.js';
+import { PanelController } from './PanelController.js';
+
+/** Bar fill and frozen outline color per channel */
+const CHANNEL_COLORS = {
+  energy: { fill: 'rgba(0, 255, 204, 0.6)', line: '#ffffff' },
+  matter: { fill: 'rgba(255, 170, 0, 0.5)', line: '#ffaa00' },
+};
+
+export class HistogramPanel extends PanelController {
+  /**
+   * Creates the panel
+   *
+   * @param {Object} options
+   * @param {import('./EnergyLifeSimulation.js').EnergyLifeSimulation} options.simulation -
+   *   Simulation whose field is binned
+   * @param {Object<string, *>} options.dom - Cached DOM elements
+   */
+  constructor({ simulation, dom }) {
+    super({ simulation, dom, status: dom.histogramStatus });
+    this.enabled = true; // Show/hide toggle state
+    this.logScale = false;
+    this.bins = simulation.histogramBins; // Bin count of this.histogram
+    this.histogram = null; // Latest bin fractions, per channel
+    this.frozen = null; // Kept histogram drawn for comparison
+    this.ctx = null;
+    if (!dom.histogramCanvas) return;
+
+    this.ctx = dom.histogramCanvas.getContext('2d');
+    dom.histogramCanvas.width = HISTOGRAM_CANVAS_WIDTH;
+    dom.histogramCanvas.height = HISTOGRAM_CANVAS_HEIGHT;
+
+    dom.toggleHistogram?.addEventListener('click', () => {
+      this.enabled = !this.enabled;
+      dom.toggleHistogram.classList.toggle('active', this.enabled);
+      dom.histogramCanvas.style.display = this.enabled ? 'block' : 'none';
+    });
+
+    if (dom.histogramBins) {
+      HISTOGRAM_BIN_OPTIONS.forEach((bins) => {
+        const option = document.createElement('option');
+        option.value = String(bins);
+        option.textContent = `${bins} bins`;
+        dom.histogramBins.appendChild(option);
+      });
+      dom.histogramBins.value = String(simulation.histogramBins);
+      dom.histogramBins.addEventListener('change', () => {
+        simulation.histogramBins = Number(dom.histogramBins.value);
+        this.#setFrozen(null); // Bins no longer line up
+        this.update();
+      });
+    }
+
+    dom.histogramLog?.addEventListener('change', () => {
+      this.logScale = dom.histogramLog.checked;
+      this.#draw();
+    });
+
+    dom.histogramFreeze?.addEventListener('click', () => {
+      this.#setFrozen(this.frozen ? null : this.histogram);
+    });
+
+    if (
+      simulation.renderer &&
+      !FieldHistogram.isSupported(simulation.renderer)
+    ) {
+      this.#disable();
+    }
+  }
+
+  /**
+   * Shows a message over the histogram; an empty one hides the line
+   *
+   * @param {string} message - Status text
+   * @param {boolean} [isError=false] - Highlight as an error
+   */
+  setStatus(message, isError = false) {
+    super.setStatus(message, isError);
+    if (this.status) this.status.hidden = message === '';
+  }
+
+  /**
+   * Recomputes and redraws the histogram (skipped while hidden)
+   */
+  update() {
+    if (!this.ctx || !this.enabled) return;
+    this.run(() => {
+      const { bins, ...histogram } = this.simulation.getHistogram();
+      this.bins = bins;
+      this.histogram = histogram;
+      if (this.status && !this.status.hidden) this.setStatus('');
+      this.#draw();
+    }, 'Histogram failed');
+  }
+
+  /**
+   * Stops updating, disables the controls and shows why instead of the
+   * canvas (the GPU cannot compute histograms)
+   * @private
+   */
+  #disable() {
+    const { dom } = this;
+    this.enabled = false;
+    [
+      dom.toggleHistogram,
+      dom.histogramBins,
+      dom.histogramLog,
+      dom.histogramFreeze,
+    ].forEach((control) => {
+      if (control) control.disabled = true;
+    });
+    dom.toggleHistogram?.classList.remove('active');
+    dom.histogramCanvas.style.display = 'none';
+    this.setStatus(
+      'Unavailable: this GPU cannot blend into float render targets (EXT_float_blend).',
+      true,
+    );
+  }
+
+  /**
+   * Sets or clears the histogram kept for comparison
+   * @private
+   * @param {Object<string, Float32Array>|null} histogram - Bin fractions
+   */
+  #setFrozen(histogram) {
+    this.frozen = histogram;
+    if (this.dom.histogramFreeze) {
+      this.dom.histogramFreeze.textContent = histogram
+        ? '✕ Unfreeze'
+        : '❄ Freeze';
+      this.dom.histogramFreeze.classList.toggle('active', Boolean(histogram));
+    }
+    this.#draw();
+  }
+
+  /**
+   * Draws the live histogram as bars and a frozen one as an outline
+   * Both share one vertical scale; with a frozen histogram, the total
+   * variation distance of each channel is shown in the corner.
+   * @private
+   */
+  #draw() {
+    if (!this.ctx || !this.histogram) return;
+    const { ctx, histogram } = this;
+    const { width, height } = ctx.canvas;
+
+    const channels = Object.keys(histogram);
+    const frozen = channels.filter((name) => this.frozen?.[name]);
+    const max = Math.max(
+      ...channels.flatMap((name) => Array.from(histogram[name])),
+      ...frozen.flatMap((name) => Array.from(this.frozen[name])),
+    );
+    const barHeight = (value) =>
+      scaleHistogramValue(value, max, this.logScale) * height;
+    const barWidth = width / this.bins;
+
+    ctx.clearRect(0, 0, width, height);
+
+    channels.forEach((name) => {
+      ctx.fillStyle = CHANNEL_COLORS[name].fill;
+      histogram[name].forEach((value, bin) => {
+        const h = barHeight(value);
+        ctx.fillRect(bin * barWidth, height - h, barWidth, h);
+      });
+    });
+
+    ctx.lineWidth = 1;
+    frozen.forEach((name) => {
+      ctx.strokeStyle = CHANNEL_COLORS[name].line;
+      ctx.beginPath();
+      ctx.moveTo(0, height);
+      this.frozen[name].forEach((value, bin) => {
+        const y = height - barHeight(value);
+        ctx.lineTo(bin * barWidth, y);
+        ctx.lineTo((bin + 1) * barWidth, y);
+      });
+      ctx.lineTo(width, height);
+      ctx.stroke();
+    });
+
+    if (frozen.length > 0) {
+      const label = frozen
+        .map((name) => {
+          const distance = histogramDistance(
+            histogram[name],
+            this.frozen[name],
+          );
+          return `Δ${name[0].toUpperCase()} ${(distance * 100).toFixed(1)}%`;
+        })
+        .join('  ');
+      ctx.fillStyle = '#cccccc';
+      ctx.font = '10px monospace';
+      ctx.textAlign = 'right';
+      ctx.fillText(label, width - 4, 24);
+    }
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * Palette Editor
+ *
+ * Draws a palette as a gradient bar with a marker per stop and edits it:
+ *
+ * - Click the bar: add a stop (in the color the gradient has there)
+ * - Drag a marker: move its stop
+ * - Double-click a marker: remove its stop
+ * - Color input: recolor the selected stop
+ *
+ * Every edit produces a new palette (see utils/palette.js) and is
+ * reported through `onChange`; the editor does not apply it itself.
+ *
+ * @class
+ */
+
+import {
+  PALETTE_EDITOR_WIDTH,
+  PALETTE_EDITOR_HEIGHT,
+} from '../config/constants.js';
+import {
+  samplePalette,
+  toHexColor,
+  insertStop,
+  moveStop,
+  recolorStop,
+  removeStop,
+} from '../utils/palette.js';
+
+// Marker strip below the bar and the grab distance, in canvas pixels
+const MARKER_HEIGHT = 10;
+const MARGIN = 6; // Room for the end markers
+const HIT_DISTANCE = 6;
+
+export class PaletteEditor {
+  /**
+   * Creates an editor on a canvas
+   *
+   * @param {Object} options
+   * @param {HTMLCanvasElement} options.canvas - Canvas to draw on
+   * @param {HTMLInputElement} [options.colorInput] - `type="color"` input
+   *   for the selected stop
+   * @param {function(import('../utils/palette.js').Palette): void} options.onChange -
+   *   Called with the edited palette
+   * @param {number} [options.width=PALETTE_EDITOR_WIDTH] - Canvas width in pixels
+   * @param {number} [options.height=PALETTE_EDITOR_HEIGHT] - Canvas height in pixels
+   */
+  constructor({
+    canvas,
+    colorInput = null,
+    onChange,
+    width = PALETTE_EDITOR_WIDTH,
+    height = PALETTE_EDITOR_HEIGHT,
+  }) {
+    this.canvas = canvas;
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.ctx = canvas.getContext('2d');
+    this.colorInput = colorInput;
+    this.onChange = onChange;
+
+    this.palette = null;
+    this.selected = 0; // Index of the stop the color input edits
+    this.dragging = false;
+
+    this.#bindEvents();
+  }
+
+  /**
+   * Shows a palette (does not call onChange)
+   *
+   * @param {import('../utils/palette.js').Palette} palette - Normalized palette
+   */
+  setPalette(palette) {
+    this.palette = palette;
+    this.selected = Math.min(this.selected, palette.stops.length - 1);
+    this.#syncColorInput();
+    this.draw();
+  }
+
+  /**
+   * Redraws the gradient bar and the stop markers
+   */
+  draw() {
+    const { ctx, canvas, palette } = this;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!palette) return;
+
+    const barHeight = canvas.height - MARKER_HEIGHT;
+    const left = MARGIN;
+    const right = canvas.width - MARGIN;
+    for (let x = left; x < right; x++) {
+      ctx.fillStyle = toHexColor(
+        samplePalette(palette, (x + 0.5 - left) / (right - left)),
+      );
+      ctx.fillRect(x, 0, 1, barHeight);
+    }
+    ctx.strokeStyle = '#333';
+    ctx.strokeRect(left - 0.5, 0.5, right - left + 1, barHeight - 1);
+
+    palette.stops.forEach((stop, index) => {
+      const x = this.#stopX(stop);
+      ctx.beginPath();
+      ctx.moveTo(x, barHeight);
+      ctx.lineTo(x + MARKER_HEIGHT / 2, canvas.height - 1);
+      ctx.lineTo(x - MARKER_HEIGHT / 2, canvas.height - 1);
+      ctx.closePath();
+      ctx.fillStyle = stop.color;
+      ctx.fill();
+      ctx.strokeStyle = index === this.selected ? '#fff' : '#777';
+      ctx.stroke();
+    });
+  }
+
+  /**
+   * Canvas x of a stop
+   * @private
+   * @param {import('../config/palettes.js').PaletteStop} stop - Stop
+   * @returns {number} x in canvas pixels
+   */
+  #stopX(stop) {
+    return MARGIN + stop.position * (this.canvas.width - 2 * MARGIN);
+  }
+
+  /**
+   * Palette position under a canvas x
+   * @private
+   * @param {number} x - x in canvas pixels
+   * @returns {number} Position in [0, 1]
+   */
+  #positionAt(x) {
+    const position = (x - MARGIN) / (this.canvas.width - 2 * MARGIN);
+    return Math.min(Math.max(position, 0), 1);
+  }
+
+  /**
+   * Finds the stop closest to a canvas x, if it is within reach
+   * @private
+   * @param {number} x - x in canvas pixels
+   * @returns {number} Stop index, or -1
+   */
+  #stopAt(x) {
+    let closest = -1;
+    let best = HIT_DISTANCE;
+    this.palette.stops.forEach((stop, index) => {
+      const distance = Math.abs(this.#stopX(stop) - x);
+      if (distance <= best) {
+        closest = index;
+        best = distance;
+      }
+    });
+    return closest;
+  }
+
+  /**
+   * Selects a stop and reports a new palette
+   * @private
+   * @param {import('../utils/palette.js').Palette} palette - Edited palette
+   * @param {number} selected - Index of the stop to select
+   */
+  #change(palette, selected) {
+    this.selected = selected;
+    this.onChange(palette);
+  }
+
+  /**
+   * Mirrors the selected stop's color to the color input
+   * @private
+   */
+  #syncColorInput() {
+    if (!this.colorInput || !this.palette) return;
+    this.colorInput.value = this.palette.stops[this.selected].color;
+  }
+
+  /**
+   * Wires adding, dragging, removing and recoloring stops
+   * @private
+   */
+  #bindEvents() {
+    const toCanvas = (event) => {
+      const rect = this.canvas.getBoundingClientRect();
+      return {
+        x: ((event.clientX - rect.left) * this.canvas.width) / rect.width,
+        y: ((event.clientY - rect.top) * this.canvas.height) / rect.height,
+      };
+    };
+
+    this.canvas.addEventListener('pointerdown', (event) => {
+      if (!this.palette) return;
+      const { x, y } = toCanvas(event);
+      const index = this.#stopAt(x);
+      if (index !== -1) {
+        this.selected = index;
+        this.#syncColorInput();
+        this.draw();
+      } else if (y < this.canvas.height - MARKER_HEIGHT) {
+        try {
+          const added = insertStop(this.palette, this.#positionAt(x));
+          this.#change(added.palette, added.index);
+        } catch {
+          return; // Already at the most stops
+        }
+      } else {
+        return;
+      }
+      this.dragging = true;
+      this.canvas.setPointerCapture(event.pointerId);
+    });
+
+    this.canvas.addEventListener('pointermove', (event) => {
+      if (!this.dragging) return;
+      const moved = moveStop(
+        this.palette,
+        this.selected,
+        this.#positionAt(toCanvas(event).x),
+      );
+      this.#change(moved.palette, moved.index);
+    });
+
+    const endDrag = () => {
+      this.dragging = false;
+    };
+    this.canvas.addEventListener('pointerup', endDrag);
+    this.canvas.addEventListener('pointercancel', endDrag);
+
+    this.canvas.addEventListener('dblclick', (event) => {
+      if (!this.palette) return;
+      const index = this.#stopAt(toCanvas(event).x);
+      if (index === -1) return;
+      try {
+        this.#change(removeStop(this.palette, index), Math.max(0, index - 1));
+      } catch {
+        // Already at the fewest stops
+      }
+    });
+
+    this.colorInput?.addEventListener('input', () => {
+      if (!this.palette) return;
+      this.#change(
+        recolorStop(this.palette, this.selected, this.colorInput.value),
+        this.selected,
+      );
+    });
+  }
+}
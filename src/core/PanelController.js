@@ -0,0 +1,81 @@
+/**
+ * Panel Controller
+ *
+ * Base class of the side panel controllers (core/*Panel.js). A panel
+ * wires its inputs to the simulation's public API and mirrors the state
+ * back in sync(), which the simulation calls after changes made
+ * elsewhere (scripting API, presets, permalinks).
+ *
+ * The base owns the panel's status line: setStatus() shows a message,
+ * and actions run through onClick() or run() report whatever they throw
+ * there instead of each handler catching its own errors.
+ *
+ * @class
+ */
+
+export class PanelController {
+  /**
+   * Creates a panel controller
+   *
+   * @param {Object} options
+   * @param {import('./EnergyLifeSimulation.js').EnergyLifeSimulation} options.simulation -
+   *   Simulation the panel controls
+   * @param {Object<string, *>} options.dom - Cached DOM elements (see
+   *   EnergyLifeSimulation#cacheDom); missing ones are null
+   * @param {?HTMLElement} [options.status=null] - Status line element
+   */
+  constructor({ simulation, dom, status = null }) {
+    this.simulation = simulation;
+    this.dom = dom;
+    this.status = status;
+  }
+
+  /**
+   * Shows a message in the panel's status line
+   *
+   * @param {string} message - Status text
+   * @param {boolean} [isError=false] - Highlight as an error
+   */
+  setStatus(message, isError = false) {
+    if (!this.status) return;
+    this.status.textContent = message.trim();
+    this.status.classList.toggle('error', isError);
+  }
+
+  /**
+   * Runs an action on every click of a button (see run())
+   *
+   * @param {?HTMLElement} button - Button to wire (skipped if missing)
+   * @param {function(): (void|Promise<void>)} action - Click handler
+   * @param {string} [failure] - Prefix for error messages
+   */
+  onClick(button, action, failure) {
+    button?.addEventListener('click', () => this.run(action, failure));
+  }
+
+  /**
+   * Runs an action and shows what it throws (or rejects with) as an
+   * error in the status line
+   *
+   * @param {function(): (void|Promise<void>)} action - Action to run
+   * @param {string} [failure] - Prefix for error messages, e.g. 'Import failed'
+   * @returns {Promise<void>} Settles after the action; never rejects
+   */
+  async run(action, failure) {
+    try {
+      await action();
+    } catch (error) {
+      console.error(`${this.constructor.name}: action failed:`, error);
+      const message =
+        error.name === 'QuotaExceededError'
+          ? 'Storage quota exceeded. Nothing was saved.'
+          : error.message;
+      this.setStatus(failure ? `${failure}: ${message}` : message, true);
+    }
+  }
+
+  /**
+   * Mirrors the simulation state to the panel (no-op by default)
+   */
+  sync() {}
+}
@@ -0,0 +1,299 @@
+/**
+ * Preset Library
+ *
+ * Built-in presets (read-only, from config/presets.js) plus any number
+ * of user presets persisted in localStorage. User presets can be
+ * renamed, duplicated, deleted, imported and exported as JSON files.
+ *
+ * Stored presets are normalized on read, so presets written by older
+ * versions are migrated transparently (see utils/presetFormat.js).
+ *
+ * @class
+ */
+
+import {
+  NAMED_PRESETS,
+  PRESET_STORAGE_KEY,
+  LEGACY_PRESET_STORAGE_KEY,
+} from '../config/presets.js';
+import {
+  normalizePreset,
+  parsePresetFile,
+  serializePresetFile,
+} from '../utils/presetFormat.js';
+
+const BUILT_IN_PREFIX = 'builtin:';
+
+export class PresetLibrary {
+  /**
+   * Creates a preset library
+   *
+   * @param {Object} [options]
+   * @param {Storage} [options.storage=window.localStorage] - Persistence backend
+   * @param {Object<string, Object>} [options.builtIns=NAMED_PRESETS] - Read-only presets
+   */
+  constructor({
+    storage = window.localStorage,
+    builtIns = NAMED_PRESETS,
+  } = {}) {
+    this.storage = storage;
+    this.builtIns = Object.entries(builtIns).map(([key, raw]) => ({
+      id: `${BUILT_IN_PREFIX}${key}`,
+      preset: normalizePreset(raw).preset,
+    }));
+    this.userPresets = this.#read();
+    this.nextId = 0;
+
+    this.#migrateLegacySlot();
+  }
+
+  /**
+   * Lists every preset, built-ins first
+   *
+   * @returns {Array<{id: string, name: string, ruleId: string, builtIn: boolean}>}
+   */
+  list() {
+    return [...this.builtIns, ...this.userPresets].map(({ id, preset }) => ({
+      id,
+      name: preset.name,
+      ruleId: preset.ruleId,
+      builtIn: this.isBuiltIn(id),
+    }));
+  }
+
+  /**
+   * Gets a preset by ID
+   *
+   * @param {string} id - Preset ID
+   * @returns {import('../utils/presetFormat.js').Preset|null} Copy of the preset
+   */
+  get(id) {
+    const entry = this.#find(id);
+    if (!entry) return null;
+
+    return structuredClone(entry.preset);
+  }
+
+  /**
+   * Checks whether a preset is built in (read-only)
+   *
+   * @param {string} id - Preset ID
+   * @returns {boolean} True for built-in presets
+   */
+  isBuiltIn(id) {
+    return id.startsWith(BUILT_IN_PREFIX);
+  }
+
+  /**
+   * Adds a user preset
+   *
+   * @param {import('../utils/presetFormat.js').Preset} preset - Preset to store
+   * @returns {string} ID of the new preset
+   * @throws {Error} If storage is full or unavailable
+   */
+  add(preset) {
+    const id = this.#createId();
+    this.userPresets.push({ id, preset: normalizePreset(preset).preset });
+    this.#write();
+    return id;
+  }
+
+  /**
+   * Overwrites a user preset, keeping its ID and name
+   *
+   * @param {string} id - User preset ID
+   * @param {import('../utils/presetFormat.js').Preset} preset - New contents
+   */
+  replace(id, preset) {
+    const entry = this.#findUser(id);
+    entry.preset = {
+      ...normalizePreset(preset).preset,
+      name: entry.preset.name,
+    };
+    this.#write();
+  }
+
+  /**
+   * Renames a user preset
+   *
+   * @param {string} id - User preset ID
+   * @param {string} name - New name
+   */
+  rename(id, name) {
+    this.#findUser(id).preset.name = name;
+    this.#write();
+  }
+
+  /**
+   * Deletes a user preset
+   *
+   * @param {string} id - User preset ID
+   */
+  remove(id) {
+    const entry = this.#findUser(id);
+    this.userPresets = this.userPresets.filter(
+      (candidate) => candidate !== entry,
+    );
+    this.#write();
+  }
+
+  /**
+   * Copies any preset (including built-ins) into a new user preset
+   *
+   * @param {string} id - Source preset ID
+   * @returns {string} ID of the copy
+   */
+  duplicate(id) {
+    const preset = this.get(id);
+    if (!preset) throw new Error(`Preset "${id}" not found.`);
+    return this.add({ ...preset, name: `${preset.name} (copy)` });
+  }
+
+  /**
+   * Finds a user preset by name
+   *
+   * @param {string} name - Preset name
+   * @returns {string|null} Preset ID, or null if none matches
+   */
+  findUserByName(name) {
+    return (
+      this.userPresets.find(({ preset }) => preset.name === name)?.id ?? null
+    );
+  }
+
+  /**
+   * Imports presets from a JSON file (export file or single preset)
+   *
+   * Each preset is migrated and validated on its own; presets that fail
+   * are reported in `errors` and the rest are still imported.
+   *
+   * @param {string} text - File contents
+   * @returns {{added: Array<Object>, errors: Array<string>}} Per-preset
+   *   reports ({id, ...PresetReport}) and error messages
+   * @throws {Error} If the file is not valid JSON
+   */
+  importFile(text) {
+    const added = [];
+    const errors = [];
+
+    parsePresetFile(text).forEach((raw, index) => {
+      try {
+        const report = normalizePreset(raw);
+        const id = this.#createId();
+        this.userPresets.push({ id, preset: report.preset });
+        added.push({ id, ...report });
+      } catch (error) {
+        errors.push(`#${index + 1}: ${error.message}`);
+      }
+    });
+
+    if (added.length > 0) this.#write();
+    return { added, errors };
+  }
+
+  /**
+   * Exports presets as a JSON file
+   *
+   * @param {Array<string>} ids - Presets to include
+   * @returns {string} File contents
+   */
+  exportFile(ids) {
+    return serializePresetFile(
+      ids.map((id) => this.get(id)).filter((preset) => preset !== null),
+    );
+  }
+
+  /**
+   * @private
+   * @param {string} id - Preset ID
+   * @returns {{id: string, preset: Object}|undefined} Stored entry
+   */
+  #find(id) {
+    return [...this.builtIns, ...this.userPresets].find(
+      (entry) => entry.id === id,
+    );
+  }
+
+  /**
+   * @private
+   * @param {string} id - User preset ID
+   * @returns {{id: string, preset: Object}} Stored entry
+   * @throws {Error} If the ID is unknown or a built-in
+   */
+  #findUser(id) {
+    const entry = this.userPresets.find((candidate) => candidate.id === id);
+    if (!entry) {
+      throw new Error(
+        this.isBuiltIn(id)
+          ? 'Built-in presets cannot be changed. Duplicate it first.'
+          : `Preset "${id}" not found.`,
+      );
+    }
+    return entry;
+  }
+
+  /**
+   * @private
+   * @returns {string} Unused user preset ID
+   */
+  #createId() {
+    let id;
+    do {
+      id = `user:${Date.now().toString(36)}${(this.nextId++).toString(36)}`;
+    } while (this.#find(id));
+    return id;
+  }
+
+  /**
+   * Loads user presets, migrating each and skipping unreadable ones
+   * @private
+   * @returns {Array<{id: string, preset: Object}>} Stored entries
+   */
+  #read() {
+    let stored;
+    try {
+      stored = JSON.parse(this.storage.getItem(PRESET_STORAGE_KEY) ?? 'null');
+    } catch (error) {
+      console.warn('Preset library is corrupted; starting empty.', error);
+      return [];
+    }
+
+    return (stored?.presets ?? []).flatMap(({ id, preset }) => {
+      try {
+        return [{ id, preset: normalizePreset(preset).preset }];
+      } catch (error) {
+        console.warn(`Skipping stored preset ${id}:`, error);
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Persists user presets
+   * @private
+   * @throws {Error} If storage is full or unavailable
+   */
+  #write() {
+    this.storage.setItem(
+      PRESET_STORAGE_KEY,
+      JSON.stringify({ presets: this.userPresets }),
+    );
+  }
+
+  /**
+   * Moves the old single-slot preset into the library
+   * @private
+   */
+  #migrateLegacySlot() {
+    const legacy = this.storage.getItem(LEGACY_PRESET_STORAGE_KEY);
+    if (legacy === null) return;
+
+    try {
+      const { preset } = normalizePreset(JSON.parse(legacy));
+      this.add({ ...preset, name: 'Saved preset' });
+      this.storage.removeItem(LEGACY_PRESET_STORAGE_KEY);
+    } catch (error) {
+      console.warn('Could not migrate the old saved preset:', error);
+    }
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Preset Panel
+ *
+ * Wires the preset browser: built-in and user presets (see
+ * PresetLibrary) with load/save/rename/duplicate/delete and JSON
+ * import/export. Its status line is shared with SnapshotPanel.
+ *
+ * @class
+ */
+
+import { getRule } from '../config/rules.js';
+import { describePresetReport } from '../utils/presetFormat.js';
+import { downloadFile } from '../utils/download.js';
+import { PanelController } from './PanelController.js';
+import { PresetLibrary } from './PresetLibrary.js';
+
+export class PresetPanel extends PanelController {
+  /**
+   * Creates the panel and loads the preset library
+   *
+   * @param {Object} options
+   * @param {import('./EnergyLifeSimulation.js').EnergyLifeSimulation} options.simulation -
+   *   Simulation to apply presets to
+   * @param {Object<string, *>} options.dom - Cached DOM elements
+   */
+  constructor({ simulation, dom }) {
+    super({ simulation, dom, status: dom.presetStatus });
+    this.library = null;
+    if (!dom.presetSelect) return;
+
+    try {
+      this.library = new PresetLibrary();
+    } catch (error) {
+      console.error('Preset storage unavailable:', error);
+      this.setStatus('Preset storage is unavailable.', true);
+      return;
+    }
+
+    this.#bindEvents();
+    this.#refreshList();
+  }
+
+  /**
+   * Wires the preset buttons and the import file input
+   * @private
+   */
+  #bindEvents() {
+    const { dom, library, simulation } = this;
+    const selected = () => dom.presetSelect.value;
+
+    dom.presetSelect.addEventListener('change', () => this.#updateButtons());
+
+    this.onClick(dom.loadPreset, () => {
+      const preset = library.get(selected());
+      if (!preset) return;
+      const report = simulation.applyPreset(preset);
+      this.setStatus(
+        `Loaded "${preset.name}". ${describePresetReport(report)}`,
+      );
+    });
+
+    this.onClick(dom.savePreset, () => {
+      const name = prompt(
+        'Preset name:',
+        `${simulation.rule.name} preset`,
+      )?.trim();
+      if (!name) return;
+
+      const existingId = library.findUserByName(name);
+      if (existingId && !confirm(`Overwrite preset "${name}"?`)) return;
+
+      const preset = simulation.createPreset(name);
+      let id = existingId;
+      if (existingId) {
+        library.replace(existingId, preset);
+      } else {
+        id = library.add(preset);
+      }
+      this.#refreshList(id);
+      this.setStatus(`Saved "${name}".`);
+    });
+
+    this.onClick(dom.renamePreset, () => {
+      const id = selected();
+      const name = prompt('Rename preset:', library.get(id)?.name)?.trim();
+      if (!name) return;
+
+      library.rename(id, name);
+      this.#refreshList(id);
+      this.setStatus(`Renamed to "${name}".`);
+    });
+
+    this.onClick(dom.duplicatePreset, () => {
+      const copyId = library.duplicate(selected());
+      this.#refreshList(copyId);
+      this.setStatus(`Created "${library.get(copyId).name}".`);
+    });
+
+    this.onClick(dom.deletePreset, () => {
+      const id = selected();
+      const preset = library.get(id);
+      if (!preset || !confirm(`Delete preset "${preset.name}"?`)) return;
+
+      library.remove(id);
+      this.#refreshList();
+      this.setStatus(`Deleted "${preset.name}".`);
+    });
+
+    this.onClick(dom.exportPresets, () => {
+      const id = selected();
+      const preset = library.get(id);
+      if (!preset) return;
+      downloadFile(
+        library.exportFile([id]),
+        `${preset.name}.json`,
+        'application/json',
+      );
+    });
+
+    if (!dom.importPresets || !dom.presetFile) return;
+    this.onClick(dom.importPresets, () => dom.presetFile.click());
+
+    dom.presetFile.addEventListener('change', (event) => {
+      const [file] = event.target.files;
+      event.target.value = ''; // Allow re-importing the same file
+      if (!file) return;
+
+      this.run(async () => {
+        const { added, errors } = library.importFile(await file.text());
+        this.#refreshList(added[0]?.id);
+
+        const lines = [`Imported ${added.length} preset(s).`];
+        added.forEach((report) => {
+          const details = describePresetReport(report);
+          if (details) lines.push(`"${report.preset.name}": ${details}`);
+        });
+        lines.push(...errors.map((message) => `Skipped ${message}`));
+        this.setStatus(lines.join('\n'), errors.length > 0);
+      }, 'Import failed');
+    });
+  }
+
+  /**
+   * Rebuilds the preset dropdown (Built-in / My presets)
+   * @private
+   * @param {string} [selectedId] - Preset to select afterwards
+   */
+  #refreshList(selectedId) {
+    const select = this.dom.presetSelect;
+    const previous = selectedId ?? select.value;
+    select.innerHTML = '';
+
+    const groups = {
+      true: document.createElement('optgroup'),
+      false: document.createElement('optgroup'),
+    };
+    groups.true.label = 'Built-in';
+    groups.false.label = 'My presets';
+
+    this.library.list().forEach(({ id, name, ruleId, builtIn }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = `${name} — ${getRule(ruleId).name}`;
+      groups[builtIn].appendChild(option);
+    });
+
+    Object.values(groups).forEach((group) => {
+      if (group.children.length > 0) select.appendChild(group);
+    });
+
+    if (Array.from(select.options).some(({ value }) => value === previous)) {
+      select.value = previous;
+    }
+    this.#updateButtons();
+  }
+
+  /**
+   * Disables actions that do not apply to built-in presets
+   * @private
+   */
+  #updateButtons() {
+    const readOnly = this.library.isBuiltIn(this.dom.presetSelect.value);
+    [this.dom.renamePreset, this.dom.deletePreset].forEach((button) => {
+      if (button) button.disabled = readOnly;
+    });
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Recording Panel
+ *
+ * Wires the Recording panel: live WebM capture of the canvas (see
+ * CanvasRecorder) or an offline PNG sequence rendered with
+ * recordFrameSequence(). One button starts and stops either mode.
+ *
+ * @class
+ */
+
+import {
+  RECORDING_DEFAULT_FPS,
+  OFFLINE_DEFAULT_FRAMES,
+  OFFLINE_DEFAULT_STEPS_PER_FRAME,
+} from '../config/constants.js';
+import { downloadFile } from '../utils/download.js';
+import { CanvasRecorder } from './CanvasRecorder.js';
+import { PanelController } from './PanelController.js';
+
+export class RecordingPanel extends PanelController {
+  /**
+   * Creates the panel
+   *
+   * @param {Object} options
+   * @param {import('./EnergyLifeSimulation.js').EnergyLifeSimulation} options.simulation -
+   *   Simulation to record
+   * @param {Object<string, *>} options.dom - Cached DOM elements
+   */
+  constructor({ simulation, dom }) {
+    super({ simulation, dom, status: dom.recordStatus });
+    this.recorder = null; // Live WebM capture
+    this.abort = null; // AbortController of a running offline capture
+    this.liveName = ''; // File name of the running live capture
+    if (!dom.recordMode || !dom.recordButton) return;
+
+    dom.recordFps.value = String(RECORDING_DEFAULT_FPS);
+    dom.recordFrames.value = String(OFFLINE_DEFAULT_FRAMES);
+    dom.recordStepsPerFrame.value = String(OFFLINE_DEFAULT_STEPS_PER_FRAME);
+    this.recorder = new CanvasRecorder(dom.canvas);
+
+    dom.recordMode.addEventListener('change', () => {
+      dom.recordModeItems.forEach((item) => {
+        item.hidden = item.dataset.recordMode !== dom.recordMode.value;
+      });
+    });
+    dom.recordButton.addEventListener('click', () => this.#toggle());
+  }
+
+  /**
+   * Stops whatever is running, or starts the selected mode
+   * @private
+   * @returns {Promise<void>}
+   */
+  async #toggle() {
+    if (this.abort) {
+      this.abort.abort();
+      return;
+    }
+    if (this.recorder.isRecording) {
+      await this.run(async () => {
+        const video = await this.recorder.stop();
+        downloadFile(video, `${this.liveName}.webm`, video.type);
+        this.setStatus('Saved WebM video.');
+      });
+      this.#setBusy(false);
+      return;
+    }
+
+    if (this.dom.recordMode.value === 'live') {
+      await this.run(() => {
+        this.recorder.start({ fps: parseInt(this.dom.recordFps.value, 10) });
+        this.liveName = this.#baseName();
+        this.#setBusy(true);
+        this.setStatus('Recording…');
+      });
+      return;
+    }
+
+    const name = this.#baseName();
+    this.abort = new AbortController();
+    this.#setBusy(true);
+    await this.run(async () => {
+      const zip = await this.simulation.recordFrameSequence({
+        frames: parseInt(this.dom.recordFrames.value, 10),
+        stepsPerFrame: parseInt(this.dom.recordStepsPerFrame.value, 10),
+        signal: this.abort.signal,
+        onProgress: (done, total) =>
+          this.setStatus(`Captured ${done} / ${total} frames…`),
+      });
+      downloadFile(zip, `${name}-frames.zip`, zip.type);
+      this.setStatus('Saved PNG sequence.');
+    }, 'Recording failed');
+    this.abort = null;
+    this.#setBusy(false);
+  }
+
+  /**
+   * Switches the button between Record and Stop
+   * @private
+   * @param {boolean} busy - True while a capture runs
+   */
+  #setBusy(busy) {
+    this.dom.recordButton.textContent = busy ? '⏹ Stop' : '⏺ Record';
+    this.dom.recordMode.disabled = busy;
+  }
+
+  /**
+   * Names files after the state the recording started from
+   * @private
+   * @returns {string} File name without extension
+   */
+  #baseName() {
+    const { rule, seed, simulationFrame } = this.simulation;
+    return `${rule.id}-${seed}-f${simulationFrame}`;
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Regime Panel
+ *
+ * Wires the regime recovery selector and shows the detected regime in
+ * the info bar (see utils/regime.js). Recoveries are reported in the
+ * panel's status line.
+ *
+ * @class
+ */
+
+import { AVERAGE_COMPUTE_THROTTLE } from '../config/constants.js';
+import { PanelController } from './PanelController.js';
+
+export class RegimePanel extends PanelController {
+  /**
+   * Creates the panel
+   *
+   * @param {Object} options
+   * @param {import('./EnergyLifeSimulation.js').EnergyLifeSimulation} options.simulation -
+   *   Simulation whose regime is shown
+   * @param {Object<string, *>} options.dom - Cached DOM elements
+   */
+  constructor({ simulation, dom }) {
+    super({ simulation, dom, status: dom.regimeStatus });
+    dom.regimeAction?.addEventListener('change', (event) => {
+      simulation.setRegimeAction(event.target.value);
+    });
+    this.sync();
+  }
+
+  /**
+   * Mirrors the recovery action and the detected regime
+   * The label's tooltip lists the features the regime is based on.
+   */
+  sync() {
+    const { regimeAction, regimeLabel: label } = this.dom;
+    if (regimeAction) regimeAction.value = this.simulation.regimeAction;
+    if (!label) return;
+
+    const { regime, features } = this.simulation.getRegime();
+    label.textContent = `Regime: ${regime ?? '…'}`;
+    label.dataset.regime = regime ?? '';
+
+    if (!features) {
+      label.title = 'Waiting for field stats';
+      return;
+    }
+    const parts = [
+      `mean ${features.mean.toFixed(3)}`,
+      `max ${features.max.toFixed(3)}`,
+    ];
+    if (features.temporalStd !== null) {
+      parts.push(`σ(t) ${features.temporalStd.toFixed(4)}`);
+      parts.push(`peak ${(features.peakPower * 100).toFixed(0)}%`);
+    }
+    if (features.period !== null) {
+      const generations = features.period * AVERAGE_COMPUTE_THROTTLE;
+      parts.push(`period ${Math.round(generations)} gen`);
+    }
+    label.title = parts.join(' · ');
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Rendering Panel
+ *
+ * Generates the Rendering panel from RENDERING_SCHEMA, one titled
+ * section per schema group, and routes every change through the
+ * simulation's setRendering().
+ *
+ * @class
+ */
+
+import { RENDERING_SCHEMA } from '../config/renderingSchema.js';
+import { DEFAULT_RENDERING } from '../utils/rendering.js';
+import { groupSchema } from '../utils/schemaUtils.js';
+import {
+  createParamControl,
+  updateParamControl,
+} from '../utils/paramControls.js';
+import { PanelController } from './PanelController.js';
+
+export class RenderingPanel extends PanelController {
+  /**
+   * Creates the panel
+   *
+   * @param {Object} options
+   * @param {import('./EnergyLifeSimulation.js').EnergyLifeSimulation} options.simulation -
+   *   Simulation whose rendering is configured
+   * @param {Object<string, *>} options.dom - Cached DOM elements
+   */
+  constructor({ simulation, dom }) {
+    super({ simulation, dom });
+    const container = dom.renderingControls;
+    if (!container) return;
+
+    container.innerHTML = '';
+    groupSchema(RENDERING_SCHEMA).forEach(({ group, entries }) => {
+      const heading = document.createElement('h4');
+      heading.textContent = group;
+      container.appendChild(heading);
+
+      entries.forEach((entry) => {
+        container.appendChild(
+          createParamControl(entry, (value) =>
+            simulation.setRendering({ [entry.key]: value }),
+          ),
+        );
+      });
+    });
+
+    dom.resetRendering?.addEventListener('click', () =>
+      simulation.setRendering(DEFAULT_RENDERING),
+    );
+    this.sync();
+  }
+
+  /**
+   * Mirrors rendering settings to the sliders
+   *
+   * @param {Array<string>} [keys] - Settings to mirror (default: all)
+   */
+  sync(keys = RENDERING_SCHEMA.map(({ key }) => key)) {
+    const rendering = this.simulation.getRendering();
+    keys.forEach((key) => {
+      updateParamControl(RENDERING_SCHEMA, key, rendering[key]);
+    });
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Snapshot Panel
+ *
+ * Wires the buttons in the controls header: PNG screenshots with the
+ * settings embedded, and binary snapshots of the full GPU state (see
+ * utils/snapshot.js). Also accepts images dropped onto the canvas.
+ * Results share the status line below the header with the preset
+ * browser.
+ *
+ * @class
+ */
+
+import { SNAPSHOT_FILE_EXTENSION } from '../config/constants.js';
+import { describePresetReport } from '../utils/presetFormat.js';
+import { downloadFile } from '../utils/download.js';
+import { PanelController } from './PanelController.js';
+
+export class SnapshotPanel extends PanelController {
+  /**
+   * Creates the panel
+   *
+   * @param {Object} options
+   * @param {import('./EnergyLifeSimulation.js').EnergyLifeSimulation} options.simulation -
+   *   Simulation to capture and restore
+   * @param {Object<string, *>} options.dom - Cached DOM elements
+   */
+  constructor({ simulation, dom }) {
+    super({ simulation, dom, status: dom.presetStatus });
+
+    this.onClick(
+      dom.screenshotButton,
+      async () => {
+        downloadFile(
+          await simulation.captureScreenshot(),
+          `${this.#baseName()}.png`,
+          'image/png',
+        );
+      },
+      'Screenshot failed',
+    );
+
+    this.onClick(
+      dom.exportSnapshot,
+      () => {
+        downloadFile(
+          simulation.exportSnapshot(),
+          `${simulation.rule.id}-${simulation.simulationSize}-f${simulation.simulationFrame}${SNAPSHOT_FILE_EXTENSION}`,
+          'application/octet-stream',
+        );
+      },
+      'Snapshot export failed',
+    );
+
+    if (dom.importSnapshot && dom.snapshotFile) {
+      this.onClick(dom.importSnapshot, () => dom.snapshotFile.click());
+
+      dom.snapshotFile.addEventListener('change', (event) => {
+        const [file] = event.target.files;
+        event.target.value = ''; // Allow re-importing the same file
+        if (!file) return;
+
+        this.run(async () => {
+          simulation.importSnapshot(await file.arrayBuffer());
+          this.setStatus(`Loaded snapshot "${file.name}".`);
+        }, 'Could not import snapshot');
+      });
+    }
+
+    if (dom.container) this.#bindImageDrop(dom.container);
+  }
+
+  /**
+   * Accepts images dropped onto the canvas: restores embedded settings
+   * and, if enabled, seeds the energy field from the image luminance
+   * @private
+   * @param {HTMLElement} container - Drop target
+   */
+  #bindImageDrop(container) {
+    const hasFiles = (event) =>
+      Array.from(event.dataTransfer?.types ?? []).includes('Files');
+
+    container.addEventListener('dragover', (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+      container.classList.add('drop-target');
+    });
+
+    container.addEventListener('dragleave', () => {
+      container.classList.remove('drop-target');
+    });
+
+    container.addEventListener('drop', (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      container.classList.remove('drop-target');
+
+      const [file] = event.dataTransfer.files;
+      if (!file?.type.startsWith('image/')) {
+        this.setStatus('Drop a PNG screenshot or an image.', true);
+        return;
+      }
+
+      this.run(async () => {
+        const report = await this.simulation.restoreFromImage(file, {
+          useLuminance: this.dom.dropLuminance?.checked ?? false,
+        });
+        const source = report.metadata
+          ? `Restored settings from "${file.name}" (frame ${report.metadata.frame}).`
+          : `Seeded energy from "${file.name}".`;
+        this.setStatus(`${source}\n${describePresetReport(report)}`);
+      }, 'Could not use image');
+    });
+  }
+
+  /**
+   * Names files after the current state
+   * @private
+   * @returns {string} File name without extension
+   */
+  #baseName() {
+    const { rule, seed, simulationFrame } = this.simulation;
+    return `${rule.id}-${seed}-f${simulationFrame}`;
+  }
+}
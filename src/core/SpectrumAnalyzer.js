@@ -0,0 +1,92 @@
+/**
+ * Spectrum Analyzer
+ *
+ * Hands field channels to workers/spectrumWorker.js and resolves with
+ * the analysis (see utils/spectrum.js), so a 2D FFT never stalls the
+ * render loop. Only one analysis runs at a time; requests made while one
+ * is running are skipped. Without module workers the analysis runs on
+ * the main thread.
+ *
+ * @class
+ */
+
+import { analyzeSpectrum } from '../utils/spectrum.js';
+
+export class SpectrumAnalyzer {
+  /**
+   * Starts the worker
+   */
+  constructor() {
+    this.worker = null;
+    this.pending = null; // {id, resolve, reject} of the running analysis
+    this.nextId = 0;
+
+    try {
+      this.worker = new Worker(
+        new URL('../workers/spectrumWorker.js', import.meta.url),
+        { type: 'module' },
+      );
+      this.worker.addEventListener('message', ({ data }) => {
+        this.#settle(data);
+      });
+      this.worker.addEventListener('error', (event) => {
+        event.preventDefault();
+        this.#settle({ id: this.pending?.id, error: event.message });
+      });
+    } catch (error) {
+      console.warn('Spectrum analysis runs on the main thread:', error);
+    }
+  }
+
+  /**
+   * @returns {boolean} True while an analysis is running
+   */
+  get busy() {
+    return this.pending !== null;
+  }
+
+  /**
+   * Analyses a field channel
+   *
+   * @param {Float32Array} values - size × size values, row-major; the
+   *   buffer is transferred to the worker and unusable afterwards
+   * @param {number} size - Grid side
+   * @returns {Promise<import('../utils/spectrum.js').SpectrumResult|null>}
+   *   Analysis, or null if another one was still running
+   */
+  analyze(values, size) {
+    if (this.busy) return Promise.resolve(null);
+    if (!this.worker) {
+      return Promise.resolve().then(() => analyzeSpectrum(values, size));
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.pending = { id, resolve, reject };
+      this.worker.postMessage({ id, values, size }, [values.buffer]);
+    });
+  }
+
+  /**
+   * Stops the worker; a running analysis resolves with null
+   */
+  dispose() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.pending?.resolve(null);
+    this.pending = null;
+  }
+
+  /**
+   * Resolves or rejects the running analysis with a worker reply
+   * @private
+   * @param {{id: number, result?: Object, error?: string}} reply - Worker message
+   */
+  #settle({ id, result, error }) {
+    if (!this.pending || this.pending.id !== id) return;
+    const { resolve, reject } = this.pending;
+    this.pending = null;
+    if (error) reject(new Error(error));
+    else resolve(result);
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Spectrum Panel
+ *
+ * Wires the Spatial Spectrum panel to setSpectrumOptions() and shows
+ * each analysis: dominant wavelength, orientation and coherence, plus a
+ * log-log plot of the radially averaged power.
+ *
+ * @class
+ */
+
+import {
+  SPECTRUM_INTERVAL_MIN,
+  SPECTRUM_INTERVAL_MAX,
+  SPECTRUM_CANVAS_WIDTH,
+  SPECTRUM_CANVAS_HEIGHT,
+} from '../config/constants.js';
+import { PanelController } from './PanelController.js';
+
+export class SpectrumPanel extends PanelController {
+  /**
+   * Creates the panel
+   *
+   * @param {Object} options
+   * @param {import('./EnergyLifeSimulation.js').EnergyLifeSimulation} options.simulation -
+   *   Simulation whose spectrum is analysed
+   * @param {Object<string, *>} options.dom - Cached DOM elements
+   */
+  constructor({ simulation, dom }) {
+    super({ simulation, dom, status: dom.spectrumSummary });
+    this.ctx = null; // Power spectrum canvas
+    const { spectrumEnabled, spectrumInterval, spectrumCanvas } = dom;
+    if (!spectrumEnabled) return;
+
+    if (spectrumCanvas) {
+      spectrumCanvas.width = SPECTRUM_CANVAS_WIDTH;
+      spectrumCanvas.height = SPECTRUM_CANVAS_HEIGHT;
+      this.ctx = spectrumCanvas.getContext('2d');
+    }
+    spectrumInterval.min = String(SPECTRUM_INTERVAL_MIN);
+    spectrumInterval.max = String(SPECTRUM_INTERVAL_MAX);
+
+    const apply = (options) => {
+      try {
+        simulation.setSpectrumOptions(options);
+      } catch (error) {
+        this.sync();
+        this.setStatus(error.message, true);
+      }
+    };
+    spectrumEnabled.addEventListener('change', () => {
+      apply({ enabled: spectrumEnabled.checked });
+    });
+    spectrumInterval.addEventListener('change', () => {
+      apply({ interval: Number(spectrumInterval.value) });
+    });
+
+    this.sync();
+    this.showResult();
+  }
+
+  /**
+   * Mirrors the spectrum options to the inputs
+   */
+  sync() {
+    if (!this.dom.spectrumEnabled) return;
+    this.dom.spectrumEnabled.checked = this.simulation.spectrumEnabled;
+    this.dom.spectrumInterval.value = String(this.simulation.spectrumInterval);
+  }
+
+  /**
+   * Shows the latest analysis (see the simulation's getSpectrum())
+   *
+   * Plots the radially averaged power against the wavenumber (periods
+   * across the field), both on log scales, and marks the dominant
+   * wavelength.
+   */
+  showResult() {
+    const { simulation } = this;
+    const spectrum = simulation.getSpectrum();
+    if (!spectrum) {
+      this.setStatus(
+        simulation.spectrumEnabled ? 'Waiting for the first analysis…' : '',
+      );
+    } else if (spectrum.wavelength === null) {
+      this.setStatus(`Flat field at generation ${spectrum.frame}: no pattern`);
+    } else {
+      this.setStatus(
+        `λ ${spectrum.wavelength.toFixed(1)} cells · ` +
+          `${spectrum.orientation.toFixed(0)}° · ` +
+          `coherence ${spectrum.coherence.toFixed(2)} · ` +
+          `generation ${spectrum.frame}`,
+      );
+    }
+
+    if (!this.ctx) return;
+    const { ctx } = this;
+    const { width, height } = ctx.canvas;
+    ctx.clearRect(0, 0, width, height);
+    if (!spectrum || spectrum.wavelength === null) return;
+
+    // k = 0 is the (removed) mean; plot k = 1 .. Nyquist
+    const { profile } = spectrum;
+    const maxK = profile.length - 1;
+    const powers = Array.from(profile.subarray(1)).filter((p) => p > 0);
+    const top = Math.log10(Math.max(...powers));
+    const bottom = Math.log10(Math.min(...powers));
+    const span = Math.max(top - bottom, 1e-6);
+    const toX = (k) =>
+      maxK > 1 ? (Math.log(k) / Math.log(maxK)) * (width - 1) : 0;
+    const toY = (p) =>
+      p > 0 ? (1 - (Math.log10(p) - bottom) / span) * (height - 2) + 1 : height;
+
+    ctx.strokeStyle = '#00ffcc';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let k = 1; k <= maxK; k++) {
+      ctx[k === 1 ? 'moveTo' : 'lineTo'](toX(k), toY(profile[k]));
+    }
+    ctx.stroke();
+
+    const peakX = toX(simulation.simulationSize / spectrum.wavelength);
+    ctx.strokeStyle = 'rgba(255, 170, 0, 0.8)';
+    ctx.beginPath();
+    ctx.moveTo(peakX, 0);
+    ctx.lineTo(peakX, height);
+    ctx.stroke();
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Structures Panel
+ *
+ * Wires the Structures panel to setBlobOptions() and shows each
+ * analysis: a text summary plus bars of the size distribution. The
+ * outline overlay and ID labels stay with the simulation, which owns
+ * the scene.
+ *
+ * @class
+ */
+
+import {
+  BLOB_INTERVAL_MIN,
+  BLOB_INTERVAL_MAX,
+  BLOB_CANVAS_WIDTH,
+  BLOB_CANVAS_HEIGHT,
+} from '../config/constants.js';
+import { BLOB_CHANNELS } from '../utils/blobs.js';
+import { PanelController } from './PanelController.js';
+
+export class StructuresPanel extends PanelController {
+  /**
+   * Creates the panel
+   *
+   * @param {Object} options
+   * @param {import('./EnergyLifeSimulation.js').EnergyLifeSimulation} options.simulation -
+   *   Simulation whose structures are analysed
+   * @param {Object<string, *>} options.dom - Cached DOM elements
+   */
+  constructor({ simulation, dom }) {
+    super({ simulation, dom, status: dom.blobSummary });
+    this.ctx = null; // Size distribution canvas
+    const {
+      blobsEnabled,
+      blobChannel,
+      blobThreshold,
+      blobMinSize,
+      blobInterval,
+      blobTracking,
+      blobOverlay,
+      blobSizes,
+    } = dom;
+    if (!blobsEnabled) return;
+
+    if (blobSizes) {
+      blobSizes.width = BLOB_CANVAS_WIDTH;
+      blobSizes.height = BLOB_CANVAS_HEIGHT;
+      this.ctx = blobSizes.getContext('2d');
+    }
+    blobInterval.min = String(BLOB_INTERVAL_MIN);
+    blobInterval.max = String(BLOB_INTERVAL_MAX);
+
+    // Rejected options leave the simulation unchanged, so the inputs are
+    // mirrored back before showing why
+    const apply = (options) => {
+      try {
+        simulation.setBlobOptions(options);
+        this.showReport();
+      } catch (error) {
+        this.sync();
+        this.setStatus(error.message, true);
+      }
+    };
+    blobsEnabled.addEventListener('change', () => {
+      apply({ enabled: blobsEnabled.checked });
+    });
+    blobChannel.addEventListener('change', () => {
+      apply({ channel: blobChannel.value });
+    });
+    blobThreshold.addEventListener('change', () => {
+      apply({ threshold: parseFloat(blobThreshold.value) });
+    });
+    blobMinSize.addEventListener('change', () => {
+      apply({ minSize: Number(blobMinSize.value) });
+    });
+    blobInterval.addEventListener('change', () => {
+      apply({ interval: Number(blobInterval.value) });
+    });
+    blobTracking.addEventListener('change', () => {
+      apply({ tracking: blobTracking.checked });
+    });
+    blobOverlay.addEventListener('change', () => {
+      apply({ overlay: blobOverlay.checked });
+    });
+
+    this.sync();
+    this.showReport();
+  }
+
+  /**
+   * Mirrors the structure options to the inputs
+   * The channel list follows the active rule.
+   */
+  sync() {
+    const { blobsEnabled, blobChannel } = this.dom;
+    if (!blobsEnabled) return;
+    const { blobOptions: options, rule } = this.simulation;
+
+    blobChannel.innerHTML = '';
+    BLOB_CHANNELS.filter((name) => rule.channels.includes(name)).forEach(
+      (name) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name[0].toUpperCase() + name.slice(1);
+        blobChannel.appendChild(option);
+      },
+    );
+
+    blobsEnabled.checked = options.enabled;
+    blobChannel.value = options.channel;
+    this.dom.blobThreshold.value = String(options.threshold);
+    this.dom.blobMinSize.value = String(options.minSize);
+    this.dom.blobInterval.value = String(options.interval);
+    this.dom.blobTracking.checked = options.tracking;
+    this.dom.blobOverlay.checked = options.overlay;
+  }
+
+  /**
+   * Shows the latest analysis (see the simulation's getBlobs())
+   * Text summary plus bars of the size distribution (one bar per
+   * power-of-two size class).
+   */
+  showReport() {
+    const report = this.simulation.getBlobs();
+    if (!report) {
+      this.setStatus(
+        this.simulation.blobOptions.enabled
+          ? 'Waiting for the first analysis…'
+          : '',
+      );
+    } else {
+      const parts = [
+        `${report.count} structures at generation ${report.frame}`,
+        `mass ${report.totalMass.toFixed(1)}`,
+        `size median ${report.medianSize}, max ${report.maxSize}`,
+      ];
+      if (report.born !== null) {
+        parts.push(`+${report.born} / −${report.died} since last`);
+      }
+      this.setStatus(parts.join(' · '));
+    }
+
+    if (!this.ctx) return;
+    const { ctx } = this;
+    const { width, height } = ctx.canvas;
+    ctx.clearRect(0, 0, width, height);
+    if (!report) return;
+
+    const classes = report.sizeClasses;
+    const max = Math.max(1, ...classes);
+    const barWidth = width / classes.length;
+    ctx.fillStyle = 'rgba(0, 255, 204, 0.6)';
+    classes.forEach((count, k) => {
+      const h = (count / max) * (height - 2);
+      ctx.fillRect(k * barWidth + 1, height - h, barWidth - 2, h);
+    });
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * Sweep Grid
+ *
+ * Runs one small simulation per sweep tile inside the main renderer's
+ * WebGL context. Every tile is its own `field` variable on one shared
+ * GPUComputationRenderer, with its own parameter uniforms, and all tiles
+ * start from the same seeded field. Tiles are drawn as flat thumbnails
+ * into viewports of the main canvas.
+ *
+ * @class
+ */
+
+import {
+  SWEEP_TILE_SIZE,
+  NOISE_FRAME_PERIOD,
+  AVERAGE_COMPUTE_THROTTLE,
+} from '../config/constants.js';
+import { getShader, SHADER_FILES } from '../utils/shaderLoader.js';
+import { createRandom, splitSeed } from '../utils/random.js';
+import { seedPattern, clearTexture } from '../utils/textureUtils.js';
+import { computeFieldStats } from '../utils/fieldStats.js';
+import { GPUComputationRenderer } from './GPUComputationRenderer.js';
+
+const THREE = window.THREE;
+
+export class SweepGrid {
+  /**
+   * Creates the tile simulations
+   *
+   * @param {Object} options
+   * @param {THREE.WebGLRenderer} options.renderer - Renderer of the main canvas
+   * @param {Object} options.rule - Rule definition (see config/rules.js)
+   * @param {Array<import('../utils/sweep.js').SweepCell>} options.cells - One per tile
+   * @param {number} options.seed - RNG seed shared by all tiles
+   * @param {THREE.Texture} options.paletteTexture - Palette lookup texture
+   *   the thumbnails are colored with (shared with the main display)
+   * @param {number} [options.size=SWEEP_TILE_SIZE] - Grid size of each tile
+   */
+  constructor({
+    renderer,
+    rule,
+    cells,
+    seed,
+    paletteTexture,
+    size = SWEEP_TILE_SIZE,
+  }) {
+    this.renderer = renderer;
+    this.cells = cells;
+    this.size = size;
+    this.frame = 0; // Compute steps since the tiles were seeded
+
+    this.computeRenderer = new GPUComputationRenderer(size, size, renderer);
+
+    const initialTexture = this.computeRenderer.createTexture();
+    seedPattern(initialTexture, createRandom(seed));
+
+    this.interactionTexture = this.computeRenderer.createTexture();
+    clearTexture(this.interactionTexture); // Tiles take no mouse input
+
+    this.variables = cells.map(({ params }) => {
+      const variable = this.computeRenderer.addVariable(
+        'field',
+        getShader(rule.fragmentShader),
+        initialTexture,
+      );
+      variable.material.uniforms = this.#createUniforms(rule, params, seed);
+      this.computeRenderer.setVariableDependencies(variable, [variable]);
+      return variable;
+    });
+    initialTexture.dispose();
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        fieldTexture: { value: null },
+        paletteTexture: { value: paletteTexture },
+      },
+      vertexShader: getShader(SHADER_FILES.thumbnailVertex),
+      fragmentShader: getShader(SHADER_FILES.thumbnailFragment),
+    });
+    this.scene = new THREE.Scene();
+    this.camera = new THREE.Camera();
+    this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+    this.scene.add(this.mesh);
+  }
+
+  /**
+   * Advances every tile by `n` generations
+   *
+   * Like the main simulation, noise and globalAverage follow the frame
+   * counter, so a tile evolves the same way at any speed.
+   *
+   * @param {number} [n=1] - Number of compute steps
+   */
+  step(n = 1) {
+    for (let i = 0; i < n; i++) {
+      this.variables.forEach((variable) => {
+        variable.material.uniforms.frame.value =
+          this.frame % NOISE_FRAME_PERIOD;
+      });
+
+      this.computeRenderer.compute();
+      this.frame++;
+
+      if (this.frame % AVERAGE_COMPUTE_THROTTLE === 0) {
+        this.#refreshAverages();
+      }
+    }
+  }
+
+  /**
+   * Draws each tile into its rectangle of the canvas
+   *
+   * @param {Array<{x: number, y: number, size: number}>} tiles - Rectangles
+   *   in CSS pixels, y from the top (see layoutSweepTiles())
+   */
+  render(tiles) {
+    const canvasSize = this.renderer.getSize(new THREE.Vector2());
+
+    this.renderer.setRenderTarget(null);
+    this.renderer.clear();
+    this.renderer.setScissorTest(true);
+
+    tiles.forEach((tile, index) => {
+      const variable = this.variables[index];
+      if (!variable) return;
+
+      // WebGL viewports are measured from the bottom
+      const y = canvasSize.y - tile.y - tile.size;
+      this.renderer.setViewport(tile.x, y, tile.size, tile.size);
+      this.renderer.setScissor(tile.x, y, tile.size, tile.size);
+
+      this.material.uniforms.fieldTexture.value =
+        this.computeRenderer.getCurrentRenderTarget(variable).texture;
+      this.renderer.render(this.scene, this.camera);
+    });
+
+    this.renderer.setScissorTest(false);
+    this.renderer.setViewport(0, 0, canvasSize.x, canvasSize.y);
+  }
+
+  /**
+   * Frees all GPU resources of the tiles
+   */
+  dispose() {
+    this.computeRenderer.dispose();
+    this.interactionTexture.dispose();
+    this.mesh.geometry.dispose();
+    this.material.dispose();
+  }
+
+  /**
+   * Builds a tile's uniforms, mirroring the main simulation's field uniforms
+   * @private
+   * @param {Object} rule - Rule definition
+   * @param {Object<string, number>} params - Tile parameters
+   * @param {number} seed - RNG seed
+   * @returns {Object} Uniforms object for the tile's field material
+   */
+  #createUniforms(rule, params, seed) {
+    const uniforms = {};
+    rule.schema.forEach(({ key }) => {
+      uniforms[key] = { value: params[key] };
+    });
+
+    return {
+      ...uniforms,
+      globalAverage: { value: 0.0 },
+      interactionTexture: { value: this.interactionTexture },
+      seed: { value: new THREE.Vector2(...splitSeed(seed)) },
+      frame: { value: 0 },
+      texelSize: {
+        value: new THREE.Vector2(1.0 / this.size, 1.0 / this.size),
+      },
+    };
+  }
+
+  /**
+   * Updates each tile's globalAverage from its own energy
+   * Tiles are small, so reading them back is cheaper than one
+   * downsample pipeline per tile.
+   * @private
+   */
+  #refreshAverages() {
+    this.variables.forEach((variable) => {
+      const { energy } = computeFieldStats(
+        this.computeRenderer.readVariable(variable),
+        ['energy'],
+      );
+      variable.material.uniforms.globalAverage.value = energy.mean;
+    });
+  }
+}
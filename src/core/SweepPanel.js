@@ -0,0 +1,129 @@
+/**
+ * Sweep Panel
+ *
+ * Wires the Parameter Sweep panel: one or two swept params with their
+ * ranges and step counts, and the button that opens or closes the
+ * sweep view (see the simulation's startSweep()).
+ *
+ * @class
+ */
+
+import { SWEEP_DEFAULT_STEPS, SWEEP_MAX_STEPS } from '../config/constants.js';
+import { PanelController } from './PanelController.js';
+
+export class SweepPanel extends PanelController {
+  /**
+   * Creates the panel
+   *
+   * @param {Object} options
+   * @param {import('./EnergyLifeSimulation.js').EnergyLifeSimulation} options.simulation -
+   *   Simulation to sweep
+   * @param {Object<string, *>} options.dom - Cached DOM elements
+   */
+  constructor({ simulation, dom }) {
+    super({ simulation, dom, status: dom.sweepStatus });
+    if (!dom.sweepButton) return;
+
+    [dom.sweepXSteps, dom.sweepYSteps].forEach((input) => {
+      input.max = String(SWEEP_MAX_STEPS);
+      input.value = String(SWEEP_DEFAULT_STEPS);
+    });
+
+    dom.sweepXParam.addEventListener('change', () => this.#fillRange('X'));
+    dom.sweepYParam.addEventListener('change', () => this.#fillRange('Y'));
+
+    this.onClick(dom.sweepButton, () => {
+      if (simulation.sweepGrid) {
+        simulation.stopSweep();
+        this.setStatus('');
+        return;
+      }
+
+      const cells = simulation.startSweep({
+        x: this.#axis('X'),
+        y: this.#axis('Y'),
+      });
+      this.setStatus(
+        `Running ${cells.length} tiles from seed ${simulation.seed}. Click a tile to use its parameters.`,
+      );
+    });
+
+    this.sync();
+  }
+
+  /**
+   * Lists the active rule's params as sweep axes
+   */
+  syncRule() {
+    const { sweepXParam, sweepYParam } = this.dom;
+    if (!sweepXParam || !sweepYParam) return;
+
+    const { schema } = this.simulation.rule;
+    sweepXParam.innerHTML = '';
+    sweepYParam.innerHTML = '<option value="">(none)</option>';
+    schema.forEach(({ key, label }) => {
+      [sweepXParam, sweepYParam].forEach((select) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+    });
+    sweepXParam.value = schema[0].key;
+    sweepYParam.value = schema[1]?.key ?? '';
+    this.#fillRange('X');
+    this.#fillRange('Y');
+  }
+
+  /**
+   * Shows whether the sweep view is open
+   */
+  sync() {
+    if (!this.dom.sweepButton) return;
+    this.dom.sweepButton.textContent = this.simulation.sweepGrid
+      ? '✕ Close sweep'
+      : '▦ Run sweep';
+  }
+
+  /**
+   * Reads an axis from its inputs
+   * @private
+   * @param {string} name - Axis ('X' or 'Y')
+   * @returns {import('../utils/sweep.js').SweepAxis|undefined} Undefined
+   *   if no param is selected
+   */
+  #axis(name) {
+    const key = this.dom[`sweep${name}Param`].value;
+    if (!key) return undefined;
+    return {
+      key,
+      min: parseFloat(this.dom[`sweep${name}Min`].value),
+      max: parseFloat(this.dom[`sweep${name}Max`].value),
+      steps: Math.min(
+        SWEEP_MAX_STEPS,
+        parseInt(this.dom[`sweep${name}Steps`].value, 10),
+      ),
+    };
+  }
+
+  /**
+   * Fills an axis' range inputs with its parameter's full range
+   * @private
+   * @param {string} name - Axis ('X' or 'Y')
+   */
+  #fillRange(name) {
+    const key = this.dom[`sweep${name}Param`].value;
+    const entry = this.simulation.rule.schema.find(
+      (candidate) => candidate.key === key,
+    );
+    [`sweep${name}Min`, `sweep${name}Max`, `sweep${name}Steps`].forEach(
+      (id) => {
+        this.dom[id].disabled = !entry;
+      },
+    );
+    if (!entry) return;
+
+    this.dom[`sweep${name}Min`].value = String(entry.min);
+    this.dom[`sweep${name}Max`].value = String(entry.max);
+  }
+}
@@ -0,0 +1,504 @@
+/**
+ * Time-Series Chart
+ *
+ * Plots field statistics series against the generation number, with
+ * auto-scaled axes, a hover readout and zoom/pan over the whole recorded
+ * history (see ChartHistoryStore).
+ *
+ * - Wheel: zoom around the pointer
+ * - Drag: pan
+ * - Double-click: back to the live view
+ *
+ * The live view follows the newest samples; zooming or panning away from
+ * the end freezes the window until it is moved back to the end. Marked
+ * generations (e.g. regime reverts) are drawn as labelled dashed lines.
+ *
+ * @class
+ */
+
+import {
+  CHART_HISTORY_LENGTH,
+  CHART_CANVAS_WIDTH,
+  CHART_CANVAS_HEIGHT,
+  CHART_GRID_DIVISIONS,
+  CHART_MIN_RANGE,
+  CHART_MIN_SPAN,
+  CHART_ZOOM_FACTOR,
+} from '../config/constants.js';
+import {
+  niceTicks,
+  formatTick,
+  seriesRange,
+  clampView,
+  zoomView,
+  panView,
+  downsampleSamples,
+  nearestSample,
+} from '../utils/chartMath.js';
+import { getStatSeriesValue } from '../utils/fieldStats.js';
+
+// Space around the plot area for tick labels, in canvas pixels
+const MARGIN = { left: 42, right: 8, top: 6, bottom: 16 };
+const LABEL_FONT = '9px monospace';
+
+export class TimeSeriesChart {
+  /**
+   * Creates a chart on a canvas
+   *
+   * @param {Object} options
+   * @param {HTMLCanvasElement} options.canvas - Canvas to draw on
+   * @param {import('./ChartHistoryStore.js').ChartHistoryStore} options.store - Sample history
+   * @param {number} [options.width=CHART_CANVAS_WIDTH] - Canvas width in pixels
+   * @param {number} [options.height=CHART_CANVAS_HEIGHT] - Canvas height in pixels
+   */
+  constructor({
+    canvas,
+    store,
+    width = CHART_CANVAS_WIDTH,
+    height = CHART_CANVAS_HEIGHT,
+  }) {
+    this.canvas = canvas;
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.ctx = canvas.getContext('2d');
+    this.store = store;
+
+    this.series = []; // {key, label, color} per plotted series
+    this.span = CHART_HISTORY_LENGTH; // Width of the live view (samples)
+    this.view = null; // Fixed {start, end} window, or null to follow
+    this.loaded = null; // Samples last read from the store
+    this.loading = false;
+    this.drawnSamples = [];
+    this.hoverX = null; // Pointer x in canvas pixels
+    this.drag = null; // {x, view} while panning
+    this.markers = []; // {frame, label} per marked generation
+
+    this.#bindEvents();
+  }
+
+  /**
+   * Sets the plotted series
+   *
+   * @param {Array<{key: string, label: string, color: string}>} series -
+   *   Series keys (see utils/fieldStats.js) with legend label and color
+   */
+  setSeries(series) {
+    this.series = series;
+    this.draw();
+  }
+
+  /**
+   * Records a sample (does not redraw)
+   *
+   * @param {number} frame - Generation of the stats
+   * @param {Object<string, import('../utils/fieldStats.js').ChannelStats>} stats - Field stats
+   */
+  record(frame, stats) {
+    this.store.append({ frame, stats });
+  }
+
+  /**
+   * Marks a generation (does not redraw)
+   *
+   * @param {number} frame - Generation to mark
+   * @param {string} label - Short text drawn next to the line
+   */
+  mark(frame, label) {
+    this.markers.push({ frame, label });
+  }
+
+  /**
+   * Deletes the history and markers and returns to the live view
+   */
+  clear() {
+    this.store.clear();
+    this.loaded = null;
+    this.markers = [];
+    this.resetView();
+  }
+
+  /**
+   * Returns to the live view at the default width
+   */
+  resetView() {
+    this.view = null;
+    this.span = CHART_HISTORY_LENGTH;
+    this.draw();
+  }
+
+  /**
+   * Redraws axes, series and hover readout
+   */
+  draw() {
+    const { ctx } = this;
+    const { width, height } = this.canvas;
+    const plot = this.#plotArea();
+    ctx.clearRect(0, 0, width, height);
+
+    const samples = downsampleSamples(
+      this.#samplesFor(this.#currentView()),
+      plot.width,
+    );
+    this.drawnSamples = samples;
+
+    const xRange =
+      samples.length > 1
+        ? { min: samples[0].frame, max: samples[samples.length - 1].frame }
+        : { min: samples[0]?.frame ?? 0, max: (samples[0]?.frame ?? 0) + 1 };
+    const yRange = seriesRange(
+      samples,
+      this.series.map(({ key }) => key),
+      CHART_MIN_RANGE,
+    );
+    const toX = (frame) =>
+      plot.left +
+      ((frame - xRange.min) / (xRange.max - xRange.min)) * plot.width;
+    const toY = (value) =>
+      plot.top +
+      plot.height -
+      ((value - yRange.min) / (yRange.max - yRange.min)) * plot.height;
+
+    this.#drawAxes(plot, xRange, yRange, toX, toY);
+    this.#drawMarkers(plot, xRange, toX);
+
+    ctx.lineWidth = 1.5;
+    this.series.forEach(({ key, color }) => {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      let penDown = false;
+      samples.forEach(({ frame, stats }) => {
+        const value = getStatSeriesValue(stats, key);
+        if (!Number.isFinite(value)) {
+          penDown = false;
+          return;
+        }
+        if (penDown) ctx.lineTo(toX(frame), toY(value));
+        else ctx.moveTo(toX(frame), toY(value));
+        penDown = true;
+      });
+      ctx.stroke();
+    });
+
+    if (samples.length === 0) {
+      ctx.fillStyle = '#666666';
+      ctx.font = LABEL_FONT;
+      ctx.textAlign = 'center';
+      ctx.fillText('No data yet', plot.left + plot.width / 2, height / 2);
+    }
+
+    this.#drawHover(plot, xRange, toX, toY);
+  }
+
+  /**
+   * Plot area inside the tick label margins
+   * @private
+   * @returns {{left: number, top: number, width: number, height: number}}
+   */
+  #plotArea() {
+    return {
+      left: MARGIN.left,
+      top: MARGIN.top,
+      width: this.canvas.width - MARGIN.left - MARGIN.right,
+      height: this.canvas.height - MARGIN.top - MARGIN.bottom,
+    };
+  }
+
+  /**
+   * Window on display: the fixed view, or the newest `span` samples
+   * @private
+   * @returns {{start: number, end: number}} Absolute sample indices
+   */
+  #currentView() {
+    const bounds = { first: this.store.first, next: this.store.next };
+    if (this.view) return clampView(this.view, bounds, CHART_MIN_SPAN);
+    return {
+      start: Math.max(bounds.first, bounds.next - this.span),
+      end: bounds.next,
+    };
+  }
+
+  /**
+   * Moves to a window; reaching the newest sample switches to following
+   * @private
+   * @param {{start: number, end: number}} view - New window
+   */
+  #setView(view) {
+    if (view.end >= this.store.next) {
+      this.view = null;
+      this.span = view.end - view.start;
+    } else {
+      this.view = view;
+    }
+    this.draw();
+  }
+
+  /**
+   * Samples of a window, from memory or the last store read
+   *
+   * Parts older than the in-memory samples come from an asynchronous
+   * store read; until it arrives, whatever is at hand is drawn.
+   * @private
+   * @param {{start: number, end: number}} view - Window
+   * @returns {Array<import('../utils/chartMath.js').ChartSample>} Samples, oldest first
+   */
+  #samplesFor({ start, end }) {
+    if (this.store.hasRecent(start, end)) {
+      return this.store.readRecent(start, end);
+    }
+
+    const { recentStart } = this.store;
+    const loaded =
+      this.loaded?.generation === this.store.generation ? this.loaded : null;
+    const covered =
+      loaded &&
+      loaded.start <= start &&
+      loaded.end >= Math.min(end, recentStart);
+    if (!covered) this.#load(start, end);
+    if (!loaded) return this.store.readRecent(start, end);
+
+    const from = Math.max(start, loaded.start);
+    const to = Math.min(end, loaded.end);
+    return [
+      ...loaded.samples.slice(
+        from - loaded.start,
+        Math.max(from, to) - loaded.start,
+      ),
+      ...this.store.readRecent(Math.max(to, recentStart), end),
+    ];
+  }
+
+  /**
+   * Reads a window from the store and redraws when it arrives
+   * Only one read runs at a time; the redraw requests the next if the
+   * window moved meanwhile.
+   * @private
+   * @param {number} start - First absolute index
+   * @param {number} end - Absolute index after the last
+   */
+  #load(start, end) {
+    if (this.loading) return;
+    this.loading = true;
+
+    const generation = this.store.generation;
+    const first = Math.max(start, this.store.first);
+    this.store
+      .read(first, end)
+      .then((samples) => {
+        if (generation !== this.store.generation) return;
+        this.loaded = {
+          generation,
+          start: first,
+          end: first + samples.length,
+          samples,
+        };
+      })
+      .catch((error) => {
+        console.warn('Failed to read chart history:', error);
+      })
+      .finally(() => {
+        this.loading = false;
+        if (this.loaded?.generation === generation) this.draw();
+      });
+  }
+
+  /**
+   * Grid lines and tick labels for both axes
+   * @private
+   * @param {Object} plot - Plot area (see #plotArea())
+   * @param {{min: number, max: number}} xRange - Generations on display
+   * @param {{min: number, max: number}} yRange - Values on display
+   * @param {function(number): number} toX - Generation → canvas x
+   * @param {function(number): number} toY - Value → canvas y
+   */
+  #drawAxes(plot, xRange, yRange, toX, toY) {
+    const { ctx } = this;
+    ctx.font = LABEL_FONT;
+    ctx.lineWidth = 0.5;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+    ctx.fillStyle = '#888888';
+
+    const yTicks = niceTicks(yRange.min, yRange.max, CHART_GRID_DIVISIONS);
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    yTicks.ticks.forEach((value) => {
+      const y = toY(value);
+      ctx.beginPath();
+      ctx.moveTo(plot.left, y);
+      ctx.lineTo(plot.left + plot.width, y);
+      ctx.stroke();
+      ctx.fillText(formatTick(value, yTicks.step), plot.left - 4, y);
+    });
+
+    const xTicks = niceTicks(xRange.min, xRange.max, CHART_GRID_DIVISIONS);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    xTicks.ticks.forEach((frame) => {
+      const x = toX(frame);
+      ctx.beginPath();
+      ctx.moveTo(x, plot.top);
+      ctx.lineTo(x, plot.top + plot.height);
+      ctx.stroke();
+      ctx.fillText(
+        formatTick(frame, xTicks.step),
+        x,
+        plot.top + plot.height + 3,
+      );
+    });
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.strokeRect(plot.left, plot.top, plot.width, plot.height);
+  }
+
+  /**
+   * Dashed lines for the marked generations on display
+   * @private
+   * @param {Object} plot - Plot area (see #plotArea())
+   * @param {{min: number, max: number}} xRange - Generations on display
+   * @param {function(number): number} toX - Generation → canvas x
+   */
+  #drawMarkers(plot, xRange, toX) {
+    const { ctx } = this;
+    ctx.save();
+    ctx.font = LABEL_FONT;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 3]);
+    ctx.strokeStyle = 'rgba(255, 200, 80, 0.6)';
+    ctx.fillStyle = 'rgba(255, 200, 80, 0.9)';
+    this.markers.forEach(({ frame, label }) => {
+      if (frame < xRange.min || frame > xRange.max) return;
+      const x = toX(frame);
+      ctx.beginPath();
+      ctx.moveTo(x, plot.top);
+      ctx.lineTo(x, plot.top + plot.height);
+      ctx.stroke();
+      ctx.fillText(label, x + 2, plot.top + 2);
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Cursor line and the values of the sample nearest to the pointer
+   * @private
+   * @param {Object} plot - Plot area (see #plotArea())
+   * @param {{min: number, max: number}} xRange - Generations on display
+   * @param {function(number): number} toX - Generation → canvas x
+   * @param {function(number): number} toY - Value → canvas y
+   */
+  #drawHover(plot, xRange, toX, toY) {
+    if (this.hoverX === null || this.drag || this.series.length === 0) return;
+
+    const frame =
+      xRange.min +
+      ((this.hoverX - plot.left) / plot.width) * (xRange.max - xRange.min);
+    const sample = nearestSample(this.drawnSamples, frame);
+    if (!sample) return;
+
+    const { ctx } = this;
+    const x = toX(sample.frame);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, plot.top);
+    ctx.lineTo(x, plot.top + plot.height);
+    ctx.stroke();
+
+    const lines = [{ text: `gen ${sample.frame}`, color: '#ffffff' }];
+    this.series.forEach(({ key, label, color }) => {
+      const value = getStatSeriesValue(sample.stats, key);
+      if (!Number.isFinite(value)) return;
+      lines.push({ text: `${label}: ${value.toPrecision(4)}`, color });
+
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(x, toY(value), 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    ctx.font = LABEL_FONT;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    const lineHeight = 11;
+    const boxWidth =
+      Math.max(...lines.map(({ text }) => ctx.measureText(text).width)) + 8;
+    const boxHeight = lines.length * lineHeight + 4;
+    const boxX =
+      x + boxWidth + 6 > plot.left + plot.width ? x - boxWidth - 6 : x + 6;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.fillRect(boxX, plot.top + 2, boxWidth, boxHeight);
+    lines.forEach(({ text, color }, i) => {
+      ctx.fillStyle = color;
+      ctx.fillText(text, boxX + 4, plot.top + 4 + i * lineHeight);
+    });
+  }
+
+  /**
+   * Wires wheel zoom, drag pan, hover and double-click reset
+   * @private
+   */
+  #bindEvents() {
+    const toCanvasX = (event) => {
+      const rect = this.canvas.getBoundingClientRect();
+      return ((event.clientX - rect.left) * this.canvas.width) / rect.width;
+    };
+    const bounds = () => ({ first: this.store.first, next: this.store.next });
+
+    this.canvas.addEventListener(
+      'wheel',
+      (event) => {
+        event.preventDefault();
+        const plot = this.#plotArea();
+        const anchor = Math.min(
+          1,
+          Math.max(0, (toCanvasX(event) - plot.left) / plot.width),
+        );
+        const factor =
+          event.deltaY > 0 ? CHART_ZOOM_FACTOR : 1 / CHART_ZOOM_FACTOR;
+        this.#setView(
+          zoomView(
+            this.#currentView(),
+            factor,
+            anchor,
+            bounds(),
+            CHART_MIN_SPAN,
+          ),
+        );
+      },
+      { passive: false },
+    );
+
+    this.canvas.addEventListener('pointerdown', (event) => {
+      this.drag = { x: toCanvasX(event), view: this.#currentView() };
+      this.canvas.setPointerCapture(event.pointerId);
+    });
+
+    this.canvas.addEventListener('pointermove', (event) => {
+      this.hoverX = toCanvasX(event);
+      if (this.drag) {
+        const { view } = this.drag;
+        const delta =
+          (-(this.hoverX - this.drag.x) / this.#plotArea().width) *
+          (view.end - view.start);
+        this.#setView(panView(view, delta, bounds(), CHART_MIN_SPAN));
+      } else {
+        this.draw();
+      }
+    });
+
+    const endDrag = () => {
+      this.drag = null;
+      this.draw();
+    };
+    this.canvas.addEventListener('pointerup', endDrag);
+    this.canvas.addEventListener('pointercancel', endDrag);
+
+    this.canvas.addEventListener('pointerleave', () => {
+      this.hoverX = null;
+      this.draw();
+    });
+
+    this.canvas.addEventListener('dblclick', () => this.resetView());
+  }
+}
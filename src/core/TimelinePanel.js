@@ -0,0 +1,177 @@
+/**
+ * Timeline Panel
+ *
+ * Wires the Timeline panel: playback, loop settings and keyframe
+ * editing (see utils/timeline.js). Every edit goes through the
+ * simulation's setTimeline(), which validates it and calls sync().
+ *
+ * @class
+ */
+
+import {
+  hasKeyframes,
+  addKeyframe,
+  removeKeyframe,
+  lastKeyframeFrame,
+} from '../utils/timeline.js';
+import { PanelController } from './PanelController.js';
+
+export class TimelinePanel extends PanelController {
+  /**
+   * Creates the panel
+   *
+   * @param {Object} options
+   * @param {import('./EnergyLifeSimulation.js').EnergyLifeSimulation} options.simulation -
+   *   Simulation whose timeline is edited
+   * @param {Object<string, *>} options.dom - Cached DOM elements
+   */
+  constructor({ simulation, dom }) {
+    super({ simulation, dom });
+    if (!dom.timelinePlay) return;
+
+    const {
+      timelinePlay,
+      timelineRestart,
+      timelineLoop,
+      timelineLength,
+      keyframeParam,
+      keyframeFrame,
+      keyframeValue,
+      keyframeEasing,
+    } = dom;
+    keyframeFrame.value = '0';
+
+    timelinePlay.addEventListener('click', () => {
+      if (simulation.timelinePlaying) {
+        simulation.stopTimeline();
+      } else {
+        simulation.playTimeline();
+      }
+    });
+    timelineRestart.addEventListener('click', () => {
+      simulation.playTimeline({ restart: true });
+    });
+
+    timelineLoop.addEventListener('change', () => {
+      simulation.setTimeline({
+        ...simulation.timeline,
+        loop: timelineLoop.checked,
+      });
+    });
+    timelineLength.addEventListener('change', () => {
+      simulation.setTimeline({
+        ...simulation.timeline,
+        length: parseInt(timelineLength.value, 10) || 0,
+      });
+    });
+
+    keyframeParam.addEventListener('change', () => {
+      keyframeValue.value = String(simulation.params[keyframeParam.value]);
+    });
+
+    dom.addKeyframe.addEventListener('click', () => {
+      const frame = Number(keyframeFrame.value);
+      const value = parseFloat(keyframeValue.value);
+      if (!Number.isInteger(frame) || frame < 0 || Number.isNaN(value)) return;
+
+      simulation.setTimeline(
+        addKeyframe(simulation.timeline, keyframeParam.value, {
+          frame,
+          value,
+          easing: keyframeEasing.value,
+        }),
+      );
+    });
+  }
+
+  /**
+   * Lists the active rule's params in the keyframe editor
+   */
+  syncRule() {
+    const { keyframeParam, keyframeValue } = this.dom;
+    if (!keyframeParam) return;
+
+    const { rule, params } = this.simulation;
+    keyframeParam.innerHTML = '';
+    rule.schema.forEach(({ key, label }) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = label;
+      keyframeParam.appendChild(option);
+    });
+    keyframeValue.value = String(params[rule.schema[0].key]);
+    this.sync();
+  }
+
+  /**
+   * Rebuilds the keyframe list and loop settings after the timeline changed
+   */
+  sync() {
+    const { keyframeList, timelineLoop, timelineLength } = this.dom;
+    if (!keyframeList) return;
+
+    const { simulation } = this;
+    const { timeline } = simulation;
+    timelineLoop.checked = timeline.loop;
+    timelineLength.value = timeline.length > 0 ? String(timeline.length) : '';
+
+    keyframeList.innerHTML = '';
+    Object.entries(timeline.tracks).forEach(([key, keyframes]) => {
+      const label =
+        simulation.rule.schema.find((entry) => entry.key === key)?.label ?? key;
+
+      keyframes.forEach((keyframe) => {
+        const item = document.createElement('li');
+        const text = document.createElement('span');
+        text.textContent = `${label} @ ${keyframe.frame}: ${keyframe.value} (${keyframe.easing})`;
+        text.title = 'Edit in the keyframe fields above';
+        text.addEventListener('click', () => {
+          this.dom.keyframeParam.value = key;
+          this.dom.keyframeFrame.value = String(keyframe.frame);
+          this.dom.keyframeValue.value = String(keyframe.value);
+          this.dom.keyframeEasing.value = keyframe.easing;
+        });
+
+        const remove = document.createElement('button');
+        remove.textContent = '✕';
+        remove.title = 'Remove keyframe';
+        remove.addEventListener('click', () => {
+          simulation.setTimeline(
+            removeKeyframe(simulation.timeline, key, keyframe.frame),
+          );
+        });
+
+        item.append(text, remove);
+        keyframeList.appendChild(item);
+      });
+    });
+
+    this.showPlayback();
+  }
+
+  /**
+   * Shows the playback state and position (called once per rendered
+   * frame while playing)
+   */
+  showPlayback() {
+    const { timelinePlay, timelinePosition } = this.dom;
+    if (!timelinePlay) return;
+
+    const { timeline, timelinePlaying, simulationFrame, timelineOrigin } =
+      this.simulation;
+    timelinePlay.textContent = timelinePlaying ? '⏸ Stop' : '▶ Play';
+
+    if (!timelinePlaying) {
+      timelinePosition.textContent = hasKeyframes(timeline)
+        ? 'Stopped.'
+        : 'No keyframes.';
+      return;
+    }
+
+    const time = simulationFrame - timelineOrigin;
+    const end = timeline.length || lastKeyframeFrame(timeline);
+    timelinePosition.textContent = timeline.loop
+      ? `Generation ${end > 0 ? time % end : time} of ${end} (looping)`
+      : `Generation ${time} of ${end}`;
+  }
+}
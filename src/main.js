@@ -6,15 +6,17 @@
 
 import { EnergyLifeSimulation } from './core/EnergyLifeSimulation.js';
 
-window.addEventListener('DOMContentLoaded', () => {
+window.addEventListener('DOMContentLoaded', async () => {
   const simulation = new EnergyLifeSimulation({
     canvasSelector: '#canvas',
     containerSelector: '#canvasContainer',
     controlsSelector: '#controls',
     chartCanvasSelector: '#chartCanvas',
+    // ?dev enables shader hot-reload from src/shaders/
+    devMode: new URLSearchParams(window.location.search).has('dev'),
   });
 
-  simulation.init();
+  await simulation.init();
 
   // Expose to window for debugging/testing
   window.energyLifeSim = simulation;
@@ -0,0 +1,127 @@
+/**
+ * Reference Stepper
+ *
+ * Runs a rule on the CPU, on plain Float32Arrays, mirroring one
+ * GPUComputationRenderer.compute() of the field variable per step,
+ * including the frame-indexed noise and the globalAverage refresh of
+ * EnergyLifeSimulation's #computeStep(). Pure (no DOM/WebGL), so it
+ * runs in Node; slow, so use small grids.
+ *
+ * @class
+ */
+
+import {
+  AVERAGE_COMPUTE_THROTTLE,
+  NOISE_FRAME_PERIOD,
+} from '../config/constants.js';
+import { getRule } from '../config/rules.js';
+import { splitSeed } from '../utils/random.js';
+import { stepEnergyLife } from './energyLife.js';
+import { stepTransformerLife } from './transformerLife.js';
+
+/**
+ * CPU step function per rule ID
+ * A rule without an entry here has no reference implementation.
+ */
+export const REFERENCE_STEPPERS = {
+  transformerLife: stepTransformerLife,
+  energyLife: stepEnergyLife,
+};
+
+/**
+ * @typedef {Object} StepContext
+ * @property {number} size - Grid size
+ * @property {Object<string, number>} params - Rule parameters (uniforms)
+ * @property {[number, number]} seed - Run seed as two 16-bit halves
+ * @property {number} frame - Wrapped frame index (`frame` uniform)
+ * @property {number} globalAverage - `globalAverage` uniform
+ * @property {Float32Array} interaction - RGBA interaction texture
+ */
+
+export class ReferenceStepper {
+  /**
+   * Creates a CPU stepper from a simulation state
+   *
+   * @param {Object} state
+   * @param {string} state.ruleId - Rule ID (see config/rules.js)
+   * @param {number} state.size - Grid size
+   * @param {Object<string, number>} state.params - Parameter values
+   * @param {Float32Array} state.field - RGBA field texels (copied)
+   * @param {number} [state.seed=0] - RNG seed (uint32)
+   * @param {number} [state.frame=0] - Simulation frame counter
+   * @param {number} [state.globalAverage=0] - Current globalAverage uniform
+   * @param {Float32Array} [state.interaction] - RGBA interaction texels (default: none)
+   * @throws {Error} If the rule has no reference stepper or the field size is wrong
+   */
+  constructor({
+    ruleId,
+    size,
+    params,
+    field,
+    seed = 0,
+    frame = 0,
+    globalAverage = 0,
+    interaction = null,
+  }) {
+    const rule = getRule(ruleId);
+    this.stepRule = REFERENCE_STEPPERS[ruleId];
+    if (!rule || !this.stepRule) {
+      throw new Error(`No reference stepper for rule "${ruleId}".`);
+    }
+    if (field.length !== size * size * 4) {
+      throw new Error(
+        `Field has ${field.length} values; expected ${size * size * 4}.`,
+      );
+    }
+
+    this.ruleId = ruleId;
+    this.size = size;
+    this.params = { ...rule.defaults, ...params };
+    this.seed = seed >>> 0;
+    this.frame = frame;
+    this.globalAverage = globalAverage;
+    this.interaction = interaction ?? new Float32Array(field.length);
+    this.field = Float32Array.from(field);
+    this.next = new Float32Array(field.length);
+  }
+
+  /**
+   * Advances `n` generations
+   *
+   * @param {number} [n=1] - Number of steps
+   * @returns {Float32Array} Current RGBA field (owned by the stepper)
+   */
+  step(n = 1) {
+    for (let s = 0; s < n; s++) {
+      this.stepRule(this.field, this.next, {
+        size: this.size,
+        params: this.params,
+        seed: splitSeed(this.seed),
+        frame: this.frame % NOISE_FRAME_PERIOD,
+        globalAverage: this.globalAverage,
+        interaction: this.interaction,
+      });
+      [this.field, this.next] = [this.next, this.field];
+      this.frame++;
+
+      if (this.frame % AVERAGE_COMPUTE_THROTTLE === 0) {
+        this.globalAverage = this.averageEnergy();
+      }
+    }
+
+    return this.field;
+  }
+
+  /**
+   * Mean of the energy (R) channel, as the downsample pipeline computes it
+   *
+   * @returns {number} Average energy
+   */
+  averageEnergy() {
+    let sum = 0;
+    for (let i = 0; i < this.field.length; i += 4) {
+      sum += this.field[i];
+    }
+    return Math.fround(sum / (this.size * this.size));
+  }
+}
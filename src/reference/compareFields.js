@@ -0,0 +1,51 @@
+/**
+ * Field Comparison
+ *
+ * Per-channel error between two RGBA fields, used to check the GPU
+ * shaders against the CPU reference steppers.
+ */
+
+import { FIELD_CHANNELS } from '../config/constants.js';
+
+/**
+ * @typedef {Object} ChannelError
+ * @property {number} maxError - Largest absolute difference
+ * @property {number} meanError - Mean absolute difference
+ * @property {number} maxErrorIndex - Texel index of the largest difference
+ */
+
+/**
+ * Compares two RGBA fields channel by channel
+ *
+ * @param {Float32Array} actual - RGBA texels (e.g. GPU readback)
+ * @param {Float32Array} expected - RGBA texels (e.g. CPU reference)
+ * @param {Array<string>} [channels=FIELD_CHANNELS] - Names of the leading channels
+ * @returns {Object<string, ChannelError>} Error per channel name
+ * @throws {Error} If the fields differ in length
+ */
+export function compareFields(actual, expected, channels = FIELD_CHANNELS) {
+  if (actual.length !== expected.length) {
+    throw new Error(
+      `Field sizes differ (${actual.length} vs ${expected.length} values).`,
+    );
+  }
+
+  const texels = actual.length / 4;
+  const report = {};
+  channels.forEach((name, c) => {
+    let maxError = 0;
+    let maxErrorIndex = 0;
+    let sum = 0;
+    for (let i = 0; i < texels; i++) {
+      const error = Math.abs(actual[i * 4 + c] - expected[i * 4 + c]);
+      sum += error;
+      if (error > maxError) {
+        maxError = error;
+        maxErrorIndex = i;
+      }
+    }
+    report[name] = { maxError, meanError: sum / texels, maxErrorIndex };
+  });
+
+  return report;
+}
@@ -0,0 +1,157 @@
+/**
+ * Energy-Life Reference Stepper (CPU)
+ *
+ * Line-by-line mirror of src/shaders/energyLife.glsl. Keep the two in
+ * sync: a shader change without the matching change here shows up as
+ * error in the GPU-vs-CPU comparison.
+ */
+
+import {
+  KERNEL_SIZE,
+  INTERACTION_WEIGHT_MULTIPLIER,
+  INTERACTION_ENERGY_AMOUNT,
+  FISSION_NOISE_AMPLITUDE,
+  STAGNATION_NOISE_AMPLITUDE,
+} from '../config/constants.js';
+import { clamp, texelIndex, laplacian, seededRandom } from './shaderMath.js';
+
+/**
+ * Ring kernel weight for a neighbor at the given distance
+ *
+ * @param {number} dist - Distance in cells
+ * @param {Object<string, number>} params - Rule parameters
+ * @returns {number} Kernel weight
+ */
+function kernelWeight(
+  dist,
+  { innerRadius, innerStrength, outerRadius, outerStrength },
+) {
+  let weight = 0;
+
+  if (dist < innerRadius) {
+    const t = 1 - dist / innerRadius;
+    weight += innerStrength * t * t;
+  }
+
+  const ringStart = innerRadius + 1;
+  const ringEnd = outerRadius;
+  if (dist > ringStart && dist < ringEnd) {
+    const t = (dist - ringStart) / (ringEnd - ringStart);
+    weight += outerStrength * Math.exp(-2 * t * t);
+  }
+
+  return weight;
+}
+
+/**
+ * Gaussian growth with an instability penalty above fissionThreshold
+ *
+ * @param {number} potential - Kernel-weighted neighbor energy
+ * @param {number} currentEnergy - Cell energy
+ * @param {Object<string, number>} params - Rule parameters
+ * @returns {number} Growth before the -0.5 offset
+ */
+function growthFunction(potential, currentEnergy, params) {
+  const x = (potential - params.growthCenter) / params.growthWidth;
+  let bellCurve = Math.exp(-x * x * 0.5);
+
+  if (currentEnergy > params.fissionThreshold) {
+    const excess =
+      (currentEnergy - params.fissionThreshold) / (1 - params.fissionThreshold);
+    bellCurve -= excess * params.instabilityFactor;
+  }
+
+  return bellCurve;
+}
+
+/**
+ * Computes one Energy-Life generation
+ *
+ * @param {Float32Array} field - Current RGBA field (read)
+ * @param {Float32Array} next - Next RGBA field (written)
+ * @param {import('./ReferenceStepper.js').StepContext} context - Uniform values
+ */
+export function stepEnergyLife(field, next, context) {
+  const { size, params, seed, frame, globalAverage, interaction } = context;
+
+  // Kernel weights depend only on the offset, so compute them once
+  const offsets = [];
+  for (let dy = -KERNEL_SIZE; dy <= KERNEL_SIZE; dy++) {
+    for (let dx = -KERNEL_SIZE; dx <= KERNEL_SIZE; dx++) {
+      const dist = Math.hypot(dx, dy);
+      if (dist <= params.outerRadius) {
+        offsets.push({ dx, dy, weight: kernelWeight(dist, params) });
+      }
+    }
+  }
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const i = (y * size + x) * 4;
+      const currentEnergy = field[i];
+      const steer =
+        (interaction[i + 1] - interaction[i + 2]) *
+        INTERACTION_WEIGHT_MULTIPLIER;
+
+      let potential = 0;
+      let totalWeight = 0;
+      for (const { dx, dy, weight: baseWeight } of offsets) {
+        const weight = baseWeight + steer;
+        potential += field[texelIndex(x + dx, y + dy, size)] * weight;
+        totalWeight += Math.abs(weight);
+      }
+
+      if (totalWeight > 0) {
+        potential /= totalWeight;
+      }
+
+      let growth = growthFunction(potential, currentEnergy, params) - 0.5;
+      growth -= globalAverage * params.suppressionFactor;
+
+      const metabolism = currentEnergy * currentEnergy * params.decayRate;
+      const diffusion = laplacian(field, x, y, size) * params.diffusionRate;
+
+      // gl_FragCoord is the texel center
+      const fragX = x + 0.5;
+      const fragY = y + 0.5;
+
+      let fissionNoise = 0;
+      if (currentEnergy > params.fissionThreshold) {
+        const excess =
+          (currentEnergy - params.fissionThreshold) /
+          (1 - params.fissionThreshold);
+        const chaos =
+          seededRandom(fragX + currentEnergy * 50, fragY + 17, seed, frame) *
+            2 -
+          1;
+        fissionNoise = chaos * excess * FISSION_NOISE_AMPLITUDE;
+      }
+
+      const interactionEnergy = interaction[i] * INTERACTION_ENERGY_AMOUNT;
+
+      const deltaEnergy =
+        params.growthRate * growth -
+        metabolism +
+        diffusion +
+        fissionNoise +
+        interactionEnergy;
+      let newEnergy = currentEnergy + deltaEnergy;
+
+      const noise =
+        (seededRandom(
+          fragX + currentEnergy,
+          fragY + currentEnergy,
+          seed,
+          frame,
+        ) -
+          0.5) *
+        STAGNATION_NOISE_AMPLITUDE;
+      newEnergy += noise;
+
+      next[i] = clamp(newEnergy, 0, 1);
+      next[i + 1] = 0;
+      next[i + 2] = 0;
+      next[i + 3] = 1;
+    }
+  }
+}
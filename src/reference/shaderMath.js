@@ -0,0 +1,98 @@
+/**
+ * Shader Math (CPU)
+ *
+ * JavaScript mirrors of the GLSL helpers the lifecycle shaders use, so
+ * the reference steppers follow the GPU path operation by operation.
+ * Fields are RGBA Float32Arrays (size × size texels, row 0 at y = 0),
+ * sampled with nearest filtering and toroidal wrapping like the
+ * RepeatWrapping float textures on the GPU.
+ */
+
+const f32 = Math.fround;
+
+/**
+ * GLSL fract() in float32
+ *
+ * @param {number} x - Input
+ * @returns {number} x - floor(x)
+ */
+export function fract(x) {
+  return f32(x - Math.floor(x));
+}
+
+/**
+ * GLSL clamp()
+ *
+ * @param {number} x - Input
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Clamped value
+ */
+export function clamp(x, min, max) {
+  return Math.min(max, Math.max(min, x));
+}
+
+/**
+ * Index of the texel at (x, y), wrapped toroidally
+ * Equivalent to sampling fract(uv + offset * texelSize) with nearest
+ * filtering, and to RepeatWrapping for unwrapped offsets.
+ *
+ * @param {number} x - Column (may be outside [0, size))
+ * @param {number} y - Row (may be outside [0, size))
+ * @param {number} size - Grid size
+ * @returns {number} Index of the texel's R component in an RGBA array
+ */
+export function texelIndex(x, y, size) {
+  const wx = ((x % size) + size) % size;
+  const wy = ((y % size) + size) % size;
+  return (wy * size + wx) * 4;
+}
+
+/**
+ * Mirror of include/laplacian.glsl: 4-neighbor Laplacian of R
+ *
+ * @param {Float32Array} field - RGBA field
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @param {number} size - Grid size
+ * @returns {number} Sum of neighbors minus 4x center
+ */
+export function laplacian(field, x, y, size) {
+  let sum = 0;
+  sum += field[texelIndex(x - 1, y, size)];
+  sum += field[texelIndex(x + 1, y, size)];
+  sum += field[texelIndex(x, y - 1, size)];
+  sum += field[texelIndex(x, y + 1, size)];
+  sum -= 4 * field[texelIndex(x, y, size)];
+  return sum;
+}
+
+/**
+ * Mirror of seededRandom() in include/noise.glsl
+ *
+ * Every operation is rounded to float32 so the hash matches the GPU
+ * closely; drivers may still fuse or reorder operations, so individual
+ * values can differ (see docs/ARCHITECTURE.md, CPU Reference).
+ *
+ * @param {number} cx - Input x (gl_FragCoord.x plus state)
+ * @param {number} cy - Input y
+ * @param {[number, number]} seed - Run seed as two 16-bit halves
+ * @param {number} frame - Frame index (wrapped)
+ * @returns {number} Pseudo-random value in [0, 1)
+ */
+export function seededRandom(cx, cy, seed, frame) {
+  const px = fract(f32(f32(cx * f32(0.1031)) + f32(seed[0] * f32(0.0973))));
+  const py = fract(f32(f32(cy * f32(0.1031)) + f32(seed[1] * f32(0.0759))));
+  const pz = fract(f32(f32(cx * f32(0.1031)) + f32(frame * f32(0.0617))));
+
+  // p3 += dot(p3, p3.yzx + 33.33)
+  const k = f32(33.33);
+  const d = f32(
+    f32(f32(px * f32(py + k)) + f32(py * f32(pz + k))) + f32(pz * f32(px + k)),
+  );
+  const qx = f32(px + d);
+  const qy = f32(py + d);
+  const qz = f32(pz + d);
+
+  return fract(f32(f32(qx + qy) * qz));
+}
@@ -0,0 +1,118 @@
+/**
+ * Transformer-Life Reference Stepper (CPU)
+ *
+ * Line-by-line mirror of src/shaders/lifecycle.glsl: attention score
+ * from neighbor conflict, leaky ReLU with matter resistance, tanh soft
+ * clamp and the matter residual stream. Keep the two in sync.
+ */
+
+import {
+  INTERACTION_ENERGY_AMOUNT,
+  INTERACTION_MATTER_AMOUNT,
+} from '../config/constants.js';
+import { clamp, texelIndex, laplacian, seededRandom } from './shaderMath.js';
+
+/**
+ * Leaky ReLU activation (linear above threshold, leaking below)
+ *
+ * @param {number} x - Input value
+ * @param {number} threshold - Activation threshold
+ * @param {number} steepness - Slope above the threshold
+ * @param {number} leak - Slope below the threshold
+ * @returns {number} Activated value
+ */
+function leakyReLU(x, threshold, steepness, leak) {
+  const excess = x - threshold;
+  return excess > 0 ? excess * steepness : excess * leak;
+}
+
+/**
+ * Computes one Transformer-Life generation
+ *
+ * @param {Float32Array} field - Current RGBA field (read)
+ * @param {Float32Array} next - Next RGBA field (written)
+ * @param {import('./ReferenceStepper.js').StepContext} context - Uniform values
+ */
+export function stepTransformerLife(field, next, context) {
+  const { size, params, seed, frame, interaction } = context;
+
+  // Neighbor offsets within the (circular) radius, center excluded
+  const offsets = [];
+  const radius = Math.ceil(params.neighborhoodRadius);
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      if (dx === 0 && dy === 0) continue;
+      if (Math.hypot(dx, dy) <= params.neighborhoodRadius) {
+        offsets.push([dx, dy]);
+      }
+    }
+  }
+  const neighborCount = offsets.length;
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const i = (y * size + x) * 4;
+      const currentEnergy = field[i];
+      const currentMatter = field[i + 1];
+      const injectedEnergy = interaction[i] * INTERACTION_ENERGY_AMOUNT;
+      const paintedMatter = interaction[i + 3] * INTERACTION_MATTER_AMOUNT;
+
+      // Phase 1: attention (neighbor conflict)
+      let neighborSum = 0;
+      for (const [dx, dy] of offsets) {
+        neighborSum += field[texelIndex(x + dx, y + dy, size)];
+      }
+      const neighborAvg =
+        neighborCount > 0 ? neighborSum / neighborCount : currentEnergy;
+
+      let localVariance = 0;
+      for (const [dx, dy] of offsets) {
+        const diff = field[texelIndex(x + dx, y + dy, size)] - neighborAvg;
+        localVariance += diff * diff;
+      }
+      localVariance =
+        neighborCount > 0 ? Math.sqrt(localVariance / neighborCount) : 0;
+
+      const centerConflict = Math.abs(currentEnergy - neighborAvg);
+      const attentionScore =
+        centerConflict + localVariance * params.varianceWeight;
+
+      // Phase 2: activation with matter resistance and tanh soft clamp
+      const effectiveThreshold =
+        params.activationThreshold + currentMatter * params.matterResistance;
+      let activation = leakyReLU(
+        attentionScore,
+        effectiveThreshold,
+        params.activationSteepness,
+        0.1,
+      );
+      activation = Math.tanh(activation * 0.5) * 2;
+
+      // Phase 3: residual stream
+      let energyDelta = activation * params.energyLearningRate;
+      const diffusion = laplacian(field, x, y, size) * params.diffusionRate;
+      energyDelta += injectedEnergy;
+      let newEnergy = currentEnergy + energyDelta + diffusion;
+
+      const matterDelta = activation * params.matterGrowthRate;
+      const matterDecay = currentMatter * params.matterDecayRate;
+      let newMatter = currentMatter + matterDelta - matterDecay + paintedMatter;
+
+      newEnergy = clamp(newEnergy, 0, 1);
+      newMatter = clamp(newMatter, 0, 1);
+
+      const noise = seededRandom(
+        x + 0.5 + currentEnergy,
+        y + 0.5 + currentEnergy,
+        seed,
+        frame,
+      );
+      newEnergy += (noise - 0.5) * 0.0001;
+
+      next[i] = clamp(newEnergy, 0, 1);
+      next[i + 1] = clamp(newMatter, 0, 1);
+      next[i + 2] = clamp(attentionScore, 0, 1);
+      next[i + 3] = 1;
+    }
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * Brush Fragment Shader
+ *
+ * Writes the target's weights scaled by the falloff. Overlapping stamps
+ * are combined with max (positive targets) or min (negative targets)
+ * blending, so a stroke never grows stronger than one stamp.
+ */
+uniform float radius;   // Cells
+uniform float hardness; // 0 = linear falloff to the rim, 1 = hard edge
+uniform float shape;    // 0 = circle, 1 = square, 2 = ring
+uniform vec4 weights;   // Energy, attract, repel, matter at the center
+
+varying vec2 vOffset;
+
+void main() {
+    // Distance from the brush's core, 1 at its edge
+    float t;
+    if (shape < 0.5) {
+        t = length(vOffset) / radius;
+    } else if (shape < 1.5) {
+        t = max(abs(vOffset.x), abs(vOffset.y)) / radius;
+    } else {
+        float halfWidth = radius * {{BRUSH_RING_WIDTH}} * 0.5;
+        t = abs(length(vOffset) - (radius - halfWidth)) / halfWidth;
+    }
+    if (t >= 1.0) discard;
+
+    float falloff = clamp((1.0 - t) / max(1.0 - hardness, 0.001), 0.0, 1.0);
+    gl_FragColor = weights * falloff;
+}
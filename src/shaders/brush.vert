@@ -0,0 +1,20 @@
+/**
+ * Brush Vertex Shader
+ *
+ * Places one quad per stamp over the interaction texture. position.xy
+ * is the quad corner in [-1, 1], center the stamp's field coordinate.
+ * Centers snap to the middle of their cell, so offsets reach fragments
+ * as whole cells and the brush matches the grid exactly.
+ */
+attribute vec2 center;
+
+uniform float size;   // Grid size in cells
+uniform float radius; // Brush radius in cells
+
+varying vec2 vOffset; // Cells from the stamp center
+
+void main() {
+    vec2 cell = floor(center * size) + 0.5;
+    vOffset = position.xy * (radius + 1.0);
+    gl_Position = vec4((cell + vOffset) / size * 2.0 - 1.0, 0.0, 1.0);
+}
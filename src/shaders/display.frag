@@ -1,81 +1,72 @@
 /**
- * Transformer-Life Display Fragment Shader
+ * Display Fragment Shader
  *
- * Visualizes the dual-channel system:
- * - R channel (Energy): Fast-changing attention-driven dynamics → COLOR
- * - G channel (Matter): Slow-accumulating residual stream → HEIGHT/STRUCTURE
- *
- * The visualization shows "2D energy creating 3D structure"
+ * Colors one source with the active palette (a field channel or the
+ * smoothed heightMap), or shows energy, matter and attention as an RGB
+ * composite, and applies bump lighting from the gradients of the
+ * terrain channel: ambient + diffuse, plus an optional Blinn-Phong
+ * highlight. The light settings come from the Rendering panel.
  */
+#include "include/palette.glsl"
+
 uniform sampler2D fieldTexture;
+uniform sampler2D heightMapTexture;
+uniform int colorMode; // 0: channel, 1: heightMap, 2: RGB composite
+uniform vec3 colorChannel; // Mask of the colored channel (colorMode 0)
+uniform vec3 heightChannel; // Mask of the terrain channel (zero: flat)
+uniform float displacementScale;
+uniform float texelSize;
+uniform vec3 lightDirection; // Unit vector toward the light
+uniform float ambientRatio; // lighting = ambient + (1 - ambient) * diffuse
+uniform float specularStrength;
+uniform float specularShininess;
 varying vec2 vUv;
+varying float vHeight;
+varying vec3 vWorldPosition;
 
-/**
- * Energy gradient: Maps R channel to vibrant colors
- * Represents fast-changing attention dynamics
- */
-vec3 energyGradient(float energy) {
-    vec3 color;
-
-    if (energy < 0.1) {
-        // Black to dark blue
-        color = mix(vec3(0.0, 0.0, 0.0), vec3(0.0, 0.0, 0.3), energy * 10.0);
-    } else if (energy < 0.3) {
-        // Dark blue to cyan
-        color = mix(vec3(0.0, 0.0, 0.3), vec3(0.0, 0.5, 1.0), (energy - 0.1) * 5.0);
-    } else if (energy < 0.5) {
-        // Cyan to green
-        color = mix(vec3(0.0, 0.5, 1.0), vec3(0.0, 1.0, 0.5), (energy - 0.3) * 5.0);
-    } else if (energy < 0.7) {
-        // Green to yellow
-        color = mix(vec3(0.0, 1.0, 0.5), vec3(1.0, 1.0, 0.0), (energy - 0.5) * 5.0);
-    } else {
-        // Yellow to white
-        color = mix(vec3(1.0, 1.0, 0.0), vec3(1.0, 1.0, 1.0), (energy - 0.7) * 3.33);
-    }
-
-    return color;
+// Unsmoothed terrain channel, for crisp lighting
+float heightAt(vec2 uv) {
+    return dot(texture2D(fieldTexture, uv).rgb, heightChannel);
 }
 
-/**
- * Matter gradient: Maps G channel to structural height
- * Represents slow-accumulating residual stream (dimension emergence)
- */
-vec3 matterGradient(float matter) {
-    // Dark purple → Bright white (representing height/structure)
-    vec3 lowMatter = vec3(0.1, 0.0, 0.2);    // Deep purple (low structure)
-    vec3 highMatter = vec3(1.0, 1.0, 1.0);   // Bright white (high structure)
+void main() {
+    vec3 field = texture2D(fieldTexture, vUv).rgb;
 
-    return mix(lowMatter, highMatter, matter);
-}
+    // Calculate normal from height differences for lighting
+    float heightL = heightAt(vUv + vec2(-texelSize, 0.0));
+    float heightR = heightAt(vUv + vec2(texelSize, 0.0));
+    float heightD = heightAt(vUv + vec2(0.0, -texelSize));
+    float heightU = heightAt(vUv + vec2(0.0, texelSize));
 
-void main() {
-    vec4 state = texture2D(fieldTexture, vUv);
-    float energy = state.x;  // R: Fast-changing energy
-    float matter = state.y;  // G: Slow-accumulating structure
-    float attention = state.z; // B: Debug - attention score
+    // Calculate gradients (slope) - reduced for subtler lighting
+    float dx = (heightR - heightL) * displacementScale;
+    float dy = (heightU - heightD) * displacementScale;
 
-    // Base color from energy dynamics
-    vec3 energyColor = energyGradient(energy);
+    // Normal vector (very subtle bump mapping for smooth appearance)
+    vec3 normal = normalize(vec3(-dx * 3.0, -dy * 3.0, 1.0));
 
-    // Structural overlay from matter accumulation
-    vec3 matterColor = matterGradient(matter);
+    // Diffuse lighting
+    float diffuse = max(dot(normal, lightDirection), 0.0);
 
-    // COMPOSITE: Energy provides hue, Matter provides luminance/height
-    // Low matter: pure energy colors (2D dynamics)
-    // High matter: brightened colors (3D structure emergence)
-    vec3 finalColor = mix(
-        energyColor,                          // Pure energy (flat)
-        energyColor * 0.7 + matterColor * 0.5, // Energy + structure (elevated)
-        matter                                 // Blend based on matter level
-    );
+    // Mostly ambient by default for a natural, non-flickering look
+    float lighting = ambientRatio + (1.0 - ambientRatio) * diffuse;
 
-    // Add slight glow to high-matter regions (structure highlighting)
-    finalColor += vec3(matter * matter * 0.3);
+    // Blinn-Phong highlight (cameraPosition is provided by three.js)
+    vec3 viewDir = normalize(cameraPosition - vWorldPosition);
+    vec3 halfDir = normalize(lightDirection + viewDir);
+    float specular = specularStrength *
+        pow(max(dot(normal, halfDir), 0.0), specularShininess);
 
-    // Optional: Visualize attention score as subtle blue overlay (debug)
-    // Uncomment to see attention hotspots
-    // finalColor += vec3(0.0, 0.0, attention * 0.2);
+    // Apply lighting to color
+    vec3 baseColor;
+    if (colorMode == 2) {
+        baseColor = field;
+    } else if (colorMode == 1) {
+        baseColor = paletteColor(texture2D(heightMapTexture, vUv).r);
+    } else {
+        baseColor = paletteColor(dot(field, colorChannel));
+    }
+    vec3 litColor = baseColor * lighting + vec3(specular);
 
-    gl_FragColor = vec4(finalColor, 1.0);
+    gl_FragColor = vec4(litColor, 1.0);
 }
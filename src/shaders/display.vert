@@ -1,10 +1,27 @@
 /**
  * Display Vertex Shader
- * Simple passthrough for fullscreen quad
+ *
+ * Displaces the high-resolution plane by the smoothed heightMap
+ * for the 2.5D terrain effect.
  */
+uniform sampler2D heightMapTexture;
+uniform float displacementScale;
 varying vec2 vUv;
+varying float vHeight;
+varying vec3 vWorldPosition; // For the specular view direction
 
 void main() {
     vUv = uv;
-    gl_Position = vec4(position, 1.0);
+
+    // Use smoothed heightMap for displacement (geometry)
+    // This provides temporal smoothing with inertia
+    float height = texture2D(heightMapTexture, uv).r;
+    vHeight = height;
+
+    // Create displaced position (2.5D terrain effect)
+    vec3 displaced = position;
+    displaced.z = height * displacementScale;
+
+    vWorldPosition = (modelMatrix * vec4(displaced, 1.0)).xyz;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(displaced, 1.0);
 }
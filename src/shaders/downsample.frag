@@ -1,35 +1,58 @@
 /**
  * Downsample Fragment Shader
  *
- * Performs 2x2 average downsampling for hierarchical reduction.
- * Used in multi-pass pipeline to compute global average energy.
+ * One pass of the hierarchical reduction behind the field statistics.
+ * Each pass halves the grid and keeps four statistics of the R, G and B
+ * channels side by side in one texture (N = input size):
  *
- * Input: N×N texture
- * Output: (N/2)×(N/2) texture with averaged values
+ *   x in [0, N/2)      mean
+ *   x in [N/2, N)      mean of squares (variance = E[x²] - E[x]²)
+ *   x in [N, 3N/2)     minimum
+ *   x in [3N/2, 2N)    maximum
+ *
+ * The first pass reads the field itself and derives all four from the
+ * raw values; later passes combine the packed 2x2 blocks.
+ *
+ * Input: N×N field, or 4N × N packed texture
+ * Output: 4(N/2) × (N/2) packed texture
  */
 uniform sampler2D inputTexture;
-uniform vec2 texelSize;
+uniform float inputSize;
+uniform bool packedInput; // False on the first pass (raw field)
+
+vec3 fetchStat(float stat, vec2 texel) {
+    if (packedInput) {
+        vec2 packedCoord = vec2(stat * inputSize + texel.x, texel.y) + 0.5;
+        return texture2D(inputTexture, packedCoord / vec2(4.0 * inputSize, inputSize)).rgb;
+    }
+
+    vec3 value = texture2D(inputTexture, (texel + 0.5) / inputSize).rgb;
+    return stat == 1.0 ? value * value : value;
+}
 
 void main() {
-    // Current fragment position in output texture
-    vec2 coord = gl_FragCoord.xy - vec2(0.5);
+    // Output texel, and the statistic its block holds
+    vec2 coord = floor(gl_FragCoord.xy);
+    float outputSize = inputSize * 0.5;
+    float stat = floor(coord.x / outputSize);
 
-    // Map to 2x2 block in input texture
-    vec2 base = coord * 2.0;
+    // Map to 2x2 block in the input
+    vec2 base = vec2(coord.x - stat * outputSize, coord.y) * 2.0;
 
-    // Sample 4 neighbors
-    vec2 uv00 = (base + vec2(0.5, 0.5)) * texelSize;
-    vec2 uv10 = (base + vec2(1.5, 0.5)) * texelSize;
-    vec2 uv01 = (base + vec2(0.5, 1.5)) * texelSize;
-    vec2 uv11 = (base + vec2(1.5, 1.5)) * texelSize;
+    vec3 s00 = fetchStat(stat, base);
+    vec3 s10 = fetchStat(stat, base + vec2(1.0, 0.0));
+    vec3 s01 = fetchStat(stat, base + vec2(0.0, 1.0));
+    vec3 s11 = fetchStat(stat, base + vec2(1.0, 1.0));
 
-    // Average the 4 samples
-    float sum = (
-        texture2D(inputTexture, uv00).x +
-        texture2D(inputTexture, uv10).x +
-        texture2D(inputTexture, uv01).x +
-        texture2D(inputTexture, uv11).x
-    ) * 0.25;
+    vec3 result;
+    if (stat < 1.5) {
+        // Mean and mean of squares: average
+        result = (s00 + s10 + s01 + s11) * 0.25;
+    } else if (stat < 2.5) {
+        result = min(min(s00, s10), min(s01, s11));
+    } else {
+        result = max(max(s00, s10), max(s01, s11));
+    }
 
-    gl_FragColor = vec4(sum, 0.0, 0.0, 1.0);
+    gl_FragColor = vec4(result, 1.0);
 }
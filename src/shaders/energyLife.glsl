@@ -0,0 +1,143 @@
+/**
+ * Energy-Life Simulation - Lifecycle Shader
+ *
+ * Lenia-style kernel model:
+ * - Ring kernel: attraction inside innerRadius, repulsion out to outerRadius
+ * - Growth function: Gaussian bell curve around growthCenter
+ * - Economy: quadratic metabolism, diffusion, fission chaos
+ *
+ * Channels:
+ * - R: Energy
+ * - G/B: Unused (written as 0)
+ *
+ * Preprocessed by src/utils/shaderLoader.js (#include and constant injection).
+ * Mirrored on the CPU by src/reference/energyLife.js; keep both in sync.
+ */
+
+#include "include/laplacian.glsl"
+#include "include/noise.glsl"
+
+uniform sampler2D field;
+uniform vec2 texelSize;
+
+// Dynamic tension (kernel)
+uniform float innerRadius;
+uniform float innerStrength;
+uniform float outerRadius;
+uniform float outerStrength;
+
+// Growth function
+uniform float growthCenter;
+uniform float growthWidth;
+uniform float growthRate;
+uniform float suppressionFactor;
+uniform float globalAverage;
+
+// Energy economy
+uniform float decayRate;
+uniform float diffusionRate;
+uniform float fissionThreshold;
+uniform float instabilityFactor;
+
+// User interaction (R: energy, G: attract, B: repel)
+uniform sampler2D interactionTexture;
+
+// Determinism
+uniform vec2 seed;                   // Run seed (two 16-bit halves)
+uniform float frame;                 // Simulation frame index (wrapped)
+
+/**
+ * Ring kernel weight for a neighbor at the given distance.
+ * Quadratic falloff inside innerRadius, Gaussian ring out to outerRadius.
+ */
+float kernelWeight(float dist) {
+    float weight = 0.0;
+
+    if (dist < innerRadius) {
+        float t = 1.0 - (dist / innerRadius);
+        weight += innerStrength * t * t;
+    }
+
+    float ringStart = innerRadius + 1.0;
+    float ringEnd = outerRadius;
+    if (dist > ringStart && dist < ringEnd) {
+        float t = (dist - ringStart) / (ringEnd - ringStart);
+        weight += outerStrength * exp(-2.0 * t * t);
+    }
+
+    return weight;
+}
+
+/**
+ * Gaussian growth with an instability penalty above fissionThreshold.
+ */
+float growthFunction(float potential, float currentEnergy) {
+    float x = (potential - growthCenter) / growthWidth;
+    float bellCurve = exp(-x * x * 0.5);
+
+    if (currentEnergy > fissionThreshold) {
+        float excess = (currentEnergy - fissionThreshold) / (1.0 - fissionThreshold);
+        bellCurve -= excess * instabilityFactor;
+    }
+
+    return bellCurve;
+}
+
+void main() {
+    vec2 uv = gl_FragCoord.xy * texelSize;
+
+    float currentEnergy = texture2D(field, uv).x;
+    vec3 interaction = texture2D(interactionTexture, uv).rgb;
+
+    float potential = 0.0;
+    float totalWeight = 0.0;
+
+    // Constant loop bound; outerRadius beyond KERNEL_SIZE is clipped
+    int kernelSize = {{KERNEL_SIZE}};
+    for (int dy = -kernelSize; dy <= kernelSize; dy++) {
+        for (int dx = -kernelSize; dx <= kernelSize; dx++) {
+            vec2 offset = vec2(float(dx), float(dy));
+            float dist = length(offset);
+
+            if (dist <= outerRadius) {
+                vec2 neighborUV = fract(uv + offset * texelSize);
+                float neighborEnergy = texture2D(field, neighborUV).x;
+                float weight = kernelWeight(dist);
+
+                weight += (interaction.g - interaction.b) * {{INTERACTION_WEIGHT_MULTIPLIER}};
+
+                potential += neighborEnergy * weight;
+                totalWeight += abs(weight);
+            }
+        }
+    }
+
+    if (totalWeight > 0.0) {
+        potential /= totalWeight;
+    }
+
+    float growth = growthFunction(potential, currentEnergy) - 0.5;
+    growth -= globalAverage * suppressionFactor;
+
+    float metabolism = currentEnergy * currentEnergy * decayRate;
+    float diffusion = laplacian(field, uv, texelSize) * diffusionRate;
+
+    float fissionNoise = 0.0;
+    if (currentEnergy > fissionThreshold) {
+        float excess = (currentEnergy - fissionThreshold) / (1.0 - fissionThreshold);
+        float chaos = seededRandom(gl_FragCoord.xy + vec2(currentEnergy * 50.0, 17.0), seed, frame) * 2.0 - 1.0;
+        fissionNoise = chaos * excess * {{FISSION_NOISE_AMPLITUDE}};
+    }
+
+    float interactionEnergy = interaction.r * {{INTERACTION_ENERGY_AMOUNT}};
+
+    float deltaEnergy = growthRate * growth - metabolism + diffusion + fissionNoise + interactionEnergy;
+    float newEnergy = currentEnergy + deltaEnergy;
+
+    float noise = (seededRandom(gl_FragCoord.xy + currentEnergy, seed, frame) - 0.5) * {{STAGNATION_NOISE_AMPLITUDE}};
+    newEnergy += noise;
+
+    newEnergy = clamp(newEnergy, 0.0, 1.0);
+
+    gl_FragColor = vec4(newEnergy, 0.0, 0.0, 1.0);
+}
@@ -0,0 +1,29 @@
+/**
+ * HeightMap Fragment Shader
+ *
+ * Temporal smoothing of the terrain channel (energy by default) for the
+ * 3D terrain. Lerps the previous height toward the current value,
+ * giving the surface inertia (viscous, honey-like motion).
+ */
+uniform sampler2D fieldTexture;
+uniform sampler2D heightMap;
+uniform vec3 heightChannel; // Mask of the terrain channel (zero: flat)
+uniform float smoothness;
+uniform vec2 texelSize;
+
+void main() {
+    vec2 uv = gl_FragCoord.xy * texelSize;
+
+    // Current terrain channel from simulation
+    float targetHeight = dot(texture2D(fieldTexture, uv).rgb, heightChannel);
+
+    // Previous smoothed height
+    float previousHeight = texture2D(heightMap, uv).r;
+
+    // Lerp with inertia: mix(old, new, smoothness)
+    // Lower smoothness = more viscous (honey-like)
+    // Higher smoothness = faster response
+    float currentHeight = mix(previousHeight, targetHeight, smoothness);
+
+    gl_FragColor = vec4(currentHeight, 0.0, 0.0, 1.0);
+}
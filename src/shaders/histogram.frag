@@ -0,0 +1,7 @@
+/**
+ * Histogram Fragment Shader
+ * Each scattered point adds one to its bin (additive blending)
+ */
+void main() {
+    gl_FragColor = vec4(1.0);
+}
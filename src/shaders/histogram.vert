@@ -0,0 +1,25 @@
+/**
+ * Histogram Vertex Shader
+ *
+ * Scatters one point per sampled texel into the bin its value falls in.
+ * The target is bins × 2 texels: row 0 counts energy (R), row 1 matter (G).
+ * Points are blended additively, so each texel ends up holding its count.
+ * Same bin rule as histogramBin() in utils/histogram.js.
+ *
+ * position.xy holds the texture coordinate of the sampled texel.
+ */
+uniform sampler2D fieldTexture;
+uniform float bins;
+uniform float channel; // 0 = energy, 1 = matter
+
+void main() {
+    vec4 texel = texture2D(fieldTexture, position.xy);
+    float value = channel < 0.5 ? texel.r : texel.g;
+
+    float t = (value - {{HISTOGRAM_RANGE_MIN}}) / ({{HISTOGRAM_RANGE_MAX}} - {{HISTOGRAM_RANGE_MIN}});
+    float bin = min(bins - 1.0, floor(clamp(t, 0.0, 1.0) * bins));
+
+    vec2 target = vec2((bin + 0.5) / bins, (channel + 0.5) / 2.0);
+    gl_Position = vec4(target * 2.0 - 1.0, 0.0, 1.0);
+    gl_PointSize = 1.0;
+}
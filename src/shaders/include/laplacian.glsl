@@ -0,0 +1,19 @@
+/**
+ * Discrete Laplacian of the R channel (energy)
+ * Uses the 4-neighbor von Neumann stencil. Sampling relies on the
+ * texture's RepeatWrapping for toroidal edges.
+ *
+ * @param tex Field texture
+ * @param uv Cell coordinate
+ * @param texel Size of one cell in UV units
+ * @return Sum of neighbors minus 4x center
+ */
+float laplacian(sampler2D tex, vec2 uv, vec2 texel) {
+    float sum = 0.0;
+    sum += texture2D(tex, uv + vec2(-1.0, 0.0) * texel).x;
+    sum += texture2D(tex, uv + vec2(1.0, 0.0) * texel).x;
+    sum += texture2D(tex, uv + vec2(0.0, -1.0) * texel).x;
+    sum += texture2D(tex, uv + vec2(0.0, 1.0) * texel).x;
+    sum -= 4.0 * texture2D(tex, uv).x;
+    return sum;
+}
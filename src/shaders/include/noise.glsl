@@ -0,0 +1,18 @@
+/**
+ * Seeded pseudo-random number in [0, 1)
+ * Sine-free hash (Dave Hoskins' hash12), so results do not depend on
+ * the precision of sin() on large arguments. The run seed and frame
+ * index shift the input: every run and frame differs, while the same
+ * seed + frame + inputs always give the same value.
+ * CPU mirror: seededRandom() in src/reference/shaderMath.js.
+ *
+ * @param co Per-cell input (pixel coordinate plus state)
+ * @param seed Run seed as two 16-bit halves
+ * @param frame Frame index (wrapped to 16 bits on the CPU)
+ * @return Pseudo-random value
+ */
+float seededRandom(vec2 co, vec2 seed, float frame) {
+    vec3 p3 = fract(vec3(co.xyx) * 0.1031 + vec3(seed, frame) * vec3(0.0973, 0.0759, 0.0617));
+    p3 += dot(p3, p3.yzx + 33.33);
+    return fract((p3.x + p3.y) * p3.z);
+}
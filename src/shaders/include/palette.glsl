@@ -0,0 +1,18 @@
+/**
+ * Palette lookup
+ * Colors a value with the active palette, baked into a
+ * PALETTE_LUT_SIZE × 1 lookup texture (see utils/palette.js).
+ * Texel centers hold the gradient at evenly spaced values, so the
+ * coordinate is remapped to hit the first and last texel exactly.
+ */
+uniform sampler2D paletteTexture;
+
+/**
+ * @param value Value in [0, 1] (clamped)
+ * @return RGB color
+ */
+vec3 paletteColor(float value) {
+    float size = {{PALETTE_LUT_SIZE}};
+    float u = (clamp(value, 0.0, 1.0) * (size - 1.0) + 0.5) / size;
+    return texture2D(paletteTexture, vec2(u, 0.5)).rgb;
+}
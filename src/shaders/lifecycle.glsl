@@ -9,9 +9,15 @@
  * Channels:
  * - R: Energy (fast-changing, attention-driven)
  * - G: Matter (slow-accumulating, residual stream)
- * - B: Reserved for future use
+ * - B: Attention score (debug)
+ *
+ * Preprocessed by src/utils/shaderLoader.js (#include and constant injection).
+ * Mirrored on the CPU by src/reference/transformerLife.js; keep both in sync.
  */
 
+#include "include/laplacian.glsl"
+#include "include/noise.glsl"
+
 // Core texture and parameters
 uniform sampler2D field;
 uniform vec2 texelSize;
@@ -34,22 +40,12 @@ uniform float matterResistance;      // How much matter suppresses new activatio
 uniform float diffusionRate;         // Optional: energy diffusion to neighbors
 uniform float globalAverage;         // System-wide average energy (for normalization)
 
-// User interaction
+// User interaction (R: energy, A: matter; signed)
 uniform sampler2D interactionTexture;
 
-/**
- * Computes discrete Laplacian for diffusion (optional).
- * Uses 4-neighbor von Neumann stencil.
- */
-float laplacian(vec2 uv) {
-    float sum = 0.0;
-    sum += texture2D(field, uv + vec2(-1.0, 0.0) * texelSize).x;
-    sum += texture2D(field, uv + vec2(1.0, 0.0) * texelSize).x;
-    sum += texture2D(field, uv + vec2(0.0, -1.0) * texelSize).x;
-    sum += texture2D(field, uv + vec2(0.0, 1.0) * texelSize).x;
-    sum -= 4.0 * texture2D(field, uv).x;
-    return sum;
-}
+// Determinism
+uniform vec2 seed;                   // Run seed (two 16-bit halves)
+uniform float frame;                 // Simulation frame index (wrapped)
 
 /**
  * Leaky ReLU activation function.
@@ -88,9 +84,10 @@ void main() {
     float currentEnergy = currentState.x;  // R channel
     float currentMatter = currentState.y;  // G channel (Residual Stream)
 
-    // User interaction (energy injection)
-    vec3 interaction = texture2D(interactionTexture, uv).rgb;
-    float injectedEnergy = interaction.r * 0.1;
+    // User interaction (energy injection, matter painting)
+    vec4 interaction = texture2D(interactionTexture, uv);
+    float injectedEnergy = interaction.r * {{INTERACTION_ENERGY_AMOUNT}};
+    float paintedMatter = interaction.a * {{INTERACTION_MATTER_AMOUNT}};
 
     // ========================================================================
     // PHASE 1: CONVERGENCE (Attention Mechanism - The Conflict)
@@ -184,7 +181,7 @@ void main() {
     float energyDelta = activation * energyLearningRate;
 
     // Add diffusion (optional spreading)
-    float diffusion = laplacian(uv) * diffusionRate;
+    float diffusion = laplacian(field, uv, texelSize) * diffusionRate;
 
     // Add user interaction
     energyDelta += injectedEnergy;
@@ -199,8 +196,8 @@ void main() {
     // Slow decay of matter
     float matterDecay = currentMatter * matterDecayRate;
 
-    // Apply matter update
-    float newMatter = currentMatter + matterDelta - matterDecay;
+    // Apply matter update (plus user-painted matter)
+    float newMatter = currentMatter + matterDelta - matterDecay + paintedMatter;
 
     // NORMALIZATION (Layer Norm concept)
     // Prevent unbounded growth
@@ -208,7 +205,7 @@ void main() {
     newMatter = clamp(newMatter, 0.0, 1.0);
 
     // Add tiny noise to prevent stagnation
-    float noise = fract(sin(dot(uv * 1000.0 + currentEnergy, vec2(12.9898, 78.233))) * 43758.5453);
+    float noise = seededRandom(gl_FragCoord.xy + currentEnergy, seed, frame);
     newEnergy += (noise - 0.5) * 0.0001;
 
     // ========================================================================
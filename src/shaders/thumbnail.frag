@@ -0,0 +1,15 @@
+/**
+ * Thumbnail Fragment Shader
+ *
+ * Colors the energy (R) channel with the active palette, flat:
+ * no terrain displacement or lighting, so small tiles stay legible.
+ */
+#include "include/palette.glsl"
+
+uniform sampler2D fieldTexture;
+varying vec2 vUv;
+
+void main() {
+    float energy = texture2D(fieldTexture, vUv).x;
+    gl_FragColor = vec4(paletteColor(energy), 1.0);
+}
@@ -0,0 +1,11 @@
+/**
+ * Thumbnail Vertex Shader
+ * Fullscreen quad with texture coordinates; drawn once per sweep tile
+ * into that tile's viewport
+ */
+varying vec2 vUv;
+
+void main() {
+    vUv = uv;
+    gl_Position = vec4(position, 1.0);
+}
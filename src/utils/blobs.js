@@ -0,0 +1,406 @@
+/**
+ * Structure Analysis
+ *
+ * Finds connected structures ("blobs") in a thresholded field channel,
+ * measures them and follows them from one analysis to the next. The
+ * field wraps around at its edges (the shaders sample with `fract`), so
+ * a structure crossing an edge is one structure, and cells connect to
+ * their four direct neighbours.
+ *
+ * Positions are field UV coordinates in [0, 1): x to the right, y up
+ * (row 0 at the bottom, as read back from the GPU).
+ * Pure (no DOM), so it also runs in Node.
+ */
+
+import {
+  BLOB_DEFAULT_THRESHOLD,
+  BLOB_DEFAULT_MIN_SIZE,
+  BLOB_TRACK_MAX_DISTANCE,
+} from '../config/constants.js';
+
+/**
+ * Previous structures each new one may be matched to (the nearest ones)
+ */
+const CANDIDATES_PER_BLOB = 4;
+
+/**
+ * Channels structures can be found in
+ */
+export const BLOB_CHANNELS = ['energy', 'matter'];
+
+/**
+ * @typedef {Object} Blob
+ * @property {number} id - Label in the label map, or the tracked identity
+ *   once passed through a BlobTracker
+ * @property {number} size - Cells
+ * @property {number} mass - Sum of the channel over its cells
+ * @property {number} x - Mass-weighted centroid, field UV
+ * @property {number} y - Mass-weighted centroid, field UV
+ * @property {number} [age] - Analyses the tracked identity has been seen in
+ */
+
+/**
+ * @typedef {Object} BlobReport
+ * @property {number} frame - Generation analysed
+ * @property {string} channel - Channel the structures were found in
+ * @property {number} threshold - Smallest value inside a structure
+ * @property {number} count - Number of structures
+ * @property {number} totalMass - Summed mass of all structures
+ * @property {number} meanSize - Mean size (cells)
+ * @property {number} medianSize - Median size (cells)
+ * @property {number} maxSize - Largest size (cells)
+ * @property {Array<number>} sizeClasses - Size distribution (see summarizeBlobs())
+ * @property {number|null} born - New identities (null without tracking)
+ * @property {number|null} died - Identities that disappeared (null without tracking)
+ * @property {Array<Blob>} blobs - The structures
+ */
+
+/**
+ * Labels the connected regions at or above a threshold
+ *
+ * @param {ArrayLike<number>} values - size × size values, row-major
+ * @param {number} size - Grid side
+ * @param {number} threshold - Smallest value that counts as inside
+ * @returns {{labels: Int32Array, count: number}} Label per cell (0 =
+ *   outside, 1..count in scan order of each region's first cell)
+ */
+export function labelComponents(values, size, threshold) {
+  const cells = size * size;
+  const parent = new Int32Array(cells).fill(-1); // -1 = outside
+
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]]; // Path halving
+      i = parent[i];
+    }
+    return i;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) {
+      parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+    }
+  };
+
+  for (let i = 0; i < cells; i++) {
+    if (values[i] >= threshold) parent[i] = i;
+  }
+
+  // Every cell links to its left and lower neighbour (wrapping), which
+  // covers every edge of the torus once
+  for (let y = 0; y < size; y++) {
+    const below = ((y + size - 1) % size) * size;
+    for (let x = 0; x < size; x++) {
+      const i = y * size + x;
+      if (parent[i] < 0) continue;
+      const left = y * size + ((x + size - 1) % size);
+      if (parent[left] >= 0) union(i, left);
+      if (parent[below + x] >= 0) union(i, below + x);
+    }
+  }
+
+  // Roots are the smallest index of their region, so they are met first
+  const labels = new Int32Array(cells);
+  let count = 0;
+  for (let i = 0; i < cells; i++) {
+    if (parent[i] < 0) continue;
+    const root = find(i);
+    labels[i] = root === i ? ++count : labels[root];
+  }
+  return { labels, count };
+}
+
+/**
+ * Measures labelled regions
+ *
+ * Centroids are circular means per axis, so a region wrapping around an
+ * edge gets a centroid inside it rather than in the middle of the field.
+ *
+ * @param {Int32Array} labels - Label map from labelComponents()
+ * @param {number} count - Number of labels
+ * @param {ArrayLike<number>} values - Channel values the labels came from
+ * @param {number} size - Grid side
+ * @returns {Array<Blob>} One entry per label, in label order
+ */
+export function measureBlobs(labels, count, values, size) {
+  const cellCount = new Float64Array(count);
+  const mass = new Float64Array(count);
+  const sums = new Float64Array(count * 4); // cos x, sin x, cos y, sin y
+
+  const angle = (2 * Math.PI) / size;
+  for (let y = 0; y < size; y++) {
+    const cosY = Math.cos((y + 0.5) * angle);
+    const sinY = Math.sin((y + 0.5) * angle);
+    for (let x = 0; x < size; x++) {
+      const i = y * size + x;
+      const label = labels[i];
+      if (label === 0) continue;
+
+      const k = label - 1;
+      const weight = values[i];
+      cellCount[k]++;
+      mass[k] += weight;
+      sums[k * 4] += weight * Math.cos((x + 0.5) * angle);
+      sums[k * 4 + 1] += weight * Math.sin((x + 0.5) * angle);
+      sums[k * 4 + 2] += weight * cosY;
+      sums[k * 4 + 3] += weight * sinY;
+    }
+  }
+
+  const toUv = (cos, sin) => {
+    const turn = Math.atan2(sin, cos) / (2 * Math.PI);
+    return turn - Math.floor(turn);
+  };
+  return Array.from({ length: count }, (_, k) => ({
+    id: k + 1,
+    size: cellCount[k],
+    mass: mass[k],
+    x: toUv(sums[k * 4], sums[k * 4 + 1]),
+    y: toUv(sums[k * 4 + 2], sums[k * 4 + 3]),
+  }));
+}
+
+/**
+ * Finds and measures the structures of a field channel
+ *
+ * Regions smaller than `minSize` are dropped and cleared from the label
+ * map, so labels stay 1..blobs.length.
+ *
+ * @param {ArrayLike<number>} values - size × size values, row-major
+ * @param {number} size - Grid side
+ * @param {Object} [options]
+ * @param {number} [options.threshold=BLOB_DEFAULT_THRESHOLD] - Smallest value inside a structure
+ * @param {number} [options.minSize=BLOB_DEFAULT_MIN_SIZE] - Smallest structure (cells)
+ * @returns {{labels: Int32Array, blobs: Array<Blob>}} Label map and the
+ *   structures, blobs[label - 1]
+ */
+export function findBlobs(
+  values,
+  size,
+  { threshold = BLOB_DEFAULT_THRESHOLD, minSize = BLOB_DEFAULT_MIN_SIZE } = {},
+) {
+  const { labels, count } = labelComponents(values, size, threshold);
+  const measured = measureBlobs(labels, count, values, size);
+
+  const relabel = new Int32Array(count + 1);
+  const blobs = [];
+  measured.forEach((blob) => {
+    if (blob.size < minSize) return;
+    blobs.push({ ...blob, id: blobs.length + 1 });
+    relabel[blob.id] = blobs.length;
+  });
+  if (blobs.length < count) {
+    for (let i = 0; i < labels.length; i++) labels[i] = relabel[labels[i]];
+  }
+  return { labels, blobs };
+}
+
+/**
+ * Summarizes the sizes and mass of some structures
+ *
+ * @param {Array<Blob>} blobs - Structures
+ * @param {number} cells - Cells in the field (sets the number of size classes)
+ * @returns {{count: number, totalMass: number, meanSize: number,
+ *   medianSize: number, maxSize: number, sizeClasses: Array<number>}}
+ *   Sizes are in cells; sizeClasses[k] counts structures of 2^k to
+ *   2^(k+1) - 1 cells
+ */
+export function summarizeBlobs(blobs, cells) {
+  const sizes = blobs.map(({ size }) => size).sort((a, b) => a - b);
+  const sizeClasses = new Array(Math.floor(Math.log2(cells)) + 1).fill(0);
+  sizes.forEach((size) => sizeClasses[Math.floor(Math.log2(size))]++);
+
+  const total = sizes.reduce((sum, size) => sum + size, 0);
+  const middle = sizes.length >> 1;
+  return {
+    count: blobs.length,
+    totalMass: blobs.reduce((sum, { mass }) => sum + mass, 0),
+    meanSize: sizes.length > 0 ? total / sizes.length : 0,
+    medianSize:
+      sizes.length === 0
+        ? 0
+        : sizes.length % 2
+          ? sizes[middle]
+          : (sizes[middle - 1] + sizes[middle]) / 2,
+    maxSize: sizes.length > 0 ? sizes[sizes.length - 1] : 0,
+    sizeClasses,
+  };
+}
+
+/**
+ * Distance between two field positions, across the wrapping edges
+ *
+ * @param {{x: number, y: number}} a - Field UV position
+ * @param {{x: number, y: number}} b - Field UV position
+ * @returns {number} Shortest distance in field UV units
+ */
+export function wrappedDistance(a, b) {
+  const dx = Math.abs(a.x - b.x);
+  const dy = Math.abs(a.y - b.y);
+  return Math.hypot(Math.min(dx, 1 - dx), Math.min(dy, 1 - dy));
+}
+
+/**
+ * Overlay colour of a structure ID
+ * Consecutive IDs get well separated hues (golden-angle steps).
+ *
+ * @param {number} id - Structure ID
+ * @returns {Array<number>} [r, g, b], 0..255
+ */
+export function blobColor(id) {
+  const hue = (id * 0.618033988749895) % 1;
+  const channel = (offset) => {
+    const k = (hue * 6 + offset) % 6;
+    return Math.round(
+      255 * (1 - 0.75 * Math.max(0, Math.min(k, 4 - k, 1))), // HSV, s = 0.75
+    );
+  };
+  return [channel(5), channel(3), channel(1)];
+}
+
+/**
+ * Paints the outline cells of each structure
+ *
+ * A cell is on the outline if one of its four neighbours (wrapping) has
+ * another label.
+ *
+ * @param {Int32Array} labels - Label map from findBlobs()
+ * @param {number} size - Grid side
+ * @param {Array<number>} ids - ID to colour each label by, ids[label - 1]
+ * @returns {Uint8Array} size × size RGBA texels; transparent off outlines
+ */
+export function outlineBlobs(labels, size, ids) {
+  const rgba = new Uint8Array(size * size * 4);
+  const colors = ids.map(blobColor);
+
+  for (let y = 0; y < size; y++) {
+    const above = ((y + 1) % size) * size;
+    const below = ((y + size - 1) % size) * size;
+    for (let x = 0; x < size; x++) {
+      const i = y * size + x;
+      const label = labels[i];
+      if (label === 0) continue;
+
+      const onOutline =
+        labels[y * size + ((x + 1) % size)] !== label ||
+        labels[y * size + ((x + size - 1) % size)] !== label ||
+        labels[above + x] !== label ||
+        labels[below + x] !== label;
+      if (!onOutline) continue;
+
+      rgba.set(colors[label - 1], i * 4);
+      rgba[i * 4 + 3] = 255;
+    }
+  }
+  return rgba;
+}
+
+/**
+ * Follows structures from one analysis to the next
+ *
+ * Each structure takes the ID of the nearest unclaimed structure of the
+ * previous analysis within `maxDistance` (closest pairs first); the rest
+ * get new IDs. Structures that split keep the ID on the part closest to
+ * the old centroid; merged ones keep the closest ID.
+ *
+ * @class
+ */
+export class BlobTracker {
+  /**
+   * Creates a tracker with no history
+   *
+   * @param {Object} [options]
+   * @param {number} [options.maxDistance=BLOB_TRACK_MAX_DISTANCE] - Largest
+   *   centroid move between analyses, field UV units
+   */
+  constructor({ maxDistance = BLOB_TRACK_MAX_DISTANCE } = {}) {
+    this.maxDistance = maxDistance;
+    this.reset();
+  }
+
+  /**
+   * Forgets all identities; IDs restart at 1
+   */
+  reset() {
+    this.previous = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Assigns identities to a new analysis
+   *
+   * @param {Array<Blob>} blobs - Structures of the new analysis
+   * @returns {{blobs: Array<Blob>, born: number, died: number}} Copies
+   *   with tracked `id` and `age` (same order), and how many identities
+   *   appeared and disappeared
+   */
+  update(blobs) {
+    const pairs = this.#candidatePairs(blobs);
+    pairs.sort((a, b) => a.distance - b.distance);
+
+    const matched = new Array(blobs.length).fill(null);
+    const claimed = new Set();
+    pairs.forEach(({ current, previous }) => {
+      if (matched[current] !== null || claimed.has(previous)) return;
+      matched[current] = this.previous[previous];
+      claimed.add(previous);
+    });
+
+    const tracked = blobs.map((blob, i) => {
+      const match = matched[i];
+      return match
+        ? { ...blob, id: match.id, age: match.age + 1 }
+        : { ...blob, id: this.nextId++, age: 1 };
+    });
+
+    const died = this.previous.length - claimed.size;
+    this.previous = tracked;
+    return { blobs: tracked, born: blobs.length - claimed.size, died };
+  }
+
+  /**
+   * Pairs of (new, previous) structure indices within maxDistance
+   * Previous centroids are bucketed on a grid of cells at least
+   * maxDistance wide, so only neighbouring buckets are compared. Each new
+   * structure keeps its CANDIDATES_PER_BLOB nearest pairs, which keeps
+   * dense, noisy fields cheap to track.
+   * @private
+   * @param {Array<Blob>} blobs - Structures of the new analysis
+   * @returns {Array<{current: number, previous: number, distance: number}>}
+   */
+  #candidatePairs(blobs) {
+    const cells = Math.max(1, Math.floor(1 / this.maxDistance));
+    const bucketOf = (value) => Math.min(cells - 1, Math.floor(value * cells));
+    const buckets = new Map();
+    this.previous.forEach((blob, index) => {
+      const key = bucketOf(blob.y) * cells + bucketOf(blob.x);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    });
+
+    const pairs = [];
+    blobs.forEach((blob, current) => {
+      const candidates = [];
+      const keys = new Set();
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const bx = (bucketOf(blob.x) + dx + cells) % cells;
+          const by = (bucketOf(blob.y) + dy + cells) % cells;
+          keys.add(by * cells + bx);
+        }
+      }
+      keys.forEach((key) => {
+        (buckets.get(key) ?? []).forEach((previous) => {
+          const distance = wrappedDistance(blob, this.previous[previous]);
+          if (distance <= this.maxDistance) {
+            candidates.push({ current, previous, distance });
+          }
+        });
+      });
+      candidates.sort((a, b) => a.distance - b.distance);
+      pairs.push(...candidates.slice(0, CANDIDATES_PER_BLOB));
+    });
+    return pairs;
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Brush Settings and Strokes
+ *
+ * A brush is a radius, strength and hardness (see config/brushSchema.js),
+ * a shape from BRUSH_SHAPES and a target from BRUSH_TARGETS. Strokes are
+ * stamped at evenly spaced points between pointer samples, so a fast
+ * drag paints a continuous line. Pure (no DOM), so it also runs in Node;
+ * core/BrushRenderer.js draws the stamps on the GPU.
+ */
+
+import {
+  BRUSH_SHAPES,
+  BRUSH_TARGETS,
+  BRUSH_SPACING,
+} from '../config/constants.js';
+import { BRUSH_SCHEMA } from '../config/brushSchema.js';
+import { validateParams } from './schemaUtils.js';
+
+/**
+ * @typedef {Object} Brush
+ * @property {number} radius - Grid cells
+ * @property {number} strength - Multiplier on the target's weights
+ * @property {number} hardness - 0 (linear falloff) .. 1 (hard edge)
+ * @property {string} shape - One of BRUSH_SHAPES
+ * @property {string} target - One of BRUSH_TARGETS
+ */
+
+/**
+ * Brush of a fresh session: schema defaults, round, adding energy
+ * @type {Brush}
+ */
+export const DEFAULT_BRUSH = Object.freeze({
+  ...Object.fromEntries(
+    BRUSH_SCHEMA.map((entry) => [entry.key, entry.default]),
+  ),
+  shape: 'circle',
+  target: 'energy',
+});
+
+/**
+ * Validates brush settings
+ *
+ * Numbers follow the parameter rules (see validateParams()); a shape or
+ * target that is not listed is reported as invalid.
+ *
+ * @param {Object} values - Candidate settings (any subset)
+ * @returns {import('./schemaUtils.js').ParamValidationResult} Accepted
+ *   settings (in `params`) and problems found
+ */
+export function validateBrush(values) {
+  const { shape, target, ...numbers } = values ?? {};
+  const result = validateParams(BRUSH_SCHEMA, numbers);
+
+  const choices = { shape: BRUSH_SHAPES, target: Object.keys(BRUSH_TARGETS) };
+  Object.entries({ shape, target }).forEach(([key, value]) => {
+    if (value === undefined) return;
+    if (choices[key].includes(value)) {
+      result.params[key] = value;
+    } else {
+      result.invalid.push(key);
+    }
+  });
+  return result;
+}
+
+/**
+ * Lists the targets a rule can use
+ * Targets that only paint matter need a rule with a matter channel.
+ *
+ * @param {Array<string>} channels - Field channels the rule writes
+ * @returns {Array<string>} Usable target names, in BRUSH_TARGETS order
+ */
+export function availableBrushTargets(channels) {
+  return Object.keys(BRUSH_TARGETS).filter(
+    (target) =>
+      channels.includes('matter') ||
+      BRUSH_TARGETS[target].slice(0, 3).some((weight) => weight !== 0),
+  );
+}
+
+/**
+ * Interaction texture weights a brush paints at its center
+ *
+ * @param {Brush} brush - Brush settings
+ * @returns {Array<number>} [energy, attract, repel, matter]
+ */
+export function brushWeights(brush) {
+  return BRUSH_TARGETS[brush.target].map((weight) => weight * brush.strength);
+}
+
+/**
+ * Distance between stamps along a stroke
+ *
+ * @param {number} radius - Brush radius in cells
+ * @param {number} size - Grid size
+ * @returns {number} Spacing in field coordinates ([0, 1] per side)
+ */
+export function stampSpacing(radius, size) {
+  return Math.max(1, radius * BRUSH_SPACING) / size;
+}
+
+/**
+ * Stamp centers from one pointer sample to the next
+ *
+ * The previous sample was already stamped, so it is left out; the new
+ * one is always included.
+ *
+ * @param {{x: number, y: number}|null} from - Previous sample (null at
+ *   the start of a stroke)
+ * @param {{x: number, y: number}} to - New sample
+ * @param {number} spacing - Largest gap between stamps
+ * @returns {Array<{x: number, y: number}>} Stamp centers, ending at `to`
+ */
+export function strokeStamps(from, to, spacing) {
+  if (!from) return [{ ...to }];
+
+  const steps = Math.max(
+    1,
+    Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) / spacing),
+  );
+  return Array.from({ length: steps }, (_, i) => {
+    const t = (i + 1) / steps;
+    return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+  });
+}
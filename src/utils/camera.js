@@ -0,0 +1,217 @@
+/**
+ * Camera Poses
+ *
+ * The view of the 2 × 2 field plane (z = 0, centered on the origin) is a
+ * pose:
+ *
+ *   azimuth  rotation about the vertical axis, degrees [0, 360)
+ *   tilt     angle from straight down, degrees [0, CAMERA_MAX_TILT]
+ *   zoom     1 fits the plane to the canvas, larger is closer
+ *   target   plane point the camera looks at, {x, y} in [-1, 1]
+ *   flat     orthographic top-down view; tilt is ignored
+ *
+ * cameraView() turns a pose into camera placement; planeUv() maps a
+ * picking ray back to field coordinates, so the brush hits the cell
+ * under the pointer under any pose. Pure (no DOM), so it also runs in
+ * Node.
+ */
+
+import {
+  CAMERA_MAX_TILT,
+  CAMERA_MIN_ZOOM,
+  CAMERA_MAX_ZOOM,
+  CAMERA_ORBIT_SPEED,
+} from '../config/constants.js';
+
+/**
+ * @typedef {Object} CameraPose
+ * @property {number} azimuth - Degrees [0, 360)
+ * @property {number} tilt - Degrees [0, CAMERA_MAX_TILT]
+ * @property {number} zoom - CAMERA_MIN_ZOOM .. CAMERA_MAX_ZOOM
+ * @property {{x: number, y: number}} target - Look-at point on the plane
+ * @property {boolean} flat - Orthographic top-down view
+ */
+
+/**
+ * Pose of a fresh view: straight down, plane filling the canvas
+ * @type {CameraPose}
+ */
+export const DEFAULT_CAMERA_POSE = Object.freeze({
+  azimuth: 0,
+  tilt: 0,
+  zoom: 1,
+  target: Object.freeze({ x: 0, y: 0 }),
+  flat: false,
+});
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Validates a pose, filling missing fields from another
+ *
+ * @param {Object} raw - Full or partial pose
+ * @param {CameraPose} [base=DEFAULT_CAMERA_POSE] - Pose supplying
+ *   missing fields
+ * @returns {CameraPose} Copy with azimuth wrapped and the rest clamped
+ * @throws {Error} If a field has the wrong type
+ */
+export function normalizeCameraPose(raw, base = DEFAULT_CAMERA_POSE) {
+  const pose = {
+    ...base,
+    ...raw,
+    target: { ...base.target, ...raw?.target },
+  };
+
+  ['azimuth', 'tilt', 'zoom'].forEach((key) => {
+    if (!Number.isFinite(pose[key])) {
+      throw new Error(`Camera ${key} must be a finite number.`);
+    }
+  });
+  if (!Number.isFinite(pose.target.x) || !Number.isFinite(pose.target.y)) {
+    throw new Error('Camera target needs finite x and y.');
+  }
+  if (typeof pose.flat !== 'boolean') {
+    throw new Error('Camera flat must be true or false.');
+  }
+
+  return {
+    azimuth: ((pose.azimuth % 360) + 360) % 360,
+    tilt: clamp(pose.tilt, 0, CAMERA_MAX_TILT),
+    zoom: clamp(pose.zoom, CAMERA_MIN_ZOOM, CAMERA_MAX_ZOOM),
+    target: {
+      x: clamp(pose.target.x, -1, 1),
+      y: clamp(pose.target.y, -1, 1),
+    },
+    flat: pose.flat,
+  };
+}
+
+/**
+ * Camera distance at which a top-down view fits the plane to the canvas
+ * Slightly overfills (× 0.95) so no background shows at the edges.
+ *
+ * @param {number} fov - Vertical field of view in degrees
+ * @param {number} aspect - Canvas width / height
+ * @returns {number} Distance from the plane
+ */
+export function fitCameraDistance(fov, aspect) {
+  const tanHalf = Math.tan(toRadians(fov) / 2);
+  const distanceForHeight = 2 / (2 * tanHalf);
+  const distanceForWidth = 2 / (2 * tanHalf * aspect);
+  return Math.max(distanceForHeight, distanceForWidth) * 0.95;
+}
+
+/**
+ * Camera placement for a pose
+ *
+ * The camera sits on the side of the target opposite the azimuth's
+ * "north" (screen up at tilt 0) and looks at the target. Flat views
+ * look straight down from the fit distance and zoom by narrowing the
+ * orthographic frustum instead.
+ *
+ * @param {CameraPose} pose - Normalized pose
+ * @param {number} fov - Vertical field of view in degrees
+ * @param {number} aspect - Canvas width / height
+ * @returns {{position: Array<number>, up: Array<number>,
+ *   target: Array<number>, halfHeight: number}} Camera position, up
+ *   vector and look-at point as [x, y, z], and the half-height of the
+ *   view at the target (the orthographic frustum's top)
+ */
+export function cameraView(pose, fov, aspect) {
+  const fit = fitCameraDistance(fov, aspect);
+  const azimuth = toRadians(pose.azimuth);
+  const tilt = pose.flat ? 0 : toRadians(pose.tilt);
+  const distance = pose.flat ? fit : fit / pose.zoom;
+  const north = [-Math.sin(azimuth), Math.cos(azimuth)];
+  const { x, y } = pose.target;
+
+  return {
+    position: [
+      x - distance * Math.sin(tilt) * north[0],
+      y - distance * Math.sin(tilt) * north[1],
+      distance * Math.cos(tilt),
+    ],
+    up: [Math.cos(tilt) * north[0], Math.cos(tilt) * north[1], Math.sin(tilt)],
+    target: [x, y, 0],
+    halfHeight: (fit * Math.tan(toRadians(fov) / 2)) / pose.zoom,
+  };
+}
+
+/**
+ * Orbits a pose by a pointer drag
+ * Dragging right turns the plane right; dragging down looks more
+ * steeply down.
+ *
+ * @param {CameraPose} pose - Normalized pose
+ * @param {number} dx - Horizontal drag in pixels
+ * @param {number} dy - Vertical drag in pixels (down is positive)
+ * @returns {CameraPose} New pose
+ */
+export function orbitPose(pose, dx, dy) {
+  return normalizeCameraPose(
+    {
+      azimuth: pose.azimuth - dx * CAMERA_ORBIT_SPEED,
+      tilt: pose.tilt - dy * CAMERA_ORBIT_SPEED,
+    },
+    pose,
+  );
+}
+
+/**
+ * Pans a pose by a pointer drag, so the plane follows the pointer
+ *
+ * @param {CameraPose} pose - Normalized pose
+ * @param {number} dx - Horizontal drag in pixels
+ * @param {number} dy - Vertical drag in pixels (down is positive)
+ * @param {number} unitsPerPixel - Plane units per pixel at the target
+ *   (2 × halfHeight / canvas height)
+ * @returns {CameraPose} New pose
+ */
+export function panPose(pose, dx, dy, unitsPerPixel) {
+  const azimuth = toRadians(pose.azimuth);
+  const right = [Math.cos(azimuth), Math.sin(azimuth)];
+  const north = [-Math.sin(azimuth), Math.cos(azimuth)];
+  return normalizeCameraPose(
+    {
+      target: {
+        x: pose.target.x + (-dx * right[0] + dy * north[0]) * unitsPerPixel,
+        y: pose.target.y + (-dx * right[1] + dy * north[1]) * unitsPerPixel,
+      },
+    },
+    pose,
+  );
+}
+
+/**
+ * Zooms a pose
+ *
+ * @param {CameraPose} pose - Normalized pose
+ * @param {number} factor - Zoom multiplier (> 1 zooms in)
+ * @returns {CameraPose} New pose, zoom clamped
+ */
+export function zoomPose(pose, factor) {
+  return normalizeCameraPose({ zoom: pose.zoom * factor }, pose);
+}
+
+/**
+ * Intersects a picking ray with the field plane
+ *
+ * Hits the undisplaced plane (z = 0), so on tall terrain seen at a
+ * steep tilt the hit lies slightly behind the visible surface.
+ *
+ * @param {{x: number, y: number, z: number}} origin - Ray origin
+ * @param {{x: number, y: number, z: number}} direction - Ray direction
+ * @returns {{x: number, y: number}|null} Field coordinates in [0, 1]
+ *   (y up), or null if the ray misses the plane
+ */
+export function planeUv(origin, direction) {
+  if (Math.abs(direction.z) < 1e-9) return null;
+  const t = -origin.z / direction.z;
+  if (t < 0) return null;
+
+  const u = (origin.x + t * direction.x + 1) / 2;
+  const v = (origin.y + t * direction.y + 1) / 2;
+  if (u < 0 || u > 1 || v < 0 || v > 1) return null;
+  return { x: u, y: v };
+}
@@ -0,0 +1,239 @@
+/**
+ * Chart Math
+ *
+ * Axis ticks, value ranges, view windows and export formats for the
+ * time-series chart (core/TimeSeriesChart.js). A view is a window
+ * `{start, end}` of absolute sample indices into the recorded history;
+ * samples are plotted against their generation number.
+ * Pure (no DOM), so it also runs in Node.
+ */
+
+import { getStatSeriesValue } from './fieldStats.js';
+
+/**
+ * @typedef {Object} ChartSample
+ * @property {number} frame - Generation the stats were taken at
+ * @property {Object<string, import('./fieldStats.js').ChannelStats>} stats - Field stats
+ */
+
+/**
+ * Evenly spaced "nice" tick values (steps of 1, 2 or 5 × 10^n)
+ *
+ * @param {number} min - Axis minimum
+ * @param {number} max - Axis maximum
+ * @param {number} count - Desired number of intervals
+ * @returns {{step: number, ticks: Array<number>}} Step and the ticks
+ *   inside [min, max]
+ */
+export function niceTicks(min, max, count) {
+  const span = max - min;
+  if (!(span > 0) || count < 1) return { step: 0, ticks: [min] };
+
+  // Round the raw step to the nearest 1, 2, 5 or 10 (geometrically)
+  const rough = span / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const error = rough / magnitude;
+  const multiple =
+    error >= Math.sqrt(50)
+      ? 10
+      : error >= Math.sqrt(10)
+        ? 5
+        : error >= Math.sqrt(2)
+          ? 2
+          : 1;
+  const step = multiple * magnitude;
+
+  const ticks = [];
+  for (let i = Math.ceil(min / step); i * step <= max + step * 1e-9; i++) {
+    ticks.push(Number((i * step).toPrecision(12))); // Drop float noise
+  }
+  return { step, ticks };
+}
+
+/**
+ * Formats a tick value with just enough decimals for its step
+ * Large values are shortened with k / M suffixes.
+ *
+ * @param {number} value - Tick value
+ * @param {number} step - Tick step
+ * @returns {string} e.g. "0.25", "1.5k", "2M"
+ */
+export function formatTick(value, step) {
+  const abs = Math.abs(value);
+  if (abs >= 1e6 && step >= 1e4) return `${+(value / 1e6).toFixed(2)}M`;
+  if (abs >= 1e4 && step >= 10) return `${+(value / 1e3).toFixed(1)}k`;
+
+  const decimals = step > 0 ? Math.max(0, -Math.floor(Math.log10(step))) : 0;
+  return value.toFixed(Math.min(decimals, 6));
+}
+
+/**
+ * Value range covered by some series
+ *
+ * @param {Array<ChartSample>} samples - Samples on display
+ * @param {Array<string>} keys - Series keys (`<channel>.<stat>`)
+ * @param {number} minRange - Smallest range; flat data is centered in it
+ * @returns {{min: number, max: number}} Range ({0, 1} without data)
+ */
+export function seriesRange(samples, keys, minRange) {
+  let min = Infinity;
+  let max = -Infinity;
+  samples.forEach(({ stats }) => {
+    keys.forEach((key) => {
+      const value = getStatSeriesValue(stats, key);
+      if (!Number.isFinite(value)) return;
+      if (value < min) min = value;
+      if (value > max) max = value;
+    });
+  });
+
+  if (min > max) return { min: 0, max: 1 };
+  if (max - min < minRange) {
+    const center = (min + max) / 2;
+    return { min: center - minRange / 2, max: center + minRange / 2 };
+  }
+  return { min, max };
+}
+
+/**
+ * Keeps a view inside the recorded history
+ *
+ * @param {{start: number, end: number}} view - Requested window
+ * @param {{first: number, next: number}} bounds - Recorded index range
+ * @param {number} minSpan - Smallest window (samples)
+ * @returns {{start: number, end: number}} Window of at least minSpan
+ *   samples (or the whole history, if shorter), inside the bounds
+ */
+export function clampView({ start, end }, { first, next }, minSpan) {
+  const total = next - first;
+  const span = Math.min(Math.max(Math.round(end - start), minSpan), total);
+  const clampedStart = Math.min(
+    Math.max(Math.round(start), first),
+    next - span,
+  );
+  return { start: clampedStart, end: clampedStart + span };
+}
+
+/**
+ * Zooms a view around an anchor
+ *
+ * @param {{start: number, end: number}} view - Current window
+ * @param {number} factor - Span multiplier (> 1 zooms out)
+ * @param {number} anchor - Fixed point as a fraction of the window [0, 1]
+ * @param {{first: number, next: number}} bounds - Recorded index range
+ * @param {number} minSpan - Smallest window (samples)
+ * @returns {{start: number, end: number}} New window
+ */
+export function zoomView(view, factor, anchor, bounds, minSpan) {
+  const span = view.end - view.start;
+  const pivot = view.start + span * anchor;
+  const nextSpan = Math.max(span * factor, minSpan);
+  return clampView(
+    { start: pivot - nextSpan * anchor, end: pivot + nextSpan * (1 - anchor) },
+    bounds,
+    minSpan,
+  );
+}
+
+/**
+ * Shifts a view by some samples
+ *
+ * @param {{start: number, end: number}} view - Current window
+ * @param {number} delta - Samples to move (positive = later)
+ * @param {{first: number, next: number}} bounds - Recorded index range
+ * @param {number} minSpan - Smallest window (samples)
+ * @returns {{start: number, end: number}} New window
+ */
+export function panView(view, delta, bounds, minSpan) {
+  return clampView(
+    { start: view.start + delta, end: view.end + delta },
+    bounds,
+    minSpan,
+  );
+}
+
+/**
+ * Thins samples to at most `maxPoints`, keeping the first and last
+ *
+ * @param {Array<ChartSample>} samples - Samples in order
+ * @param {number} maxPoints - Most samples to keep
+ * @returns {Array<ChartSample>} Evenly strided subset
+ */
+export function downsampleSamples(samples, maxPoints) {
+  if (samples.length <= maxPoints) return samples;
+  const stride = (samples.length - 1) / (maxPoints - 1);
+  return Array.from(
+    { length: maxPoints },
+    (_, i) => samples[Math.round(i * stride)],
+  );
+}
+
+/**
+ * Finds the sample closest to a generation
+ *
+ * @param {Array<ChartSample>} samples - Samples sorted by frame
+ * @param {number} frame - Generation
+ * @returns {ChartSample|null} Nearest sample, or null without samples
+ */
+export function nearestSample(samples, frame) {
+  if (samples.length === 0) return null;
+
+  let low = 0;
+  let high = samples.length - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (samples[mid].frame < frame) low = mid + 1;
+    else high = mid;
+  }
+  if (low > 0 && frame - samples[low - 1].frame < samples[low].frame - frame) {
+    return samples[low - 1];
+  }
+  return samples[low];
+}
+
+/**
+ * Serializes samples as CSV, one row per sample
+ *
+ * @param {Array<ChartSample>} samples - Recorded samples
+ * @param {Array<string>} keys - Series keys (columns after `frame`)
+ * @returns {string} CSV text with a header row; missing values are empty
+ */
+export function samplesToCsv(samples, keys) {
+  const rows = samples.map(({ frame, stats }) =>
+    [
+      frame,
+      ...keys.map((key) => {
+        const value = getStatSeriesValue(stats, key);
+        return Number.isFinite(value) ? value : '';
+      }),
+    ].join(','),
+  );
+  return `${[['frame', ...keys].join(','), ...rows].join('\n')}\n`;
+}
+
+/**
+ * Serializes samples as JSON
+ *
+ * @param {Array<ChartSample>} samples - Recorded samples
+ * @param {Array<string>} keys - Series keys to include
+ * @param {Object} [meta={}] - Extra top-level fields (rule, seed, ...)
+ * @returns {string} `{...meta, series, samples: [{frame, <key>: value}]}`
+ */
+export function samplesToJson(samples, keys, meta = {}) {
+  return JSON.stringify(
+    {
+      ...meta,
+      series: keys,
+      samples: samples.map(({ frame, stats }) => {
+        const row = { frame };
+        keys.forEach((key) => {
+          const value = getStatSeriesValue(stats, key);
+          if (Number.isFinite(value)) row[key] = value;
+        });
+        return row;
+      }),
+    },
+    null,
+    2,
+  );
+}
@@ -0,0 +1,145 @@
+/**
+ * Display Modes
+ *
+ * What the 3D view shows is two independent choices:
+ *
+ *   color   energy, matter or attention through the palette, the
+ *           smoothed heightMap through the palette, or an RGB composite
+ *           (energy → red, matter → green, attention → blue)
+ *   height  the field channel the terrain is raised from (smoothed by
+ *           the heightMap pass), or flat
+ *
+ * Views name the useful pairings for the View selector. Channel masks
+ * pick a channel in the shaders with dot(field.rgb, mask), so no
+ * dynamic vector indexing is needed in GLSL ES 1.0.
+ * Pure (no DOM), so it also runs in Node.
+ */
+
+import { FIELD_CHANNELS } from '../config/constants.js';
+
+/**
+ * Color sources, in display.frag terms
+ */
+export const DISPLAY_COLOR_SOURCES = [
+  'energy',
+  'matter',
+  'attention',
+  'heightMap',
+  'composite',
+];
+
+/**
+ * Terrain sources; 'flat' keeps the plane flat
+ */
+export const DISPLAY_HEIGHT_SOURCES = ['energy', 'matter', 'attention', 'flat'];
+
+/**
+ * Entries of the View selector
+ * A view with a `height` also moves the terrain; the others keep it.
+ */
+export const DISPLAY_VIEWS = [
+  { id: 'energy', label: 'Energy', color: 'energy' },
+  { id: 'matter', label: 'Matter', color: 'matter' },
+  { id: 'attention', label: 'Attention', color: 'attention' },
+  { id: 'heightMap', label: 'Height map (smoothed)', color: 'heightMap' },
+  { id: 'composite', label: 'RGB composite', color: 'composite' },
+  {
+    id: 'blend',
+    label: 'Blend: energy color, matter height',
+    color: 'energy',
+    height: 'matter',
+  },
+];
+
+/**
+ * Values of display.frag's colorMode uniform
+ */
+const COLOR_MODES = { channel: 0, heightMap: 1, composite: 2 };
+
+/**
+ * @typedef {Object} DisplayMode
+ * @property {string} color - One of DISPLAY_COLOR_SOURCES
+ * @property {string} height - One of DISPLAY_HEIGHT_SOURCES
+ */
+
+/**
+ * One-hot mask selecting a field channel
+ *
+ * @param {string} name - Channel name; anything else gives a zero mask
+ * @returns {Array<number>} [r, g, b] weights
+ */
+export function channelMask(name) {
+  return FIELD_CHANNELS.map((channel) => (channel === name ? 1 : 0));
+}
+
+/**
+ * Checks that a source is usable with a rule's channels
+ * Sources that are not field channels (heightMap, composite, flat)
+ * always are.
+ *
+ * @param {string} source - Color or height source
+ * @param {Array<string>} channels - Channels the rule writes
+ * @returns {boolean} True if the source shows something
+ */
+export function isSourceAvailable(source, channels) {
+  return !FIELD_CHANNELS.includes(source) || channels.includes(source);
+}
+
+/**
+ * Lists the views a rule can show
+ *
+ * @param {Array<string>} channels - Channels the rule writes
+ * @returns {Array<Object>} Entries of DISPLAY_VIEWS
+ */
+export function availableViews(channels) {
+  return DISPLAY_VIEWS.filter(
+    ({ color, height = 'flat' }) =>
+      isSourceAvailable(color, channels) && isSourceAvailable(height, channels),
+  );
+}
+
+/**
+ * Finds the view to show in the View selector for a mode
+ * Blend wins over Energy when the terrain is matter.
+ *
+ * @param {DisplayMode} mode - Current mode
+ * @returns {string} View ID
+ */
+export function matchView({ color, height }) {
+  const view =
+    DISPLAY_VIEWS.find(
+      (entry) => entry.color === color && entry.height === height,
+    ) ?? DISPLAY_VIEWS.find((entry) => entry.color === color);
+  return view.id;
+}
+
+/**
+ * Replaces sources a rule does not write with energy
+ *
+ * @param {DisplayMode} mode - Mode chosen under another rule
+ * @param {Array<string>} channels - Channels of the new rule
+ * @returns {DisplayMode} Mode the new rule can show
+ */
+export function fitDisplayMode({ color, height }, channels) {
+  return {
+    color: isSourceAvailable(color, channels) ? color : 'energy',
+    height: isSourceAvailable(height, channels) ? height : 'energy',
+  };
+}
+
+/**
+ * Uniform values for a mode
+ *
+ * @param {DisplayMode} mode - Mode to show
+ * @returns {{colorMode: number, colorChannel: Array<number>,
+ *   heightChannel: Array<number>}} display.frag's colorMode and
+ *   colorChannel, and the heightChannel mask shared by display.frag and
+ *   heightMap.frag
+ */
+export function displayUniforms({ color, height }) {
+  return {
+    colorMode: COLOR_MODES[color] ?? COLOR_MODES.channel,
+    colorChannel: channelMask(color),
+    heightChannel: channelMask(height),
+  };
+}
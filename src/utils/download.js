@@ -0,0 +1,21 @@
+/**
+ * File Downloads
+ *
+ * Offers generated data (exports, recordings, snapshots) to the user
+ * as a file download.
+ */
+
+/**
+ * Offers data to the user as a file download
+ *
+ * @param {BlobPart} data - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(data, filename, type) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([data], { type }));
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
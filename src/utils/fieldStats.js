@@ -0,0 +1,132 @@
+/**
+ * Field Statistics
+ *
+ * Mean, minimum, maximum and variance of the field channels. The GPU
+ * reduction (shaders/downsample.frag) ends in a 4 × 1 texture holding
+ * one statistic per texel and one channel per color component:
+ *
+ *   texel 0: mean   texel 1: mean of squares   texel 2: min   texel 3: max
+ *
+ * unpackFieldStats() turns that into a stats object; computeFieldStats()
+ * produces the same object on the CPU from read-back texels.
+ * Pure (no DOM), so it also runs in Node.
+ */
+
+import { FIELD_CHANNELS } from '../config/constants.js';
+
+/**
+ * Statistics reported per channel, in display order
+ */
+export const STAT_NAMES = ['mean', 'min', 'max', 'variance'];
+
+/**
+ * @typedef {Object} ChannelStats
+ * @property {number} mean - Average value
+ * @property {number} min - Smallest value
+ * @property {number} max - Largest value
+ * @property {number} variance - Population variance
+ */
+
+/**
+ * Decodes the final 4 × 1 texels of the GPU reduction
+ *
+ * Variance is E[x²] − E[x]², clamped at 0 against float32 rounding.
+ *
+ * @param {Float32Array} pixels - 16 floats (4 RGBA texels)
+ * @param {Array<string>} [channels=FIELD_CHANNELS] - Names of the R, G, B channels
+ * @returns {Object<string, ChannelStats>} Stats per channel name
+ */
+export function unpackFieldStats(pixels, channels = FIELD_CHANNELS) {
+  const stats = {};
+  channels.forEach((name, c) => {
+    const mean = pixels[c];
+    const meanSquare = pixels[4 + c];
+    stats[name] = {
+      mean,
+      min: pixels[8 + c],
+      max: pixels[12 + c],
+      variance: Math.max(0, meanSquare - mean * mean),
+    };
+  });
+  return stats;
+}
+
+/**
+ * Computes the same statistics on the CPU
+ *
+ * @param {Float32Array} field - RGBA texels (as from readVariable())
+ * @param {Array<string>} [channels=FIELD_CHANNELS] - Names of the leading channels
+ * @returns {Object<string, ChannelStats>} Stats per channel name
+ */
+export function computeFieldStats(field, channels = FIELD_CHANNELS) {
+  const count = field.length / 4;
+  const stats = {};
+
+  channels.forEach((name, c) => {
+    let sum = 0;
+    let sumSquares = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = c; i < field.length; i += 4) {
+      const value = field[i];
+      sum += value;
+      sumSquares += value * value;
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+
+    const mean = sum / count;
+    stats[name] = {
+      mean,
+      min,
+      max,
+      variance: Math.max(0, sumSquares / count - mean * mean),
+    };
+  });
+  return stats;
+}
+
+/**
+ * Lists the chart series available for a set of channels
+ *
+ * @param {Array<string>} channels - Channel names (e.g. a rule's channels)
+ * @returns {Array<{key: string, label: string}>} Series such as
+ *   `{key: 'energy.mean', label: 'Energy mean'}`
+ */
+export function listStatSeries(channels) {
+  return channels.flatMap((channel) =>
+    STAT_NAMES.map((stat) => ({
+      key: `${channel}.${stat}`,
+      label: `${channel[0].toUpperCase()}${channel.slice(1)} ${stat}`,
+    })),
+  );
+}
+
+/**
+ * Reads one series value from a stats object
+ *
+ * @param {Object<string, ChannelStats>} stats - Field stats
+ * @param {string} key - Series key (`<channel>.<stat>`)
+ * @returns {number|undefined} Value, or undefined for unknown series
+ */
+export function getStatSeriesValue(stats, key) {
+  const [channel, stat] = key.split('.');
+  return stats[channel]?.[stat];
+}
+
+/**
+ * Formats stats compactly for the info bar
+ *
+ * @param {Object<string, ChannelStats>} stats - Field stats
+ * @param {Array<string>} channels - Channels to include
+ * @returns {string} e.g. "E μ 0.231 σ² 0.0120 [0.000, 1.000]"
+ */
+export function formatFieldStats(stats, channels) {
+  return channels
+    .filter((channel) => stats[channel])
+    .map((channel) => {
+      const { mean, min, max, variance } = stats[channel];
+      return `${channel[0].toUpperCase()} μ ${mean.toFixed(3)} σ² ${variance.toFixed(4)} [${min.toFixed(3)}, ${max.toFixed(3)}]`;
+    })
+    .join('  ');
+}
@@ -0,0 +1,175 @@
+/**
+ * GLSL Preprocessor
+ *
+ * Pure helpers used by the shader loader:
+ * - `#include "path"` inlines another file (resolved relative to the
+ *   including file, each file at most once per shader)
+ * - `{{NAME}}` placeholders are replaced with constant values
+ * - Every output line remembers its origin so compile errors can be
+ *   reported as file:line of the real source
+ *
+ * No DOM or WebGL access, so these run in Node as well.
+ */
+
+const INCLUDE_PATTERN = /^\s*#include\s+"([^"]+)"\s*$/;
+const PLACEHOLDER_PATTERN = /\{\{(\w+)\}\}/g;
+const ERROR_LINE_PATTERN = /^(?:ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/;
+
+/**
+ * @typedef {Object} SourceLocation
+ * @property {string} file - Shader path relative to src/shaders/
+ * @property {number} line - 1-based line number in that file
+ */
+
+/**
+ * @typedef {Object} PreprocessedShader
+ * @property {string} source - Source with all includes expanded
+ * @property {Array<SourceLocation>} lineMap - Origin of each output line
+ * @property {Array<string>} files - Every file the shader depends on
+ */
+
+/**
+ * @typedef {Object} ShaderError
+ * @property {string} file - Source file of the error
+ * @property {number} line - Line in that file (0 if unknown)
+ * @property {string} message - Compiler message
+ */
+
+/**
+ * Resolves an include path relative to the including file
+ *
+ * @param {string} fromPath - Path of the including file
+ * @param {string} includePath - Path written in the #include directive
+ * @returns {string} Normalized path relative to the shader root
+ */
+export function resolveShaderPath(fromPath, includePath) {
+  return new URL(includePath, new URL(fromPath, 'file:///')).pathname.slice(1);
+}
+
+/**
+ * Expands #include directives recursively
+ *
+ * @param {string} path - Entry shader path
+ * @param {(path: string) => Promise<string>} readFile - Reads a shader file
+ * @returns {Promise<PreprocessedShader>} Expanded source and line map
+ */
+export async function preprocessShader(path, readFile) {
+  const lines = [];
+  const lineMap = [];
+  const included = new Set();
+
+  const expand = async (file, includedFrom) => {
+    included.add(file);
+
+    let text;
+    try {
+      text = await readFile(file);
+    } catch (error) {
+      if (!includedFrom) throw error;
+      throw new Error(
+        `${error.message} (included from ${includedFrom.file}:${includedFrom.line})`,
+      );
+    }
+
+    const fileLines = text.replace(/\r\n/g, '\n').split('\n');
+    for (let i = 0; i < fileLines.length; i++) {
+      const match = INCLUDE_PATTERN.exec(fileLines[i]);
+      if (match) {
+        const target = resolveShaderPath(file, match[1]);
+        if (!included.has(target)) {
+          await expand(target, { file, line: i + 1 });
+        }
+        continue;
+      }
+
+      lines.push(fileLines[i]);
+      lineMap.push({ file, line: i + 1 });
+    }
+  };
+
+  await expand(path, null);
+
+  return { source: lines.join('\n'), lineMap, files: Array.from(included) };
+}
+
+/**
+ * Replaces {{NAME}} placeholders with constant values
+ *
+ * Replacement never adds or removes lines, so the line map stays valid.
+ *
+ * @param {string} source - Preprocessed shader source
+ * @param {Array<SourceLocation>} lineMap - Line map of the source
+ * @param {Object<string, string>} constants - Placeholder values (GLSL literals)
+ * @returns {string} Source ready for compilation
+ * @throws {Error} If a placeholder has no value
+ */
+export function injectConstants(source, lineMap, constants) {
+  return source
+    .split('\n')
+    .map((text, index) =>
+      text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+        if (!(name in constants)) {
+          const origin = lineMap[index];
+          throw new Error(
+            `Unknown shader constant ${placeholder} (${origin.file}:${origin.line})`,
+          );
+        }
+        return constants[name];
+      }),
+    )
+    .join('\n');
+}
+
+/**
+ * Formats a number as a GLSL float literal (always has a decimal point)
+ *
+ * @param {number} value - Numeric value
+ * @returns {string} GLSL float literal, e.g. 512 → "512.0"
+ */
+export function toGlslFloat(value) {
+  const text = String(value);
+  return /[.eE]/.test(text) ? text : `${text}.0`;
+}
+
+/**
+ * Maps a WebGL shader info log back onto the original source files
+ *
+ * @param {string} log - Output of gl.getShaderInfoLog()
+ * @param {Array<SourceLocation>} lineMap - Line map of the compiled source
+ * @param {number} prefixLines - Lines prepended before our source (three.js prefix)
+ * @param {string} fallbackFile - File reported when a line cannot be mapped
+ * @returns {Array<ShaderError>} One entry per log line
+ */
+export function mapShaderErrors(log, lineMap, prefixLines, fallbackFile) {
+  return log
+    .split('\n')
+    .map((entry) => entry.replace(/\0/g, '').trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const match = ERROR_LINE_PATTERN.exec(entry);
+      if (!match) {
+        return { file: fallbackFile, line: 0, message: entry };
+      }
+
+      const origin = lineMap[Number(match[1]) - prefixLines - 1];
+      return {
+        file: origin?.file ?? fallbackFile,
+        line: origin?.line ?? 0,
+        message: match[2],
+      };
+    });
+}
+
+/**
+ * Formats shader errors for display
+ *
+ * @param {Array<ShaderError>} errors - Mapped errors
+ * @returns {string} One "file:line: message" per line
+ */
+export function formatShaderErrors(errors) {
+  return errors
+    .map(({ file, line, message }) =>
+      line > 0 ? `${file}:${line}: ${message}` : `${file}: ${message}`,
+    )
+    .join('\n');
+}
@@ -0,0 +1,148 @@
+/**
+ * Histogram Utilities
+ *
+ * Binning, normalization and comparison for the field value histogram.
+ * Values in [HISTOGRAM_RANGE_MIN, HISTOGRAM_RANGE_MAX] are split into
+ * equal bins; values outside the range land in the first or last bin,
+ * so saturation stays visible. The GPU version (core/FieldHistogram.js,
+ * shaders/histogram.vert) uses the same bin rule as histogramBin().
+ * Pure (no DOM), so it also runs in Node.
+ */
+
+import {
+  HISTOGRAM_RANGE_MIN,
+  HISTOGRAM_RANGE_MAX,
+} from '../config/constants.js';
+
+/**
+ * Field channels the histogram can count, in target row order
+ * (row 0 = R, row 1 = G)
+ */
+export const HISTOGRAM_CHANNELS = ['energy', 'matter'];
+
+/**
+ * Bin index of a value
+ *
+ * @param {number} value - Field value
+ * @param {number} bins - Number of bins
+ * @returns {number} Bin index in [0, bins)
+ */
+export function histogramBin(value, bins) {
+  const t =
+    (value - HISTOGRAM_RANGE_MIN) / (HISTOGRAM_RANGE_MAX - HISTOGRAM_RANGE_MIN);
+  const clamped = Math.min(1, Math.max(0, t));
+  return Math.min(bins - 1, Math.floor(clamped * bins));
+}
+
+/**
+ * Counts values per bin on the CPU
+ *
+ * @param {ArrayLike<number>} values - Field values (one channel)
+ * @param {number} bins - Number of bins
+ * @returns {Float32Array} Count per bin
+ */
+export function computeHistogram(values, bins) {
+  const counts = new Float32Array(bins);
+  for (let i = 0; i < values.length; i++) {
+    counts[histogramBin(values[i], bins)] += 1;
+  }
+  return counts;
+}
+
+/**
+ * Texture coordinates of the texels sampled by the GPU pass
+ *
+ * Picks an evenly strided `sampleSize`² subset of a `size`² grid and
+ * returns the center of each picked texel.
+ *
+ * @param {number} size - Field grid size
+ * @param {number} sampleSize - Samples per side (at most `size`)
+ * @returns {Float32Array} Interleaved (u, v) pairs, row by row
+ */
+export function createSamplePositions(size, sampleSize) {
+  const count = Math.min(size, sampleSize);
+  const positions = new Float32Array(count * count * 2);
+  const coords = Array.from(
+    { length: count },
+    (_, i) => (Math.floor(((i + 0.5) * size) / count) + 0.5) / size,
+  );
+
+  for (let y = 0; y < count; y++) {
+    for (let x = 0; x < count; x++) {
+      const offset = (y * count + x) * 2;
+      positions[offset] = coords[x];
+      positions[offset + 1] = coords[y];
+    }
+  }
+  return positions;
+}
+
+/**
+ * Splits the read-back histogram target into one count array per channel
+ *
+ * @param {Float32Array} pixels - RGBA texels of the bins × rows target
+ * @param {number} bins - Number of bins
+ * @param {Array<string>} [channels=HISTOGRAM_CHANNELS] - Channel per row
+ * @returns {Object<string, Float32Array>} Counts per channel name
+ */
+export function unpackHistogram(pixels, bins, channels = HISTOGRAM_CHANNELS) {
+  const histogram = {};
+  channels.forEach((name, row) => {
+    histogram[name] = Float32Array.from(
+      { length: bins },
+      (_, bin) => pixels[(row * bins + bin) * 4],
+    );
+  });
+  return histogram;
+}
+
+/**
+ * Converts counts to fractions of the total
+ *
+ * @param {ArrayLike<number>} counts - Count per bin
+ * @returns {Float32Array} Fraction per bin (all zero if there are no counts)
+ */
+export function normalizeHistogram(counts) {
+  const total = Array.prototype.reduce.call(counts, (sum, n) => sum + n, 0);
+  return Float32Array.from(counts, (n) => (total > 0 ? n / total : 0));
+}
+
+/**
+ * Maps a bin value to a bar height fraction
+ *
+ * The log scale uses log(1 + v · k) with k chosen so the smallest
+ * visible fraction (one sample in a million) still gets a sliver.
+ *
+ * @param {number} value - Bin fraction
+ * @param {number} max - Largest fraction on display
+ * @param {boolean} [logScale=false] - Compress large bins
+ * @returns {number} Height in [0, 1]
+ */
+export function scaleHistogramValue(value, max, logScale = false) {
+  if (max <= 0) return 0;
+  if (!logScale) return value / max;
+
+  const k = 1e6;
+  return Math.log1p(value * k) / Math.log1p(max * k);
+}
+
+/**
+ * Total variation distance between two normalized histograms
+ * 0 means identical, 1 means no overlap at all.
+ *
+ * @param {ArrayLike<number>} a - Fractions per bin
+ * @param {ArrayLike<number>} b - Fractions per bin (same bin count)
+ * @returns {number} Distance in [0, 1]
+ * @throws {Error} If the bin counts differ
+ */
+export function histogramDistance(a, b) {
+  if (a.length !== b.length) {
+    throw new Error(`Bin counts differ (${a.length} vs ${b.length}).`);
+  }
+
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += Math.abs(a[i] - b[i]);
+  }
+  return sum / 2;
+}
@@ -0,0 +1,239 @@
+/**
+ * Palettes
+ *
+ * Validation and sampling of gradient palettes:
+ *
+ *   { stops: [{ position, color }, ...] }
+ *
+ * with positions in [0, 1] (sorted; equal positions make a hard edge)
+ * and '#rrggbb' colors. paletteLut() bakes a palette into the RGBA
+ * lookup texture the display shaders sample (see
+ * shaders/include/palette.glsl). The stop helpers back the gradient
+ * editor (core/PaletteEditor.js) and return new palettes.
+ * Pure (no DOM), so it also runs in Node.
+ */
+
+import {
+  PALETTE_LUT_SIZE,
+  PALETTE_MIN_STOPS,
+  PALETTE_MAX_STOPS,
+} from '../config/constants.js';
+import { PALETTES } from '../config/palettes.js';
+
+/**
+ * @typedef {Object} Palette
+ * @property {Array<import('../config/palettes.js').PaletteStop>} stops -
+ *   At least PALETTE_MIN_STOPS, sorted by position
+ */
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Parses a '#rrggbb' color
+ * @param {string} color - Hex color
+ * @returns {Array<number>} [r, g, b] in [0, 1]
+ */
+export function parseHexColor(color) {
+  return [1, 3, 5].map((i) => parseInt(color.slice(i, i + 2), 16) / 255);
+}
+
+/**
+ * Formats a color as '#rrggbb'
+ * @param {Array<number>} rgb - [r, g, b] in [0, 1]
+ * @returns {string} Hex color
+ */
+export function toHexColor(rgb) {
+  return `#${rgb
+    .map((c) =>
+      Math.round(Math.min(Math.max(c, 0), 1) * 255)
+        .toString(16)
+        .padStart(2, '0'),
+    )
+    .join('')}`;
+}
+
+/**
+ * Validates a palette, or looks up a built-in one by ID
+ *
+ * @param {string|Object} raw - Built-in ID (see config/palettes.js) or
+ *   an object with `stops`
+ * @returns {Palette} Copy with stops sorted by position and colors in
+ *   lower case
+ * @throws {Error} If the ID is unknown or a stop is invalid
+ */
+export function normalizePalette(raw) {
+  if (typeof raw === 'string') {
+    if (!PALETTES[raw]) throw new Error(`Unknown palette "${raw}".`);
+    return normalizePalette(PALETTES[raw]);
+  }
+
+  const stops = raw?.stops;
+  if (
+    !Array.isArray(stops) ||
+    stops.length < PALETTE_MIN_STOPS ||
+    stops.length > PALETTE_MAX_STOPS
+  ) {
+    throw new Error(
+      `A palette needs ${PALETTE_MIN_STOPS} to ${PALETTE_MAX_STOPS} stops.`,
+    );
+  }
+
+  const copies = stops.map((stop, i) => {
+    const { position, color } = stop ?? {};
+    if (!Number.isFinite(position) || position < 0 || position > 1) {
+      throw new Error(`Palette stop ${i + 1} needs a position from 0 to 1.`);
+    }
+    if (typeof color !== 'string' || !HEX_COLOR.test(color)) {
+      throw new Error(`Palette stop ${i + 1} needs a #rrggbb color.`);
+    }
+    return { position, color: color.toLowerCase() };
+  });
+
+  // Array.prototype.sort is stable, so hard edges keep their order
+  return { stops: copies.sort((a, b) => a.position - b.position) };
+}
+
+/**
+ * Finds the built-in palette a palette matches
+ *
+ * @param {Palette} palette - Normalized palette
+ * @returns {string|null} Built-in ID, or null for a custom gradient
+ */
+export function matchPalette(palette) {
+  const key = JSON.stringify(palette.stops);
+  return (
+    Object.keys(PALETTES).find(
+      (id) => JSON.stringify(normalizePalette(id).stops) === key,
+    ) ?? null
+  );
+}
+
+/**
+ * Color of a palette at a value
+ *
+ * @param {Palette} palette - Normalized palette
+ * @param {number} value - Value (clamped to [0, 1])
+ * @returns {Array<number>} [r, g, b] in [0, 1]; at a hard edge, the
+ *   color above it
+ */
+export function samplePalette({ stops }, value) {
+  const x = Math.min(Math.max(value, 0), 1);
+  if (x < stops[0].position) return parseHexColor(stops[0].color);
+
+  for (let i = 1; i < stops.length; i++) {
+    const upper = stops[i];
+    if (x < upper.position) {
+      const lower = stops[i - 1];
+      const t = (x - lower.position) / (upper.position - lower.position);
+      const from = parseHexColor(lower.color);
+      const to = parseHexColor(upper.color);
+      return from.map((c, j) => c + (to[j] - c) * t);
+    }
+  }
+  return parseHexColor(stops[stops.length - 1].color);
+}
+
+/**
+ * Bakes a palette into lookup texture data
+ *
+ * Texel i holds the color at value i / (size - 1), so sampling at
+ * u = (value × (size - 1) + 0.5) / size with linear filtering
+ * interpolates between stops.
+ *
+ * @param {Palette} palette - Normalized palette
+ * @param {number} [size=PALETTE_LUT_SIZE] - Texels
+ * @returns {Uint8Array} size × 1 RGBA texels, alpha 255
+ */
+export function paletteLut(palette, size = PALETTE_LUT_SIZE) {
+  const data = new Uint8Array(size * 4);
+  for (let i = 0; i < size; i++) {
+    samplePalette(palette, i / (size - 1)).forEach((c, j) => {
+      data[i * 4 + j] = Math.round(c * 255);
+    });
+    data[i * 4 + 3] = 255;
+  }
+  return data;
+}
+
+/**
+ * Inserts a stop after the last stop at or below its position
+ * @param {Array<import('../config/palettes.js').PaletteStop>} stops - Sorted stops
+ * @param {import('../config/palettes.js').PaletteStop} stop - Stop to insert
+ * @returns {{palette: Palette, index: number}} New palette and the index
+ */
+function insertAt(stops, stop) {
+  let index = stops.findIndex((other) => other.position > stop.position);
+  if (index === -1) index = stops.length;
+  return {
+    palette: { stops: [...stops.slice(0, index), stop, ...stops.slice(index)] },
+    index,
+  };
+}
+
+/**
+ * Adds a stop that keeps the gradient's current color there
+ *
+ * @param {Palette} palette - Normalized palette
+ * @param {number} position - Value in [0, 1]
+ * @returns {{palette: Palette, index: number}} New palette and the new
+ *   stop's index
+ * @throws {Error} If the palette already has PALETTE_MAX_STOPS stops
+ */
+export function insertStop(palette, position) {
+  if (palette.stops.length >= PALETTE_MAX_STOPS) {
+    throw new Error(`A palette can have at most ${PALETTE_MAX_STOPS} stops.`);
+  }
+  return insertAt(palette.stops, {
+    position,
+    color: toHexColor(samplePalette(palette, position)),
+  });
+}
+
+/**
+ * Moves a stop, keeping the stops sorted
+ *
+ * @param {Palette} palette - Normalized palette
+ * @param {number} index - Stop to move
+ * @param {number} position - New value (clamped to [0, 1])
+ * @returns {{palette: Palette, index: number}} New palette and the
+ *   stop's new index
+ */
+export function moveStop(palette, index, position) {
+  const stop = {
+    ...palette.stops[index],
+    position: Math.min(Math.max(position, 0), 1),
+  };
+  const others = palette.stops.filter((_, i) => i !== index);
+  return insertAt(others, stop);
+}
+
+/**
+ * Recolors a stop
+ *
+ * @param {Palette} palette - Normalized palette
+ * @param {number} index - Stop to recolor
+ * @param {string} color - '#rrggbb'
+ * @returns {Palette} New palette
+ */
+export function recolorStop(palette, index, color) {
+  return normalizePalette({
+    stops: palette.stops.map((stop, i) =>
+      i === index ? { ...stop, color } : stop,
+    ),
+  });
+}
+
+/**
+ * Removes a stop
+ *
+ * @param {Palette} palette - Normalized palette
+ * @param {number} index - Stop to remove
+ * @returns {Palette} New palette
+ * @throws {Error} If the palette has only PALETTE_MIN_STOPS stops
+ */
+export function removeStop(palette, index) {
+  if (palette.stops.length <= PALETTE_MIN_STOPS) {
+    throw new Error(`A palette needs at least ${PALETTE_MIN_STOPS} stops.`);
+  }
+  return { stops: palette.stops.filter((_, i) => i !== index) };
+}
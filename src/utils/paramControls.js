@@ -0,0 +1,84 @@
+/**
+ * Parameter Controls
+ *
+ * Builds and updates the slider/number pairs generated from a schema
+ * (see config/paramSchema.js): rule parameters, the Rendering panel and
+ * the Brush panel. The pair's IDs are `<key>` and `<key>Value`.
+ */
+
+import {
+  toSliderPosition,
+  fromSliderPosition,
+  getSliderRange,
+} from './schemaUtils.js';
+
+/**
+ * Creates the slider/number pair for one schema entry
+ *
+ * @param {import('../config/paramSchema.js').ParamSchemaEntry} entry - Schema entry
+ * @param {function(number|string): void} updateValue - Applies a new
+ *   value (a number from the slider, the typed text from the input)
+ * @returns {HTMLElement} The control item
+ */
+export function createParamControl(entry, updateValue) {
+  const item = document.createElement('div');
+  item.className = 'control-item';
+  item.title = entry.tooltip;
+
+  const label = document.createElement('label');
+  label.htmlFor = entry.key;
+  label.textContent = entry.logScale ? `${entry.label} (log)` : entry.label;
+
+  const container = document.createElement('div');
+  container.className = 'slider-container';
+
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.id = entry.key;
+  Object.assign(slider, getSliderRange(entry));
+
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.id = `${entry.key}Value`;
+  input.min = entry.min;
+  input.max = entry.max;
+  input.step = entry.step;
+
+  slider.addEventListener('input', (event) =>
+    updateValue(fromSliderPosition(entry, parseFloat(event.target.value))),
+  );
+  input.addEventListener('input', (event) => updateValue(event.target.value));
+  slider.addEventListener('wheel', (event) => {
+    event.preventDefault();
+    const step = parseFloat(slider.step) || 0.01;
+    const delta = event.deltaY > 0 ? -step : step;
+    const nextPosition = Math.max(
+      parseFloat(slider.min),
+      Math.min(parseFloat(slider.max), parseFloat(slider.value) + delta * 10),
+    );
+    updateValue(fromSliderPosition(entry, nextPosition));
+  });
+
+  container.append(slider, input);
+  item.append(label, container);
+  return item;
+}
+
+/**
+ * Moves a control's slider and number input to a value
+ * Does nothing if the control or the schema entry does not exist.
+ *
+ * @param {Array<import('../config/paramSchema.js').ParamSchemaEntry>} schema -
+ *   Schema the control was built from
+ * @param {string} key - Schema key
+ * @param {number} value - New value
+ */
+export function updateParamControl(schema, key, value) {
+  const slider = document.getElementById(key);
+  const input = document.getElementById(`${key}Value`);
+  const entry = schema.find((candidate) => candidate.key === key);
+  if (slider && input && entry) {
+    slider.value = toSliderPosition(entry, value);
+    input.value = value;
+  }
+}
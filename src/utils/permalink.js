@@ -0,0 +1,126 @@
+/**
+ * Permalink Encoding
+ *
+ * Serializes the reproducible simulation settings into a URL hash:
+ *
+ *   #v=1&r=energyLife&n=512&x=1&s=12345&p=growthWidth:0.0156,decayRate:0.4
+ *
+ *   v  format version
+ *   r  rule ID
+ *   n  grid size
+ *   x  speed multiplier
+ *   s  RNG seed
+ *   p  parameters that differ from the rule defaults (key:value, comma-separated)
+ *
+ * Every key and value (and each half of a `p` pair) is percent-encoded
+ * on its own, so '+', '&', '=', ',' and ':' inside them round-trip.
+ * Decoding is lenient: malformed entries are skipped so a damaged link
+ * still restores whatever it can. Pure (no DOM), so it also runs in Node.
+ */
+
+const PERMALINK_VERSION = 1;
+
+/**
+ * Percent-decodes one component
+ *
+ * @param {string} text - Encoded component
+ * @returns {string|undefined} Decoded text, or undefined if malformed
+ */
+function decodeComponent(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * @typedef {Object} PermalinkState
+ * @property {string} [ruleId] - Rule ID
+ * @property {Object<string, number>} [params] - Parameter values
+ * @property {number} [size] - Grid size
+ * @property {number} [speed] - Speed multiplier
+ * @property {number} [seed] - RNG seed
+ */
+
+/**
+ * Encodes settings as a URL hash (without the leading '#')
+ *
+ * @param {PermalinkState} state - Settings to encode
+ * @param {Object<string, number>} [defaults={}] - Rule defaults; equal params are omitted
+ * @returns {string} Hash string
+ */
+export function encodePermalink(
+  { ruleId, params = {}, size, speed, seed },
+  defaults = {},
+) {
+  const entries = [['v', PERMALINK_VERSION]];
+  if (ruleId !== undefined) entries.push(['r', ruleId]);
+  if (size !== undefined) entries.push(['n', size]);
+  if (speed !== undefined) entries.push(['x', speed]);
+  if (seed !== undefined) entries.push(['s', seed]);
+
+  const encode = (value) => encodeURIComponent(String(value));
+  const changed = Object.entries(params)
+    .filter(([key, value]) => value !== defaults[key])
+    .map(([key, value]) => `${encode(key)}:${encode(value)}`);
+
+  const hash = entries.map(([key, value]) => `${key}=${encode(value)}`);
+  if (changed.length > 0) hash.push(`p=${changed.join(',')}`);
+  return hash.join('&');
+}
+
+/**
+ * Decodes a URL hash produced by encodePermalink()
+ *
+ * @param {string} hash - location.hash (with or without '#')
+ * @returns {PermalinkState|null} Decoded settings, or null if the hash is not a permalink
+ * @throws {Error} If the link was made by a newer format version
+ */
+export function decodePermalink(hash) {
+  // Not URLSearchParams: it reads '+' as a space and decodes the '%2C'
+  // and '%3A' inside `p` before the pairs can be split
+  const query = new Map();
+  hash
+    .replace(/^#/, '')
+    .split('&')
+    .forEach((entry) => {
+      const split = entry.indexOf('=');
+      if (split < 0) return;
+      const key = decodeComponent(entry.slice(0, split));
+      if (key !== undefined) query.set(key, entry.slice(split + 1));
+    });
+  if (!query.has('v')) return null;
+
+  const version = parseInt(decodeComponent(query.get('v')), 10);
+  if (version > PERMALINK_VERSION) {
+    throw new Error(
+      `Link format v${version} is newer than supported v${PERMALINK_VERSION}.`,
+    );
+  }
+
+  const text = (key) =>
+    query.has(key) ? decodeComponent(query.get(key)) : undefined;
+  const number = (key) => {
+    const raw = text(key);
+    const value = Number(raw);
+    return raw !== undefined && Number.isFinite(value) ? value : undefined;
+  };
+
+  const params = {};
+  (query.get('p') ?? '').split(',').forEach((pair) => {
+    const [key, raw] = pair.split(':').map(decodeComponent);
+    const value = Number(raw);
+    if (key && raw !== undefined && Number.isFinite(value)) {
+      params[key] = value;
+    }
+  });
+
+  return {
+    ruleId: text('r'),
+    params,
+    size: number('n'),
+    speed: number('x'),
+    seed: number('s'),
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * Pointer Input
+ *
+ * Reads Pointer Events for the canvas: what a mouse or pen press does,
+ * how hard a pen presses, which touches are resting palms, and how two
+ * fingers move the camera. Takes plain objects with the event fields
+ * it needs, so it also runs in Node.
+ */
+
+import { PALM_CONTACT_SIZE } from '../config/constants.js';
+
+/**
+ * What a mouse or pen press on the canvas does
+ *
+ * Only the primary button (a pen's tip without its barrel button)
+ * paints, or moves the camera with Alt held; the middle button pans.
+ * Other buttons (context menu, pen barrel or eraser) are left alone.
+ *
+ * @param {{pointerType: string, button: number, buttons: number,
+ *   altKey: boolean, shiftKey: boolean}} pointer - Pointer down event
+ * @returns {string} 'paint', 'orbit', 'pan' or 'ignore'
+ */
+export function pressAction({
+  pointerType,
+  button,
+  buttons,
+  altKey,
+  shiftKey,
+}) {
+  const primary = button === 0 && (pointerType !== 'pen' || buttons === 1);
+  if (primary) {
+    if (!altKey) return 'paint';
+    return shiftKey ? 'pan' : 'orbit';
+  }
+  return button === 1 && pointerType === 'mouse' ? 'pan' : 'ignore';
+}
+
+/**
+ * Share of the brush strength a pointer paints with
+ * Pens report real pressure; mice and fingers paint at full strength
+ * (their reported pressure is a fixed 0.5 on most hardware).
+ *
+ * @param {{pointerType: string, pressure: number}} pointer - Pointer event
+ * @returns {number} Multiplier in [0, 1]
+ */
+export function brushPressure({ pointerType, pressure }) {
+  return pointerType === 'pen' ? Math.min(Math.max(pressure, 0), 1) : 1;
+}
+
+/**
+ * Whether a touch is a resting palm rather than a fingertip
+ *
+ * @param {{pointerType: string, width: number, height: number}} pointer -
+ *   Pointer event (contact size in CSS pixels)
+ * @returns {boolean} True for touches with a large contact area
+ */
+export function isPalm({ pointerType, width, height }) {
+  return (
+    pointerType === 'touch' && Math.max(width, height) >= PALM_CONTACT_SIZE
+  );
+}
+
+/**
+ * Camera change described by two moving fingers
+ *
+ * @param {Array<{x: number, y: number}>} before - Both fingers before
+ *   the move (client pixels)
+ * @param {Array<{x: number, y: number}>} after - Both fingers after it
+ * @returns {{zoom: number, dx: number, dy: number}} Zoom factor
+ *   (spreading > 1) and movement of the midpoint in pixels
+ */
+export function twoFingerGesture(before, after) {
+  const span = ([a, b]) => Math.hypot(b.x - a.x, b.y - a.y);
+  const mid = ([a, b]) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+  const startSpan = span(before);
+  const startMid = mid(before);
+  const endMid = mid(after);
+  return {
+    zoom: startSpan > 0 ? span(after) / startSpan : 1,
+    dx: endMid.x - startMid.x,
+    dy: endMid.y - startMid.y,
+  };
+}
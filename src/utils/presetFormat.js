@@ -0,0 +1,232 @@
+/**
+ * Preset Format
+ *
+ * Versioned preset objects and their migration:
+ *
+ *   { version, name, ruleId, params, timeline?, palette?, rendering? }
+ *
+ * Older presets are upgraded one version at a time by MIGRATORS, then
+ * validated against the rule schema. Every key that could not be used
+ * is reported instead of being dropped silently.
+ */
+
+import {
+  PRESET_FORMAT_VERSION,
+  PRESET_FILE_FORMAT,
+} from '../config/presets.js';
+import { RULES, DEFAULT_RULE_ID, getRule } from '../config/rules.js';
+import { validateParams } from './schemaUtils.js';
+import { validateTimeline, hasKeyframes } from './timeline.js';
+import { normalizePalette } from './palette.js';
+import { validateRendering } from './rendering.js';
+
+/** Top-level fields of a current-format preset */
+const PRESET_FIELDS = [
+  'version',
+  'name',
+  'ruleId',
+  'params',
+  'timeline',
+  'palette',
+  'rendering',
+];
+
+/**
+ * @typedef {Object} Preset
+ * @property {number} version - Format version
+ * @property {string} name - Display name
+ * @property {string} ruleId - Rule the params belong to
+ * @property {Object<string, number>} params - Parameter values
+ * @property {import('./timeline.js').Timeline} [timeline] - Parameter
+ *   keyframes (optional; omitted when empty)
+ * @property {import('./palette.js').Palette} [palette] - Display palette
+ *   (optional; presets without one keep the current palette)
+ * @property {Object<string, number>} [rendering] - Rendering panel
+ *   settings, any subset (optional; see config/renderingSchema.js)
+ */
+
+/**
+ * @typedef {Object} PresetReport
+ * @property {Preset} preset - Migrated, validated preset
+ * @property {Array<string>} ignored - Keys that were dropped (unknown or obsolete)
+ * @property {Array<string>} invalid - Params whose value was not a number
+ *   (timeline and rendering keys are prefixed, e.g. `rendering.specularStrength`)
+ * @property {Array<string>} clamped - Params that were out of range
+ */
+
+/**
+ * Picks the rule whose schema covers most of the given keys
+ *
+ * @param {Object} params - Parameter values
+ * @returns {string} Rule ID (DEFAULT_RULE_ID on a tie)
+ */
+export function guessRuleId(params) {
+  const keys = Object.keys(params);
+  const score = (rule) =>
+    rule.schema.filter(({ key }) => keys.includes(key)).length;
+
+  let best = getRule(DEFAULT_RULE_ID);
+  Object.values(RULES).forEach((rule) => {
+    if (score(rule) > score(best)) best = rule;
+  });
+
+  return best.id;
+}
+
+/**
+ * Upgrades a preset from version N to N + 1
+ * Each migrator may push dropped keys into `ignored`.
+ */
+const MIGRATORS = {
+  /**
+   * v0: bare params object written by the old single-slot Save button
+   * (no rule ID; may include the runtime-only globalAverage)
+   */
+  0: (raw, ignored) => {
+    const { globalAverage, ...params } = raw;
+    if (globalAverage !== undefined) ignored.push('globalAverage');
+
+    return {
+      version: 1,
+      name: 'Imported preset',
+      ruleId: guessRuleId(params),
+      params,
+    };
+  },
+};
+
+/**
+ * Migrates and validates a preset of any supported version
+ *
+ * @param {Object} raw - Parsed preset (any version)
+ * @returns {PresetReport} Current-format preset plus what was dropped
+ * @throws {Error} If the preset is not an object, too new, or uses an unknown rule
+ */
+export function normalizePreset(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Preset must be a JSON object.');
+  }
+
+  let preset = raw;
+  let version = Number.isInteger(raw.version) ? raw.version : 0;
+  if (version > PRESET_FORMAT_VERSION) {
+    throw new Error(
+      `Preset format v${version} is newer than supported v${PRESET_FORMAT_VERSION}.`,
+    );
+  }
+
+  const ignored = [];
+  while (version < PRESET_FORMAT_VERSION) {
+    preset = MIGRATORS[version](preset, ignored);
+    version = preset.version;
+  }
+
+  const rule = getRule(preset.ruleId);
+  if (!rule) {
+    throw new Error(`Unknown rule "${preset.ruleId}" in preset.`);
+  }
+
+  Object.keys(preset).forEach((key) => {
+    if (!PRESET_FIELDS.includes(key)) ignored.push(key);
+  });
+
+  const result = validateParams(rule.schema, preset.params);
+  const timeline = validateTimeline(rule.schema, preset.timeline);
+  const prefix = (keys, field = 'timeline') =>
+    keys.map((key) => `${field}.${key}`);
+
+  let palette;
+  if (preset.palette !== undefined) {
+    try {
+      palette = normalizePalette(preset.palette);
+    } catch {
+      ignored.push('palette');
+    }
+  }
+
+  const renderingIsObject =
+    preset.rendering !== null && typeof preset.rendering === 'object';
+  if (preset.rendering !== undefined && !renderingIsObject) {
+    ignored.push('rendering');
+  }
+  const rendering = validateRendering(
+    renderingIsObject ? preset.rendering : {},
+  );
+  const hasRendering = Object.keys(rendering.params).length > 0;
+
+  return {
+    preset: {
+      version,
+      name: String(preset.name ?? 'Untitled'),
+      ruleId: rule.id,
+      params: result.params,
+      ...(hasKeyframes(timeline.timeline) && { timeline: timeline.timeline }),
+      ...(palette && { palette }),
+      ...(hasRendering && { rendering: rendering.params }),
+    },
+    ignored: [
+      ...ignored,
+      ...result.ignored,
+      ...prefix(timeline.ignored),
+      ...prefix(rendering.ignored, 'rendering'),
+    ],
+    invalid: [
+      ...result.invalid,
+      ...prefix(timeline.invalid),
+      ...prefix(rendering.invalid, 'rendering'),
+    ],
+    clamped: [
+      ...result.clamped,
+      ...prefix(timeline.clamped),
+      ...prefix(rendering.clamped, 'rendering'),
+    ],
+  };
+}
+
+/**
+ * Describes what was dropped or adjusted while normalizing a preset
+ *
+ * @param {PresetReport} report - Result of normalizePreset()
+ * @returns {string} Human-readable summary ('' if nothing was lost)
+ */
+export function describePresetReport({ ignored, invalid, clamped }) {
+  const parts = [];
+  if (ignored.length > 0) parts.push(`Ignored: ${ignored.join(', ')}.`);
+  if (invalid.length > 0) parts.push(`Invalid: ${invalid.join(', ')}.`);
+  if (clamped.length > 0) parts.push(`Clamped: ${clamped.join(', ')}.`);
+  return parts.join(' ');
+}
+
+/**
+ * Serializes presets into an export file
+ *
+ * @param {Array<Preset>} presets - Presets to export
+ * @returns {string} JSON file contents
+ */
+export function serializePresetFile(presets) {
+  return JSON.stringify(
+    { format: PRESET_FILE_FORMAT, version: PRESET_FORMAT_VERSION, presets },
+    null,
+    2,
+  );
+}
+
+/**
+ * Parses an exported preset file (or a single bare preset)
+ *
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Raw presets, to be passed to normalizePreset()
+ * @throws {Error} If the text is not JSON or has no presets
+ */
+export function parsePresetFile(text) {
+  const data = JSON.parse(text);
+
+  if (data?.format === PRESET_FILE_FORMAT) {
+    if (!Array.isArray(data.presets)) {
+      throw new Error('Preset file has no "presets" list.');
+    }
+    return data.presets;
+  }
+
+  return [data];
+}
@@ -0,0 +1,56 @@
+/**
+ * Seeded Random Numbers
+ *
+ * All CPU-side randomness goes through createRandom() so a run can be
+ * reproduced from its seed. Math.random() is only used to pick a fresh
+ * seed (randomSeed()).
+ */
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32)
+ *
+ * @param {number} seed - Seed (converted to uint32)
+ * @returns {() => number} Generator returning values in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+/**
+ * Picks a new random seed
+ *
+ * @returns {number} Seed in [0, 2^32)
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Derives the next seed of a chain, deterministically
+ * Used where a run must restart with a different seed that still only
+ * depends on the original one (e.g. automatic reseeding).
+ *
+ * @param {number} seed - Seed (uint32)
+ * @returns {number} Seed in [0, 2^32)
+ */
+export function deriveSeed(seed) {
+  return Math.floor(createRandom(seed)() * 0x100000000);
+}
+
+/**
+ * Splits a seed into two 16-bit halves for the `seed` shader uniform
+ * (each half is exactly representable as a GLSL float)
+ *
+ * @param {number} seed - Seed (uint32)
+ * @returns {[number, number]} Low and high 16 bits
+ */
+export function splitSeed(seed) {
+  return [seed & 0xffff, (seed >>> 16) & 0xffff];
+}
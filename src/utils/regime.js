@@ -0,0 +1,226 @@
+/**
+ * Regime Detection
+ *
+ * Labels the state of a run from its field statistics:
+ *
+ *   dead         nothing left: max energy below REGIME_DEAD_MAX
+ *   saturated    locked full: mean energy at or above REGIME_SATURATED_MEAN
+ *   stable       mean energy barely moves over the recent window
+ *   oscillating  mean energy swings with one dominant period
+ *   chaotic      mean energy moves without a dominant period
+ *
+ * The last three look at the history of mean energy: its spread after
+ * removing a linear trend, and how much of its power spectrum sits in
+ * one frequency. RegimeDetector adds hysteresis on top.
+ * Pure (no DOM), so it also runs in Node.
+ */
+
+import {
+  REGIME_WINDOW,
+  REGIME_MIN_HISTORY,
+  REGIME_CONFIRM_SAMPLES,
+  REGIME_DEAD_MAX,
+  REGIME_SATURATED_MEAN,
+  REGIME_STABLE_STD,
+  REGIME_PERIODIC_POWER,
+} from '../config/constants.js';
+import { RingBuffer } from './ringBuffer.js';
+
+/**
+ * All regime labels
+ */
+export const REGIMES = [
+  'dead',
+  'saturated',
+  'stable',
+  'oscillating',
+  'chaotic',
+];
+
+/**
+ * Regimes automatic recovery reacts to
+ */
+export const UNHEALTHY_REGIMES = ['dead', 'saturated'];
+
+/**
+ * What to do when a run turns unhealthy
+ */
+export const REGIME_ACTIONS = ['none', 'reseed', 'revert'];
+
+/**
+ * @typedef {Object} RegimeFeatures
+ * @property {number} mean - Latest mean energy
+ * @property {number} max - Latest max energy
+ * @property {number} spatialVariance - Latest energy variance across the field
+ * @property {number|null} temporalStd - Spread of mean energy over the
+ *   window, detrended (null while the history is too short)
+ * @property {number|null} peakPower - Share of spectral power at the
+ *   dominant frequency (null while the history is too short)
+ * @property {number|null} period - Dominant period, in samples
+ */
+
+/**
+ * Removes the least-squares line from a series
+ *
+ * @param {Array<number>} values - Evenly spaced values
+ * @returns {Array<number>} Residuals
+ */
+export function detrend(values) {
+  const n = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, v) => sum + v, 0) / n;
+
+  let covariance = 0;
+  let varianceX = 0;
+  values.forEach((v, x) => {
+    covariance += (x - meanX) * (v - meanY);
+    varianceX += (x - meanX) ** 2;
+  });
+  const slope = varianceX > 0 ? covariance / varianceX : 0;
+
+  return values.map((v, x) => v - meanY - slope * (x - meanX));
+}
+
+/**
+ * Finds the dominant frequency of a series
+ *
+ * Hann-windowed DFT of the detrended series. The peak's share counts
+ * the peak bin and its neighbours, where a windowed sine's power lands.
+ *
+ * @param {Array<number>} values - Evenly spaced values
+ * @returns {{power: number, period: number|null}} Share of total power
+ *   around the peak (0 for a flat series) and its period in samples
+ */
+export function spectralPeak(values) {
+  const n = values.length;
+  const windowed = detrend(values).map(
+    (v, i) => v * (0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1))),
+  );
+
+  const spectrum = [0]; // Skip the DC bin
+  for (let k = 1; k <= n / 2; k++) {
+    let re = 0;
+    let im = 0;
+    windowed.forEach((v, i) => {
+      re += v * Math.cos((2 * Math.PI * k * i) / n);
+      im -= v * Math.sin((2 * Math.PI * k * i) / n);
+    });
+    spectrum.push(re * re + im * im);
+  }
+
+  // Rounding leaves ~1e-30 of power in a flat series
+  const total = spectrum.reduce((sum, p) => sum + p, 0);
+  if (!(total > 1e-20)) return { power: 0, period: null };
+
+  const peak = spectrum.indexOf(Math.max(...spectrum));
+  const around =
+    spectrum[peak] + (spectrum[peak - 1] ?? 0) + (spectrum[peak + 1] ?? 0);
+  return { power: around / total, period: n / peak };
+}
+
+/**
+ * Classifies one moment of a run
+ *
+ * @param {Array<number>} means - Recent mean energies, oldest first
+ * @param {Object<string, import('./fieldStats.js').ChannelStats>} stats - Latest field stats
+ * @returns {{regime: string|null, features: RegimeFeatures}} Label (null
+ *   while a living run has too little history) and the features used
+ */
+export function classifyRegime(means, stats) {
+  const { mean, max, variance } = stats.energy;
+  const features = {
+    mean,
+    max,
+    spatialVariance: variance,
+    temporalStd: null,
+    peakPower: null,
+    period: null,
+  };
+
+  if (max < REGIME_DEAD_MAX) return { regime: 'dead', features };
+  if (mean >= REGIME_SATURATED_MEAN) return { regime: 'saturated', features };
+  if (means.length < REGIME_MIN_HISTORY) return { regime: null, features };
+
+  const residuals = detrend(means);
+  features.temporalStd = Math.sqrt(
+    residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length,
+  );
+  const { power, period } = spectralPeak(means);
+  features.peakPower = power;
+  features.period = period;
+
+  if (features.temporalStd < REGIME_STABLE_STD) {
+    return { regime: 'stable', features };
+  }
+  return {
+    regime: power >= REGIME_PERIODIC_POWER ? 'oscillating' : 'chaotic',
+    features,
+  };
+}
+
+/**
+ * Tracks the regime of a run over time
+ *
+ * Feed it every field stats update. A new label only takes over after
+ * it was seen `confirm` times in a row, so a run near a threshold does
+ * not flicker between two regimes.
+ *
+ * @class
+ */
+export class RegimeDetector {
+  /**
+   * Creates a detector with an empty history
+   *
+   * @param {Object} [options]
+   * @param {number} [options.historyLength=REGIME_WINDOW] - Samples of history
+   * @param {number} [options.confirm=REGIME_CONFIRM_SAMPLES] - Repeats
+   *   needed before the regime changes
+   */
+  constructor({
+    historyLength = REGIME_WINDOW,
+    confirm = REGIME_CONFIRM_SAMPLES,
+  } = {}) {
+    this.history = new RingBuffer(historyLength);
+    this.confirm = confirm;
+    this.reset();
+  }
+
+  /**
+   * Forgets the history and the current regime
+   */
+  reset() {
+    this.history.clear();
+    this.regime = null;
+    this.features = null;
+    this.candidate = null;
+    this.streak = 0;
+  }
+
+  /**
+   * Adds a stats sample and reclassifies
+   *
+   * @param {Object<string, import('./fieldStats.js').ChannelStats>} stats - Field stats
+   * @returns {{regime: string|null, previous: string|null, changed: boolean,
+   *   features: RegimeFeatures}} Confirmed regime, the one before it and
+   *   whether this sample changed it
+   */
+  update(stats) {
+    this.history.push(stats.energy.mean);
+    const { regime, features } = classifyRegime(this.history.slice(), stats);
+    this.features = features;
+
+    if (regime === this.candidate) {
+      this.streak++;
+    } else {
+      this.candidate = regime;
+      this.streak = 1;
+    }
+
+    const previous = this.regime;
+    const changed =
+      regime !== null && regime !== this.regime && this.streak >= this.confirm;
+    if (changed) this.regime = regime;
+
+    return { regime: this.regime, previous, changed, features };
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Rendering Settings
+ *
+ * Validation of the Rendering panel's settings (see
+ * config/renderingSchema.js) and the light direction they describe.
+ * Pure (no DOM), so it also runs in Node.
+ */
+
+import { RENDERING_SCHEMA } from '../config/renderingSchema.js';
+import { validateParams, roundToStep } from './schemaUtils.js';
+
+/**
+ * Schema defaults, keyed by setting
+ * @type {Object<string, number>}
+ */
+export const DEFAULT_RENDERING = Object.freeze(
+  Object.fromEntries(
+    RENDERING_SCHEMA.map((entry) => [entry.key, entry.default]),
+  ),
+);
+
+/**
+ * Settings whose values must land on their step
+ * (the mesh is built with a whole number of segments)
+ */
+const STEPPED_KEYS = ['meshResolution'];
+
+/**
+ * Validates rendering settings
+ *
+ * Same rules as parameters (see validateParams()): unknown keys and
+ * non-numbers are dropped, out-of-range values clamped; the mesh
+ * resolution is also rounded to its step.
+ *
+ * @param {Object} values - Candidate settings (any subset)
+ * @returns {import('./schemaUtils.js').ParamValidationResult} Accepted
+ *   settings (in `params`) and problems found
+ */
+export function validateRendering(values) {
+  const result = validateParams(RENDERING_SCHEMA, values);
+  STEPPED_KEYS.forEach((key) => {
+    if (result.params[key] === undefined) return;
+    const { step } = RENDERING_SCHEMA.find((entry) => entry.key === key);
+    result.params[key] = roundToStep(result.params[key], step);
+  });
+  return result;
+}
+
+/**
+ * Unit vector toward the light
+ *
+ * @param {number} azimuth - Degrees counterclockwise from +x
+ * @param {number} elevation - Degrees above the plane
+ * @returns {Array<number>} [x, y, z], z up
+ */
+export function lightDirection(azimuth, elevation) {
+  const a = (azimuth * Math.PI) / 180;
+  const e = (elevation * Math.PI) / 180;
+  return [Math.cos(e) * Math.cos(a), Math.cos(e) * Math.sin(a), Math.sin(e)];
+}
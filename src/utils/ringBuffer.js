@@ -0,0 +1,92 @@
+/**
+ * Ring Buffer
+ *
+ * Fixed-capacity buffer addressed by absolute index: the n-th item ever
+ * pushed has index n, and once more than `capacity` items are pushed the
+ * oldest fall out. `start` and `end` bound the indices still held.
+ * Pure (no DOM), so it also runs in Node.
+ *
+ * @class
+ */
+export class RingBuffer {
+  /**
+   * Creates an empty buffer
+   *
+   * @param {number} capacity - Most items held at once
+   */
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.clear();
+  }
+
+  /**
+   * @returns {number} Absolute index of the oldest held item
+   */
+  get start() {
+    return Math.max(0, this.end - this.capacity);
+  }
+
+  /**
+   * @returns {number} Number of items held
+   */
+  get length() {
+    return this.end - this.start;
+  }
+
+  /**
+   * Appends an item, dropping the oldest if full
+   *
+   * @param {*} item - Item to store
+   * @returns {number} Absolute index of the item
+   */
+  push(item) {
+    this.items[this.end % this.capacity] = item;
+    return this.end++;
+  }
+
+  /**
+   * Gets an item by absolute index
+   *
+   * @param {number} index - Absolute index
+   * @returns {*} Item, or undefined if it is not held
+   */
+  get(index) {
+    if (index < this.start || index >= this.end) return undefined;
+    return this.items[index % this.capacity];
+  }
+
+  /**
+   * Checks whether a whole index range is held
+   *
+   * @param {number} from - First absolute index
+   * @param {number} to - Absolute index after the last
+   * @returns {boolean} True if every index in [from, to) is held
+   */
+  covers(from, to) {
+    return from >= this.start && to <= this.end;
+  }
+
+  /**
+   * Copies the held items of an index range, oldest first
+   *
+   * @param {number} [from=this.start] - First absolute index
+   * @param {number} [to=this.end] - Absolute index after the last
+   * @returns {Array} Items in [from, to) that are still held
+   */
+  slice(from = this.start, to = this.end) {
+    const items = [];
+    for (let i = Math.max(from, this.start); i < Math.min(to, this.end); i++) {
+      items.push(this.items[i % this.capacity]);
+    }
+    return items;
+  }
+
+  /**
+   * Drops every item and restarts indices at 0
+   */
+  clear() {
+    this.items.fill(undefined);
+    this.end = 0; // Absolute index of the next push
+  }
+}
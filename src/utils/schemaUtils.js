@@ -0,0 +1,116 @@
+/**
+ * Parameter Schema Utilities
+ *
+ * Pure helpers around ParamSchemaEntry (see config/paramSchema.js):
+ * slider position mapping for log-scale parameters, grouping for the
+ * controls panel, and validation of externally supplied values.
+ */
+
+/**
+ * @typedef {Object} ParamValidationResult
+ * @property {Object<string, number>} params - Accepted values (clamped to range)
+ * @property {Array<string>} ignored - Keys that are not in the schema
+ * @property {Array<string>} invalid - Keys whose value is not a finite number
+ * @property {Array<string>} clamped - Keys whose value was out of range
+ */
+
+/**
+ * Rounds a value to the precision of a step size
+ *
+ * @param {number} value - Raw value
+ * @param {number} step - Step size (e.g. 0.001)
+ * @returns {number} Value rounded to the step's decimal places
+ */
+export function roundToStep(value, step) {
+  const decimals = (String(step).split('.')[1] ?? '').length;
+  return Number((Math.round(value / step) * step).toFixed(decimals));
+}
+
+/**
+ * Converts a parameter value to its slider position
+ * Linear parameters use the value itself; log-scale ones map to [0, 1].
+ *
+ * @param {import('../config/paramSchema.js').ParamSchemaEntry} entry - Schema entry
+ * @param {number} value - Parameter value
+ * @returns {number} Slider value
+ */
+export function toSliderPosition(entry, value) {
+  if (!entry.logScale) return value;
+  const clamped = Math.min(entry.max, Math.max(entry.min, value));
+  return Math.log(clamped / entry.min) / Math.log(entry.max / entry.min);
+}
+
+/**
+ * Converts a slider position back to a parameter value
+ *
+ * @param {import('../config/paramSchema.js').ParamSchemaEntry} entry - Schema entry
+ * @param {number} position - Slider value
+ * @returns {number} Parameter value
+ */
+export function fromSliderPosition(entry, position) {
+  if (!entry.logScale) return position;
+  const value = entry.min * Math.pow(entry.max / entry.min, position);
+  return roundToStep(value, entry.step);
+}
+
+/**
+ * Gets the range attributes for an entry's slider
+ *
+ * @param {import('../config/paramSchema.js').ParamSchemaEntry} entry - Schema entry
+ * @returns {{min: number, max: number, step: number}} Slider attributes
+ */
+export function getSliderRange(entry) {
+  return entry.logScale
+    ? { min: 0, max: 1, step: 0.001 }
+    : { min: entry.min, max: entry.max, step: entry.step };
+}
+
+/**
+ * Groups schema entries by section, keeping first-seen order
+ *
+ * @param {Array<import('../config/paramSchema.js').ParamSchemaEntry>} schema - Rule schema
+ * @returns {Array<{group: string, entries: Array<Object>}>} Ordered sections
+ */
+export function groupSchema(schema) {
+  const groups = new Map();
+  schema.forEach((entry) => {
+    if (!groups.has(entry.group)) groups.set(entry.group, []);
+    groups.get(entry.group).push(entry);
+  });
+  return Array.from(groups, ([group, entries]) => ({ group, entries }));
+}
+
+/**
+ * Validates values (e.g. a loaded preset) against a schema
+ *
+ * Unknown keys and non-numeric values are reported and dropped;
+ * out-of-range values are clamped and reported.
+ *
+ * @param {Array<import('../config/paramSchema.js').ParamSchemaEntry>} schema - Rule schema
+ * @param {Object} values - Candidate parameter values
+ * @returns {ParamValidationResult} Accepted values and problems found
+ */
+export function validateParams(schema, values) {
+  const result = { params: {}, ignored: [], invalid: [], clamped: [] };
+  const entries = new Map(schema.map((entry) => [entry.key, entry]));
+
+  Object.entries(values ?? {}).forEach(([key, raw]) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      result.ignored.push(key);
+      return;
+    }
+
+    const value = typeof raw === 'string' ? parseFloat(raw) : raw;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      result.invalid.push(key);
+      return;
+    }
+
+    const clamped = Math.min(entry.max, Math.max(entry.min, value));
+    if (clamped !== value) result.clamped.push(key);
+    result.params[key] = clamped;
+  });
+
+  return result;
+}
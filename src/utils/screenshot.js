@@ -0,0 +1,190 @@
+/**
+ * Screenshot Metadata
+ *
+ * Embeds the settings that produced an image into the PNG itself, as a
+ * tEXt chunk with keyword SCREENSHOT_KEYWORD and a JSON payload:
+ *
+ *   { version, ruleId, params, seed, size, frame }
+ *
+ * The chunk survives most image viewers and file copies, so a PNG
+ * dropped back onto the canvas can restore its configuration.
+ * Pure (no DOM), so it also runs in Node.
+ */
+
+import { crc32 } from './zip.js';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const SCREENSHOT_FORMAT_VERSION = 1;
+
+/** tEXt keyword holding the settings (Latin-1, 1-79 characters) */
+export const SCREENSHOT_KEYWORD = 'wigle2';
+
+/**
+ * @typedef {Object} ScreenshotMetadata
+ * @property {string} ruleId - Rule ID
+ * @property {Object<string, number>} params - Parameter values
+ * @property {number} seed - RNG seed
+ * @property {number} size - Grid size
+ * @property {number} frame - Simulation frame at capture time
+ */
+
+/**
+ * Checks the 8-byte PNG signature
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean} True if the data starts like a PNG
+ */
+export function isPng(bytes) {
+  return (
+    bytes.length >= PNG_SIGNATURE.length &&
+    PNG_SIGNATURE.every((value, i) => bytes[i] === value)
+  );
+}
+
+/**
+ * @param {Uint8Array} bytes - File contents
+ * @throws {Error} If the data is not a PNG
+ */
+function assertPng(bytes) {
+  if (!isPng(bytes)) {
+    throw new Error('Not a PNG image.');
+  }
+}
+
+/**
+ * Encodes a string as Latin-1 (the tEXt character set)
+ *
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} Latin-1 bytes
+ * @throws {Error} If the text contains characters outside Latin-1
+ */
+function toLatin1(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code > 0xff) {
+      throw new Error('PNG text chunks only hold Latin-1 characters.');
+    }
+    bytes[i] = code;
+  }
+  return bytes;
+}
+
+/**
+ * Inserts a tEXt chunk right before IEND
+ *
+ * @param {Uint8Array} png - PNG file contents
+ * @param {string} keyword - Chunk keyword
+ * @param {string} text - Chunk text (Latin-1)
+ * @returns {Uint8Array} New PNG file contents
+ * @throws {Error} If the input is not a PNG or has no IEND chunk
+ */
+export function addTextChunk(png, keyword, text) {
+  assertPng(png);
+
+  const data = new Uint8Array([...toLatin1(keyword), 0, ...toLatin1(text)]);
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(toLatin1('tEXt'), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+
+  const iend = png.length - 12;
+  if (
+    new TextDecoder('latin1').decode(png.subarray(iend + 4, iend + 8)) !==
+    'IEND'
+  ) {
+    throw new Error('PNG has no IEND chunk at the end.');
+  }
+
+  const result = new Uint8Array(png.length + chunk.length);
+  result.set(png.subarray(0, iend), 0);
+  result.set(chunk, iend);
+  result.set(png.subarray(iend), iend + chunk.length);
+  return result;
+}
+
+/**
+ * Reads every tEXt chunk of a PNG
+ *
+ * @param {Uint8Array} png - PNG file contents
+ * @returns {Object<string, string>} Text by keyword
+ * @throws {Error} If the input is not a PNG
+ */
+export function readTextChunks(png) {
+  assertPng(png);
+
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const latin1 = new TextDecoder('latin1');
+  const texts = {};
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 12 <= png.length) {
+    const length = view.getUint32(offset);
+    const type = latin1.decode(png.subarray(offset + 4, offset + 8));
+    if (type === 'tEXt') {
+      const data = png.subarray(offset + 8, offset + 8 + length);
+      const separator = data.indexOf(0);
+      if (separator > 0) {
+        texts[latin1.decode(data.subarray(0, separator))] = latin1.decode(
+          data.subarray(separator + 1),
+        );
+      }
+    }
+    if (type === 'IEND') break;
+    offset += 12 + length;
+  }
+
+  return texts;
+}
+
+/**
+ * Embeds simulation settings into a PNG screenshot
+ *
+ * @param {Uint8Array} png - PNG file contents (e.g. from canvas.toBlob)
+ * @param {ScreenshotMetadata} metadata - Settings to embed
+ * @returns {Uint8Array} PNG with the settings chunk
+ */
+export function encodeScreenshot(png, { ruleId, params, seed, size, frame }) {
+  return addTextChunk(
+    png,
+    SCREENSHOT_KEYWORD,
+    JSON.stringify({
+      version: SCREENSHOT_FORMAT_VERSION,
+      ruleId,
+      params,
+      seed,
+      size,
+      frame,
+    }),
+  );
+}
+
+/**
+ * Reads simulation settings from a PNG screenshot
+ *
+ * @param {Uint8Array} png - PNG file contents
+ * @returns {ScreenshotMetadata|null} Settings, or null if the PNG has none
+ * @throws {Error} If the input is not a PNG, or the settings are corrupt or too new
+ */
+export function decodeScreenshot(png) {
+  const text = readTextChunks(png)[SCREENSHOT_KEYWORD];
+  if (text === undefined) return null;
+
+  let metadata;
+  try {
+    metadata = JSON.parse(text);
+  } catch {
+    throw new Error('Screenshot settings are corrupted.');
+  }
+
+  if (metadata.version > SCREENSHOT_FORMAT_VERSION) {
+    throw new Error(
+      `Screenshot format v${metadata.version} is newer than supported v${SCREENSHOT_FORMAT_VERSION}.`,
+    );
+  }
+
+  const { ruleId, params = {}, seed, size, frame } = metadata;
+  return { ruleId, params, seed, size, frame };
+}
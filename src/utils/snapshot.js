@@ -0,0 +1,244 @@
+/**
+ * Simulation Snapshot Format
+ *
+ * Packs the full simulation state into one binary file so an evolved
+ * structure can be saved and shared. Layout (little-endian):
+ *
+ *   0   "WGSN" magic
+ *   4   uint32 format version
+ *   8   uint32 header byte length (N)
+ *   12  UTF-8 JSON header, zero-padded to a multiple of 4
+ *   ..  float32 field data   (size² × FIELD channels: energy, matter, attention)
+ *   ..  float32 heightMap    (size² × HEIGHTMAP channels: smoothed height)
+ *
+ * Only channels the shaders use are stored; alpha is restored as 1.
+ * Pure (no DOM/WebGL), so it also runs in Node.
+ */
+
+import { SIMULATION_SIZES } from '../config/constants.js';
+import { getRule } from '../config/rules.js';
+import { validateParams } from './schemaUtils.js';
+
+const MAGIC = 'WGSN';
+const FORMAT_VERSION = 1;
+const PREAMBLE_BYTES = 12;
+
+/** Channels stored per texel for each texture */
+export const SNAPSHOT_CHANNELS = { field: 3, heightMap: 1 };
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {number} size - Grid size (width = height)
+ * @property {string} ruleId - Active rule ID
+ * @property {number} frame - Simulation frame counter
+ * @property {number} [seed] - RNG seed (absent in older files)
+ * @property {Object<string, number>} params - Parameter values (within
+ *   the rule schema; unknown keys dropped)
+ * @property {import('./palette.js').Palette} [palette] - Display palette
+ *   (absent in older files; not validated here)
+ * @property {Float32Array} field - RGBA texels of the field texture
+ * @property {Float32Array} heightMap - RGBA texels of the heightMap texture
+ */
+
+/**
+ * Copies the first `channels` components of every RGBA texel
+ *
+ * @param {Float32Array} rgba - RGBA texel data
+ * @param {number} channels - Components to keep (1-4)
+ * @returns {Float32Array} Packed data
+ */
+function packChannels(rgba, channels) {
+  const texels = rgba.length / 4;
+  const packed = new Float32Array(texels * channels);
+  for (let i = 0; i < texels; i++) {
+    for (let c = 0; c < channels; c++) {
+      packed[i * channels + c] = rgba[i * 4 + c];
+    }
+  }
+  return packed;
+}
+
+/**
+ * Expands packed data back to RGBA (missing components 0, alpha 1)
+ *
+ * @param {Float32Array} packed - Packed texel data
+ * @param {number} channels - Components per texel in `packed`
+ * @returns {Float32Array} RGBA texel data
+ */
+function unpackChannels(packed, channels) {
+  const texels = packed.length / channels;
+  const rgba = new Float32Array(texels * 4);
+  for (let i = 0; i < texels; i++) {
+    for (let c = 0; c < channels; c++) {
+      rgba[i * 4 + c] = packed[i * channels + c];
+    }
+    rgba[i * 4 + 3] = 1;
+  }
+  return rgba;
+}
+
+/**
+ * Checks the JSON header of a snapshot
+ *
+ * @param {*} header - Parsed header
+ * @returns {Object<string, number>} Params validated against the rule schema
+ * @throws {Error} If a field is missing or out of range
+ */
+function validateHeader(header) {
+  const invalid = (reason) =>
+    new Error(`Not a simulation snapshot (${reason}).`);
+  const isPlainObject = (value) =>
+    typeof value === 'object' && value !== null && !Array.isArray(value);
+
+  if (!isPlainObject(header)) throw invalid('bad header');
+
+  const { size, ruleId, frame, seed, params } = header;
+  if (!SIMULATION_SIZES.includes(size)) {
+    throw invalid(`unsupported grid size ${JSON.stringify(size)}`);
+  }
+
+  const rule = getRule(ruleId);
+  if (!rule) throw invalid(`unknown rule ${JSON.stringify(ruleId)}`);
+
+  if (!Number.isSafeInteger(frame) || frame < 0) {
+    throw invalid(`bad frame ${JSON.stringify(frame)}`);
+  }
+  if (
+    seed !== undefined &&
+    !(Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff)
+  ) {
+    throw invalid(`bad seed ${JSON.stringify(seed)}`);
+  }
+
+  if (!isPlainObject(params)) throw invalid('missing params');
+  const nonNumeric = Object.keys(params).filter(
+    (key) => typeof params[key] !== 'number',
+  );
+  const result = validateParams(rule.schema, params);
+  const bad = [...nonNumeric, ...result.invalid];
+  if (bad.length > 0) {
+    throw invalid(`bad params: ${[...new Set(bad)].join(', ')}`);
+  }
+
+  return result.params;
+}
+
+/**
+ * Encodes a snapshot into the binary format
+ *
+ * @param {Snapshot} snapshot - State to encode
+ * @returns {ArrayBuffer} Encoded file contents
+ */
+export function encodeSnapshot({
+  size,
+  ruleId,
+  frame,
+  seed,
+  params,
+  palette,
+  field,
+  heightMap,
+}) {
+  const header = new TextEncoder().encode(
+    JSON.stringify({ size, ruleId, frame, seed, params, palette }),
+  );
+  const headerBytes = Math.ceil(header.length / 4) * 4;
+  const fieldData = packChannels(field, SNAPSHOT_CHANNELS.field);
+  const heightData = packChannels(heightMap, SNAPSHOT_CHANNELS.heightMap);
+
+  const buffer = new ArrayBuffer(
+    PREAMBLE_BYTES + headerBytes + (fieldData.length + heightData.length) * 4,
+  );
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+
+  bytes.set(new TextEncoder().encode(MAGIC), 0);
+  view.setUint32(4, FORMAT_VERSION, true);
+  view.setUint32(8, header.length, true);
+  bytes.set(header, PREAMBLE_BYTES);
+
+  let offset = PREAMBLE_BYTES + headerBytes;
+  for (const data of [fieldData, heightData]) {
+    for (let i = 0; i < data.length; i++, offset += 4) {
+      view.setFloat32(offset, data[i], true);
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Decodes a snapshot file
+ *
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Snapshot} Decoded state (textures as RGBA)
+ * @throws {Error} If the file is not a snapshot, has a malformed header
+ *   or is truncated
+ */
+export function decodeSnapshot(buffer) {
+  if (buffer.byteLength < PREAMBLE_BYTES) {
+    throw new Error('Not a simulation snapshot (file too small).');
+  }
+
+  const view = new DataView(buffer);
+  const magic = new TextDecoder().decode(new Uint8Array(buffer, 0, 4));
+  if (magic !== MAGIC) {
+    throw new Error('Not a simulation snapshot (bad magic).');
+  }
+
+  const version = view.getUint32(4, true);
+  if (version > FORMAT_VERSION) {
+    throw new Error(
+      `Snapshot format v${version} is newer than supported v${FORMAT_VERSION}.`,
+    );
+  }
+
+  const headerLength = view.getUint32(8, true);
+  if (headerLength > buffer.byteLength - PREAMBLE_BYTES) {
+    throw new Error('Not a simulation snapshot (header past end of file).');
+  }
+
+  let header;
+  try {
+    header = JSON.parse(
+      new TextDecoder().decode(
+        new Uint8Array(buffer, PREAMBLE_BYTES, headerLength),
+      ),
+    );
+  } catch {
+    throw new Error('Not a simulation snapshot (unreadable header).');
+  }
+  const params = validateHeader(header);
+  const { size, ruleId, frame, seed, palette } = header;
+
+  const texels = size * size;
+  const fieldLength = texels * SNAPSHOT_CHANNELS.field;
+  const heightLength = texels * SNAPSHOT_CHANNELS.heightMap;
+  let offset = PREAMBLE_BYTES + Math.ceil(headerLength / 4) * 4;
+
+  if (buffer.byteLength < offset + (fieldLength + heightLength) * 4) {
+    throw new Error('Snapshot is truncated.');
+  }
+
+  const readFloats = (length) => {
+    const data = new Float32Array(length);
+    for (let i = 0; i < length; i++, offset += 4) {
+      data[i] = view.getFloat32(offset, true);
+    }
+    return data;
+  };
+
+  return {
+    size,
+    ruleId,
+    frame,
+    seed,
+    params,
+    palette,
+    field: unpackChannels(readFloats(fieldLength), SNAPSHOT_CHANNELS.field),
+    heightMap: unpackChannels(
+      readFloats(heightLength),
+      SNAPSHOT_CHANNELS.heightMap,
+    ),
+  };
+}
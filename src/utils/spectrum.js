@@ -0,0 +1,297 @@
+/**
+ * Spatial Power Spectrum
+ *
+ * 2D FFT of a field channel and the numbers read off it: the radially
+ * averaged power spectrum, the dominant wavelength and the orientation
+ * of the dominant pattern. The field wraps around at its edges, so the
+ * FFT needs no window.
+ *
+ * Wavenumber k counts periods across the field; wavelengths are in
+ * simulation cells. Orientation is the direction of the wave vector in
+ * degrees [0, 180), counterclockwise from +x (right), with y up; wave
+ * crests run perpendicular to it.
+ * Pure (no DOM), so it also runs in Node and in workers/spectrumWorker.js.
+ */
+
+import { SPECTRUM_MAX_SIZE } from '../config/constants.js';
+
+/**
+ * Chart and export series derived from the spectrum
+ */
+export const SPECTRUM_SERIES = [
+  { key: 'spectrum.wavelength', label: 'Dominant wavelength (cells)' },
+  { key: 'spectrum.orientation', label: 'Orientation (°)' },
+  { key: 'spectrum.coherence', label: 'Orientation coherence' },
+];
+
+/**
+ * @typedef {Object} SpectrumResult
+ * @property {number} size - FFT grid side (power of two)
+ * @property {Float32Array} profile - Mean power per integer wavenumber,
+ *   k = 0 .. size / 2 (k = 0 is zero: the mean is removed)
+ * @property {number|null} wavelength - Dominant wavelength in simulation
+ *   cells (null for a flat field)
+ * @property {number|null} orientation - Dominant wave vector direction,
+ *   degrees [0, 180)
+ * @property {number|null} coherence - 0 for isotropic patterns, 1 for
+ *   perfectly parallel waves
+ */
+
+/**
+ * Checks for a power of two
+ * @param {number} n - Integer
+ * @returns {boolean} True for 1, 2, 4, ...
+ */
+function isPowerOfTwo(n) {
+  return Number.isInteger(n) && n > 0 && (n & (n - 1)) === 0;
+}
+
+const twiddleCache = new Map();
+
+/**
+ * Twiddle factors e^(-2πik/n) for k < n / 2, cached per length
+ * @param {number} n - FFT length
+ * @returns {{cos: Float64Array, sin: Float64Array}} Real and imaginary parts
+ */
+function twiddles(n) {
+  if (!twiddleCache.has(n)) {
+    const half = n >> 1;
+    const cos = new Float64Array(half);
+    const sin = new Float64Array(half);
+    for (let k = 0; k < half; k++) {
+      cos[k] = Math.cos((-2 * Math.PI * k) / n);
+      sin[k] = Math.sin((-2 * Math.PI * k) / n);
+    }
+    twiddleCache.set(n, { cos, sin });
+  }
+  return twiddleCache.get(n);
+}
+
+/**
+ * In-place radix-2 FFT of one strided line of a complex array
+ *
+ * @param {Float64Array} re - Real parts
+ * @param {Float64Array} im - Imaginary parts
+ * @param {number} offset - Index of the first element
+ * @param {number} stride - Distance between elements
+ * @param {number} n - Number of elements (power of two)
+ */
+export function fft(re, im, offset, stride, n) {
+  if (!isPowerOfTwo(n)) {
+    throw new Error(`FFT length must be a power of two, got ${n}.`);
+  }
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      const a = offset + i * stride;
+      const b = offset + j * stride;
+      const swapRe = re[a];
+      const swapIm = im[a];
+      re[a] = re[b];
+      im[a] = im[b];
+      re[b] = swapRe;
+      im[b] = swapIm;
+    }
+  }
+
+  const table = twiddles(n);
+  for (let length = 2; length <= n; length <<= 1) {
+    const half = length >> 1;
+    const step = n / length;
+    for (let start = 0; start < n; start += length) {
+      for (let k = 0; k < half; k++) {
+        const cos = table.cos[k * step];
+        const sin = table.sin[k * step];
+        const a = offset + (start + k) * stride;
+        const b = a + half * stride;
+        const tr = re[b] * cos - im[b] * sin;
+        const ti = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+/**
+ * Box-averages a square field down to another side length
+ *
+ * @param {ArrayLike<number>} values - size × size values, row-major
+ * @param {number} size - Source side
+ * @param {number} target - Target side (≤ size)
+ * @returns {Float64Array} target × target averages
+ */
+export function resampleField(values, size, target) {
+  const result = new Float64Array(target * target);
+  const edge = (i) => Math.floor((i * size) / target);
+  for (let ty = 0; ty < target; ty++) {
+    for (let tx = 0; tx < target; tx++) {
+      let sum = 0;
+      let count = 0;
+      for (let y = edge(ty); y < edge(ty + 1); y++) {
+        for (let x = edge(tx); x < edge(tx + 1); x++) {
+          sum += values[y * size + x];
+          count++;
+        }
+      }
+      result[ty * target + tx] = sum / count;
+    }
+  }
+  return result;
+}
+
+/**
+ * Power spectrum of a field, mean removed
+ *
+ * @param {ArrayLike<number>} values - size × size values, row-major
+ * @param {number} size - Side (power of two)
+ * @returns {Float64Array} |F(kx, ky)|² at [ky * size + kx], unshifted
+ *   (negative wavenumbers in the upper half)
+ */
+export function powerSpectrum(values, size) {
+  const cells = size * size;
+  let mean = 0;
+  for (let i = 0; i < cells; i++) mean += values[i];
+  mean /= cells;
+
+  const re = Float64Array.from(values, (v) => v - mean);
+  const im = new Float64Array(cells);
+  for (let y = 0; y < size; y++) fft(re, im, y * size, 1, size);
+  for (let x = 0; x < size; x++) fft(re, im, x, size, size);
+
+  for (let i = 0; i < cells; i++) re[i] = re[i] * re[i] + im[i] * im[i];
+  return re;
+}
+
+/**
+ * Signed wavenumber of an FFT index
+ * @param {number} index - 0 .. size - 1
+ * @param {number} size - FFT side
+ * @returns {number} -size / 2 .. size / 2 - 1
+ */
+function signedWavenumber(index, size) {
+  return index < size / 2 ? index : index - size;
+}
+
+/**
+ * Averages power over rings of equal wavenumber magnitude
+ *
+ * @param {Float64Array} power - Output of powerSpectrum()
+ * @param {number} size - FFT side
+ * @returns {Float64Array} Mean power for k = 0 .. size / 2 (rounded |k|)
+ */
+export function radialProfile(power, size) {
+  const bins = size / 2 + 1;
+  const sums = new Float64Array(bins);
+  const counts = new Float64Array(bins);
+  for (let y = 0; y < size; y++) {
+    const ky = signedWavenumber(y, size);
+    for (let x = 0; x < size; x++) {
+      const k = Math.round(Math.hypot(signedWavenumber(x, size), ky));
+      if (k >= bins) continue; // Corners beyond Nyquist
+      sums[k] += power[y * size + x];
+      counts[k]++;
+    }
+  }
+  return sums.map((sum, k) => (counts[k] > 0 ? sum / counts[k] : 0));
+}
+
+/**
+ * Finds the ring with the most power in a radial profile
+ *
+ * @param {ArrayLike<number>} profile - Output of radialProfile()
+ * @returns {number|null} Integer wavenumber ≥ 1, or null if there is no
+ *   power
+ */
+export function peakWavenumber(profile) {
+  let peak = 1;
+  for (let k = 2; k < profile.length; k++) {
+    if (profile[k] > profile[peak]) peak = k;
+  }
+  return profile[peak] > 0 ? peak : null;
+}
+
+/**
+ * Describes the dominant pattern around a wavenumber
+ *
+ * Uses the power of the wave vectors with |k| within half an octave of
+ * `k`: their power-weighted mean |k|, and the power-weighted second
+ * moments of their directions for orientation and coherence.
+ *
+ * @param {Float64Array} power - Output of powerSpectrum()
+ * @param {number} size - FFT side
+ * @param {number} k - Peak wavenumber (see peakWavenumber())
+ * @returns {{wavenumber: number, orientation: number, coherence: number}}
+ *   Mean wavenumber, direction in degrees [0, 180) and coherence [0, 1]
+ */
+export function dominantMode(power, size, k) {
+  const low = k / Math.SQRT2;
+  const high = k * Math.SQRT2;
+  let total = 0;
+  let weightedK = 0;
+  let xx = 0;
+  let yy = 0;
+  let xy = 0;
+  for (let y = 0; y < size; y++) {
+    const ky = signedWavenumber(y, size);
+    for (let x = 0; x < size; x++) {
+      const kx = signedWavenumber(x, size);
+      const magnitude = Math.hypot(kx, ky);
+      if (magnitude < low || magnitude > high) continue;
+      const p = power[y * size + x];
+      const q = p / (magnitude * magnitude); // Weight of the unit direction
+      total += p;
+      weightedK += p * magnitude;
+      xx += q * kx * kx;
+      yy += q * ky * ky;
+      xy += q * kx * ky;
+    }
+  }
+
+  if (!(total > 0)) return { wavenumber: k, orientation: 0, coherence: 0 };
+  const degrees = (Math.atan2(2 * xy, xx - yy) * 90) / Math.PI;
+  return {
+    wavenumber: weightedK / total,
+    orientation: (degrees + 180) % 180,
+    coherence: Math.hypot(xx - yy, 2 * xy) / (xx + yy),
+  };
+}
+
+/**
+ * Analyses the spatial spectrum of a field channel
+ *
+ * Fields larger than `maxSize`, or not a power of two, are box-averaged
+ * to the largest power of two that fits first; wavelengths are scaled
+ * back to simulation cells.
+ *
+ * @param {ArrayLike<number>} values - size × size values, row-major
+ * @param {number} size - Grid side
+ * @param {number} [maxSize=SPECTRUM_MAX_SIZE] - Largest FFT side
+ * @returns {SpectrumResult} Profile and dominant pattern
+ */
+export function analyzeSpectrum(values, size, maxSize = SPECTRUM_MAX_SIZE) {
+  const fftSize = 2 ** Math.floor(Math.log2(Math.min(size, maxSize)));
+  const samples =
+    fftSize === size ? values : resampleField(values, size, fftSize);
+
+  const power = powerSpectrum(samples, fftSize);
+  const profile = radialProfile(power, fftSize);
+  const peak = peakWavenumber(profile);
+  const result = { size: fftSize, profile: Float32Array.from(profile) };
+  if (peak === null) {
+    return { ...result, wavelength: null, orientation: null, coherence: null };
+  }
+
+  const { wavenumber, orientation, coherence } = dominantMode(
+    power,
+    fftSize,
+    peak,
+  );
+  return { ...result, wavelength: size / wavenumber, orientation, coherence };
+}
@@ -0,0 +1,142 @@
+/**
+ * Parameter Sweep
+ *
+ * Builds the grid of parameter combinations for the sweep view and lays
+ * the thumbnails out on the canvas. One or two parameters are swept
+ * across a range (columns = x axis, rows = y axis); every other parameter
+ * keeps its base value. Pure (no DOM), so it also runs in Node.
+ */
+
+import { toSliderPosition, fromSliderPosition } from './schemaUtils.js';
+
+/**
+ * @typedef {Object} SweepAxis
+ * @property {string} key - Parameter to sweep
+ * @property {number} min - First value
+ * @property {number} max - Last value
+ * @property {number} steps - Number of values (>= 1)
+ */
+
+/**
+ * @typedef {Object} SweepCell
+ * @property {number} column - Index along the x axis
+ * @property {number} row - Index along the y axis
+ * @property {Object<string, number>} params - Full parameter set of the tile
+ * @property {Object<string, number>} values - Swept parameters only
+ */
+
+/**
+ * Spaces values evenly along an axis
+ *
+ * Spacing follows the parameter's slider, so log-scale parameters are
+ * swept geometrically. Values are clamped to the schema range.
+ *
+ * @param {import('../config/paramSchema.js').ParamSchemaEntry} entry - Schema entry
+ * @param {number} min - First value
+ * @param {number} max - Last value
+ * @param {number} steps - Number of values
+ * @returns {Array<number>} Values from min to max
+ */
+export function sweepValues(entry, min, max, steps) {
+  const from = toSliderPosition(entry, min);
+  const to = toSliderPosition(entry, max);
+
+  return Array.from({ length: steps }, (_, i) => {
+    const t = steps > 1 ? i / (steps - 1) : 0;
+    const value = fromSliderPosition(entry, from + (to - from) * t);
+    return Math.min(entry.max, Math.max(entry.min, value));
+  });
+}
+
+/**
+ * Creates the tiles of a sweep, row by row
+ *
+ * @param {Array<import('../config/paramSchema.js').ParamSchemaEntry>} schema - Rule schema
+ * @param {Object<string, number>} baseParams - Values of the unswept parameters
+ * @param {{x: SweepAxis, y?: SweepAxis}} axes - Swept parameters
+ * @returns {Array<SweepCell>} One cell per tile
+ * @throws {Error} If an axis names an unknown parameter, both axes sweep
+ *   the same one, a range bound is not a number, or a step count is not
+ *   a positive integer
+ */
+export function createSweepCells(schema, baseParams, { x, y }) {
+  const axisValues = (axis) => {
+    const entry = schema.find(({ key }) => key === axis.key);
+    if (!entry) {
+      throw new Error(`Cannot sweep unknown parameter "${axis.key}".`);
+    }
+    if (!Number.isFinite(axis.min) || !Number.isFinite(axis.max)) {
+      throw new Error(`Sweep range for "${axis.key}" must be two numbers.`);
+    }
+    if (!Number.isInteger(axis.steps) || axis.steps < 1) {
+      throw new Error(
+        `Sweep steps must be a positive integer, got ${axis.steps}.`,
+      );
+    }
+    return sweepValues(entry, axis.min, axis.max, axis.steps);
+  };
+
+  if (y && y.key === x.key) {
+    throw new Error('Sweep axes must use different parameters.');
+  }
+
+  const columns = axisValues(x);
+  const rows = y ? axisValues(y) : [undefined];
+
+  return rows.flatMap((rowValue, row) =>
+    columns.map((columnValue, column) => {
+      const values = { [x.key]: columnValue };
+      if (y) values[y.key] = rowValue;
+      return { column, row, params: { ...baseParams, ...values }, values };
+    }),
+  );
+}
+
+/**
+ * Fits square tiles into an area, centered
+ *
+ * @param {number} width - Area width (pixels)
+ * @param {number} height - Area height (pixels)
+ * @param {number} columns - Tiles per row
+ * @param {number} rows - Tiles per column
+ * @param {number} [gap=0] - Space between tiles (pixels)
+ * @returns {Array<{x: number, y: number, size: number}>} Tile rectangles,
+ *   row by row; y is measured from the top
+ */
+export function layoutSweepTiles(width, height, columns, rows, gap = 0) {
+  const size = Math.max(
+    1,
+    Math.floor(
+      Math.min(
+        (width - gap * (columns - 1)) / columns,
+        (height - gap * (rows - 1)) / rows,
+      ),
+    ),
+  );
+  const left = Math.floor((width - (size * columns + gap * (columns - 1))) / 2);
+  const top = Math.floor((height - (size * rows + gap * (rows - 1))) / 2);
+
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      tiles.push({
+        x: left + column * (size + gap),
+        y: top + row * (size + gap),
+        size,
+      });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Formats a tile's swept values for its label
+ *
+ * @param {Object<string, number>} values - Swept parameters
+ * @returns {string} e.g. "growthWidth 0.0156 · decayRate 0.378"
+ */
+export function formatSweepLabel(values) {
+  return Object.entries(values)
+    .map(([key, value]) => `${key} ${Number(value.toPrecision(3))}`)
+    .join(' · ');
+}
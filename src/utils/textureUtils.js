@@ -13,11 +13,13 @@ import { INITIAL_SEED_ENERGY } from '../config/constants.js';
  * low-energy random noise that will evolve into patterns.
  *
  * @param {THREE.DataTexture} texture - Target texture to seed
+ * @param {() => number} [random=Math.random] - Generator returning [0, 1);
+ *   pass a seeded one (utils/random.js) for reproducible runs
  */
-export function seedPattern(texture) {
+export function seedPattern(texture, random = Math.random) {
   const data = texture.image.data;
   for (let i = 0; i < data.length; i += 4) {
-    const value = Math.random() * INITIAL_SEED_ENERGY;
+    const value = random() * INITIAL_SEED_ENERGY;
     data[i] = value; // Red channel = energy
     data[i + 1] = 0; // Green channel = unused
     data[i + 2] = 0; // Blue channel = unused
@@ -28,7 +30,8 @@ export function seedPattern(texture) {
 /**
  * Clears a texture to all zeros
  *
- * Used to reset interaction textures and other temporary buffers.
+ * Used for inputs that start empty: the sweep tiles' interaction
+ * texture (no brush) and the height map.
  *
  * @param {THREE.DataTexture} texture - Target texture to clear
  */
@@ -38,67 +41,82 @@ export function clearTexture(texture) {
     data[i] = 0;
     data[i + 1] = 0;
     data[i + 2] = 0;
-    data[i + 3] = 1;
+    data[i + 3] = 0;
   }
 }
 
 /**
- * Updates interaction texture with mouse input
+ * Splits RGBA texel data into one array per channel
  *
- * Writes interaction data to texture based on mouse position and mode:
- * - Red channel: energy injection
- * - Green channel: attraction force
- * - Blue channel: repulsion force
+ * Texel order is kept: row-major, row 0 at the bottom (y = 0), as
+ * returned by readRenderTargetPixels().
  *
- * @param {THREE.DataTexture} texture - Interaction texture
- * @param {Object} mousePos - Mouse position {x: [0,1], y: [0,1]}
- * @param {string} mode - Interaction mode: 'energy', 'attract', or 'repel'
- * @param {number} simulationSize - Size of simulation grid
- * @param {number} radius - Interaction radius in grid cells
+ * @param {Float32Array} rgba - RGBA texel data
+ * @param {number} [channels=4] - Number of leading channels to extract
+ * @returns {Array<Float32Array>} One array per channel (R, G, B, A)
  */
-export function updateInteractionTexture(
-  texture,
-  mousePos,
-  mode,
-  simulationSize,
-  radius,
-) {
-  const data = texture.image.data;
-  const centerX = Math.floor(mousePos.x * simulationSize);
-  const centerY = Math.floor(mousePos.y * simulationSize);
-  const radiusSquared = radius * radius;
-
-  const minX = Math.max(0, centerX - radius);
-  const maxX = Math.min(simulationSize - 1, centerX + radius);
-  const minY = Math.max(0, centerY - radius);
-  const maxY = Math.min(simulationSize - 1, centerY + radius);
+export function splitChannels(rgba, channels = 4) {
+  const texels = rgba.length / 4;
+  const result = Array.from(
+    { length: channels },
+    () => new Float32Array(texels),
+  );
+  for (let i = 0; i < texels; i++) {
+    for (let c = 0; c < channels; c++) {
+      result[c][i] = rgba[i * 4 + c];
+    }
+  }
+  return result;
+}
 
-  for (let y = minY; y <= maxY; y++) {
-    const dy = y - centerY;
-    for (let x = minX; x <= maxX; x++) {
-      const dx = x - centerX;
-      const distSq = dx * dx + dy * dy;
-      if (distSq >= radiusSquared) continue;
+/**
+ * Converts image pixels to a starting field, energy = luminance
+ *
+ * Image rows run top to bottom, texture rows bottom to top, so rows
+ * are flipped. Other channels are zero, alpha is 1.
+ *
+ * @param {Uint8ClampedArray} pixels - RGBA bytes of a size × size image (ImageData.data)
+ * @param {number} size - Grid size
+ * @returns {Float32Array} RGBA field texels
+ */
+export function luminanceToField(pixels, size) {
+  const field = new Float32Array(size * size * 4);
+  for (let y = 0; y < size; y++) {
+    const sourceRow = (size - 1 - y) * size;
+    for (let x = 0; x < size; x++) {
+      const p = (sourceRow + x) * 4;
+      const i = (y * size + x) * 4;
+      // Rec. 709 luma
+      field[i] =
+        (0.2126 * pixels[p] + 0.7152 * pixels[p + 1] + 0.0722 * pixels[p + 2]) /
+        255;
+      field[i + 3] = 1;
+    }
+  }
+  return field;
+}
 
-      // Falloff: stronger at center, weaker at edges
-      const intensity = 1.0 - Math.sqrt(distSq) / radius;
-      const i = (y * simulationSize + x) * 4;
+/**
+ * Decodes IEEE 754 half floats, as read back from HalfFloatType targets
+ *
+ * @param {Uint16Array} halves - Half float bit patterns
+ * @param {Float32Array} [out] - Destination (default: a new array)
+ * @returns {Float32Array} Decoded values
+ */
+export function halfToFloat(halves, out = new Float32Array(halves.length)) {
+  for (let i = 0; i < halves.length; i++) {
+    const bits = halves[i];
+    const sign = bits & 0x8000 ? -1 : 1;
+    const exponent = (bits >> 10) & 0x1f;
+    const fraction = bits & 0x3ff;
 
-      if (mode === 'energy') {
-        data[i] = intensity; // Red = energy
-        data[i + 1] = 0;
-        data[i + 2] = 0;
-      } else if (mode === 'attract') {
-        data[i] = 0;
-        data[i + 1] = intensity; // Green = attract
-        data[i + 2] = 0;
-      } else if (mode === 'repel') {
-        data[i] = 0;
-        data[i + 1] = 0;
-        data[i + 2] = intensity; // Blue = repel
-      }
+    if (exponent === 0) {
+      out[i] = sign * 2 ** -14 * (fraction / 1024); // Subnormal
+    } else if (exponent === 0x1f) {
+      out[i] = fraction ? NaN : sign * Infinity;
+    } else {
+      out[i] = sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
     }
   }
-
-  texture.needsUpdate = true;
+  return out;
 }
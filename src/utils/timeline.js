@@ -0,0 +1,220 @@
+/**
+ * Parameter Timeline
+ *
+ * Keyframed parameter automation, played back against the simulation
+ * frame counter (generations, not wall time) so a scripted run is
+ * repeatable. Shape, as saved in presets:
+ *
+ *   {
+ *     loop: false,          // wrap playback at `length`
+ *     length: 0,            // loop length in frames (0 = last keyframe)
+ *     tracks: {
+ *       growthWidth: [
+ *         { frame: 0, value: 0.145, easing: 'ease' },
+ *         { frame: 3000, value: 0.0156, easing: 'linear' },
+ *       ],
+ *     },
+ *   }
+ *
+ * A keyframe's easing shapes the segment from it to the next keyframe.
+ * Functions return new timelines instead of mutating their input.
+ * Pure (no DOM), so it also runs in Node.
+ */
+
+import { validateParams } from './schemaUtils.js';
+
+/**
+ * Interpolation curves, mapping segment progress t ∈ [0, 1] to [0, 1]
+ */
+export const EASINGS = {
+  linear: (t) => t,
+  ease: (t) => t * t * (3 - 2 * t), // Smoothstep: slow start and end
+  step: () => 0, // Hold until the next keyframe
+};
+
+/**
+ * @typedef {Object} Keyframe
+ * @property {number} frame - Generation number (>= 0, integer)
+ * @property {number} value - Parameter value at that frame
+ * @property {string} easing - Key of EASINGS for the following segment
+ */
+
+/**
+ * @typedef {Object} Timeline
+ * @property {boolean} loop - Wrap playback at the loop length
+ * @property {number} length - Loop length in frames (0 = last keyframe)
+ * @property {Object<string, Array<Keyframe>>} tracks - Keyframes per parameter, sorted by frame
+ */
+
+/**
+ * Creates an empty timeline
+ *
+ * @returns {Timeline} Timeline without tracks
+ */
+export function createTimeline() {
+  return { loop: false, length: 0, tracks: {} };
+}
+
+/**
+ * Checks whether a timeline has any keyframes
+ *
+ * @param {Timeline|null|undefined} timeline - Timeline
+ * @returns {boolean} True if at least one track has a keyframe
+ */
+export function hasKeyframes(timeline) {
+  return Object.values(timeline?.tracks ?? {}).some(
+    (keyframes) => keyframes.length > 0,
+  );
+}
+
+/**
+ * Adds a keyframe, replacing any keyframe on the same frame
+ *
+ * @param {Timeline} timeline - Timeline
+ * @param {string} key - Parameter name
+ * @param {Keyframe} keyframe - Keyframe to add
+ * @returns {Timeline} New timeline
+ */
+export function addKeyframe(timeline, key, { frame, value, easing }) {
+  const keyframes = (timeline.tracks[key] ?? []).filter(
+    (existing) => existing.frame !== frame,
+  );
+  keyframes.push({ frame, value, easing });
+  keyframes.sort((a, b) => a.frame - b.frame);
+
+  return { ...timeline, tracks: { ...timeline.tracks, [key]: keyframes } };
+}
+
+/**
+ * Removes a keyframe (and the track, once it is empty)
+ *
+ * @param {Timeline} timeline - Timeline
+ * @param {string} key - Parameter name
+ * @param {number} frame - Frame of the keyframe to remove
+ * @returns {Timeline} New timeline
+ */
+export function removeKeyframe(timeline, key, frame) {
+  const { [key]: keyframes = [], ...tracks } = timeline.tracks;
+  const remaining = keyframes.filter((keyframe) => keyframe.frame !== frame);
+  if (remaining.length > 0) tracks[key] = remaining;
+
+  return { ...timeline, tracks };
+}
+
+/**
+ * Frame of the last keyframe across all tracks
+ *
+ * @param {Timeline} timeline - Timeline
+ * @returns {number} Last keyframe frame (0 if empty)
+ */
+export function lastKeyframeFrame(timeline) {
+  return Object.values(timeline.tracks).reduce(
+    (last, keyframes) => Math.max(last, keyframes.at(-1)?.frame ?? 0),
+    0,
+  );
+}
+
+/**
+ * Evaluates one track at a frame
+ *
+ * @param {Array<Keyframe>} keyframes - Sorted keyframes (at least one)
+ * @param {number} frame - Timeline frame
+ * @returns {number} Interpolated value (held before the first and after the last keyframe)
+ */
+function evaluateTrack(keyframes, frame) {
+  if (frame <= keyframes[0].frame) return keyframes[0].value;
+
+  for (let i = 0; i < keyframes.length - 1; i++) {
+    const from = keyframes[i];
+    const to = keyframes[i + 1];
+    if (frame < to.frame) {
+      const t = (frame - from.frame) / (to.frame - from.frame);
+      const ease = EASINGS[from.easing] ?? EASINGS.linear;
+      return from.value + (to.value - from.value) * ease(t);
+    }
+  }
+
+  return keyframes.at(-1).value;
+}
+
+/**
+ * Evaluates every track at a frame
+ *
+ * @param {Timeline} timeline - Timeline
+ * @param {number} frame - Frames since playback started
+ * @returns {Object<string, number>} Value per animated parameter
+ */
+export function evaluateTimeline(timeline, frame) {
+  let time = frame;
+  if (timeline.loop) {
+    const length = timeline.length || lastKeyframeFrame(timeline);
+    if (length > 0) time = frame % length;
+  }
+
+  const values = {};
+  Object.entries(timeline.tracks).forEach(([key, keyframes]) => {
+    if (keyframes.length > 0) values[key] = evaluateTrack(keyframes, time);
+  });
+  return values;
+}
+
+/**
+ * Validates a timeline (e.g. from a preset) against a rule schema
+ *
+ * Tracks for unknown parameters are dropped, malformed keyframes are
+ * skipped and values are clamped to the schema range. Problems are
+ * reported as `<param>@<frame>` (or just `<param>` for whole tracks).
+ *
+ * @param {Array<import('../config/paramSchema.js').ParamSchemaEntry>} schema - Rule schema
+ * @param {Object} raw - Candidate timeline
+ * @returns {{timeline: Timeline, ignored: Array<string>, invalid: Array<string>,
+ *   clamped: Array<string>}} Usable timeline and problems found
+ */
+export function validateTimeline(schema, raw) {
+  const result = {
+    timeline: createTimeline(),
+    ignored: [],
+    invalid: [],
+    clamped: [],
+  };
+  if (!raw || typeof raw !== 'object') return result;
+
+  result.timeline.loop = raw.loop === true;
+  result.timeline.length =
+    Number.isInteger(raw.length) && raw.length > 0 ? raw.length : 0;
+
+  Object.entries(raw.tracks ?? {}).forEach(([key, keyframes]) => {
+    if (!schema.some((entry) => entry.key === key)) {
+      result.ignored.push(key);
+      return;
+    }
+    if (!Array.isArray(keyframes)) {
+      result.invalid.push(key);
+      return;
+    }
+
+    keyframes.forEach((keyframe) => {
+      const { frame, value, easing } = keyframe ?? {};
+      const label = `${key}@${frame}`;
+      if (!Number.isInteger(frame) || frame < 0) {
+        result.invalid.push(label);
+        return;
+      }
+
+      const checked = validateParams(schema, { [key]: value });
+      if (checked.invalid.length > 0) {
+        result.invalid.push(label);
+        return;
+      }
+      if (checked.clamped.length > 0) result.clamped.push(label);
+
+      result.timeline = addKeyframe(result.timeline, key, {
+        frame,
+        value: checked.params[key],
+        easing: Object.hasOwn(EASINGS, easing) ? easing : 'linear',
+      });
+    });
+  });
+
+  return result;
+}
@@ -0,0 +1,137 @@
+/**
+ * ZIP Archive Writer
+ *
+ * Minimal writer for uncompressed ("stored") ZIP archives, enough to
+ * bundle PNG frame sequences (PNG data is already compressed, so
+ * deflating it again gains nothing). Returns the archive as a list of
+ * byte chunks, which a Blob can join without copying the file data.
+ * Pure (no DOM), so it also runs in Node.
+ */
+
+const LOCAL_HEADER_BYTES = 30;
+const CENTRAL_HEADER_BYTES = 46;
+const END_RECORD_BYTES = 22;
+const VERSION = 20; // 2.0: needed for folders/stored entries
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 (IEEE) checksum used by ZIP
+ *
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Checksum (uint32)
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encodes a date as MS-DOS date and time fields
+ *
+ * @param {Date} date - Timestamp (local time, 2-second resolution)
+ * @returns {{time: number, date: number}} DOS time and date
+ */
+function toDosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((Math.max(1980, date.getFullYear()) - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+/**
+ * Builds a stored (uncompressed) ZIP archive
+ *
+ * @param {Array<{name: string, data: Uint8Array}>} files - Entries in archive order
+ * @param {Date} [modified=new Date()] - Modification time for every entry
+ * @returns {Array<Uint8Array>} Archive bytes as consecutive chunks
+ * @throws {Error} If the archive would need ZIP64 (over 65535 entries or 4 GiB)
+ */
+export function createZip(files, modified = new Date()) {
+  if (files.length > 0xffff) {
+    throw new Error('Too many files for a ZIP archive (max 65535).');
+  }
+
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+
+    const local = new Uint8Array(LOCAL_HEADER_BYTES + nameBytes.length);
+    const view = new DataView(local.buffer);
+    view.setUint32(0, 0x04034b50, true); // Local file header signature
+    view.setUint16(4, VERSION, true);
+    view.setUint16(6, UTF8_FLAG, true);
+    view.setUint16(8, 0, true); // Method: stored
+    view.setUint16(10, time, true);
+    view.setUint16(12, date, true);
+    view.setUint32(14, crc, true);
+    view.setUint32(18, data.length, true); // Compressed size
+    view.setUint32(22, data.length, true); // Uncompressed size
+    view.setUint16(26, nameBytes.length, true);
+    view.setUint16(28, 0, true); // Extra field length
+    local.set(nameBytes, LOCAL_HEADER_BYTES);
+
+    const entry = new Uint8Array(CENTRAL_HEADER_BYTES + nameBytes.length);
+    const entryView = new DataView(entry.buffer);
+    entryView.setUint32(0, 0x02014b50, true); // Central directory signature
+    entryView.setUint16(4, VERSION, true); // Made by
+    entryView.setUint16(6, VERSION, true); // Needed to extract
+    entryView.setUint16(8, UTF8_FLAG, true);
+    entryView.setUint16(10, 0, true);
+    entryView.setUint16(12, time, true);
+    entryView.setUint16(14, date, true);
+    entryView.setUint32(16, crc, true);
+    entryView.setUint32(20, data.length, true);
+    entryView.setUint32(24, data.length, true);
+    entryView.setUint16(28, nameBytes.length, true);
+    // Extra/comment length, disk number, attributes: all zero
+    entryView.setUint32(42, offset, true); // Local header offset
+    entry.set(nameBytes, CENTRAL_HEADER_BYTES);
+
+    chunks.push(local, data);
+    central.push(entry);
+    offset += local.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, entry) => sum + entry.length, 0);
+  if (offset + centralSize > 0xffffffff) {
+    throw new Error('Archive too large for ZIP (max 4 GiB).');
+  }
+
+  const end = new Uint8Array(END_RECORD_BYTES);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true); // End of central directory
+  endView.setUint16(8, files.length, true); // Entries on this disk
+  endView.setUint16(10, files.length, true); // Total entries
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true); // Central directory offset
+
+  return [...chunks, ...central, end];
+}
@@ -0,0 +1,19 @@
+/**
+ * Spectrum Worker
+ *
+ * Runs analyzeSpectrum() off the main thread for core/SpectrumAnalyzer.js.
+ *
+ *   in:  {id, values: Float32Array, size}
+ *   out: {id, result: SpectrumResult} or {id, error: string}
+ */
+
+import { analyzeSpectrum } from '../utils/spectrum.js';
+
+self.addEventListener('message', ({ data: { id, values, size } }) => {
+  try {
+    const result = analyzeSpectrum(values, size);
+    self.postMessage({ id, result }, [result.profile.buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+});
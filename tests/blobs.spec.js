@@ -0,0 +1,111 @@
+const { test, expect } = require('@playwright/test');
+const {
+  labelComponents,
+  findBlobs,
+  summarizeBlobs,
+  wrappedDistance,
+  outlineBlobs,
+  BlobTracker,
+} = require('../src/utils/blobs.js');
+
+// Rows are listed top to bottom; row 0 of the grid is the last one
+const grid = (rows) =>
+  Float32Array.from(
+    rows
+      .slice()
+      .reverse()
+      .flatMap((row) => Array.from(row, (c) => (c === '#' ? 1 : 0))),
+  );
+
+test.describe('structure analysis', () => {
+  test('labels 4-connected regions across the wrapping edges', () => {
+    const values = grid(['#..#.', '.....', '.##..', '.#...', '#..##']);
+    const { labels, count } = labelComponents(values, 5, 0.5);
+
+    // The bottom row joins its own ends and the top row across the
+    // edges; diagonal neighbours do not connect
+    expect(count).toBe(2);
+    expect(labels[0]).toBe(1); // Bottom-left corner
+    expect(labels[4]).toBe(1); // Bottom-right, wraps to the left edge
+    expect(labels[20]).toBe(1); // Top-left, wraps to the bottom edge
+    expect(labels[6]).toBe(2);
+    expect(labels[1]).toBe(0);
+  });
+
+  test('measures size, mass and wrapped centroids', () => {
+    const size = 8;
+    const values = new Float32Array(size * size);
+    // Two cells either side of the left/right edge, on row 2
+    [2 * size, 2 * size + 1, 3 * size - 1, 3 * size - 2].forEach((i) => {
+      values[i] = 0.75;
+    });
+    values[5 * size + 4] = 1; // A lone speck
+
+    const { labels, blobs } = findBlobs(values, size, {
+      threshold: 0.5,
+      minSize: 2,
+    });
+    expect(blobs).toHaveLength(1);
+    expect(blobs[0].size).toBe(4);
+    expect(blobs[0].mass).toBeCloseTo(3, 6);
+    // The centroid sits on the edge, not in the middle of the field
+    expect(Math.min(blobs[0].x, 1 - blobs[0].x)).toBeCloseTo(0, 6);
+    expect(blobs[0].y).toBeCloseTo(2.5 / size, 6);
+    expect(labels[5 * size + 4]).toBe(0); // Dropped specks are cleared
+
+    expect(
+      summarizeBlobs(
+        [4, 1, 9].map((s) => ({ size: s, mass: s })),
+        64,
+      ),
+    ).toEqual({
+      count: 3,
+      totalMass: 14,
+      meanSize: 14 / 3,
+      medianSize: 4,
+      maxSize: 9,
+      sizeClasses: [1, 0, 1, 1, 0, 0, 0],
+    });
+  });
+
+  test('outlines only the border cells', () => {
+    const values = grid(['.....', '.###.', '.###.', '.###.', '.....']);
+    const { labels, blobs } = findBlobs(values, 5, { minSize: 1 });
+    const rgba = outlineBlobs(labels, 5, [7]);
+
+    const alpha = (x, y) => rgba[(y * 5 + x) * 4 + 3];
+    expect(alpha(1, 1)).toBe(255);
+    expect(alpha(2, 2)).toBe(0); // Interior
+    expect(alpha(0, 0)).toBe(0); // Outside
+    expect(blobs).toHaveLength(1);
+  });
+
+  test('keeps identities of structures that move a little', () => {
+    expect(
+      wrappedDistance({ x: 0.02, y: 0.5 }, { x: 0.98, y: 0.5 }),
+    ).toBeCloseTo(0.04, 12);
+
+    const tracker = new BlobTracker({ maxDistance: 0.05 });
+    const first = tracker.update([
+      { size: 5, mass: 5, x: 0.1, y: 0.1 },
+      { size: 5, mass: 5, x: 0.99, y: 0.5 },
+    ]);
+    expect(first.blobs.map(({ id }) => id)).toEqual([1, 2]);
+    expect(first.born).toBe(2);
+
+    const second = tracker.update([
+      { size: 5, mass: 5, x: 0.01, y: 0.51 }, // Crossed the edge
+      { size: 5, mass: 5, x: 0.5, y: 0.5 }, // New
+    ]);
+    expect(second.blobs.map(({ id, age }) => [id, age])).toEqual([
+      [2, 2],
+      [3, 1],
+    ]);
+    expect(second).toMatchObject({ born: 1, died: 1 });
+
+    tracker.reset();
+    expect(tracker.update([{ size: 1, mass: 1, x: 0, y: 0 }]).blobs[0].id).toBe(
+      1,
+    );
+  });
+});
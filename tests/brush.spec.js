@@ -0,0 +1,97 @@
+const { test, expect } = require('@playwright/test');
+const {
+  DEFAULT_BRUSH,
+  validateBrush,
+  availableBrushTargets,
+  brushWeights,
+  stampSpacing,
+  strokeStamps,
+} = require('../src/utils/brush.js');
+const { BRUSH_SCHEMA } = require('../src/config/brushSchema.js');
+const { RENDERING_SCHEMA } = require('../src/config/renderingSchema.js');
+const {
+  TRANSFORMER_LIFE_SCHEMA,
+  ENERGY_LIFE_SCHEMA,
+} = require('../src/config/paramSchema.js');
+const { RULES } = require('../src/config/rules.js');
+const {
+  BRUSH_TARGETS,
+  INTERACTION_ENERGY_AMOUNT,
+} = require('../src/config/constants.js');
+
+test.describe('brush settings', () => {
+  test('defaults lie within their ranges and do not clash with other controls', () => {
+    BRUSH_SCHEMA.forEach(({ key, min, max }) => {
+      expect(DEFAULT_BRUSH[key], key).toBeGreaterThanOrEqual(min);
+      expect(DEFAULT_BRUSH[key], key).toBeLessThanOrEqual(max);
+    });
+    expect(validateBrush(DEFAULT_BRUSH).params).toEqual(DEFAULT_BRUSH);
+
+    // Brush, rendering and parameter controls share the page's ID space
+    const otherKeys = [
+      ...TRANSFORMER_LIFE_SCHEMA,
+      ...ENERGY_LIFE_SCHEMA,
+      ...RENDERING_SCHEMA,
+    ].map(({ key }) => key);
+    BRUSH_SCHEMA.forEach(({ key }) => {
+      expect(otherKeys).not.toContain(key);
+    });
+  });
+
+  test('validates numbers like parameters and checks shape and target', () => {
+    const result = validateBrush({
+      radius: '500',
+      hardness: NaN,
+      shape: 'star',
+      target: 'erase',
+      color: 'red',
+    });
+    expect(result.params).toEqual({ radius: 128, target: 'erase' });
+    expect(result.ignored).toEqual(['color']);
+    expect(result.invalid).toEqual(['hardness', 'shape']);
+    expect(result.clamped).toEqual(['radius']);
+  });
+
+  test('offers matter targets only to rules with a matter channel', () => {
+    expect(availableBrushTargets(RULES.transformerLife.channels)).toEqual(
+      Object.keys(BRUSH_TARGETS),
+    );
+    const energyOnly = availableBrushTargets(RULES.energyLife.channels);
+    expect(energyOnly).not.toContain('matter');
+    expect(energyOnly).toContain('erase');
+  });
+
+  test('scales target weights by strength', () => {
+    expect(brushWeights({ target: 'drain', strength: 0.5 })).toEqual([
+      -0.5, 0, 0, 0,
+    ]);
+    // One full-strength eraser step removes a whole cell of energy
+    const [energy] = brushWeights({ target: 'erase', strength: 1 });
+    expect(energy * INTERACTION_ENERGY_AMOUNT).toBeCloseTo(-1, 10);
+  });
+});
+
+test.describe('brush strokes', () => {
+  test('spaces stamps by a share of the radius, at least one cell', () => {
+    expect(stampSpacing(20, 100)).toBeCloseTo(0.05, 10);
+    expect(stampSpacing(1, 100)).toBeCloseTo(0.01, 10);
+  });
+
+  test('fills the gap between samples and ends on the new one', () => {
+    expect(strokeStamps(null, { x: 0.3, y: 0.4 }, 0.1)).toEqual([
+      { x: 0.3, y: 0.4 },
+    ]);
+
+    const stamps = strokeStamps({ x: 0, y: 0 }, { x: 0.5, y: 0 }, 0.1);
+    expect(stamps).toHaveLength(5);
+    stamps.forEach(({ x, y }, i) => {
+      expect(x).toBeCloseTo((i + 1) * 0.1, 10);
+      expect(y).toBe(0);
+    });
+
+    // A sample that did not move restamps its own spot once
+    expect(strokeStamps({ x: 0.2, y: 0.2 }, { x: 0.2, y: 0.2 }, 0.1)).toEqual([
+      { x: 0.2, y: 0.2 },
+    ]);
+  });
+});
@@ -0,0 +1,182 @@
+const { test, expect } = require('@playwright/test');
+const {
+  DEFAULT_CAMERA_POSE,
+  normalizeCameraPose,
+  fitCameraDistance,
+  cameraView,
+  orbitPose,
+  panPose,
+  zoomPose,
+  planeUv,
+} = require('../src/utils/camera.js');
+const { CameraBookmarks } = require('../src/core/CameraBookmarks.js');
+const {
+  CAMERA_MAX_TILT,
+  CAMERA_MAX_ZOOM,
+  CAMERA_BOOKMARKS_STORAGE_KEY,
+} = require('../src/config/constants.js');
+
+function createStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    data,
+  };
+}
+
+// Picking ray from the camera through a point of the plane
+const rayTo = ({ position }, point) => ({
+  origin: { x: position[0], y: position[1], z: position[2] },
+  direction: {
+    x: point[0] - position[0],
+    y: point[1] - position[1],
+    z: point[2] - position[2],
+  },
+});
+
+test.describe('camera poses', () => {
+  test('normalizes, clamps and rejects poses', () => {
+    expect(normalizeCameraPose({})).toEqual(DEFAULT_CAMERA_POSE);
+    expect(
+      normalizeCameraPose({
+        azimuth: -90,
+        tilt: 200,
+        zoom: 1000,
+        target: { x: 3 },
+      }),
+    ).toEqual({
+      azimuth: 270,
+      tilt: CAMERA_MAX_TILT,
+      zoom: CAMERA_MAX_ZOOM,
+      target: { x: 1, y: 0 },
+      flat: false,
+    });
+
+    // Partial poses keep the base pose's other fields
+    const base = normalizeCameraPose({ zoom: 2, flat: true });
+    expect(normalizeCameraPose({ tilt: 10 }, base)).toMatchObject({
+      zoom: 2,
+      tilt: 10,
+      flat: true,
+    });
+
+    expect(() => normalizeCameraPose({ zoom: NaN })).toThrow('zoom');
+    expect(() => normalizeCameraPose({ flat: 'yes' })).toThrow('flat');
+  });
+
+  test('fits the plane and looks straight down by default', () => {
+    const fit = fitCameraDistance(60, 1);
+    expect(fit).toBeCloseTo(0.95 / Math.tan(Math.PI / 6), 10);
+    expect(fitCameraDistance(60, 0.5)).toBeCloseTo(2 * fit, 10);
+
+    const view = cameraView(DEFAULT_CAMERA_POSE, 60, 1);
+    expect(view.position[0]).toBeCloseTo(0, 10);
+    expect(view.position[1]).toBeCloseTo(0, 10);
+    expect(view.position[2]).toBeCloseTo(fit, 10);
+    expect(view.up[0]).toBeCloseTo(0, 10);
+    expect(view.up[1]).toBeCloseTo(1, 10);
+    expect(view.halfHeight).toBeCloseTo(0.95, 10);
+  });
+
+  test('tilts toward the azimuth and keeps flat views top-down', () => {
+    const tilted = cameraView({ ...DEFAULT_CAMERA_POSE, tilt: 45 }, 60, 1);
+    expect(tilted.position[0]).toBeCloseTo(0, 10);
+    expect(tilted.position[1]).toBeLessThan(0); // South of the target
+    expect(tilted.position[2]).toBeCloseTo(-tilted.position[1], 10);
+    // Up stays perpendicular to the view direction
+    const dot = tilted.up.reduce(
+      (sum, u, i) => sum + u * (tilted.target[i] - tilted.position[i]),
+      0,
+    );
+    expect(dot).toBeCloseTo(0, 10);
+
+    const flat = cameraView(
+      { ...DEFAULT_CAMERA_POSE, tilt: 45, zoom: 2, flat: true },
+      60,
+      1,
+    );
+    expect(flat.position[2]).toBeCloseTo(fitCameraDistance(60, 1), 10);
+    expect(flat.halfHeight).toBeCloseTo(0.475, 10);
+  });
+
+  test('orbits, pans and zooms within limits', () => {
+    const orbited = orbitPose(DEFAULT_CAMERA_POSE, 100, -100);
+    expect(orbited.azimuth).toBeCloseTo(330, 10);
+    expect(orbited.tilt).toBeCloseTo(30, 10);
+    expect(orbitPose(orbited, 0, 1000).tilt).toBe(0);
+
+    // Dragging right moves the plane right, so the target moves left
+    const panned = panPose(DEFAULT_CAMERA_POSE, 10, 0, 0.01);
+    expect(panned.target.x).toBeCloseTo(-0.1, 10);
+    expect(panned.target.y).toBeCloseTo(0, 10);
+    const turned = panPose(
+      { ...DEFAULT_CAMERA_POSE, azimuth: 90 },
+      10,
+      0,
+      0.01,
+    );
+    expect(turned.target.x).toBeCloseTo(0, 10);
+    expect(turned.target.y).toBeCloseTo(-0.1, 10);
+
+    expect(zoomPose(DEFAULT_CAMERA_POSE, 1.1).zoom).toBeCloseTo(1.1, 10);
+    expect(zoomPose(DEFAULT_CAMERA_POSE, 1e6).zoom).toBe(CAMERA_MAX_ZOOM);
+  });
+
+  test('maps picking rays back to field coordinates under any pose', () => {
+    const pose = normalizeCameraPose({
+      azimuth: 130,
+      tilt: 60,
+      zoom: 3,
+      target: { x: 0.2, y: -0.4 },
+    });
+    const view = cameraView(pose, 60, 1.5);
+    const { origin, direction } = rayTo(view, [0.5, -0.5, 0]);
+    const uv = planeUv(origin, direction);
+    expect(uv.x).toBeCloseTo(0.75, 10);
+    expect(uv.y).toBeCloseTo(0.25, 10);
+
+    // Off the plane, parallel to it, or pointing away
+    expect(planeUv(origin, rayTo(view, [2, 0, 0]).direction)).toBeNull();
+    expect(planeUv({ x: 0, y: 0, z: 1 }, { x: 1, y: 0, z: 0 })).toBeNull();
+    expect(planeUv({ x: 0, y: 0, z: 1 }, { x: 0, y: 0, z: 1 })).toBeNull();
+  });
+});
+
+test.describe('camera bookmarks', () => {
+  test('saves, replaces, persists and removes poses', () => {
+    const storage = createStorage();
+    const bookmarks = new CameraBookmarks({ storage });
+    expect(bookmarks.list()).toEqual([]);
+
+    bookmarks.save(' Overview ', { ...DEFAULT_CAMERA_POSE, zoom: 2 });
+    bookmarks.save('Close', { ...DEFAULT_CAMERA_POSE, zoom: 4, tilt: 30 });
+    bookmarks.save('Overview', { ...DEFAULT_CAMERA_POSE, flat: true });
+    expect(bookmarks.list()).toEqual(['Overview', 'Close']);
+    expect(bookmarks.get('Overview').flat).toBe(true);
+    expect(() => bookmarks.save('  ', DEFAULT_CAMERA_POSE)).toThrow('name');
+
+    const reloaded = new CameraBookmarks({ storage });
+    expect(reloaded.get('Close')).toMatchObject({ zoom: 4, tilt: 30 });
+    expect(reloaded.remove('Close')).toBe(true);
+    expect(reloaded.remove('Close')).toBe(false);
+    expect(new CameraBookmarks({ storage }).list()).toEqual(['Overview']);
+  });
+
+  test('skips unreadable stored bookmarks', () => {
+    const storage = createStorage({
+      [CAMERA_BOOKMARKS_STORAGE_KEY]: JSON.stringify({
+        bookmarks: [
+          { name: 'Good', pose: { tilt: 20 } },
+          { name: 'Bad', pose: { zoom: 'far' } },
+        ],
+      }),
+    });
+    expect(new CameraBookmarks({ storage }).list()).toEqual(['Good']);
+    expect(
+      new CameraBookmarks({
+        storage: createStorage({ [CAMERA_BOOKMARKS_STORAGE_KEY]: '{' }),
+      }).list(),
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,112 @@
+const { test, expect } = require('@playwright/test');
+const {
+  niceTicks,
+  formatTick,
+  seriesRange,
+  clampView,
+  zoomView,
+  panView,
+  downsampleSamples,
+  nearestSample,
+  samplesToCsv,
+  samplesToJson,
+} = require('../src/utils/chartMath.js');
+
+const sample = (frame, mean, max = 1) => ({
+  frame,
+  stats: { energy: { mean, min: 0, max, variance: 0 } },
+});
+const SAMPLES = [sample(0, 0.1), sample(50, 0.3), sample(100, 0.2)];
+const BOUNDS = { first: 0, next: 1000 };
+
+test.describe('chart math', () => {
+  test('picks 1/2/5 tick steps and formats them', () => {
+    expect(niceTicks(0, 1, 4)).toEqual({
+      step: 0.2,
+      ticks: [0, 0.2, 0.4, 0.6, 0.8, 1],
+    });
+    expect(niceTicks(13, 987, 4).ticks).toEqual([200, 400, 600, 800]);
+    expect(niceTicks(0.5, 0.5, 4)).toEqual({ step: 0, ticks: [0.5] });
+
+    expect(formatTick(0.25, 0.05)).toBe('0.25');
+    expect(formatTick(400, 200)).toBe('400');
+    expect(formatTick(15000, 5000)).toBe('15k');
+    expect(formatTick(2500000, 500000)).toBe('2.5M');
+  });
+
+  test('scales to the series on display', () => {
+    expect(seriesRange(SAMPLES, ['energy.mean'], 0.001)).toEqual({
+      min: 0.1,
+      max: 0.3,
+    });
+    expect(seriesRange(SAMPLES, ['energy.mean', 'energy.max'], 0.001).max).toBe(
+      1,
+    );
+
+    const flat = seriesRange(SAMPLES, ['energy.min'], 0.002);
+    expect(flat.min).toBeCloseTo(-0.001, 10);
+    expect(flat.max).toBeCloseTo(0.001, 10);
+    expect(seriesRange([], ['energy.mean'], 0.001)).toEqual({ min: 0, max: 1 });
+  });
+
+  test('zooms and pans inside the recorded history', () => {
+    const view = { start: 800, end: 1000 };
+
+    expect(zoomView(view, 0.5, 1, BOUNDS, 10)).toEqual({
+      start: 900,
+      end: 1000,
+    });
+    expect(zoomView(view, 0.5, 0, BOUNDS, 10)).toEqual({
+      start: 800,
+      end: 900,
+    });
+    expect(zoomView(view, 100, 0.5, BOUNDS, 10)).toEqual({
+      start: 0,
+      end: 1000,
+    });
+    expect(zoomView(view, 0.001, 0.5, BOUNDS, 10)).toEqual({
+      start: 895,
+      end: 905,
+    });
+
+    expect(panView(view, -300, BOUNDS, 10)).toEqual({ start: 500, end: 700 });
+    expect(panView(view, 300, BOUNDS, 10)).toEqual(view);
+    expect(clampView(view, { first: 0, next: 5 }, 10)).toEqual({
+      start: 0,
+      end: 5,
+    });
+  });
+
+  test('thins samples and finds the nearest one', () => {
+    const many = Array.from({ length: 101 }, (_, i) => sample(i * 10, i));
+    const thinned = downsampleSamples(many, 11);
+
+    expect(thinned).toHaveLength(11);
+    expect(thinned[0]).toBe(many[0]);
+    expect(thinned[10]).toBe(many[100]);
+    expect(downsampleSamples(SAMPLES, 10)).toBe(SAMPLES);
+
+    expect(nearestSample(SAMPLES, 20).frame).toBe(0);
+    expect(nearestSample(SAMPLES, 30).frame).toBe(50);
+    expect(nearestSample(SAMPLES, 500).frame).toBe(100);
+    expect(nearestSample([], 0)).toBeNull();
+  });
+
+  test('exports CSV and JSON', () => {
+    const keys = ['energy.mean', 'matter.mean'];
+
+    expect(samplesToCsv(SAMPLES.slice(0, 2), keys)).toBe(
+      'frame,energy.mean,matter.mean\n0,0.1,\n50,0.3,\n',
+    );
+    expect(samplesToCsv([], keys)).toBe('frame,energy.mean,matter.mean\n');
+
+    const json = JSON.parse(
+      samplesToJson(SAMPLES.slice(0, 1), keys, { ruleId: 'energyLife' }),
+    );
+    expect(json).toEqual({
+      ruleId: 'energyLife',
+      series: keys,
+      samples: [{ frame: 0, 'energy.mean': 0.1 }],
+    });
+  });
+});
@@ -85,6 +85,56 @@ test.describe('wigle.html', () => {
     );
   });
 
+  test('rule selector swaps field shader uniforms', async ({ page }) => {
+    await gotoSimulation(page);
+
+    await page.selectOption('#ruleSelect', 'energyLife');
+
+    const uniforms = await page.evaluate(() =>
+      Object.keys(
+        window.energyLifeSim.computeVariables.field.material.uniforms,
+      ),
+    );
+    expect(uniforms).toContain('growthWidth');
+    expect(uniforms).not.toContain('neighborhoodRadius');
+    await expect(page.locator('#growthWidth')).toBeVisible();
+    await expect(page.locator('#neighborhoodRadius')).toBeHidden();
+
+    await page.selectOption('#ruleSelect', 'transformerLife');
+    const ruleId = await page.evaluate(() => window.energyLifeSim.rule.id);
+    expect(ruleId).toBe('transformerLife');
+  });
+
+  test('snapshot import resets regime recovery', async ({ page }) => {
+    await gotoSimulation(page);
+
+    const state = await page.evaluate(() => {
+      const sim = window.energyLifeSim;
+      sim.setRegimeAction('revert');
+      const snapshot = sim.exportSnapshot();
+
+      sim.healthySnapshot = { frame: 0, field: null, heightMap: null };
+      sim.pendingRegimeAction = 'revert';
+      sim.regimeFailureFrame = sim.simulationFrame + 1000;
+      sim.regimeDetector.update(sim.getStats().fieldStats);
+
+      sim.importSnapshot(snapshot);
+      return {
+        healthySnapshot: sim.healthySnapshot,
+        pendingRegimeAction: sim.pendingRegimeAction,
+        regimeFailureFrame: sim.regimeFailureFrame,
+        history: sim.regimeDetector.history.length,
+      };
+    });
+
+    expect(state).toEqual({
+      healthySnapshot: null,
+      pendingRegimeAction: null,
+      regimeFailureFrame: -1,
+      history: 0,
+    });
+  });
+
   createParameterTest({
     param: 'diffusionRate',
     expectedInitial: 0.333,
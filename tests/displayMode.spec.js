@@ -0,0 +1,59 @@
+const { test, expect } = require('@playwright/test');
+const {
+  DISPLAY_VIEWS,
+  channelMask,
+  availableViews,
+  matchView,
+  fitDisplayMode,
+  displayUniforms,
+} = require('../src/utils/displayMode.js');
+
+const ids = (views) => views.map(({ id }) => id);
+
+test.describe('display modes', () => {
+  test('maps sources to shader uniforms', () => {
+    expect(channelMask('matter')).toEqual([0, 1, 0]);
+    expect(channelMask('flat')).toEqual([0, 0, 0]);
+
+    expect(displayUniforms({ color: 'attention', height: 'energy' })).toEqual({
+      colorMode: 0,
+      colorChannel: [0, 0, 1],
+      heightChannel: [1, 0, 0],
+    });
+    expect(displayUniforms({ color: 'heightMap', height: 'flat' })).toEqual({
+      colorMode: 1,
+      colorChannel: [0, 0, 0],
+      heightChannel: [0, 0, 0],
+    });
+    expect(
+      displayUniforms({ color: 'composite', height: 'matter' }).colorMode,
+    ).toBe(2);
+  });
+
+  test('offers only the channels a rule writes', () => {
+    expect(availableViews(['energy', 'matter', 'attention'])).toEqual(
+      DISPLAY_VIEWS,
+    );
+    expect(ids(availableViews(['energy']))).toEqual([
+      'energy',
+      'heightMap',
+      'composite',
+    ]);
+
+    expect(
+      fitDisplayMode({ color: 'matter', height: 'attention' }, ['energy']),
+    ).toEqual({ color: 'energy', height: 'energy' });
+    expect(
+      fitDisplayMode({ color: 'composite', height: 'flat' }, ['energy']),
+    ).toEqual({
+      color: 'composite',
+      height: 'flat',
+    });
+  });
+
+  test('names the view of a mode', () => {
+    expect(matchView({ color: 'energy', height: 'energy' })).toBe('energy');
+    expect(matchView({ color: 'energy', height: 'matter' })).toBe('blend');
+    expect(matchView({ color: 'matter', height: 'matter' })).toBe('matter');
+  });
+});
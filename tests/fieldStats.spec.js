@@ -0,0 +1,59 @@
+const { test, expect } = require('@playwright/test');
+const {
+  unpackFieldStats,
+  computeFieldStats,
+  listStatSeries,
+  getStatSeriesValue,
+  formatFieldStats,
+} = require('../src/utils/fieldStats.js');
+
+// Four texels: energy 0..0.3, matter constant, attention signed
+const FIELD = new Float32Array([
+  0, 1, -1, 1, 0.1, 1, 1, 1, 0.2, 1, -1, 1, 0.3, 1, 1, 1,
+]);
+
+test.describe('field stats', () => {
+  test('computes mean, min, max and variance per channel', () => {
+    const stats = computeFieldStats(FIELD);
+
+    expect(stats.energy.mean).toBeCloseTo(0.15, 6);
+    expect(stats.energy.min).toBe(0);
+    expect(stats.energy.max).toBeCloseTo(0.3, 6);
+    expect(stats.energy.variance).toBeCloseTo(0.0125, 6);
+    expect(stats.matter).toEqual({ mean: 1, min: 1, max: 1, variance: 0 });
+    expect(stats.attention.mean).toBe(0);
+    expect(stats.attention.variance).toBe(1);
+  });
+
+  test('unpacks the GPU reduction texels', () => {
+    // texel 0 mean, 1 mean of squares, 2 min, 3 max (RGB = channels)
+    const pixels = new Float32Array([
+      0.15, 1, 0, 1, 0.035, 1, 1, 1, 0, 1, -1, 1, 0.3, 1, 1, 1,
+    ]);
+    const stats = unpackFieldStats(pixels);
+
+    expect(stats.energy.mean).toBeCloseTo(0.15, 6);
+    expect(stats.energy.variance).toBeCloseTo(0.0125, 6);
+    expect(stats.attention).toEqual({ mean: 0, min: -1, max: 1, variance: 1 });
+
+    // Rounding can push E[x²] - E[x]² slightly below zero
+    const flat = unpackFieldStats(new Float32Array(16).fill(0.1));
+    expect(flat.energy.variance).toBeGreaterThanOrEqual(0);
+  });
+
+  test('lists, reads and formats series', () => {
+    const stats = computeFieldStats(FIELD);
+
+    expect(listStatSeries(['energy'])).toEqual([
+      { key: 'energy.mean', label: 'Energy mean' },
+      { key: 'energy.min', label: 'Energy min' },
+      { key: 'energy.max', label: 'Energy max' },
+      { key: 'energy.variance', label: 'Energy variance' },
+    ]);
+    expect(getStatSeriesValue(stats, 'matter.max')).toBe(1);
+    expect(getStatSeriesValue(stats, 'nope.mean')).toBeUndefined();
+    expect(formatFieldStats(stats, ['energy'])).toBe(
+      'E μ 0.150 σ² 0.0125 [0.000, 0.300]',
+    );
+  });
+});
@@ -0,0 +1,121 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+const {
+  preprocessShader,
+  injectConstants,
+  mapShaderErrors,
+  resolveShaderPath,
+  toGlslFloat,
+} = require('../src/utils/glslPreprocessor.js');
+
+const shaderRoot = path.resolve(__dirname, '..', 'src', 'shaders');
+
+const readFromDisk = async (file) =>
+  fs.promises.readFile(path.join(shaderRoot, file), 'utf8');
+
+const readFromMemory = (files) => async (file) => {
+  if (!(file in files)) throw new Error(`Failed to load shader ${file}`);
+  return files[file];
+};
+
+test.describe('GLSL preprocessor', () => {
+  test('resolves includes relative to the including file', () => {
+    expect(resolveShaderPath('lifecycle.glsl', 'include/noise.glsl')).toBe(
+      'include/noise.glsl',
+    );
+    expect(resolveShaderPath('include/a.glsl', 'b.glsl')).toBe(
+      'include/b.glsl',
+    );
+    expect(resolveShaderPath('include/a.glsl', '../c.glsl')).toBe('c.glsl');
+  });
+
+  test('expands includes once and keeps a line map', async () => {
+    const files = {
+      'main.glsl':
+        '#include "lib/a.glsl"\n#include "lib/a.glsl"\nvoid main() {}',
+      'lib/a.glsl': '#include "b.glsl"\nfloat a;',
+      'lib/b.glsl': 'float b;',
+    };
+
+    const result = await preprocessShader('main.glsl', readFromMemory(files));
+
+    expect(result.source).toBe('float b;\nfloat a;\nvoid main() {}');
+    expect(result.lineMap).toEqual([
+      { file: 'lib/b.glsl', line: 1 },
+      { file: 'lib/a.glsl', line: 2 },
+      { file: 'main.glsl', line: 3 },
+    ]);
+    expect(result.files.sort()).toEqual(
+      ['lib/a.glsl', 'lib/b.glsl', 'main.glsl'].sort(),
+    );
+  });
+
+  test('reports where a missing include was requested', async () => {
+    const files = { 'main.glsl': '\n#include "missing.glsl"' };
+
+    await expect(
+      preprocessShader('main.glsl', readFromMemory(files)),
+    ).rejects.toThrow('included from main.glsl:2');
+  });
+
+  test('injects constants and rejects unknown placeholders', () => {
+    const lineMap = [
+      { file: 'a.glsl', line: 1 },
+      { file: 'a.glsl', line: 7 },
+    ];
+
+    expect(
+      injectConstants('int k = {{KERNEL_SIZE}};\nfloat x;', lineMap, {
+        KERNEL_SIZE: '10',
+      }),
+    ).toBe('int k = 10;\nfloat x;');
+
+    expect(() =>
+      injectConstants('float x;\nfloat y = {{NOPE}};', lineMap, {}),
+    ).toThrow('Unknown shader constant {{NOPE}} (a.glsl:7)');
+  });
+
+  test('formats GLSL float literals', () => {
+    expect(toGlslFloat(512)).toBe('512.0');
+    expect(toGlslFloat(0.1)).toBe('0.1');
+    expect(toGlslFloat(1e-7)).toBe('1e-7');
+  });
+
+  test('maps compiler errors back to source files', () => {
+    const lineMap = [
+      { file: 'include/noise.glsl', line: 10 },
+      { file: 'lifecycle.glsl', line: 42 },
+    ];
+    const log = [
+      "ERROR: 0:5: 'foo' : undeclared identifier",
+      'ERROR: 0:99: unmapped',
+      'ERROR: 2 compilation errors.  No code generated.',
+    ].join('\n');
+
+    expect(mapShaderErrors(log, lineMap, 3, 'lifecycle.glsl')).toEqual([
+      {
+        file: 'lifecycle.glsl',
+        line: 42,
+        message: "'foo' : undeclared identifier",
+      },
+      { file: 'lifecycle.glsl', line: 0, message: 'unmapped' },
+      {
+        file: 'lifecycle.glsl',
+        line: 0,
+        message: 'ERROR: 2 compilation errors.  No code generated.',
+      },
+    ]);
+  });
+
+  test('every shader in src/shaders preprocesses cleanly', async () => {
+    const entries = fs
+      .readdirSync(shaderRoot)
+      .filter((file) => /\.(glsl|frag|vert)$/.test(file));
+
+    for (const entry of entries) {
+      const { source } = await preprocessShader(entry, readFromDisk);
+      expect(source, entry).not.toMatch(/^\s*#include/m);
+    }
+  });
+});
@@ -0,0 +1,63 @@
+const { test, expect } = require('@playwright/test');
+const {
+  histogramBin,
+  computeHistogram,
+  createSamplePositions,
+  unpackHistogram,
+  normalizeHistogram,
+  scaleHistogramValue,
+  histogramDistance,
+} = require('../src/utils/histogram.js');
+
+test.describe('histogram', () => {
+  test('bins values and clamps out-of-range ones to the edges', () => {
+    expect(histogramBin(0, 4)).toBe(0);
+    expect(histogramBin(0.26, 4)).toBe(1);
+    expect(histogramBin(1, 4)).toBe(3);
+    expect(histogramBin(-0.5, 4)).toBe(0);
+    expect(histogramBin(7, 4)).toBe(3);
+
+    const counts = computeHistogram([0, 0.1, 0.5, 0.99, 1, 2], 4);
+    expect(Array.from(counts)).toEqual([2, 0, 1, 3]);
+    expect(Array.from(normalizeHistogram(counts))).toEqual(
+      [2 / 6, 0, 1 / 6, 3 / 6].map(Math.fround),
+    );
+    expect(Array.from(normalizeHistogram(new Float32Array(3)))).toEqual([
+      0, 0, 0,
+    ]);
+  });
+
+  test('samples texel centers on a strided grid', () => {
+    expect(Array.from(createSamplePositions(2, 8))).toEqual([
+      0.25, 0.25, 0.75, 0.25, 0.25, 0.75, 0.75, 0.75,
+    ]);
+
+    const strided = createSamplePositions(8, 2);
+    expect(strided).toHaveLength(8);
+    expect(strided[0]).toBeCloseTo(2.5 / 8, 6);
+    expect(strided[2]).toBeCloseTo(6.5 / 8, 6);
+  });
+
+  test('unpacks one row per channel from the GPU target', () => {
+    // 2 bins × 2 rows of RGBA texels; counts live in R
+    const pixels = new Float32Array([
+      3, 3, 3, 3, 1, 1, 1, 1, 0, 0, 0, 0, 4, 4, 4, 4,
+    ]);
+    const histogram = unpackHistogram(pixels, 2);
+
+    expect(Array.from(histogram.energy)).toEqual([3, 1]);
+    expect(Array.from(histogram.matter)).toEqual([0, 4]);
+  });
+
+  test('scales bars and compares histograms', () => {
+    expect(scaleHistogramValue(0.25, 0.5)).toBe(0.5);
+    expect(scaleHistogramValue(0.5, 0.5, true)).toBe(1);
+    expect(scaleHistogramValue(0.001, 0.5, true)).toBeGreaterThan(0.4);
+    expect(scaleHistogramValue(0.1, 0)).toBe(0);
+
+    expect(histogramDistance([0.5, 0.5], [0.5, 0.5])).toBe(0);
+    expect(histogramDistance([1, 0], [0, 1])).toBe(1);
+    expect(histogramDistance([0.5, 0.5, 0], [0.25, 0.5, 0.25])).toBe(0.25);
+    expect(() => histogramDistance([1], [0.5, 0.5])).toThrow('Bin counts');
+  });
+});
@@ -0,0 +1,84 @@
+const { test, expect } = require('@playwright/test');
+const {
+  parseHexColor,
+  toHexColor,
+  normalizePalette,
+  matchPalette,
+  samplePalette,
+  paletteLut,
+  insertStop,
+  moveStop,
+  recolorStop,
+  removeStop,
+} = require('../src/utils/palette.js');
+const { PALETTES } = require('../src/config/palettes.js');
+
+const gray = normalizePalette('grayscale');
+
+test.describe('palettes', () => {
+  test('built-in palettes are valid', () => {
+    Object.keys(PALETTES).forEach((id) => {
+      const palette = normalizePalette(id);
+      expect(palette.stops[0].position, id).toBe(0);
+      expect(palette.stops.at(-1).position, id).toBe(1);
+      expect(matchPalette(palette), id).toBe(id);
+    });
+    expect(matchPalette(recolorStop(gray, 0, '#102030'))).toBeNull();
+  });
+
+  test('rejects unknown IDs and broken stops', () => {
+    expect(() => normalizePalette('rainbow')).toThrow('Unknown palette');
+    expect(() => normalizePalette({ stops: [] })).toThrow('stops');
+    expect(() =>
+      normalizePalette({
+        stops: [
+          { position: 0, color: '#000000' },
+          { position: 2, color: '#ffffff' },
+        ],
+      }),
+    ).toThrow('stop 2 needs a position');
+    expect(() =>
+      normalizePalette({
+        stops: [
+          { position: 0, color: 'red' },
+          { position: 1, color: '#ffffff' },
+        ],
+      }),
+    ).toThrow('stop 1 needs a #rrggbb color');
+  });
+
+  test('samples gradients, hard edges included', () => {
+    expect(toHexColor(parseHexColor('#00ccff'))).toBe('#00ccff');
+    expect(samplePalette(gray, 0.5)).toEqual([0.5, 0.5, 0.5]);
+    expect(samplePalette(gray, -1)).toEqual([0, 0, 0]);
+
+    // Deep Space jumps from dark navy to dark blue at 0.2
+    const deepSpace = normalizePalette('deepSpace');
+    expect(toHexColor(samplePalette(deepSpace, 0.1999))).toBe('#000026');
+    expect(toHexColor(samplePalette(deepSpace, 0.2))).toBe('#000080');
+
+    const lut = paletteLut(gray, 4);
+    expect(Array.from(lut)).toEqual([
+      0, 0, 0, 255, 85, 85, 85, 255, 170, 170, 170, 255, 255, 255, 255, 255,
+    ]);
+  });
+
+  test('edits stops and keeps them sorted', () => {
+    const added = insertStop(gray, 0.25);
+    expect(added.index).toBe(1);
+    expect(added.palette.stops[1]).toEqual({
+      position: 0.25,
+      color: '#404040',
+    });
+
+    const moved = moveStop(added.palette, 1, 1.5);
+    expect(moved.index).toBe(2);
+    expect(moved.palette.stops.map(({ position }) => position)).toEqual([
+      0, 1, 1,
+    ]);
+
+    expect(recolorStop(gray, 1, '#FF0000').stops[1].color).toBe('#ff0000');
+    expect(removeStop(added.palette, 1)).toEqual(gray);
+    expect(() => removeStop(gray, 0)).toThrow('at least 2');
+  });
+});
@@ -0,0 +1,62 @@
+const { test, expect } = require('@playwright/test');
+const {
+  encodePermalink,
+  decodePermalink,
+} = require('../src/utils/permalink.js');
+
+test.describe('permalink', () => {
+  test('round-trips settings and omits default params', () => {
+    const hash = encodePermalink(
+      {
+        ruleId: 'energyLife',
+        params: { growthWidth: 0.0156, decayRate: 0.378 },
+        size: 256,
+        speed: 2,
+        seed: 4294967295,
+      },
+      { growthWidth: 0.0183, decayRate: 0.378 },
+    );
+
+    expect(hash).toBe(
+      'v=1&r=energyLife&n=256&x=2&s=4294967295&p=growthWidth:0.0156',
+    );
+    expect(decodePermalink(`#${hash}`)).toEqual({
+      ruleId: 'energyLife',
+      params: { growthWidth: 0.0156 },
+      size: 256,
+      speed: 2,
+      seed: 4294967295,
+    });
+  });
+
+  test('round-trips values containing separators', () => {
+    const state = {
+      ruleId: 'a+b&c=d,e:f %',
+      params: { 'odd,key:=&': 2, huge: 1e21, tiny: 1e-7 },
+      size: 512,
+      speed: 1.5e-10,
+      seed: 7,
+    };
+    const hash = encodePermalink(state);
+
+    expect(hash).not.toContain('+');
+    expect(hash.split('&')).toHaveLength(6);
+    expect(decodePermalink(`#${hash}`)).toEqual(state);
+  });
+
+  test('ignores hashes that are not permalinks', () => {
+    expect(decodePermalink('')).toBeNull();
+    expect(decodePermalink('#section-2')).toBeNull();
+  });
+
+  test('skips malformed entries and rejects newer versions', () => {
+    expect(decodePermalink('#v=1&n=abc&r=%E0%A4&p=a:1,b:x,:3,c,d:%')).toEqual({
+      ruleId: undefined,
+      params: { a: 1 },
+      size: undefined,
+      speed: undefined,
+      seed: undefined,
+    });
+    expect(() => decodePermalink('#v=2')).toThrow('newer than supported');
+  });
+});
@@ -0,0 +1,73 @@
+const { test, expect } = require('@playwright/test');
+const {
+  pressAction,
+  brushPressure,
+  isPalm,
+  twoFingerGesture,
+} = require('../src/utils/pointerInput.js');
+const { PALM_CONTACT_SIZE } = require('../src/config/constants.js');
+
+test.describe('pointer input', () => {
+  test('paints only with the primary button or a bare pen tip', () => {
+    const mouse = {
+      pointerType: 'mouse',
+      button: 0,
+      buttons: 1,
+      altKey: false,
+      shiftKey: false,
+    };
+    expect(pressAction(mouse)).toBe('paint');
+    expect(pressAction({ ...mouse, altKey: true })).toBe('orbit');
+    expect(pressAction({ ...mouse, altKey: true, shiftKey: true })).toBe('pan');
+    expect(pressAction({ ...mouse, button: 1, buttons: 4 })).toBe('pan');
+    expect(pressAction({ ...mouse, button: 2, buttons: 2 })).toBe('ignore');
+
+    const pen = { ...mouse, pointerType: 'pen' };
+    expect(pressAction(pen)).toBe('paint');
+    // Tip down with the barrel button held, barrel alone, eraser
+    expect(pressAction({ ...pen, buttons: 3 })).toBe('ignore');
+    expect(pressAction({ ...pen, button: 2, buttons: 2 })).toBe('ignore');
+    expect(pressAction({ ...pen, button: 5, buttons: 32 })).toBe('ignore');
+  });
+
+  test('scales the brush by pen pressure only', () => {
+    expect(brushPressure({ pointerType: 'pen', pressure: 0.3 })).toBe(0.3);
+    expect(brushPressure({ pointerType: 'pen', pressure: 1.5 })).toBe(1);
+    expect(brushPressure({ pointerType: 'mouse', pressure: 0.5 })).toBe(1);
+    expect(brushPressure({ pointerType: 'touch', pressure: 0.5 })).toBe(1);
+  });
+
+  test('treats large touch contacts as palms', () => {
+    const touch = { pointerType: 'touch', width: 12, height: 14 };
+    expect(isPalm(touch)).toBe(false);
+    expect(isPalm({ ...touch, height: PALM_CONTACT_SIZE })).toBe(true);
+    // Only touches have a meaningful contact size
+    expect(isPalm({ ...touch, pointerType: 'pen', width: 500 })).toBe(false);
+  });
+
+  test('turns two moving fingers into zoom and pan', () => {
+    const before = [
+      { x: 100, y: 100 },
+      { x: 200, y: 100 },
+    ];
+
+    const spread = twoFingerGesture(before, [
+      { x: 50, y: 100 },
+      { x: 250, y: 100 },
+    ]);
+    expect(spread).toEqual({ zoom: 2, dx: 0, dy: 0 });
+
+    const dragged = twoFingerGesture(before, [
+      { x: 110, y: 130 },
+      { x: 210, y: 130 },
+    ]);
+    expect(dragged).toEqual({ zoom: 1, dx: 10, dy: 30 });
+
+    // Fingers on the same spot cannot pinch
+    const stacked = [
+      { x: 5, y: 5 },
+      { x: 5, y: 5 },
+    ];
+    expect(twoFingerGesture(stacked, before).zoom).toBe(1);
+  });
+});
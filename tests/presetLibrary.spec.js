@@ -0,0 +1,166 @@
+const { test, expect } = require('@playwright/test');
+const { PresetLibrary } = require('../src/core/PresetLibrary.js');
+const {
+  normalizePreset,
+  parsePresetFile,
+} = require('../src/utils/presetFormat.js');
+const {
+  NAMED_PRESETS,
+  PRESET_STORAGE_KEY,
+  LEGACY_PRESET_STORAGE_KEY,
+} = require('../src/config/presets.js');
+
+function createStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+    data,
+  };
+}
+
+test.describe('preset format', () => {
+  test('built-in presets are valid for their rule', () => {
+    Object.values(NAMED_PRESETS).forEach((preset) => {
+      const report = normalizePreset(preset);
+      expect(report.ignored, preset.name).toEqual([]);
+      expect(report.invalid, preset.name).toEqual([]);
+      expect(report.clamped, preset.name).toEqual([]);
+    });
+  });
+
+  test('migrates unversioned params and reports dropped keys', () => {
+    const report = normalizePreset({
+      innerRadius: 4,
+      growthWidth: 0.02,
+      globalAverage: 0.1,
+      legacyKnob: 3,
+    });
+
+    expect(report.preset.version).toBe(1);
+    expect(report.preset.ruleId).toBe('energyLife');
+    expect(report.preset.params).toEqual({ innerRadius: 4, growthWidth: 0.02 });
+    expect(report.ignored).toEqual(['globalAverage', 'legacyKnob']);
+  });
+
+  test('keeps valid palettes and reports broken ones', () => {
+    const stops = [
+      { position: 1, color: '#FFFFFF' },
+      { position: 0, color: '#000000' },
+    ];
+    const base = { version: 1, ruleId: 'energyLife', params: {} };
+
+    const report = normalizePreset({ ...base, palette: { stops } });
+    expect(report.preset.palette.stops.map(({ color }) => color)).toEqual([
+      '#000000',
+      '#ffffff',
+    ]);
+    expect(report.ignored).toEqual([]);
+
+    const broken = normalizePreset({ ...base, palette: { stops: [] } });
+    expect(broken.preset).not.toHaveProperty('palette');
+    expect(broken.ignored).toEqual(['palette']);
+  });
+
+  test('keeps rendering settings and reports bad ones by key', () => {
+    const base = { version: 1, ruleId: 'energyLife', params: {} };
+
+    const report = normalizePreset({
+      ...base,
+      rendering: {
+        displacementScale: 0.3,
+        specularStrength: 5,
+        lightAzimuth: 'left',
+        glow: 1,
+      },
+    });
+    expect(report.preset.rendering).toEqual({
+      displacementScale: 0.3,
+      specularStrength: 1,
+    });
+    expect(report.ignored).toEqual(['rendering.glow']);
+    expect(report.invalid).toEqual(['rendering.lightAzimuth']);
+    expect(report.clamped).toEqual(['rendering.specularStrength']);
+
+    expect(normalizePreset(base).preset).not.toHaveProperty('rendering');
+    const broken = normalizePreset({ ...base, rendering: 'shiny' });
+    expect(broken.preset).not.toHaveProperty('rendering');
+    expect(broken.ignored).toEqual(['rendering']);
+  });
+
+  test('rejects newer versions and unknown rules', () => {
+    expect(() => normalizePreset({ version: 99, params: {} })).toThrow(
+      'newer than supported',
+    );
+    expect(() =>
+      normalizePreset({ version: 1, ruleId: 'nope', params: {} }),
+    ).toThrow('Unknown rule');
+  });
+
+  test('parses export files and single presets', () => {
+    const single = { version: 1, ruleId: 'energyLife', params: {} };
+    expect(parsePresetFile(JSON.stringify(single))).toEqual([single]);
+    expect(
+      parsePresetFile(
+        JSON.stringify({ format: 'wigle2-presets', presets: [single] }),
+      ),
+    ).toEqual([single]);
+  });
+});
+
+test.describe('preset library', () => {
+  test('manages user presets next to read-only built-ins', () => {
+    const storage = createStorage();
+    const library = new PresetLibrary({ storage });
+    const builtInId = library.list()[0].id;
+
+    expect(library.isBuiltIn(builtInId)).toBe(true);
+    expect(() => library.rename(builtInId, 'x')).toThrow('Duplicate it first');
+
+    const copyId = library.duplicate(builtInId);
+    expect(library.get(copyId).name).toMatch(/\(copy\)$/);
+
+    library.rename(copyId, 'Mine');
+    expect(library.findUserByName('Mine')).toBe(copyId);
+
+    const reloaded = new PresetLibrary({ storage });
+    expect(reloaded.get(copyId).name).toBe('Mine');
+
+    reloaded.remove(copyId);
+    expect(reloaded.get(copyId)).toBeNull();
+  });
+
+  test('moves the old single-slot preset into the library', () => {
+    const storage = createStorage({
+      [LEGACY_PRESET_STORAGE_KEY]: JSON.stringify({ neighborhoodRadius: 7 }),
+    });
+    const library = new PresetLibrary({ storage });
+    const id = library.findUserByName('Saved preset');
+
+    expect(library.get(id).ruleId).toBe('transformerLife');
+    expect(library.get(id).params.neighborhoodRadius).toBe(7);
+    expect(storage.data.has(LEGACY_PRESET_STORAGE_KEY)).toBe(false);
+    expect(storage.data.has(PRESET_STORAGE_KEY)).toBe(true);
+  });
+
+  test('imports what it can and round-trips exports', () => {
+    const library = new PresetLibrary({ storage: createStorage() });
+    const file = JSON.stringify({
+      format: 'wigle2-presets',
+      version: 1,
+      presets: [
+        { version: 1, name: 'A', ruleId: 'energyLife', params: { foo: 1 } },
+        { version: 1, name: 'B', ruleId: 'missing', params: {} },
+      ],
+    });
+
+    const { added, errors } = library.importFile(file);
+    expect(added).toHaveLength(1);
+    expect(added[0].ignored).toEqual(['foo']);
+    expect(errors).toEqual(['#2: Unknown rule "missing" in preset.']);
+
+    const exported = parsePresetFile(library.exportFile([added[0].id]));
+    expect(exported[0]).toEqual(library.get(added[0].id));
+  });
+});
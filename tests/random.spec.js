@@ -0,0 +1,48 @@
+const { test, expect } = require('@playwright/test');
+const {
+  createRandom,
+  randomSeed,
+  deriveSeed,
+  splitSeed,
+} = require('../src/utils/random.js');
+
+function take(random, count) {
+  return Array.from({ length: count }, () => random());
+}
+
+test.describe('seeded random', () => {
+  test('same seed gives the same sequence', () => {
+    expect(take(createRandom(42), 100)).toEqual(take(createRandom(42), 100));
+    expect(take(createRandom(42), 100)).not.toEqual(
+      take(createRandom(43), 100),
+    );
+  });
+
+  test('values stay in [0, 1) and cover the range', () => {
+    const values = take(createRandom(0xffffffff), 10000);
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...values)).toBeLessThan(1);
+
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    expect(mean).toBeCloseTo(0.5, 1);
+  });
+
+  test('seeds are uint32 and split into exact 16-bit halves', () => {
+    const seed = randomSeed();
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(seed).toBeGreaterThanOrEqual(0);
+    expect(seed).toBeLessThan(0x100000000);
+
+    const [low, high] = splitSeed(0xdeadbeef);
+    expect(high * 0x10000 + low).toBe(0xdeadbeef);
+  });
+
+  test('derived seeds are repeatable uint32 values', () => {
+    const next = deriveSeed(42);
+    expect(next).toBe(deriveSeed(42));
+    expect(next).not.toBe(42);
+    expect(Number.isInteger(next)).toBe(true);
+    expect(next).toBeLessThan(0x100000000);
+    expect(deriveSeed(next)).not.toBe(next);
+  });
+});
@@ -0,0 +1,154 @@
+const { test, expect } = require('@playwright/test');
+const {
+  ReferenceStepper,
+  REFERENCE_STEPPERS,
+} = require('../src/reference/ReferenceStepper.js');
+const { compareFields } = require('../src/reference/compareFields.js');
+const { seededRandom } = require('../src/reference/shaderMath.js');
+const { RULES } = require('../src/config/rules.js');
+const {
+  STAGNATION_NOISE_AMPLITUDE,
+  BRUSH_TARGETS,
+} = require('../src/config/constants.js');
+
+const SIZE = 16;
+
+function createField(energyAt) {
+  const field = new Float32Array(SIZE * SIZE * 4);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      field.set([energyAt(x, y), 0, 0, 1], (y * SIZE + x) * 4);
+    }
+  }
+  return field;
+}
+
+test.describe('CPU reference steppers', () => {
+  test('every rule has a reference stepper', () => {
+    Object.keys(RULES).forEach((ruleId) => {
+      expect(REFERENCE_STEPPERS[ruleId]).toBeInstanceOf(Function);
+    });
+  });
+
+  test('same state and seed give identical results', () => {
+    const field = createField((x, y) => ((x * 7 + y * 13) % 10) / 10);
+    const run = (ruleId) =>
+      new ReferenceStepper({ ruleId, size: SIZE, params: {}, field, seed: 42 })
+        .step(3)
+        .slice();
+
+    Object.keys(RULES).forEach((ruleId) => {
+      const result = run(ruleId);
+      expect(Array.from(result)).toEqual(Array.from(run(ruleId)));
+      expect(Math.min(...result)).toBeGreaterThanOrEqual(0);
+      expect(Math.max(...result)).toBeLessThanOrEqual(1);
+    });
+  });
+
+  test('Energy-Life keeps a uniform field uniform up to the noise', () => {
+    const stepper = new ReferenceStepper({
+      ruleId: 'energyLife',
+      size: SIZE,
+      params: {},
+      field: createField(() => 0.2),
+    });
+    const energy = stepper.step().filter((_, i) => i % 4 === 0);
+
+    expect(Math.max(...energy) - Math.min(...energy)).toBeLessThanOrEqual(
+      STAGNATION_NOISE_AMPLITUDE,
+    );
+  });
+
+  test('brush targets paint matter and erase through the interaction texture', () => {
+    const field = createField(() => 0.5);
+    for (let i = 1; i < field.length; i += 4) field[i] = 0.5; // Matter
+    const interaction = new Float32Array(field.length);
+    interaction.set(BRUSH_TARGETS.matter, 0);
+    interaction.set(BRUSH_TARGETS.erase, 4);
+
+    const next = new ReferenceStepper({
+      ruleId: 'transformerLife',
+      size: SIZE,
+      params: {},
+      field,
+      interaction,
+    }).step();
+
+    expect(next[1]).toBeGreaterThan(next[9]); // Painted vs. untouched matter
+    expect(next[4]).toBeLessThanOrEqual(1e-4); // Erased energy, up to the noise
+    expect(next[5]).toBe(0); // Erased matter
+  });
+
+  test('Transformer-Life wraps neighbors toroidally', () => {
+    // A spike in the corner must look the same from both sides of the edge
+    const stepper = new ReferenceStepper({
+      ruleId: 'transformerLife',
+      size: SIZE,
+      params: {},
+      field: createField((x, y) => (x === 0 && y === 0 ? 1 : 0)),
+    });
+    const field = stepper.step();
+    const attention = (x, y) => field[(y * SIZE + x) * 4 + 2];
+
+    expect(attention(1, 0)).toBeGreaterThan(0);
+    expect(attention(SIZE - 1, 0)).toBe(attention(1, 0));
+    expect(attention(0, SIZE - 1)).toBe(attention(0, 1));
+    expect(attention(SIZE - 1, SIZE - 1)).toBe(attention(1, 1));
+  });
+
+  test('advances frame and globalAverage like the GPU loop', () => {
+    const stepper = new ReferenceStepper({
+      ruleId: 'energyLife',
+      size: SIZE,
+      params: {},
+      field: createField(() => 0.3),
+      frame: 10,
+    });
+    stepper.step(2);
+
+    expect(stepper.frame).toBe(12);
+    expect(stepper.globalAverage).toBe(stepper.averageEnergy());
+  });
+
+  test('rejects unknown rules and mismatched fields', () => {
+    const field = createField(() => 0);
+    expect(
+      () => new ReferenceStepper({ ruleId: 'nope', size: SIZE, field }),
+    ).toThrow('No reference stepper');
+    expect(
+      () =>
+        new ReferenceStepper({ ruleId: 'energyLife', size: SIZE + 1, field }),
+    ).toThrow('expected');
+  });
+
+  test('seeded noise is deterministic and in [0, 1)', () => {
+    const values = [];
+    for (let i = 0; i < 1000; i++) {
+      values.push(seededRandom(i + 0.5, (i % 37) + 0.5, [1234, 5678], i));
+    }
+
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...values)).toBeLessThan(1);
+    expect(seededRandom(3.5, 4.5, [1, 2], 7)).toBe(
+      seededRandom(3.5, 4.5, [1, 2], 7),
+    );
+    expect(seededRandom(3.5, 4.5, [1, 2], 7)).not.toBe(
+      seededRandom(3.5, 4.5, [1, 2], 8),
+    );
+  });
+});
+
+test.describe('field comparison', () => {
+  test('reports per-channel max and mean error', () => {
+    const expected = new Float32Array([0, 0, 0, 1, 0.5, 0.5, 0.5, 1]);
+    const actual = new Float32Array([0.1, 0, 0, 1, 0.5, 0.3, 0.5, 1]);
+    const report = compareFields(actual, expected);
+
+    expect(report.energy.maxError).toBeCloseTo(0.1, 6);
+    expect(report.energy.meanError).toBeCloseTo(0.05, 6);
+    expect(report.energy.maxErrorIndex).toBe(0);
+    expect(report.matter.maxError).toBeCloseTo(0.2, 6);
+    expect(report.matter.maxErrorIndex).toBe(1);
+    expect(report.attention.maxError).toBe(0);
+  });
+});
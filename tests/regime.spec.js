@@ -0,0 +1,75 @@
+const { test, expect } = require('@playwright/test');
+const {
+  detrend,
+  spectralPeak,
+  classifyRegime,
+  RegimeDetector,
+} = require('../src/utils/regime.js');
+const { createRandom } = require('../src/utils/random.js');
+
+const stats = (mean, max = 1) => ({
+  energy: { mean, min: 0, max, variance: 0.01 },
+});
+const sine = (n, period, amplitude = 0.05) =>
+  Array.from(
+    { length: n },
+    (_, i) => 0.3 + amplitude * Math.sin((2 * Math.PI * i) / period),
+  );
+
+test.describe('regime detection', () => {
+  test('removes linear trends', () => {
+    detrend([1, 2, 3, 4]).forEach((r) => expect(r).toBeCloseTo(0, 12));
+    expect(detrend([0, 1, 0, 1])[0]).toBeLessThan(0);
+  });
+
+  test('finds the dominant period', () => {
+    const { power, period } = spectralPeak(sine(64, 8));
+    expect(power).toBeGreaterThan(0.9);
+    expect(period).toBe(8);
+
+    expect(spectralPeak(new Array(64).fill(0.3))).toEqual({
+      power: 0,
+      period: null,
+    });
+  });
+
+  test('labels dead, saturated, stable, oscillating and chaotic runs', () => {
+    const flat = new Array(64).fill(0.3);
+    const random = createRandom(7);
+    const noise = flat.map((v) => v + (random() - 0.5) * 0.1);
+
+    expect(classifyRegime(flat, stats(0.001, 0.005)).regime).toBe('dead');
+    expect(classifyRegime(flat, stats(0.99)).regime).toBe('saturated');
+    expect(classifyRegime(flat.slice(0, 4), stats(0.3)).regime).toBeNull();
+    expect(classifyRegime(flat, stats(0.3)).regime).toBe('stable');
+    expect(classifyRegime(sine(64, 10), stats(0.3)).regime).toBe('oscillating');
+    expect(classifyRegime(noise, stats(0.3)).regime).toBe('chaotic');
+
+    // A slow drift is not movement
+    const drift = flat.map((v, i) => v + i * 0.001);
+    expect(classifyRegime(drift, stats(0.3)).regime).toBe('stable');
+  });
+
+  test('confirms a change before reporting it', () => {
+    const detector = new RegimeDetector({ historyLength: 16, confirm: 3 });
+
+    expect(detector.update(stats(0.001, 0.005))).toMatchObject({
+      regime: null,
+      changed: false,
+    });
+    detector.update(stats(0.001, 0.005));
+    expect(detector.update(stats(0.001, 0.005))).toMatchObject({
+      regime: 'dead',
+      previous: null,
+      changed: true,
+    });
+    expect(detector.update(stats(0.001, 0.005)).changed).toBe(false);
+
+    // One saturated sample is not enough
+    expect(detector.update(stats(0.99)).regime).toBe('dead');
+    expect(detector.update(stats(0.001, 0.005)).regime).toBe('dead');
+
+    detector.reset();
+    expect(detector.regime).toBeNull();
+  });
+});
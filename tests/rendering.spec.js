@@ -0,0 +1,62 @@
+const { test, expect } = require('@playwright/test');
+const {
+  DEFAULT_RENDERING,
+  validateRendering,
+  lightDirection,
+} = require('../src/utils/rendering.js');
+const { RENDERING_SCHEMA } = require('../src/config/renderingSchema.js');
+const {
+  TRANSFORMER_LIFE_SCHEMA,
+  ENERGY_LIFE_SCHEMA,
+} = require('../src/config/paramSchema.js');
+
+test.describe('rendering settings', () => {
+  test('defaults lie within their ranges and do not clash with params', () => {
+    RENDERING_SCHEMA.forEach(({ key, min, max }) => {
+      expect(DEFAULT_RENDERING[key], key).toBeGreaterThanOrEqual(min);
+      expect(DEFAULT_RENDERING[key], key).toBeLessThanOrEqual(max);
+    });
+
+    // Rendering and parameter controls share the page's ID space
+    const paramKeys = [...TRANSFORMER_LIFE_SCHEMA, ...ENERGY_LIFE_SCHEMA].map(
+      ({ key }) => key,
+    );
+    RENDERING_SCHEMA.forEach(({ key }) => {
+      expect(paramKeys).not.toContain(key);
+    });
+  });
+
+  test('validates like parameters and rounds the mesh resolution', () => {
+    const result = validateRendering({
+      meshResolution: '300',
+      ambientRatio: -1,
+      specularShininess: NaN,
+      bloom: 1,
+    });
+    expect(result.params).toEqual({ meshResolution: 304, ambientRatio: 0 });
+    expect(result.ignored).toEqual(['bloom']);
+    expect(result.invalid).toEqual(['specularShininess']);
+    expect(result.clamped).toEqual(['ambientRatio']);
+
+    expect(validateRendering({ meshResolution: 5000 }).params).toEqual({
+      meshResolution: 1024,
+    });
+  });
+
+  test('points the light by azimuth and elevation', () => {
+    const overhead = lightDirection(123, 90);
+    expect(overhead[0]).toBeCloseTo(0, 10);
+    expect(overhead[1]).toBeCloseTo(0, 10);
+    expect(overhead[2]).toBeCloseTo(1, 10);
+
+    const [x, y, z] = lightDirection(90, 0);
+    expect([x, y, z].map((c) => Number(c.toFixed(10)))).toEqual([0, 1, 0]);
+
+    // The defaults keep the original light, normalize(0.2, 0.2, 1)
+    const original = [0.2, 0.2, 1].map((c) => c / Math.hypot(0.2, 0.2, 1));
+    lightDirection(
+      DEFAULT_RENDERING.lightAzimuth,
+      DEFAULT_RENDERING.lightElevation,
+    ).forEach((c, i) => expect(c).toBeCloseTo(original[i], 2));
+  });
+});
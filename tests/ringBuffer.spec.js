@@ -0,0 +1,33 @@
+const { test, expect } = require('@playwright/test');
+const { RingBuffer } = require('../src/utils/ringBuffer.js');
+
+test.describe('ring buffer', () => {
+  test('keeps the newest items by absolute index', () => {
+    const buffer = new RingBuffer(3);
+    ['a', 'b', 'c', 'd', 'e'].forEach((item, i) => {
+      expect(buffer.push(item)).toBe(i);
+    });
+
+    expect(buffer.start).toBe(2);
+    expect(buffer.end).toBe(5);
+    expect(buffer.length).toBe(3);
+    expect(buffer.get(1)).toBeUndefined();
+    expect(buffer.get(3)).toBe('d');
+    expect(buffer.slice()).toEqual(['c', 'd', 'e']);
+    expect(buffer.slice(0, 4)).toEqual(['c', 'd']);
+    expect(buffer.covers(2, 5)).toBe(true);
+    expect(buffer.covers(1, 3)).toBe(false);
+  });
+
+  test('restarts indices after clear', () => {
+    const buffer = new RingBuffer(2);
+    buffer.push(1);
+    buffer.push(2);
+    buffer.clear();
+
+    expect(buffer.length).toBe(0);
+    expect(buffer.slice()).toEqual([]);
+    expect(buffer.push(3)).toBe(0);
+    expect(buffer.get(0)).toBe(3);
+  });
+});
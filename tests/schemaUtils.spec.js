@@ -0,0 +1,89 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+const { RULES } = require('../src/config/rules.js');
+const {
+  toSliderPosition,
+  fromSliderPosition,
+  getSliderRange,
+  groupSchema,
+  validateParams,
+} = require('../src/utils/schemaUtils.js');
+
+const shaderRoot = path.resolve(__dirname, '..', 'src', 'shaders');
+
+const entry = {
+  key: 'growthWidth',
+  min: 0.0001,
+  max: 1,
+  step: 0.0001,
+  logScale: true,
+};
+
+test.describe('parameter schema', () => {
+  test('every rule parameter is a uniform with an in-range default', () => {
+    Object.values(RULES).forEach((rule) => {
+      const shader = fs.readFileSync(
+        path.join(shaderRoot, rule.fragmentShader),
+        'utf8',
+      );
+
+      rule.schema.forEach(({ key, min, max, default: value }) => {
+        expect(shader, `${rule.id}.${key}`).toMatch(
+          new RegExp(`uniform float ${key};`),
+        );
+        expect(rule.defaults[key], `${rule.id}.${key}`).toBe(value);
+        expect(value).toBeGreaterThanOrEqual(min);
+        expect(value).toBeLessThanOrEqual(max);
+      });
+    });
+  });
+
+  test('maps log-scale sliders through [0, 1]', () => {
+    expect(getSliderRange(entry)).toEqual({ min: 0, max: 1, step: 0.001 });
+    expect(toSliderPosition(entry, 0.0001)).toBeCloseTo(0, 6);
+    expect(toSliderPosition(entry, 1)).toBeCloseTo(1, 6);
+    expect(toSliderPosition(entry, 0.01)).toBeCloseTo(0.5, 6);
+    expect(fromSliderPosition(entry, 0.5)).toBe(0.01);
+    expect(fromSliderPosition(entry, toSliderPosition(entry, 0.0183))).toBe(
+      0.0183,
+    );
+  });
+
+  test('leaves linear sliders in parameter units', () => {
+    const linear = { key: 'decayRate', min: 0, max: 1, step: 0.001 };
+    expect(getSliderRange(linear)).toEqual({ min: 0, max: 1, step: 0.001 });
+    expect(toSliderPosition(linear, 0.378)).toBe(0.378);
+    expect(fromSliderPosition(linear, 0.378)).toBe(0.378);
+  });
+
+  test('groups entries in first-seen order', () => {
+    const groups = groupSchema(RULES.transformerLife.schema);
+    expect(groups.map(({ group }) => group)).toEqual([
+      'Phase 1: Attention Mechanism',
+      'Phase 2: Activation Function',
+      'Phase 3: Residual Stream',
+      'Global Dynamics',
+    ]);
+  });
+
+  test('validates presets against the schema', () => {
+    const result = validateParams(RULES.energyLife.schema, {
+      growthWidth: 0.02,
+      decayRate: '0.4',
+      innerRadius: 50,
+      outerRadius: 'abc',
+      neighborhoodRadius: 5,
+      globalAverage: 0.2,
+    });
+
+    expect(result.params).toEqual({
+      growthWidth: 0.02,
+      decayRate: 0.4,
+      innerRadius: 10,
+    });
+    expect(result.clamped).toEqual(['innerRadius']);
+    expect(result.invalid).toEqual(['outerRadius']);
+    expect(result.ignored).toEqual(['neighborhoodRadius', 'globalAverage']);
+  });
+});
@@ -0,0 +1,77 @@
+const { test, expect } = require('@playwright/test');
+const {
+  addTextChunk,
+  readTextChunks,
+  encodeScreenshot,
+  decodeScreenshot,
+  isPng,
+  SCREENSHOT_KEYWORD,
+} = require('../src/utils/screenshot.js');
+const { luminanceToField } = require('../src/utils/textureUtils.js');
+
+// 1×1 transparent PNG
+const PNG = Uint8Array.from(
+  Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+    'base64',
+  ),
+);
+
+const METADATA = {
+  ruleId: 'energyLife',
+  params: { growthWidth: 0.0156, decayRate: 0.378 },
+  seed: 123456789,
+  size: 256,
+  frame: 4200,
+};
+
+test.describe('screenshot metadata', () => {
+  test('round-trips settings through a PNG', () => {
+    const png = encodeScreenshot(PNG, METADATA);
+
+    expect(isPng(png)).toBe(true);
+    expect(png.length).toBeGreaterThan(PNG.length);
+    expect(decodeScreenshot(png)).toEqual(METADATA);
+  });
+
+  test('keeps IEND last and other text chunks readable', () => {
+    const png = addTextChunk(PNG, 'Comment', 'hello');
+    const texts = readTextChunks(encodeScreenshot(png, METADATA));
+
+    expect(texts.Comment).toBe('hello');
+    expect(JSON.parse(texts[SCREENSHOT_KEYWORD]).frame).toBe(4200);
+    expect(
+      Buffer.from(png.subarray(png.length - 8, png.length - 4)).toString(),
+    ).toBe('IEND');
+  });
+
+  test('reports plain PNGs and rejects other files', () => {
+    expect(decodeScreenshot(PNG)).toBeNull();
+    expect(() => decodeScreenshot(new Uint8Array([1, 2, 3]))).toThrow(
+      'Not a PNG',
+    );
+    expect(() => addTextChunk(PNG, SCREENSHOT_KEYWORD, 'snow ☃')).toThrow(
+      'Latin-1',
+    );
+  });
+
+  test('rejects settings from a newer format', () => {
+    const png = addTextChunk(PNG, SCREENSHOT_KEYWORD, '{"version":99}');
+    expect(() => decodeScreenshot(png)).toThrow('newer than supported');
+  });
+});
+
+test.describe('luminance field', () => {
+  test('maps brightness to energy and flips rows', () => {
+    // 2×2 image: white top row, black bottom row
+    const pixels = new Uint8ClampedArray([
+      255, 255, 255, 255, 255, 255, 255, 255, 0, 0, 0, 255, 0, 0, 0, 255,
+    ]);
+    const field = luminanceToField(pixels, 2);
+
+    expect(Array.from(field.filter((_, i) => i % 4 === 0))).toEqual([
+      0, 0, 1, 1,
+    ]);
+    expect(field[3]).toBe(1);
+  });
+});
@@ -0,0 +1,127 @@
+const { test, expect } = require('@playwright/test');
+const {
+  encodeSnapshot,
+  decodeSnapshot,
+  SNAPSHOT_CHANNELS,
+} = require('../src/utils/snapshot.js');
+
+function createState(size) {
+  const field = new Float32Array(size * size * 4);
+  const heightMap = new Float32Array(size * size * 4);
+  for (let i = 0; i < size * size; i++) {
+    field.set([i / 10, i / 20 + 0.5, -i / 30, 1], i * 4);
+    heightMap.set([i / 40, 0, 0, 1], i * 4);
+  }
+  return {
+    size,
+    ruleId: 'energyLife',
+    frame: 1234,
+    seed: 987654321,
+    params: { growthWidth: 0.0183, decayRate: 0.378 },
+    palette: {
+      stops: [
+        { position: 0, color: '#000000' },
+        { position: 1, color: '#ffcc00' },
+      ],
+    },
+    field,
+    heightMap,
+  };
+}
+
+/** Builds a file with a valid preamble around an arbitrary header */
+function withHeader(header, headerLength) {
+  const json = new TextEncoder().encode(
+    typeof header === 'string' ? header : JSON.stringify(header),
+  );
+  const bytes = new Uint8Array(12 + Math.ceil(json.length / 4) * 4);
+  const view = new DataView(bytes.buffer);
+  bytes.set(new TextEncoder().encode('WGSN'), 0);
+  view.setUint32(4, 1, true);
+  view.setUint32(8, headerLength ?? json.length, true);
+  bytes.set(json, 12);
+  return bytes.buffer;
+}
+
+test.describe('snapshot format', () => {
+  test('round-trips state exactly', () => {
+    const state = createState(64);
+    const decoded = decodeSnapshot(encodeSnapshot(state));
+
+    expect(decoded.size).toBe(64);
+    expect(decoded.ruleId).toBe('energyLife');
+    expect(decoded.frame).toBe(1234);
+    expect(decoded.seed).toBe(987654321);
+    expect(decoded.params).toEqual(state.params);
+    expect(decoded.palette).toEqual(state.palette);
+    expect(Array.from(decoded.field)).toEqual(
+      Array.from(state.field, (v) => Math.fround(v)),
+    );
+    expect(Array.from(decoded.heightMap)).toEqual(
+      Array.from(state.heightMap, (v) => Math.fround(v)),
+    );
+  });
+
+  test('stores only the used channels', () => {
+    const size = 64;
+    const buffer = encodeSnapshot(createState(size));
+    const perTexel = SNAPSHOT_CHANNELS.field + SNAPSHOT_CHANNELS.heightMap;
+
+    expect(buffer.byteLength).toBeLessThan(size * size * perTexel * 4 + 256);
+  });
+
+  test('rejects foreign and truncated files', () => {
+    expect(() => decodeSnapshot(new ArrayBuffer(4))).toThrow('too small');
+    expect(() =>
+      decodeSnapshot(new TextEncoder().encode('PNG\0xxxxxxxxxxxx').buffer),
+    ).toThrow('bad magic');
+
+    const buffer = encodeSnapshot(createState(64));
+    expect(() =>
+      decodeSnapshot(buffer.slice(0, buffer.byteLength - 4)),
+    ).toThrow('truncated');
+  });
+
+  test('rejects malformed headers', () => {
+    const { size, ruleId, frame, seed, params } = createState(64);
+    const header = { size, ruleId, frame, seed, params };
+    const cases = [
+      [withHeader(header, 4096), 'header past end of file'],
+      [withHeader('{"size": 64,'), 'unreadable header'],
+      [withHeader([64]), 'bad header'],
+      [withHeader({ ...header, size: undefined }), 'unsupported grid size'],
+      [withHeader({ ...header, size: 'NaN' }), 'unsupported grid size'],
+      [withHeader({ ...header, size: 100 }), 'unsupported grid size'],
+      [withHeader({ ...header, ruleId: 'noSuchRule' }), 'unknown rule'],
+      [withHeader({ ...header, ruleId: 'toString' }), 'unknown rule'],
+      [withHeader({ ...header, frame: -1 }), 'bad frame'],
+      [withHeader({ ...header, frame: 1.5 }), 'bad frame'],
+      [withHeader({ ...header, seed: 'abc' }), 'bad seed'],
+      [withHeader({ ...header, params: null }), 'missing params'],
+      [
+        withHeader({ ...header, params: { growthWidth: '0.02' } }),
+        'bad params: growthWidth',
+      ],
+      [
+        withHeader({ ...header, params: { decayRate: null } }),
+        'bad params: decayRate',
+      ],
+    ];
+
+    cases.forEach(([buffer, message]) => {
+      expect(() => decodeSnapshot(buffer)).toThrow(
+        `Not a simulation snapshot (${message}`,
+      );
+    });
+  });
+
+  test('drops unknown params and clamps the rest', () => {
+    const state = createState(64);
+    state.params = { ...state.params, decayRate: 99, retired: 1 };
+    const decoded = decodeSnapshot(encodeSnapshot(state));
+
+    expect(decoded.params.growthWidth).toBe(0.0183);
+    expect(decoded.params.retired).toBeUndefined();
+    expect(decoded.params.decayRate).toBeLessThan(99);
+  });
+});
@@ -0,0 +1,86 @@
+const { test, expect } = require('@playwright/test');
+const {
+  fft,
+  resampleField,
+  powerSpectrum,
+  radialProfile,
+  peakWavenumber,
+  analyzeSpectrum,
+} = require('../src/utils/spectrum.js');
+
+// Plane wave with (kx, ky) periods across a size × size field
+const wave = (size, kx, ky) => {
+  const values = new Float32Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      values[y * size + x] =
+        0.5 + 0.25 * Math.cos((2 * Math.PI * (kx * x + ky * y)) / size);
+    }
+  }
+  return values;
+};
+
+test.describe('spatial spectrum', () => {
+  test('matches a direct DFT', () => {
+    const input = [1, 2, 0, -1, 3, 0.5, -2, 4];
+    const re = Float64Array.from(input);
+    const im = new Float64Array(8);
+    fft(re, im, 0, 1, 8);
+
+    input.forEach((_, k) => {
+      let sumRe = 0;
+      let sumIm = 0;
+      input.forEach((v, n) => {
+        sumRe += v * Math.cos((-2 * Math.PI * k * n) / 8);
+        sumIm += v * Math.sin((-2 * Math.PI * k * n) / 8);
+      });
+      expect(re[k]).toBeCloseTo(sumRe, 10);
+      expect(im[k]).toBeCloseTo(sumIm, 10);
+    });
+
+    expect(() => fft(re, im, 0, 1, 6)).toThrow('power of two');
+  });
+
+  test('puts a plane wave into one ring', () => {
+    const power = powerSpectrum(wave(32, 3, 4), 32);
+    expect(power[0]).toBeCloseTo(0, 10); // Mean removed
+    expect(power[4 * 32 + 3]).toBeGreaterThan(0);
+
+    const profile = radialProfile(power, 32);
+    expect(profile).toHaveLength(17);
+    expect(peakWavenumber(profile)).toBe(5);
+    expect(peakWavenumber(new Float64Array(17))).toBeNull();
+  });
+
+  test('reads wavelength, orientation and coherence', () => {
+    const diagonal = analyzeSpectrum(wave(64, 4, 4), 64);
+    expect(diagonal.size).toBe(64);
+    expect(diagonal.wavelength).toBeCloseTo(64 / Math.hypot(4, 4), 6);
+    expect(diagonal.orientation).toBeCloseTo(45, 6);
+    expect(diagonal.coherence).toBeCloseTo(1, 6);
+
+    // Horizontal crests: the wave vector points up
+    expect(analyzeSpectrum(wave(64, 0, 8), 64).orientation).toBeCloseTo(90, 6);
+
+    // Two crossed waves have no single direction
+    const vertical = wave(64, 0, 8);
+    const crossed = wave(64, 8, 0).map((v, i) => v + vertical[i]);
+    expect(analyzeSpectrum(crossed, 64).coherence).toBeCloseTo(0, 6);
+
+    expect(analyzeSpectrum(new Float32Array(64 * 64), 64)).toMatchObject({
+      wavelength: null,
+      orientation: null,
+      coherence: null,
+    });
+  });
+
+  test('averages large fields down, keeping wavelengths in cells', () => {
+    expect(Array.from(resampleField([1, 2, 3, 4], 2, 1))).toEqual([2.5]);
+
+    const result = analyzeSpectrum(wave(128, 4, 0), 128, 32);
+    expect(result.size).toBe(32);
+    expect(result.profile).toHaveLength(17);
+    expect(result.wavelength).toBeCloseTo(32, 6);
+    expect(result.orientation).toBeCloseTo(0, 6);
+  });
+});
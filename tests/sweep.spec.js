@@ -0,0 +1,76 @@
+const { test, expect } = require('@playwright/test');
+const {
+  sweepValues,
+  createSweepCells,
+  layoutSweepTiles,
+  formatSweepLabel,
+} = require('../src/utils/sweep.js');
+const { getRule } = require('../src/config/rules.js');
+
+const { schema, defaults } = getRule('energyLife');
+const entry = (key) => schema.find((candidate) => candidate.key === key);
+
+test.describe('parameter sweep', () => {
+  test('spaces values linearly or geometrically and clamps them', () => {
+    const linear = sweepValues(entry('decayRate'), 0.2, 0.5, 4);
+    [0.2, 0.3, 0.4, 0.5].forEach((value, i) => {
+      expect(linear[i]).toBeCloseTo(value, 10);
+    });
+    expect(sweepValues(entry('growthWidth'), 0.001, 0.1, 3)).toEqual([
+      0.001, 0.01, 0.1,
+    ]);
+    expect(sweepValues(entry('decayRate'), 0.3, 99, 1)).toEqual([0.3]);
+
+    const { max } = entry('innerRadius');
+    expect(sweepValues(entry('innerRadius'), 1, max + 10, 2)[1]).toBe(max);
+  });
+
+  test('builds tiles row by row over the base params', () => {
+    const cells = createSweepCells(schema, defaults, {
+      x: { key: 'decayRate', min: 0.2, max: 0.4, steps: 3 },
+      y: { key: 'innerRadius', min: 2, max: 4, steps: 2 },
+    });
+
+    expect(cells).toHaveLength(6);
+    expect(cells[4]).toMatchObject({ column: 1, row: 1 });
+    expect(cells[4].values.decayRate).toBeCloseTo(0.3, 10);
+    expect(cells[4].values.innerRadius).toBe(4);
+    expect(cells[4].params.growthWidth).toBe(defaults.growthWidth);
+
+    const single = createSweepCells(schema, defaults, {
+      x: { key: 'decayRate', min: 0.2, max: 0.4, steps: 2 },
+    });
+    expect(single.map(({ row }) => row)).toEqual([0, 0]);
+    expect(Object.keys(single[0].values)).toEqual(['decayRate']);
+  });
+
+  test('rejects invalid axes', () => {
+    const axis = { key: 'decayRate', min: 0.2, max: 0.4, steps: 2 };
+    expect(() =>
+      createSweepCells(schema, defaults, { x: { ...axis, key: 'nope' } }),
+    ).toThrow('unknown parameter');
+    expect(() =>
+      createSweepCells(schema, defaults, { x: axis, y: axis }),
+    ).toThrow('different parameters');
+    expect(() =>
+      createSweepCells(schema, defaults, { x: { ...axis, min: NaN } }),
+    ).toThrow('two numbers');
+    expect(() =>
+      createSweepCells(schema, defaults, { x: { ...axis, steps: 0 } }),
+    ).toThrow('positive integer');
+  });
+
+  test('centers square tiles in the canvas', () => {
+    const tiles = layoutSweepTiles(400, 300, 2, 2, 4);
+
+    expect(tiles).toHaveLength(4);
+    expect(tiles[0]).toEqual({ x: 50, y: 0, size: 148 });
+    expect(tiles[3]).toEqual({ x: 202, y: 152, size: 148 });
+  });
+
+  test('labels tiles with their swept values', () => {
+    expect(formatSweepLabel({ growthWidth: 0.015634, decayRate: 0.378 })).toBe(
+      'growthWidth 0.0156 · decayRate 0.378',
+    );
+  });
+});
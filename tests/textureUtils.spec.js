@@ -0,0 +1,43 @@
+const { test, expect } = require('@playwright/test');
+const { splitChannels, halfToFloat } = require('../src/utils/textureUtils.js');
+
+test.describe('texture utils', () => {
+  test('splits RGBA texels into per-channel arrays', () => {
+    const rgba = new Float32Array([1, 2, 3, 4, 5, 6, 7, 8]);
+    const [r, g, b, a] = splitChannels(rgba);
+
+    expect(Array.from(r)).toEqual([1, 5]);
+    expect(Array.from(g)).toEqual([2, 6]);
+    expect(Array.from(b)).toEqual([3, 7]);
+    expect(Array.from(a)).toEqual([4, 8]);
+  });
+
+  test('extracts only the leading channels', () => {
+    const channels = splitChannels(new Float32Array(16), 2);
+
+    expect(channels).toHaveLength(2);
+    expect(channels[0]).toBeInstanceOf(Float32Array);
+    expect(channels[0]).toHaveLength(4);
+  });
+
+  test('decodes half floats', () => {
+    const halves = new Uint16Array([
+      0x0000, 0x3c00, 0xc000, 0x3555, 0x0001, 0x7bff, 0x7c00, 0xfe00,
+    ]);
+    const values = halfToFloat(halves);
+
+    expect(Array.from(values.slice(0, 3))).toEqual([0, 1, -2]);
+    expect(values[3]).toBeCloseTo(1 / 3, 3);
+    expect(values[4]).toBe(2 ** -24);
+    expect(values[5]).toBe(65504);
+    expect(values[6]).toBe(Infinity);
+    expect(values[7]).toBeNaN();
+  });
+
+  test('decodes half floats into an existing array', () => {
+    const out = new Float32Array(2);
+
+    expect(halfToFloat(new Uint16Array([0x3800, 0xb800]), out)).toBe(out);
+    expect(Array.from(out)).toEqual([0.5, -0.5]);
+  });
+});
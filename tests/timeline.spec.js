@@ -0,0 +1,122 @@
+const { test, expect } = require('@playwright/test');
+const {
+  createTimeline,
+  hasKeyframes,
+  addKeyframe,
+  removeKeyframe,
+  evaluateTimeline,
+  validateTimeline,
+} = require('../src/utils/timeline.js');
+const { normalizePreset } = require('../src/utils/presetFormat.js');
+const { getRule } = require('../src/config/rules.js');
+const { NAMED_PRESETS } = require('../src/config/presets.js');
+
+function createRamp(easing = 'linear') {
+  let timeline = createTimeline();
+  timeline = addKeyframe(timeline, 'growthWidth', {
+    frame: 100,
+    value: 0.1,
+    easing,
+  });
+  return addKeyframe(timeline, 'growthWidth', {
+    frame: 200,
+    value: 0.02,
+    easing: 'linear',
+  });
+}
+
+test.describe('timeline', () => {
+  test('holds, interpolates and eases between keyframes', () => {
+    const linear = createRamp('linear');
+    expect(evaluateTimeline(linear, 0).growthWidth).toBe(0.1);
+    expect(evaluateTimeline(linear, 150).growthWidth).toBeCloseTo(0.06, 10);
+    expect(evaluateTimeline(linear, 500).growthWidth).toBe(0.02);
+
+    const eased = createRamp('ease');
+    expect(evaluateTimeline(eased, 125).growthWidth).toBeGreaterThan(
+      evaluateTimeline(linear, 125).growthWidth,
+    );
+    expect(evaluateTimeline(eased, 150).growthWidth).toBeCloseTo(0.06, 10);
+
+    const stepped = createRamp('step');
+    expect(evaluateTimeline(stepped, 199).growthWidth).toBe(0.1);
+    expect(evaluateTimeline(stepped, 200).growthWidth).toBe(0.02);
+  });
+
+  test('loops at the given length or the last keyframe', () => {
+    const timeline = { ...createRamp(), loop: true };
+    expect(evaluateTimeline(timeline, 350).growthWidth).toBeCloseTo(0.06, 10);
+
+    const fixed = { ...timeline, length: 300 };
+    expect(evaluateTimeline(fixed, 450).growthWidth).toBeCloseTo(0.06, 10);
+  });
+
+  test('adds, replaces and removes keyframes without mutating', () => {
+    const timeline = createRamp();
+    const replaced = addKeyframe(timeline, 'growthWidth', {
+      frame: 100,
+      value: 0.05,
+      easing: 'linear',
+    });
+    expect(replaced.tracks.growthWidth).toHaveLength(2);
+    expect(replaced.tracks.growthWidth[0].value).toBe(0.05);
+    expect(timeline.tracks.growthWidth[0].value).toBe(0.1);
+
+    const emptied = removeKeyframe(
+      removeKeyframe(timeline, 'growthWidth', 100),
+      'growthWidth',
+      200,
+    );
+    expect(hasKeyframes(emptied)).toBe(false);
+    expect(emptied.tracks).toEqual({});
+  });
+
+  test('validates tracks against the rule schema', () => {
+    const { schema } = getRule('energyLife');
+    const report = validateTimeline(schema, {
+      loop: true,
+      length: -5,
+      tracks: {
+        growthWidth: [
+          { frame: 10, value: 99, easing: 'ease' },
+          { frame: -1, value: 0.1 },
+          { frame: 5, value: 'x' },
+          null,
+        ],
+        unknownKnob: [{ frame: 0, value: 1 }],
+        decayRate: 'nope',
+      },
+    });
+
+    expect(report.timeline.loop).toBe(true);
+    expect(report.timeline.length).toBe(0);
+    expect(report.timeline.tracks.growthWidth).toHaveLength(1);
+    expect(report.timeline.tracks.growthWidth[0].value).toBeLessThan(99);
+    expect(report.ignored).toEqual(['unknownKnob']);
+    expect(report.invalid).toEqual([
+      'growthWidth@-1',
+      'growthWidth@5',
+      'growthWidth@undefined',
+      'decayRate',
+    ]);
+    expect(report.clamped).toEqual(['growthWidth@10']);
+  });
+
+  test('round-trips through presets and reports timeline problems', () => {
+    const report = normalizePreset(NAMED_PRESETS.bananaWave);
+    expect(report.preset.timeline).toEqual(NAMED_PRESETS.bananaWave.timeline);
+    expect(evaluateTimeline(report.preset.timeline, 0).growthWidth).toBe(0.145);
+
+    const withoutKeys = normalizePreset({
+      ...NAMED_PRESETS.default,
+      timeline: createTimeline(),
+    });
+    expect(withoutKeys.preset).not.toHaveProperty('timeline');
+
+    const broken = normalizePreset({
+      ...NAMED_PRESETS.default,
+      timeline: { tracks: { innerRadius: [{ frame: 'a', value: 1 }] } },
+    });
+    expect(broken.invalid).toEqual(['timeline.innerRadius@a']);
+  });
+});
@@ -0,0 +1,72 @@
+const { test, expect } = require('@playwright/test');
+const { crc32, createZip } = require('../src/utils/zip.js');
+
+function concat(chunks) {
+  const bytes = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+}
+
+/** Reads a stored ZIP back via its central directory */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014b50);
+    const crc = view.getUint32(offset + 16, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(
+      bytes.subarray(offset + 46, offset + 46 + nameLength),
+    );
+
+    expect(view.getUint32(localOffset, true)).toBe(0x04034b50);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    files.push({
+      name,
+      crc,
+      data: bytes.subarray(dataStart, dataStart + size),
+    });
+    offset += 46 + nameLength;
+  }
+  return files;
+}
+
+test.describe('zip writer', () => {
+  test('computes the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+
+  test('stores files that read back intact', () => {
+    const encoder = new TextEncoder();
+    const files = [
+      { name: 'frame_00001.png', data: encoder.encode('first') },
+      { name: 'frame_00002.png', data: new Uint8Array([0, 255, 1, 254]) },
+    ];
+    const read = readZip(concat(createZip(files)));
+
+    expect(read.map(({ name }) => name)).toEqual([
+      'frame_00001.png',
+      'frame_00002.png',
+    ]);
+    read.forEach(({ crc, data }, i) => {
+      expect(Array.from(data)).toEqual(Array.from(files[i].data));
+      expect(crc).toBe(crc32(files[i].data));
+    });
+  });
+
+  test('writes a valid empty archive', () => {
+    expect(readZip(concat(createZip([])))).toEqual([]);
+  });
+});